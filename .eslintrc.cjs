@@ -10,4 +10,8 @@ module.exports = {
   globals: {
     shopify: "readonly"
   },
+  settings: {
+    // Tests run on vitest, which has the Jest API; there is no jest package to detect
+    jest: { version: 29 },
+  },
 };
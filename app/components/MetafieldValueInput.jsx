@@ -0,0 +1,215 @@
+import { useState, useEffect, useRef } from "react";
+import { useFetcher } from "@remix-run/react";
+import { Autocomplete, Select, Tag, Text, TextField } from "@shopify/polaris";
+import {
+  COMMON_CURRENCIES,
+  MEASUREMENT_UNITS,
+  REFERENCE_TYPES,
+  baseType,
+  isListType,
+  isReferenceType,
+  measurementUnitCode,
+  metaobjectDefinitionIds,
+  parseJsonValue,
+  ratingScale,
+  validateMetafieldValue,
+} from "../utils/metafieldValues";
+
+// Typed inputs for the Metafield Editor. Each input edits the metafield value
+// as it is sent to Shopify (JSON for money, rating and measurements, a GID for
+// references) and shows the validation error of the current value.
+
+const SEARCH_DELAY_MS = 300;
+
+const rowStyle = { display: "flex", gap: 8, alignItems: "flex-end" };
+
+// Types rendered by MetafieldValueInput; list references use ReferencePicker.
+// File references keep the upload flow of the editor.
+export function hasTypedInput(type) {
+  if (isListType(type)) return false;
+  if (type === "file_reference") return false;
+  return ["money", "color", "rating", "date", "date_time"].includes(type) || Boolean(MEASUREMENT_UNITS[type]) || isReferenceType(type);
+}
+
+function MoneyInput({ label, value, onChange, currencyCode }) {
+  const money = parseJsonValue(value) || {};
+  const currency = money.currency_code || currencyCode || "USD";
+  const currencies = Array.from(new Set([currencyCode, currency, ...COMMON_CURRENCIES].filter(Boolean)));
+  const write = (amount, code) => onChange(amount === "" ? "" : JSON.stringify({ amount, currency_code: code }));
+
+  return (
+    <div style={rowStyle}>
+      <div style={{ flexGrow: 1 }}>
+        <TextField label={label} type="number" step="0.01" value={money.amount ?? ""} onChange={(amount) => write(amount, currency)} autoComplete="off" />
+      </div>
+      <Select label="Currency" options={currencies} value={currency} onChange={(code) => write(money.amount ?? "", code)} />
+    </div>
+  );
+}
+
+function ColorInput({ label, value, onChange }) {
+  const valid = /^#[0-9a-fA-F]{6}$/.test(value || "");
+  return (
+    <div style={rowStyle}>
+      <input
+        type="color"
+        aria-label={`${label} picker`}
+        value={valid ? value : "#000000"}
+        onChange={(e) => onChange(e.target.value)}
+        style={{ width: 44, height: 36, padding: 0, border: "1px solid #c9cccf", borderRadius: 6 }}
+      />
+      <div style={{ flexGrow: 1 }}>
+        <TextField label={label} value={value || ""} onChange={onChange} placeholder="#RRGGBB" autoComplete="off" />
+      </div>
+    </div>
+  );
+}
+
+function RatingInput({ label, value, onChange, validations }) {
+  const rating = parseJsonValue(value) || {};
+  const { min, max } = ratingScale(validations, rating);
+  const write = (n) => onChange(n === "" ? "" : JSON.stringify({ value: n, scale_min: min.toFixed(1), scale_max: max.toFixed(1) }));
+
+  return (
+    <TextField
+      label={label}
+      type="number"
+      min={min}
+      max={max}
+      step="0.5"
+      value={rating.value ?? ""}
+      onChange={write}
+      suffix={`/ ${max}`}
+      helpText={`Scale ${min}–${max}`}
+      autoComplete="off"
+    />
+  );
+}
+
+function MeasurementInput({ type, label, value, onChange }) {
+  const measurement = parseJsonValue(value) || {};
+  const units = MEASUREMENT_UNITS[type];
+  const unit = measurementUnitCode(type, measurement.unit) || units[0].code;
+  const write = (n, code) => onChange(n === "" ? "" : JSON.stringify({ value: Number(n), unit: code }));
+
+  return (
+    <div style={rowStyle}>
+      <div style={{ flexGrow: 1 }}>
+        <TextField label={label} type="number" value={measurement.value === undefined ? "" : String(measurement.value)} onChange={(n) => write(n, unit)} autoComplete="off" />
+      </div>
+      <Select label="Unit" options={units.map((u) => ({ label: u.code, value: u.code }))} value={unit} onChange={(code) => write(measurement.value ?? "", code)} />
+    </div>
+  );
+}
+
+// Stored date_time values carry seconds and a zone; the browser input takes
+// neither
+function DateTimeInput({ label, value, onChange }) {
+  return (
+    <TextField
+      label={label}
+      type="datetime-local"
+      value={(value || "").slice(0, 16)}
+      onChange={(v) => onChange(v ? `${v}:00` : "")}
+      autoComplete="off"
+    />
+  );
+}
+
+// Search-as-you-type picker for one reference type. `value` is a GID, or an
+// array of GIDs with `allowMultiple`.
+export function ReferencePicker({ type, label, value, onChange, allowMultiple = false, validations }) {
+  const searchFetcher = useFetcher();
+  const labelFetcher = useFetcher();
+  const [search, setSearch] = useState("");
+  const [labels, setLabels] = useState({});
+  const requested = useRef(new Set());
+
+  const referenceType = baseType(type);
+  const selected = allowMultiple ? (value || []).filter(Boolean) : value ? [value] : [];
+  const selectedKey = selected.join(",");
+
+  // Labels of chosen references that were not picked in this session
+  useEffect(() => {
+    const missing = selected.filter((id) => !labels[id] && !requested.current.has(id));
+    if (!missing.length) return;
+    missing.forEach((id) => requested.current.add(id));
+    labelFetcher.load(`/app/metafield_references?ids=${encodeURIComponent(missing.join(","))}`);
+  }, [selectedKey]);
+
+  useEffect(() => {
+    const options = [...(labelFetcher.data?.options || []), ...(searchFetcher.data?.options || [])];
+    if (!options.length) return;
+    setLabels((prev) => ({ ...prev, ...Object.fromEntries(options.map((o) => [o.value, o.label])) }));
+  }, [labelFetcher.data, searchFetcher.data]);
+
+  useEffect(() => {
+    if (!search.trim()) return;
+    const params = new URLSearchParams({ type: referenceType, q: search.trim() });
+    const definitionIds = metaobjectDefinitionIds(validations);
+    if (definitionIds.length) params.set("definitionIds", definitionIds.join(","));
+    const timer = setTimeout(() => searchFetcher.load(`/app/metafield_references?${params}`), SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [search, referenceType]);
+
+  const handleSelect = (ids) => {
+    if (allowMultiple) {
+      onChange(ids);
+    } else {
+      onChange(ids[0] || "");
+      setSearch("");
+    }
+  };
+
+  const remove = (id) => onChange(allowMultiple ? selected.filter((x) => x !== id) : "");
+  const noun = REFERENCE_TYPES[referenceType]?.label || "reference";
+
+  return (
+    <div>
+      <Autocomplete
+        options={search.trim() ? searchFetcher.data?.options || [] : []}
+        selected={selected}
+        onSelect={handleSelect}
+        allowMultiple={allowMultiple}
+        loading={searchFetcher.state === "loading"}
+        emptyState={search.trim() && searchFetcher.state === "idle" ? <Text as="p" variant="bodySm">{searchFetcher.data?.error || "No matches"}</Text> : null}
+        textField={
+          <Autocomplete.TextField
+            label={label}
+            value={search}
+            onChange={setSearch}
+            placeholder={`Search for a ${noun}`}
+            autoComplete="off"
+          />
+        }
+      />
+      {selected.length > 0 && (
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginTop: 6 }}>
+          {selected.map((id) => (
+            <Tag key={id} onRemove={() => remove(id)}>{labels[id] || id}</Tag>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Typed input for one metafield value; see hasTypedInput for the types
+export function MetafieldValueInput({ type, label = "Metafield Value", value, onChange, validations, currencyCode }) {
+  const error = validateMetafieldValue(type, value, validations);
+  let input;
+  if (type === "money") input = <MoneyInput label={label} value={value} onChange={onChange} currencyCode={currencyCode} />;
+  else if (type === "color") input = <ColorInput label={label} value={value} onChange={onChange} />;
+  else if (type === "rating") input = <RatingInput label={label} value={value} onChange={onChange} validations={validations} />;
+  else if (MEASUREMENT_UNITS[type]) input = <MeasurementInput type={type} label={label} value={value} onChange={onChange} />;
+  else if (type === "date") input = <TextField label={label} type="date" value={value || ""} onChange={onChange} autoComplete="off" />;
+  else if (type === "date_time") input = <DateTimeInput label={label} value={value} onChange={onChange} />;
+  else input = <ReferencePicker type={type} label={label} value={value} onChange={onChange} validations={validations} />;
+
+  return (
+    <div>
+      {input}
+      {error && <Text as="p" variant="bodySm" color="critical">{error}</Text>}
+    </div>
+  );
+}
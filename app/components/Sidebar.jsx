@@ -4,13 +4,22 @@ const links = [
   {to: "/app/dashboard", label: " Dashboard" },
   { to: "/app/content", label: " Content Builder" },
   { to: "/app/metafield", label: "Metafield Editor" },
+  { to: "/app/metaobjects", label: " Metaobjects" },
+  { to: "/app/product_metafields", label: " Product Metafields Excel" },
   { to: "/app/media", label: " Media" }, 
   { to: "/app/faq", label: " FAQ-Manager" },
   { to: "/app/collection", label: " Collections" },
   { to: "/app/coll_make", label: " Collection Making" },
-   { to: "/app/specifications", label: " Specifications" },
+  { to: "/app/spec_collections", label: " Spec Collections" },
+   { to: "/app/spec_import", label: " Spec Import" },
+   { to: "/app/spec_keys", label: " Spec Keys" },
+   { to: "/app/spec_history", label: " Spec History" },
+   { to: "/app/sku_index", label: " SKU Index" },
  
-  { to: "/app/db", label: " DB" },
+  { to: "/app/db", label: " Filter Manager" },
+  { to: "/app/filter_settings", label: " Filter Settings" },
+  { to: "/app/feature_tables", label: " Feature Tables" },
+  { to: "/app/jobs", label: " Jobs" },
   
 ];
 
@@ -0,0 +1,514 @@
+import { useState, useEffect, useRef, useId, useMemo } from "react";
+import { Button, Select, TextField, Text, Link } from "@shopify/polaris";
+import { matchVocabulary } from "../utils/vocabulary";
+
+// Spreadsheet-style editor for the Filter Manager: one row per SKU, one
+// column per spec key. Only the rows in view are rendered, and a single
+// input is mounted for the cell being edited.
+
+const ROW_HEIGHT = 34;
+const HEADER_HEIGHT = 36;
+const VIEWPORT_HEIGHT = 520;
+const OVERSCAN_ROWS = 10;
+const SKU_WIDTH = 160;
+const NAME_WIDTH = 220;
+const CELL_WIDTH = 200;
+const NOTE_WIDTH = 90;
+const MAX_UNDO = 100;
+const PAGE_ROWS = Math.floor((VIEWPORT_HEIGHT - HEADER_HEIGHT) / ROW_HEIGHT);
+
+const cellValue = (values, sku, key) => values?.[sku]?.[key] ?? "";
+const clamp = (n, min, max) => Math.max(min, Math.min(max, n));
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Excel and Google Sheets put tab-separated rows on the clipboard
+function parseClipboard(text) {
+  return text.replace(/\r\n?/g, "\n").replace(/\n$/, "").split("\n").map(line => line.split("\t"));
+}
+
+const baseCellStyle = {
+  boxSizing: "border-box",
+  height: ROW_HEIGHT,
+  lineHeight: `${ROW_HEIGHT - 1}px`,
+  padding: "0 8px",
+  borderRight: "1px solid #e1e3e5",
+  borderBottom: "1px solid #e1e3e5",
+  whiteSpace: "nowrap",
+  overflow: "hidden",
+  textOverflow: "ellipsis",
+  flex: "none",
+};
+
+function cellBackground(selected, dirty, invalid) {
+  if (invalid) return selected ? "#f5c6bc" : "#fbeae5";
+  if (selected) return dirty ? "#f3e3ad" : "#e3ecfa";
+  return dirty ? "#fff4d4" : "#ffffff";
+}
+
+/**
+ * @param {string[]} skus            Row order
+ * @param {{key: string, label: string}[]} columns
+ * @param {object} values            { [sku]: { [key]: value } } being edited
+ * @param {object} originalValues    Values as loaded; differing cells are highlighted
+ * @param {object} vocabularies      { [key]: { mode, allowedValues, values } }; `values` are offered
+ *                                   while editing, values outside a strict list are highlighted
+ * @param {object} rowNotes          Optional { [sku]: text } shown in an extra column headed `rowNotesLabel`
+ * @param {boolean} markEmpty        Marks empty cells as missing
+ * @param {function} onChange        Receives [{ sku, key, value }] for every edit, paste, fill or undo
+ */
+export default function SpecGrid({
+  skus, columns, values, originalValues, productNameBySku = {}, vocabularies = {}, rowNotes, rowNotesLabel = "",
+  markEmpty = false, onChange, disabled = false,
+}) {
+  const listId = useId();
+  const scrollRef = useRef(null);
+  const inputRef = useRef(null);
+  const editingRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [active, setActive] = useState({ row: 0, col: 0 });
+  const [anchor, setAnchor] = useState({ row: 0, col: 0 });
+  const [editing, setEditing] = useState(null);
+  const [dragging, setDragging] = useState(false);
+  const [undoStack, setUndoStack] = useState([]);
+  const [redoStack, setRedoStack] = useState([]);
+  const [findColumn, setFindColumn] = useState("");
+  const [findText, setFindText] = useState("");
+  const [replaceText, setReplaceText] = useState("");
+  const [findMessage, setFindMessage] = useState("");
+
+  editingRef.current = editing;
+  const isEditing = editing !== null;
+  const findKey = columns.some(c => c.key === findColumn) ? findColumn : columns[0]?.key || "";
+  const fixedWidth = SKU_WIDTH + NAME_WIDTH + (rowNotes ? NOTE_WIDTH : 0);
+
+  // A fresh load starts a fresh undo history
+  useEffect(() => {
+    setUndoStack([]);
+    setRedoStack([]);
+    setEditing(null);
+    setActive({ row: 0, col: 0 });
+    setAnchor({ row: 0, col: 0 });
+  }, [originalValues]);
+
+  // Rows or columns were filtered: the old selection may point past the end
+  useEffect(() => {
+    setEditing(null);
+    setActive({ row: 0, col: 0 });
+    setAnchor({ row: 0, col: 0 });
+  }, [skus, columns.length]);
+
+  useEffect(() => {
+    if (!dragging) return;
+    const stop = () => setDragging(false);
+    window.addEventListener("mouseup", stop);
+    return () => window.removeEventListener("mouseup", stop);
+  }, [dragging]);
+
+  useEffect(() => {
+    const el = inputRef.current;
+    if (isEditing && el) {
+      el.focus();
+      el.setSelectionRange(el.value.length, el.value.length);
+    }
+  }, [isEditing]);
+
+  // Keep the active cell in view; the sticky header covers the top of the viewport
+  useEffect(() => {
+    const el = scrollRef.current;
+    if (!el) return;
+    const top = active.row * ROW_HEIGHT;
+    if (top < el.scrollTop) el.scrollTop = top;
+    else if (top + ROW_HEIGHT > el.scrollTop + el.clientHeight - HEADER_HEIGHT) {
+      el.scrollTop = top + ROW_HEIGHT - (el.clientHeight - HEADER_HEIGHT);
+    }
+    const left = fixedWidth + active.col * CELL_WIDTH;
+    if (left < el.scrollLeft) el.scrollLeft = active.col === 0 ? 0 : left;
+    else if (left + CELL_WIDTH > el.scrollLeft + el.clientWidth) el.scrollLeft = left + CELL_WIDTH - el.clientWidth;
+  }, [active, fixedWidth]);
+
+  const range = {
+    top: Math.min(anchor.row, active.row),
+    bottom: Math.max(anchor.row, active.row),
+    left: Math.min(anchor.col, active.col),
+    right: Math.max(anchor.col, active.col),
+  };
+  const inRange = (row, col) => row >= range.top && row <= range.bottom && col >= range.left && col <= range.right;
+  const change = (row, col, value) => ({ sku: skus[row], key: columns[col].key, value });
+
+  const focusGrid = () => scrollRef.current?.focus({ preventScroll: true });
+
+  // Every change goes through here so that it can be undone as one step
+  const applyChanges = (changes) => {
+    if (disabled) return;
+    const batch = changes
+      .map(c => ({ ...c, before: cellValue(values, c.sku, c.key) }))
+      .filter(c => c.before !== c.value);
+    if (!batch.length) return;
+    setUndoStack(prev => [...prev.slice(-(MAX_UNDO - 1)), batch]);
+    setRedoStack([]);
+    onChange(batch.map(({ sku, key, value }) => ({ sku, key, value })));
+  };
+
+  const undo = () => {
+    const batch = undoStack[undoStack.length - 1];
+    if (!batch || disabled) return;
+    setUndoStack(undoStack.slice(0, -1));
+    setRedoStack([...redoStack, batch]);
+    onChange(batch.map(({ sku, key, before }) => ({ sku, key, value: before })));
+  };
+
+  const redo = () => {
+    const batch = redoStack[redoStack.length - 1];
+    if (!batch || disabled) return;
+    setRedoStack(redoStack.slice(0, -1));
+    setUndoStack([...undoStack, batch]);
+    onChange(batch.map(({ sku, key, value }) => ({ sku, key, value })));
+  };
+
+  const moveTo = (row, col, extend = false) => {
+    const next = { row: clamp(row, 0, skus.length - 1), col: clamp(col, 0, columns.length - 1) };
+    setActive(next);
+    if (!extend) setAnchor(next);
+  };
+
+  const startEdit = (draft) => {
+    if (disabled) return;
+    setEditing({ draft: draft ?? cellValue(values, skus[active.row], columns[active.col].key) });
+  };
+
+  const commitEdit = (rowDelta = 0, colDelta = 0) => {
+    const edit = editingRef.current;
+    if (!edit) return;
+    editingRef.current = null;
+    applyChanges([change(active.row, active.col, edit.draft)]);
+    setEditing(null);
+    moveTo(active.row + rowDelta, active.col + colDelta);
+    focusGrid();
+  };
+
+  const cancelEdit = () => {
+    editingRef.current = null;
+    setEditing(null);
+    focusGrid();
+  };
+
+  const clearRange = () => {
+    const changes = [];
+    for (let r = range.top; r <= range.bottom; r++) {
+      for (let c = range.left; c <= range.right; c++) changes.push(change(r, c, ""));
+    }
+    applyChanges(changes);
+  };
+
+  // Copies the top row of the selection into the rows below it. With a
+  // single row selected the row above is copied, as in Excel.
+  const fillDown = () => {
+    const sourceRow = range.top === range.bottom ? range.top - 1 : range.top;
+    if (sourceRow < 0) return;
+    const changes = [];
+    for (let c = range.left; c <= range.right; c++) {
+      const value = cellValue(values, skus[sourceRow], columns[c].key);
+      for (let r = sourceRow + 1; r <= range.bottom; r++) changes.push(change(r, c, value));
+    }
+    applyChanges(changes);
+  };
+
+  const selectedText = () => {
+    const lines = [];
+    for (let r = range.top; r <= range.bottom; r++) {
+      const cells = [];
+      for (let c = range.left; c <= range.right; c++) cells.push(cellValue(values, skus[r], columns[c].key));
+      lines.push(cells.join("\t"));
+    }
+    return lines.join("\n");
+  };
+
+  const handleCopy = (e) => {
+    if (isEditing) return;
+    e.preventDefault();
+    e.clipboardData.setData("text/plain", selectedText());
+  };
+
+  const handleCut = (e) => {
+    if (isEditing) return;
+    handleCopy(e);
+    clearRange();
+  };
+
+  const handlePaste = (e) => {
+    if (isEditing || disabled) return;
+    const text = e.clipboardData.getData("text/plain");
+    if (!text) return;
+    e.preventDefault();
+    const grid = parseClipboard(text);
+    const changes = [];
+
+    // A single value fills the whole selection
+    if (grid.length === 1 && grid[0].length === 1) {
+      for (let r = range.top; r <= range.bottom; r++) {
+        for (let c = range.left; c <= range.right; c++) changes.push(change(r, c, grid[0][0]));
+      }
+      applyChanges(changes);
+      return;
+    }
+
+    grid.forEach((line, i) => line.forEach((value, j) => {
+      const row = range.top + i;
+      const col = range.left + j;
+      if (row < skus.length && col < columns.length) changes.push(change(row, col, value));
+    }));
+    applyChanges(changes);
+    setAnchor({ row: range.top, col: range.left });
+    setActive({
+      row: Math.min(range.top + grid.length - 1, skus.length - 1),
+      col: Math.min(range.left + Math.max(...grid.map(line => line.length)) - 1, columns.length - 1),
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (!skus.length || !columns.length) return;
+
+    if (isEditing) {
+      if (e.key === "Enter") { e.preventDefault(); commitEdit(e.shiftKey ? -1 : 1, 0); }
+      else if (e.key === "Tab") { e.preventDefault(); commitEdit(0, e.shiftKey ? -1 : 1); }
+      else if (e.key === "Escape") { e.preventDefault(); cancelEdit(); }
+      return;
+    }
+
+    const mod = e.ctrlKey || e.metaKey;
+    const { row, col } = active;
+    const key = e.key.toLowerCase();
+
+    if (mod && key === "z") { e.preventDefault(); if (e.shiftKey) redo(); else undo(); return; }
+    if (mod && key === "y") { e.preventDefault(); redo(); return; }
+    if (mod && key === "d") { e.preventDefault(); fillDown(); return; }
+    if (mod && key === "a") {
+      e.preventDefault();
+      setAnchor({ row: 0, col: 0 });
+      setActive({ row: skus.length - 1, col: columns.length - 1 });
+      return;
+    }
+
+    switch (e.key) {
+      case "ArrowUp": e.preventDefault(); moveTo(mod ? 0 : row - 1, col, e.shiftKey); return;
+      case "ArrowDown": e.preventDefault(); moveTo(mod ? skus.length - 1 : row + 1, col, e.shiftKey); return;
+      case "ArrowLeft": e.preventDefault(); moveTo(row, mod ? 0 : col - 1, e.shiftKey); return;
+      case "ArrowRight": e.preventDefault(); moveTo(row, mod ? columns.length - 1 : col + 1, e.shiftKey); return;
+      case "PageUp": e.preventDefault(); moveTo(row - PAGE_ROWS, col, e.shiftKey); return;
+      case "PageDown": e.preventDefault(); moveTo(row + PAGE_ROWS, col, e.shiftKey); return;
+      case "Home": e.preventDefault(); moveTo(mod ? 0 : row, 0, e.shiftKey); return;
+      case "End": e.preventDefault(); moveTo(mod ? skus.length - 1 : row, columns.length - 1, e.shiftKey); return;
+      case "Tab": e.preventDefault(); moveTo(row, col + (e.shiftKey ? -1 : 1)); return;
+      case "Enter":
+      case "F2": e.preventDefault(); startEdit(); return;
+      case "Delete":
+      case "Backspace": e.preventDefault(); clearRange(); return;
+      default:
+        // Typing over a cell replaces its value, as in a spreadsheet
+        if (e.key.length === 1 && !mod && !e.altKey && !disabled) {
+          e.preventDefault();
+          startEdit(e.key);
+        }
+    }
+  };
+
+  const handleCellMouseDown = (e, row, col) => {
+    if (e.button !== 0) return;
+    if (isEditing && row === active.row && col === active.col) return;
+    e.preventDefault();
+    commitEdit();
+    moveTo(row, col, e.shiftKey);
+    setDragging(true);
+    focusGrid();
+  };
+
+  // Clicking a column heading selects the whole column
+  const selectColumn = (col) => {
+    commitEdit();
+    setAnchor({ row: skus.length - 1, col });
+    setActive({ row: 0, col });
+    setFindColumn(columns[col].key);
+    focusGrid();
+  };
+
+  const findPattern = findText ? new RegExp(escapeRegExp(findText), "gi") : null;
+  const matchingRows = findPattern
+    ? skus.reduce((rows, sku, i) => (cellValue(values, sku, findKey).match(findPattern) ? [...rows, i] : rows), [])
+    : [];
+
+  const findNext = () => {
+    if (!matchingRows.length) return;
+    const col = columns.findIndex(c => c.key === findKey);
+    const next = matchingRows.find(r => r > active.row || (r === active.row && col > active.col)) ?? matchingRows[0];
+    moveTo(next, col);
+    focusGrid();
+  };
+
+  const replaceAll = () => {
+    if (!findPattern) return;
+    applyChanges(matchingRows.map(r => ({
+      sku: skus[r],
+      key: findKey,
+      value: cellValue(values, skus[r], findKey).replace(findPattern, () => replaceText),
+    })));
+    setFindMessage(`Replaced in ${matchingRows.length} cell${matchingRows.length === 1 ? "" : "s"}.`);
+  };
+
+  const isInvalid = (value, key) => Boolean(vocabularies[key]) && !matchVocabulary(vocabularies[key], value).ok;
+
+  // Counted over every cell, so only when the values change — not on scroll
+  const { dirtyCount, invalidCount } = useMemo(() => {
+    let dirty = 0;
+    let invalid = 0;
+    for (const sku of skus) {
+      for (const column of columns) {
+        const value = cellValue(values, sku, column.key);
+        if (value !== cellValue(originalValues, sku, column.key)) dirty++;
+        if (vocabularies[column.key] && !matchVocabulary(vocabularies[column.key], value).ok) invalid++;
+      }
+    }
+    return { dirtyCount: dirty, invalidCount: invalid };
+  }, [skus, columns, values, originalValues, vocabularies]);
+
+  const firstRow = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN_ROWS);
+  const lastRow = Math.min(skus.length, Math.ceil((scrollTop + VIEWPORT_HEIGHT) / ROW_HEIGHT) + OVERSCAN_ROWS);
+  const totalWidth = fixedWidth + columns.length * CELL_WIDTH;
+
+  const visibleRows = [];
+  for (let r = firstRow; r < lastRow; r++) {
+    const sku = skus[r];
+    visibleRows.push(
+      <div key={sku} style={{ position: "absolute", top: HEADER_HEIGHT + r * ROW_HEIGHT, left: 0, display: "flex" }}>
+        <div style={{ ...baseCellStyle, width: SKU_WIDTH, background: "#f6f6f7" }}>
+          <Link url={`/app/spec_history?sku=${encodeURIComponent(sku)}`}>{sku}</Link>
+        </div>
+        <div style={{ ...baseCellStyle, width: NAME_WIDTH, background: "#f6f6f7" }} title={productNameBySku[sku] || ""}>
+          {productNameBySku[sku] || ""}
+        </div>
+        {rowNotes && (
+          <div style={{ ...baseCellStyle, width: NOTE_WIDTH, background: "#f6f6f7", textAlign: "right" }}>{rowNotes[sku] ?? ""}</div>
+        )}
+        {columns.map((column, c) => {
+          const value = cellValue(values, sku, column.key);
+          const dirty = value !== cellValue(originalValues, sku, column.key);
+          const isActive = r === active.row && c === active.col;
+          return (
+            <div
+              key={column.key}
+              title={value}
+              onMouseDown={e => handleCellMouseDown(e, r, c)}
+              onMouseEnter={() => dragging && setActive({ row: r, col: c })}
+              onDoubleClick={() => startEdit()}
+              style={{
+                ...baseCellStyle,
+                width: CELL_WIDTH,
+                cursor: "cell",
+                background: cellBackground(inRange(r, c), dirty, isInvalid(value, column.key)),
+                boxShadow: isActive ? "inset 0 0 0 2px #2c6ecb" : undefined,
+                padding: isActive && isEditing ? 0 : baseCellStyle.padding,
+              }}
+            >
+              {isActive && isEditing ? (
+                <input
+                  ref={inputRef}
+                  list={vocabularies[column.key] ? `${listId}-${c}` : undefined}
+                  value={editing.draft}
+                  onChange={e => setEditing({ draft: e.target.value })}
+                  onBlur={() => commitEdit()}
+                  style={{ width: "100%", height: "100%", boxSizing: "border-box", border: "2px solid #2c6ecb", padding: "0 6px", font: "inherit", outline: "none" }}
+                />
+              ) : value || (markEmpty && <span style={{ color: "#b98900" }}>missing</span>)}
+            </div>
+          );
+        })}
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 8, alignItems: "flex-end", marginBottom: 12 }}>
+        <div style={{ minWidth: 180 }}>
+          <Select
+            label="Column"
+            options={columns.map(c => ({ label: c.label, value: c.key }))}
+            value={findKey}
+            onChange={(value) => { setFindColumn(value); setFindMessage(""); }}
+          />
+        </div>
+        <div style={{ minWidth: 160 }}>
+          <TextField
+            label="Find"
+            value={findText}
+            onChange={(value) => { setFindText(value); setFindMessage(""); }}
+            autoComplete="off"
+          />
+        </div>
+        <div style={{ minWidth: 160 }}>
+          <TextField label="Replace with" value={replaceText} onChange={setReplaceText} autoComplete="off" />
+        </div>
+        <Button onClick={findNext} disabled={!matchingRows.length}>Find next</Button>
+        <Button onClick={replaceAll} disabled={!matchingRows.length || disabled}>Replace all</Button>
+        <div style={{ flex: 1 }} />
+        <Button onClick={undo} disabled={!undoStack.length || disabled}>Undo</Button>
+        <Button onClick={redo} disabled={!redoStack.length || disabled}>Redo</Button>
+      </div>
+      <div style={{ display: "flex", gap: 16, marginBottom: 8 }}>
+        <Text variant="bodySm" color="subdued">
+          {findMessage || (findText ? `${matchingRows.length} matching cell${matchingRows.length === 1 ? "" : "s"}` : `${skus.length} SKUs`)}
+        </Text>
+        <Text variant="bodySm" color={dirtyCount ? "warning" : "subdued"}>
+          {dirtyCount ? `${dirtyCount} unsaved change${dirtyCount === 1 ? "" : "s"}` : "No unsaved changes"}
+        </Text>
+        {invalidCount > 0 && (
+          <Text variant="bodySm" color="critical">
+            {`${invalidCount} value${invalidCount === 1 ? " is" : "s are"} not in the allowed list`}
+          </Text>
+        )}
+      </div>
+
+      <div
+        ref={scrollRef}
+        tabIndex={0}
+        onScroll={e => setScrollTop(e.currentTarget.scrollTop)}
+        onKeyDown={handleKeyDown}
+        onCopy={handleCopy}
+        onCut={handleCut}
+        onPaste={handlePaste}
+        style={{ maxHeight: VIEWPORT_HEIGHT, overflow: "auto", border: "1px solid #c9cccf", borderRadius: 4, outline: "none", userSelect: "none" }}
+      >
+        <div style={{ position: "relative", width: totalWidth, height: HEADER_HEIGHT + skus.length * ROW_HEIGHT }}>
+          <div style={{ position: "sticky", top: 0, zIndex: 1, display: "flex", height: HEADER_HEIGHT, fontWeight: 600 }}>
+            <div style={{ ...baseCellStyle, width: SKU_WIDTH, height: HEADER_HEIGHT, background: "#f1f2f3" }}>SKU</div>
+            <div style={{ ...baseCellStyle, width: NAME_WIDTH, height: HEADER_HEIGHT, background: "#f1f2f3" }}>Product Name</div>
+            {rowNotes && (
+              <div style={{ ...baseCellStyle, width: NOTE_WIDTH, height: HEADER_HEIGHT, background: "#f1f2f3" }}>{rowNotesLabel}</div>
+            )}
+            {columns.map((column, c) => (
+              <div
+                key={column.key}
+                title={column.label}
+                onMouseDown={e => { e.preventDefault(); selectColumn(c); }}
+                style={{ ...baseCellStyle, width: CELL_WIDTH, height: HEADER_HEIGHT, cursor: "pointer", background: c >= range.left && c <= range.right ? "#dfe3e8" : "#f1f2f3" }}
+              >
+                {column.label}
+              </div>
+            ))}
+          </div>
+          {visibleRows}
+        </div>
+      </div>
+      {columns.map((column, c) => vocabularies[column.key] && (
+        <datalist key={column.key} id={`${listId}-${c}`}>
+          {vocabularies[column.key].values.map(value => <option key={value} value={value} />)}
+        </datalist>
+      ))}
+      <div style={{ marginTop: 8 }}>
+        <Text variant="bodySm" color="subdued">
+          Arrow keys move, Shift extends the selection, Enter or typing edits a cell. Paste from Excel with Ctrl+V,
+          fill down with Ctrl+D, undo with Ctrl+Z. Changed cells are highlighted until saved.
+        </Text>
+      </div>
+    </div>
+  );
+}
@@ -4,9 +4,13 @@ import { RemixServer } from "@remix-run/react";
 import { createReadableStreamFromReadable } from "@remix-run/node";
 import { isbot } from "isbot";
 import { addDocumentResponseHeaders } from "./shopify.server";
+import { startJobWorker } from "./utils/jobWorker.server";
 
 export const streamTimeout = 5000;
 
+// Background jobs (filter saves, imports, bulk updates) run in this process
+startJobWorker();
+
 export default async function handleRequest(
   request,
   responseStatusCode,
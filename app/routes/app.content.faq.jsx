@@ -15,7 +15,7 @@ import prisma from "../db.server";
 
 // ─── LOADER ───
 export async function loader({ request }) {
-  const { admin } = await authenticate.admin(request);
+  const { admin, session } = await authenticate.admin(request);
 
   // Fetch products from Shopify
   const productQuery = `query {
@@ -39,7 +39,7 @@ export async function loader({ request }) {
 
   let faqs;
   try {
-    faqs = await prisma.faq.findMany();
+    faqs = await prisma.faq.findMany({ where: { shop: session.shop } });
   } catch (error) {
     console.error("Error fetching FAQs:", error);
     faqs = [];
@@ -50,12 +50,14 @@ export async function loader({ request }) {
 
 // ─── ACTION ───
 export async function action({ request }) {
+  const { session } = await authenticate.admin(request);
   const formData = await request.formData();
   const intent = formData.get("intent");
 
   if (intent === "create") {
     await prisma.faq.create({
       data: {
+        shop: session.shop,
         question: formData.get("question"),
         answer: formData.get("answer"),
         resourceId: formData.get("id"),
@@ -66,8 +68,8 @@ export async function action({ request }) {
   }
 
   if (intent === "update") {
-    await prisma.faq.update({
-      where: { id: formData.get("faqId") },
+    await prisma.faq.updateMany({
+      where: { id: formData.get("faqId"), shop: session.shop },
       data: {
         question: formData.get("question"),
         answer: formData.get("answer"),
@@ -77,8 +79,8 @@ export async function action({ request }) {
   }
 
   if (intent === "delete") {
-    await prisma.faq.delete({
-      where: { id: formData.get("faqId") },
+    await prisma.faq.deleteMany({
+      where: { id: formData.get("faqId"), shop: session.shop },
     });
     return redirect("/app/faq");
   }
@@ -0,0 +1,322 @@
+import { json } from "@remix-run/node";
+import { useLoaderData, useFetcher, Link } from "@remix-run/react";
+import { useState, useEffect } from "react";
+import { authenticate } from "../shopify.server";
+import { loadProductSpecs, saveProductSpecs } from "../utils/productSpecs.server";
+import { sessionUser } from "../utils/specHistory.server";
+
+// ─── LOADER ───
+export async function loader({ request }) {
+  const { admin, session } = await authenticate.admin(request);
+  const productId = new URL(request.url).searchParams.get("productId");
+  if (!productId) return json({ productId: "", product: null, rows: [], keys: [], vocabularies: {} });
+
+  const specs = await loadProductSpecs(admin, session.shop, productId);
+  if (!specs) return json({ productId, product: null, rows: [], keys: [], vocabularies: {} }, { status: 404 });
+  return json({ productId, ...specs });
+}
+
+// ─── ACTION ───
+export async function action({ request }) {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  try {
+    if (intent === "save") {
+      const result = await saveProductSpecs(admin, session.shop, formData.get("productId"), {
+        rows: JSON.parse(formData.get("rows") || "[]"),
+        syncFilters: formData.get("syncFilters") === "true",
+        user: sessionUser(session),
+      });
+      return json({ ...result, intent }, { status: result.ok ? 200 : 400 });
+    }
+  } catch (err) {
+    console.error("[product specs] Error:", err);
+    return json({ ok: false, intent, error: err.message || "Failed to save specifications" }, { status: 500 });
+  }
+
+  return json({ ok: false, error: "Unknown intent" }, { status: 400 });
+}
+
+// ─── FRONTEND COMPONENT ───
+export default function ProductSpecsPage() {
+  const { productId, product, rows: storedRows, keys, vocabularies } = useLoaderData();
+  const fetcher = useFetcher();
+
+  const [rows, setRows] = useState(storedRows);
+  const [rename, setRename] = useState({ from: "", to: "" });
+  const [syncFilters, setSyncFilters] = useState(true);
+
+  // A new product, or the saved rows after a save
+  useEffect(() => {
+    setRows(storedRows);
+    setRename({ from: "", to: "" });
+  }, [storedRows]);
+
+  const skus = (product?.variants || []).map(v => v.sku).filter(Boolean);
+  const busy = fetcher.state !== "idle";
+  const result = fetcher.data;
+  const rowErrors = new Map((result?.errors || []).map(e => [e.row, e.message]));
+  const rowKeys = Array.from(new Set(rows.map(r => r.key.trim()).filter(Boolean)));
+
+  const handleChange = (index, field, value) => {
+    setRows(prev => prev.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  const handleAddRow = () => {
+    setRows(prev => [...prev, { sku: prev[prev.length - 1]?.sku || skus[0] || "", key: "", value: "" }]);
+  };
+
+  const handleRemove = (index) => {
+    setRows(prev => prev.filter((_, i) => i !== index));
+  };
+
+  // Adds the key to every SKU that does not have it yet
+  const handleAddKeyToAll = (key) => {
+    setRows(prev => [
+      ...prev,
+      ...skus.filter(sku => !prev.some(r => r.sku === sku && r.key.trim() === key)).map(sku => ({ sku, key, value: "" })),
+    ]);
+  };
+
+  const handleRename = () => {
+    const to = rename.to.trim();
+    if (!rename.from || !to) return;
+    setRows(prev => prev.map(r => (r.key.trim() === rename.from ? { ...r, key: to } : r)));
+    setRename({ from: "", to: "" });
+  };
+
+  const handleSave = () => {
+    fetcher.submit(
+      { intent: "save", productId, rows: JSON.stringify(rows), syncFilters: String(syncFilters) },
+      { method: "post" }
+    );
+  };
+
+  if (!productId) {
+    return <p style={{ color: "#6b7280" }}>Search for a product on the left to edit its specifications.</p>;
+  }
+  if (!product) {
+    return <p style={{ color: "#b91c1c" }}>Product not found.</p>;
+  }
+
+  return (
+    <div style={{ maxWidth: 960, margin: "0 auto", padding: "1rem" }}>
+      <h2 style={{ fontSize: "1.2rem", fontWeight: "600", marginBottom: "0.5rem" }}>
+        Specifications : {product.title}
+      </h2>
+      <p style={{ color: "#6b7280", marginBottom: "1rem" }}>
+        Every spec row of the product&apos;s {skus.length} SKU{skus.length === 1 ? "" : "s"}. Clearing a value or removing a row
+        deletes it; renamed keys are saved under the new name.
+      </p>
+
+      {result && !result.ok && (
+        <div style={{ ...noticeStyle, background: "#fef2f2", borderColor: "#fecaca", color: "#991b1b" }}>
+          {result.error || "Failed to save"}
+          {rowErrors.size > 0 && (
+            <ul style={{ margin: "0.5rem 0 0 1rem" }}>
+              {Array.from(rowErrors, ([row, message]) => <li key={row}>Row {row}: {message}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+      {result?.ok && (
+        <div style={{ ...noticeStyle, background: "#f0fdf4", borderColor: "#bbf7d0", color: "#166534" }}>
+          Saved: {result.created} added, {result.updated} changed, {result.deleted} removed.
+          {result.filters && ` Filters: ${result.filters.updated} updated, ${result.filters.removed} removed.`}
+          {result.filters?.warnings?.length > 0 && (
+            <ul style={{ margin: "0.5rem 0 0 1rem" }}>
+              {result.filters.warnings.map((w, i) => <li key={i}>{w.ref}: {w.message}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {skus.length === 0 ? (
+        <p style={{ color: "#6b7280" }}>This product has no variant SKUs, so it cannot have specifications.</p>
+      ) : (
+        <>
+          <datalist id="product-spec-keys">
+            {keys.map(key => <option key={key} value={key} />)}
+          </datalist>
+          {Object.entries(vocabularies).map(([key, { values }]) => (
+            <datalist key={key} id={`product-spec-values-${key}`}>
+              {values.map(value => <option key={value} value={value} />)}
+            </datalist>
+          ))}
+
+          <table style={tableStyle}>
+            <thead style={{ backgroundColor: "#f3f4f6" }}>
+              <tr>
+                <th style={thStyle}>#</th>
+                <th style={thStyle}>SKU</th>
+                <th style={thStyle}>Key</th>
+                <th style={thStyle}>Value</th>
+                <th style={thStyle}>Action</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row, index) => (
+                <tr key={index} style={rowErrors.has(index + 1) ? { background: "#fef2f2" } : undefined}>
+                  <td style={{ ...tdStyle, color: "#6b7280" }}>{index + 1}</td>
+                  <td style={tdStyle}>
+                    <select value={row.sku} onChange={(e) => handleChange(index, "sku", e.target.value)} style={inputStyle}>
+                      {!skus.includes(row.sku) && <option value={row.sku}>{row.sku || "Choose a SKU"}</option>}
+                      {skus.map(sku => <option key={sku} value={sku}>{sku}</option>)}
+                    </select>
+                  </td>
+                  <td style={tdStyle}>
+                    <input
+                      type="text"
+                      list="product-spec-keys"
+                      value={row.key}
+                      onChange={(e) => handleChange(index, "key", e.target.value)}
+                      placeholder="Key"
+                      style={inputStyle}
+                    />
+                  </td>
+                  <td style={tdStyle}>
+                    <input
+                      type="text"
+                      list={vocabularies[row.key] ? `product-spec-values-${row.key}` : undefined}
+                      value={row.value}
+                      onChange={(e) => handleChange(index, "value", e.target.value)}
+                      placeholder="Value"
+                      style={inputStyle}
+                    />
+                  </td>
+                  <td style={tdStyle}>
+                    <div style={{ display: "flex", gap: 6 }}>
+                      {skus.length > 1 && row.key.trim() && (
+                        <button type="button" onClick={() => handleAddKeyToAll(row.key.trim())} style={secondaryButtonStyle}
+                          title="Add this key to every SKU that does not have it">
+                          All SKUs
+                        </button>
+                      )}
+                      <button type="button" onClick={() => handleRemove(index)} style={removeButtonStyle}>✕</button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <button type="button" onClick={handleAddRow} style={addButtonStyle}>+ Add Row</button>
+
+          <div style={{ display: "flex", gap: 8, alignItems: "center", margin: "1.5rem 0" }}>
+            <strong>Rename key</strong>
+            <select value={rename.from} onChange={(e) => setRename(prev => ({ ...prev, from: e.target.value }))} style={{ ...inputStyle, width: 220 }}>
+              <option value="">Choose a key</option>
+              {rowKeys.map(key => <option key={key} value={key}>{key}</option>)}
+            </select>
+            <span>to</span>
+            <input
+              type="text"
+              list="product-spec-keys"
+              value={rename.to}
+              onChange={(e) => setRename(prev => ({ ...prev, to: e.target.value }))}
+              placeholder="New key"
+              style={{ ...inputStyle, width: 220 }}
+            />
+            <button type="button" onClick={handleRename} disabled={!rename.from || !rename.to.trim()} style={secondaryButtonStyle}>
+              Rename
+            </button>
+          </div>
+
+          <label style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: "1rem" }}>
+            <input type="checkbox" checked={syncFilters} onChange={(e) => setSyncFilters(e.target.checked)} />
+            Also update the filter metafields this product already has
+          </label>
+
+          <div style={{ display: "flex", gap: 12, alignItems: "center" }}>
+            <button type="button" onClick={handleSave} disabled={busy} style={saveButtonStyle}>
+              {busy ? "Saving..." : "Save Specifications"}
+            </button>
+            <Link to={`/app/spec_history?sku=${encodeURIComponent(skus[0])}`}>History</Link>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+const tableStyle = {
+  width: "100%",
+  borderCollapse: "collapse",
+  marginBottom: "1rem",
+  background: "#fff",
+  border: "1px solid #e5e7eb",
+  borderRadius: "8px",
+  overflow: "hidden"
+};
+
+const thStyle = {
+  padding: "12px",
+  textAlign: "left",
+  fontSize: "14px",
+  color: "#374151",
+  borderBottom: "1px solid #e5e7eb"
+};
+
+const tdStyle = {
+  padding: "10px",
+  borderBottom: "1px solid #f3f4f6"
+};
+
+const inputStyle = {
+  width: "100%",
+  padding: "8px",
+  borderRadius: "6px",
+  border: "1px solid #d1d5db",
+  fontSize: "14px"
+};
+
+const noticeStyle = {
+  padding: "12px 16px",
+  border: "1px solid",
+  borderRadius: "8px",
+  marginBottom: "1rem"
+};
+
+const removeButtonStyle = {
+  background: "#ef4444",
+  color: "#fff",
+  border: "none",
+  padding: "6px 12px",
+  borderRadius: "6px",
+  cursor: "pointer",
+  fontWeight: "500"
+};
+
+const secondaryButtonStyle = {
+  background: "#fff",
+  color: "#374151",
+  border: "1px solid #d1d5db",
+  padding: "6px 12px",
+  borderRadius: "6px",
+  cursor: "pointer",
+  fontWeight: "500",
+  whiteSpace: "nowrap"
+};
+
+const addButtonStyle = {
+  backgroundColor: "#4f46e5",
+  color: "#fff",
+  border: "none",
+  borderRadius: "6px",
+  padding: "10px 20px",
+  fontWeight: "600",
+  cursor: "pointer"
+};
+
+const saveButtonStyle = {
+  background: "#9333ea",
+  color: "#fff",
+  padding: "10px 20px",
+  fontSize: "15px",
+  borderRadius: "8px",
+  border: "none",
+  fontWeight: 600,
+  cursor: "pointer",
+};
@@ -2,15 +2,24 @@ import { json, redirect } from "@remix-run/node";
 import { useLoaderData, useFetcher } from "@remix-run/react";
 import { useState, useEffect, useRef } from "react";
 import { authenticate } from "../shopify.server";
+import { fetchProduct } from "../utils/specifications.server";
+import {
+  generateFeatureTable,
+  listProductSpecKeys,
+  getFeatureTableSync,
+  setFeatureTableSync,
+} from "../utils/featureTable.server";
 
 // ─── LOADER ───
 export async function loader({ request }) {
-  const { admin } = await authenticate.admin(request);
+  const { admin, session } = await authenticate.admin(request);
   const url = new URL(request.url);
   const productId = url.searchParams.get("productId");
 
   let productTitle = "";
   let featureTable = [];
+  let specKeys = [];
+  let syncKeys = null;
 
   if (productId) {
     const query = `
@@ -34,17 +43,29 @@ export async function loader({ request }) {
     } catch {
       featureTable = [];
     }
+
+    const product = await fetchProduct(admin, productId);
+    if (product) specKeys = await listProductSpecKeys(session.shop, product);
+    syncKeys = await getFeatureTableSync(session.shop, productId);
   }
 
-  return json({ productId, productTitle, featureTable });
+  return json({ productId, productTitle, featureTable, specKeys, syncKeys });
 }
 
 // ─── ACTION ───
 export async function action({ request }) {
-  const { admin } = await authenticate.admin(request);
+  const { admin, session } = await authenticate.admin(request);
   const formData = await request.formData();
   const productId = formData.get("productId");
 
+  // Rows built from the chosen spec keys, in their order; nothing is saved yet
+  if (formData.get("intent") === "populate") {
+    const product = await fetchProduct(admin, productId);
+    if (!product) return json({ error: "Product not found." }, { status: 404 });
+    const keys = JSON.parse(formData.get("keys") || "[]");
+    return json({ intent: "populate", keys, rows: await generateFeatureTable(session.shop, product, keys) });
+  }
+
   const rows = [];
   const rowCount = parseInt(formData.get("rowCount"));
 
@@ -84,16 +105,50 @@ export async function action({ request }) {
     return json({ error: jsonRes.data.productUpdate.userErrors[0].message }, { status: 400 });
   }
 
+  // A synced table is rebuilt from these keys whenever the product's specs
+  // change; saving without them keeps the table as typed
+  const syncKeys = JSON.parse(formData.get("syncKeys") || "null");
+  await setFeatureTableSync(session.shop, productId, syncKeys?.length ? syncKeys : null);
+
   return redirect(`/app/content/table?productId=${encodeURIComponent(productId)}&saved=1`);
 }
 
 // ─── FRONTEND COMPONENT ───
 export default function TableDemoPage() {
-  const { productId, productTitle, featureTable } = useLoaderData();
+  const { productId, productTitle, featureTable, specKeys, syncKeys } = useLoaderData();
   const fetcher = useFetcher();
+  const populateFetcher = useFetcher();
   const formRef = useRef();
 
   const [rows, setRows] = useState(featureTable.length > 0 ? featureTable : [{ name: "", value: "" }]);
+  const [chosenKeys, setChosenKeys] = useState(syncKeys || []);
+  const [keepInSync, setKeepInSync] = useState(Boolean(syncKeys));
+
+  useEffect(() => {
+    if (populateFetcher.data?.intent === "populate") {
+      setRows(populateFetcher.data.rows.length > 0 ? populateFetcher.data.rows : [{ name: "", value: "" }]);
+    }
+  }, [populateFetcher.data]);
+
+  const toggleKey = (key) => {
+    setChosenKeys(prev => (prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]));
+  };
+
+  const moveKey = (index, offset) => {
+    setChosenKeys(prev => {
+      const next = [...prev];
+      const [key] = next.splice(index, 1);
+      next.splice(Math.min(Math.max(index + offset, 0), next.length), 0, key);
+      return next;
+    });
+  };
+
+  const handlePopulate = () => {
+    populateFetcher.submit(
+      { intent: "populate", productId, keys: JSON.stringify(chosenKeys) },
+      { method: "post" }
+    );
+  };
 
   const handleAddRow = () => {
     setRows([...rows, { name: "", value: "" }]);
@@ -115,9 +170,42 @@ export default function TableDemoPage() {
         Feature Table : {productTitle || "Unknown Product"}
       </h2>
 
+      {specKeys.length > 0 && (
+        <div style={{ background: "#fff", border: "1px solid #e5e7eb", borderRadius: "8px", padding: "1rem", marginBottom: "1rem" }}>
+          <h3 style={{ fontSize: "1rem", fontWeight: "600", marginBottom: "0.5rem" }}>Populate from specifications</h3>
+          <div style={{ display: "flex", flexWrap: "wrap", gap: "6px 16px", marginBottom: "0.75rem" }}>
+            {specKeys.map(key => (
+              <label key={key} style={{ display: "flex", gap: 6, alignItems: "center" }}>
+                <input type="checkbox" checked={chosenKeys.includes(key)} onChange={() => toggleKey(key)} />
+                {key}
+              </label>
+            ))}
+          </div>
+          {chosenKeys.length > 0 && (
+            <ol style={{ margin: "0 0 0.75rem 1.25rem" }}>
+              {chosenKeys.map((key, index) => (
+                <li key={key} style={{ marginBottom: 4 }}>
+                  {key}{" "}
+                  <button type="button" onClick={() => moveKey(index, -1)} disabled={index === 0} style={smallButtonStyle}>↑</button>
+                  <button type="button" onClick={() => moveKey(index, 1)} disabled={index === chosenKeys.length - 1} style={smallButtonStyle}>↓</button>
+                </li>
+              ))}
+            </ol>
+          )}
+          <button type="button" onClick={handlePopulate} disabled={!chosenKeys.length || populateFetcher.state !== "idle"} style={smallButtonStyle}>
+            {populateFetcher.state !== "idle" ? "Loading..." : "Replace rows with these keys"}
+          </button>
+          <label style={{ display: "flex", gap: 6, alignItems: "center", marginTop: "0.75rem" }}>
+            <input type="checkbox" checked={keepInSync} disabled={!chosenKeys.length} onChange={(e) => setKeepInSync(e.target.checked)} />
+            Keep in sync: rebuild the table from these keys whenever the product&apos;s specifications change (manual edits are replaced)
+          </label>
+        </div>
+      )}
+
       <fetcher.Form method="post" ref={formRef}>
         <input type="hidden" name="productId" value={productId} />
         <input type="hidden" name="rowCount" value={rows.length} />
+        <input type="hidden" name="syncKeys" value={keepInSync && chosenKeys.length ? JSON.stringify(chosenKeys) : ""} />
 
         <table style={{
           width: "100%",
@@ -232,6 +320,16 @@ const tdStyle = {
   borderBottom: "1px solid #f3f4f6"
 };
 
+const smallButtonStyle = {
+  background: "#fff",
+  color: "#374151",
+  border: "1px solid #d1d5db",
+  padding: "4px 10px",
+  borderRadius: "6px",
+  cursor: "pointer",
+  fontWeight: "500"
+};
+
 const inputStyle = {
   width: "100%",
   padding: "8px",
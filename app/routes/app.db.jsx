@@ -1,8 +1,16 @@
 import { json } from "@remix-run/node";
 import { useLoaderData, useFetcher } from "@remix-run/react";
-import { useState, useEffect } from "react";
+import { useState, useEffect, useMemo } from "react";
 import { authenticate } from "../shopify.server";
-import prisma from "../db.server";
+import {
+  fetchCollections,
+  loadCollectionSpecs,
+  loadGridValues,
+  startFilterSave,
+} from "../utils/filterManager.server";
+import { sessionUser } from "../utils/specHistory.server";
+import SpecGrid from "../components/SpecGrid";
+import { FILTER_LEVELS, FILTER_LEVEL_OPTIONS, MAX_FILTER_KEYS } from "../utils/filterConfig";
 import {
   Page,
   Layout,
@@ -11,204 +19,31 @@ import {
   Spinner,
   ChoiceList,
   Button,
+  Banner,
+  Autocomplete,
+  ProgressBar,
+  Select,
   DataTable,
   TextField,
-  Banner,
-  Autocomplete
+  Link
 } from "@shopify/polaris";
 
-// ------------------------------------
-// GraphQL Queries
-// ------------------------------------
-const COLLECTIONS_QUERY = `
-  query getCollections($first: Int!, $after: String) {
-    collections(first: $first, after: $after) {
-      edges { cursor node { id title } }
-      pageInfo { hasNextPage }
-    }
-  }
-`;
-
-const PRODUCTS_QUERY_WITH_METAFIELDS = `
-  query productsByCollectionWithPagination($collectionId: ID!, $first: Int!, $after: String) {
-    node(id: $collectionId) {
-      ... on Collection {
-        id
-        title
-        products(first: $first, after: $after) {
-          edges {
-            cursor
-            node {
-              id
-              handle
-              title
-              variants(first: 10) { edges { node { id sku } } }
-            }
-          }
-          pageInfo { hasNextPage }
-        }
-      }
-    }
-  }
-`;
-
-const COLLECTION_FILTERS_QUERY = `
-  query getCollectionFilters($collectionId: ID!) {
-    node(id: $collectionId) {
-      ... on Collection {
-        id
-        metafields(first: 50, namespace: "custom") {
-          edges { node { key value namespace } }
-        }
-      }
-    }
-  }
-`;
-
-const COLLECTION_METAFIELDS_QUERY = `
-  query($id: ID!) {
-    node(id: $id) {
-      ... on Collection {
-        metafields(first: 100, namespace: "custom") {
-          edges { node { key namespace } }
-        }
-      }
-    }
-  }
-`;
-
-const PRODUCT_METAFIELDS_QUERY = `
-  query($id: ID!) {
-    node(id: $id) {
-      ... on Product {
-        metafields(first: 100, namespace: "custom") {
-          edges { node { key namespace } }
-        }
-      }
-    }
-  }
-`;
-
-// Bulk delete metafields mutation
-const BULK_DELETE_MUTATION = `
-  mutation metafieldsDelete($metafields: [MetafieldIdentifierInput!]!) {
-    metafieldsDelete(metafields: $metafields) {
-      deletedMetafields { namespace key }
-      userErrors { field message }
-    }
-  }
-`;
-
-const normalizeKey = (str) => (str || "").trim().toLowerCase().replace(/\s+/g, " ");
+// Row filters of the edit grid; `key:<spec key>` shows the SKUs missing that key
+const GRID_FILTER_ALL = "all";
+const GRID_FILTER_MISSING = "missing";
+const GRID_FILTER_KEY_PREFIX = "key:";
 
 // ------------------------------------
 // Loader
 // ------------------------------------
 export async function loader({ request }) {
   try {
-    const { admin } = await authenticate.admin(request);
-    const url = new URL(request.url);
-    const collectionId = url.searchParams.get("collectionId");
-    const skuListString = url.searchParams.get("skuList");
-    const specKeysListString = url.searchParams.get("specKeys");
-
-    // Fetch all collections
-    let collections = [];
-    let cursor = null, hasNext = true;
-    while (hasNext) {
-      const res = await admin.graphql(COLLECTIONS_QUERY, { variables: { first: 100, after: cursor } });
-      const data = await res.json();
-      const edges = data?.data?.collections?.edges || [];
-      collections.push(...edges.map(e => e.node));
-      hasNext = data?.data?.collections?.pageInfo?.hasNextPage;
-      cursor = hasNext && edges.length ? edges[edges.length - 1].cursor : null;
-    }
-
-    // If just listing collections
-    if (!collectionId && !skuListString && !specKeysListString)
+    const { admin, session } = await authenticate.admin(request);
+    const collectionId = new URL(request.url).searchParams.get("collectionId");
+    const collections = await fetchCollections(admin);
+    if (!collectionId)
       return json({ collections });
-
-    // Fetch products + spec keys for a given collection
-    if (collectionId && !skuListString && !specKeysListString) {
-      let products = [];
-      let cur = null, hasMore = true;
-      while (hasMore && products.length < 500) {
-        const pdata = await admin.graphql(PRODUCTS_QUERY_WITH_METAFIELDS,
-          { variables: { collectionId, first: 100, after: cur } });
-        const data = await pdata.json();
-        const edges = data?.data?.node?.products?.edges || [];
-        products.push(...edges.map(e => ({
-          id: e.node.id,
-          handle: e.node.handle,
-          title: e.node.title,
-          variants: e.node.variants.edges.map(v => ({ id: v.node.id, sku: v.node.sku }))
-        })));
-        hasMore = data?.data?.node?.products?.pageInfo?.hasNextPage;
-        cur = edges.length ? edges[edges.length - 1].cursor : null;
-      }
-
-      const skus = products.flatMap(p => p.variants.map(v => v.sku)).filter(Boolean);
-      const rows = await prisma.specifications.findMany({
-        where: { sku: { in: skus } },
-        select: { spec_key: true },
-        distinct: ["spec_key"]
-      });
-
-      const excludedKeys = new Set(["brand", "sku", "type"]);
-      const normalizedToOriginal = new Map();
-      for (const r of rows) {
-        const key = r.spec_key ? r.spec_key.trim() : "";
-        const norm = normalizeKey(key);
-        if (key && !excludedKeys.has(norm) && !normalizedToOriginal.has(norm)) {
-          normalizedToOriginal.set(norm, key);
-        }
-      }
-      const specKeys = Array.from(normalizedToOriginal.values())
-        .sort((a, b) => a.toLowerCase().localeCompare(b.toLowerCase(), "en", { sensitivity: "base" }));
-
-      let preselectedKeys = [];
-      try {
-        const resFilters = await admin.graphql(COLLECTION_FILTERS_QUERY, { variables: { collectionId } });
-        const filtersData = await resFilters.json();
-        // ✅ FIX: Only get current filter_* keys
-        const filterEdges = (filtersData?.data?.node?.metafields?.edges || [])
-          .filter(e => e.node.key.startsWith("filter_"));
-        const allValues = filterEdges
-          .map(e => e?.node?.value ? String(e.node.value).trim() : "")
-          .filter(Boolean);
-        const dedupe = new Set();
-        for (const val of allValues) {
-          const norm = normalizeKey(val);
-          const original = normalizedToOriginal.get(norm);
-          if (original && !dedupe.has(original)) dedupe.add(original);
-        }
-        preselectedKeys = Array.from(dedupe);
-      } catch (e) {
-        console.warn("[loader] Failed to fetch collection filters:", e);
-      }
-
-      return json({ collections, products, skus, specKeys, preselectedKeys });
-    }
-
-    // Fetch values for given SKUs + keys
-    if (skuListString && specKeysListString) {
-      const skus = skuListString.split(",").map(s => s.trim()).filter(Boolean);
-      const specKeysRaw = specKeysListString.split(",").map(s => s.trim()).filter(Boolean);
-      if (!skus.length || !specKeysRaw.length) return json({ values: {} });
-
-      const targetKeys = specKeysRaw.map(normalizeKey);
-      const allRows = await prisma.specifications.findMany({ where: { sku: { in: skus } } });
-      const filteredRows = allRows.filter(r => targetKeys.includes(normalizeKey(r.spec_key)));
-
-      const values = {};
-      for (const row of filteredRows) {
-        if (!values[row.sku]) values[row.sku] = {};
-        values[row.sku][row.spec_key.trim()] = row.spec_value;
-      }
-      return json({ values });
-    }
-
-    return json({ collections });
+    return json({ collections, ...(await loadCollectionSpecs(admin, session.shop, collectionId)) });
   } catch (err) {
     console.error("[loader] Error:", err);
     return json({ collections: [], products: [], skus: [], specKeys: [], values: {} }, { status: 500 });
@@ -216,129 +51,34 @@ export async function loader({ request }) {
 }
 
 // ------------------------------------
-// Action — deletes old metafields before upserting new ones
+// Action — loads grid values, or starts a save that replaces the filter
+// metafields and the stored specifications
 // ------------------------------------
 export async function action({ request }) {
   try {
-    const { admin } = await authenticate.admin(request);
+    const { session } = await authenticate.admin(request);
     const formData = await request.formData();
-    const collectionId = formData.get("collectionId");
+    const intent = formData.get("intent");
     const selectedKeys = JSON.parse(formData.get("selectedKeys") || "[]");
-    const valuesBySku = JSON.parse(formData.get("valuesBySku") || "{}");
-    const productsData = JSON.parse(formData.get("productsData") || "[]");
-
-    if (!collectionId)
-      return json({ ok: false, error: "Missing collectionId" });
 
-    const skuToProductId = {};
-    productsData.forEach(p => {
-      p.variants.forEach(v => { if (v.sku) skuToProductId[v.sku] = p.id; });
-    });
-
-    // ---- Delete existing metafields from collection ----
-    const collRes = await admin.graphql(COLLECTION_METAFIELDS_QUERY, { variables: { id: collectionId } });
-    const collData = await collRes.json();
-    const collDeletes = (collData?.data?.node?.metafields?.edges || [])
-      .filter(e => e.node.key.startsWith("filter_"))
-      .map(e => ({ ownerId: collectionId, namespace: e.node.namespace, key: e.node.key }));
-
-    if (collDeletes.length) {
-      const delRes = await admin.graphql(BULK_DELETE_MUTATION, { variables: { metafields: collDeletes } });
-      const delJson = await delRes.json();
-      if (delJson?.data?.metafieldsDelete?.userErrors?.length)
-        throw new Error(delJson.data.metafieldsDelete.userErrors[0].message);
+    // Values for the edit grid are posted rather than loaded, as the SKU
+    // list of a large collection does not fit in a URL
+    if (intent === "loadValues") {
+      const skus = JSON.parse(formData.get("skus") || "[]");
+      return json({ intent, ...(await loadGridValues(session.shop, skus, selectedKeys)) });
     }
 
-    // ---- Delete existing metafields from products ----
-    for (const pid of Object.values(skuToProductId)) {
-      const prodRes = await admin.graphql(PRODUCT_METAFIELDS_QUERY, { variables: { id: pid } });
-      const prodData = await prodRes.json();
-      const prodDeletes = (prodData?.data?.node?.metafields?.edges || [])
-        .filter(e => e.node.key.startsWith("filter_"))
-        .map(e => ({ ownerId: pid, namespace: e.node.namespace, key: e.node.key }));
-
-      if (prodDeletes.length) {
-        const delRes = await admin.graphql(BULK_DELETE_MUTATION, { variables: { metafields: prodDeletes } });
-        const delJson = await delRes.json();
-        if (delJson?.data?.metafieldsDelete?.userErrors?.length)
-          throw new Error(delJson.data.metafieldsDelete.userErrors[0].message);
-      }
-    }
-
-    // ---- Prepare new metafields ----
-    const metafieldsToUpsert = [];
-    selectedKeys.slice(0, 20).forEach((key, i) => {
-      if (key?.trim()) {
-        metafieldsToUpsert.push({
-          namespace: "custom",
-          key: `filter_${i + 1}`,
-          ownerId: collectionId,
-          type: "single_line_text_field",
-          value: key.trim()
-        });
-      }
+    // The save runs as a background job; the page polls its status
+    const { status, ...result } = await startFilterSave(session.shop, {
+      collectionId: formData.get("collectionId"),
+      selectedKeys,
+      valuesBySku: JSON.parse(formData.get("valuesBySku") || "{}"),
+      productsData: JSON.parse(formData.get("productsData") || "[]"),
+      filterLevel: formData.get("filterLevel") || FILTER_LEVELS.PRODUCT,
+      user: sessionUser(session),
     });
-
-    Object.entries(valuesBySku).forEach(([sku, keyValues]) => {
-      const pid = skuToProductId[sku];
-      if (!pid) return;
-      selectedKeys.slice(0, 20).forEach((key, i) => {
-        const val = keyValues[key]?.trim();
-        if (val !== undefined) {
-          metafieldsToUpsert.push({
-            namespace: "custom",
-            key: `filter_${i + 1}`,
-            ownerId: pid,
-            type: "single_line_text_field",
-            value: val
-          });
-        }
-      });
-    });
-
-    // ---- Shopify Upsert ----
-    if (metafieldsToUpsert.length) {
-      const UPSERT_MUTATION = `
-        mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
-          metafieldsSet(metafields: $metafields) {
-            metafields { id }
-            userErrors { field message }
-          }
-        }
-      `;
-      for (let i = 0; i < metafieldsToUpsert.length; i += 25) {
-        const batch = metafieldsToUpsert.slice(i, i + 25);
-        const res = await admin.graphql(UPSERT_MUTATION, { variables: { metafields: batch } });
-        const jsonRes = await res.json();
-        if (jsonRes?.data?.metafieldsSet?.userErrors?.length)
-          throw new Error(jsonRes.data.metafieldsSet.userErrors[0].message);
-      }
-    }
-
-    // ---- Prisma DB Update with unique constraint handling ----
-    const dbOps = [];
-    for (const [sku, kv] of Object.entries(valuesBySku)) {
-      for (const [specKey, specValue] of Object.entries(kv)) {
-        if (specValue === undefined) continue;
-        const existingExact = await prisma.specifications.findFirst({
-          where: { sku, spec_key: specKey, spec_value: specValue }
-        });
-        if (existingExact) continue;
-        await prisma.specifications.deleteMany({
-          where: { sku, spec_key: specKey }
-        });
-        dbOps.push(
-          prisma.specifications.create({
-            data: { sku, spec_key: specKey, spec_value: specValue }
-          })
-        );
-      }
-    }
-    if (dbOps.length > 0) {
-      await prisma.$transaction(dbOps);
-    }
-
-    return json({ ok: true, message: "Saved successfully!" });
+    if (!result.ok) return json(result, { status });
+    return json({ ...result, intent: "save", started: true });
   } catch (err) {
     console.error("[action] Error:", err);
     return json({ ok: false, error: err.message || "Failed to update metafields and database" }, { status: 500 });
@@ -346,24 +86,37 @@ export async function action({ request }) {
 }
 
 // ------------------------------------
-// React Component (unchanged)
+// React Component
 // ------------------------------------
 export default function SpecManagerPage() {
   const { collections } = useLoaderData();
   const productsFetcher = useFetcher();
   const specValuesFetcher = useFetcher();
   const actionFetcher = useFetcher();
+  const statusFetcher = useFetcher();
 
   const [selectedCollectionId, setSelectedCollectionId] = useState("");
   const [allSKUs, setAllSKUs] = useState([]);
   const [availableSpecKeys, setAvailableSpecKeys] = useState([]);
+  const [specKeyLabels, setSpecKeyLabels] = useState({});
+  const [keyCoverage, setKeyCoverage] = useState({});
+  const [coverageThreshold, setCoverageThreshold] = useState("80");
+  const [gridFilter, setGridFilter] = useState(GRID_FILTER_ALL);
+  const [filteredSKUs, setFilteredSKUs] = useState([]);
+  const [filterLevel, setFilterLevel] = useState(FILTER_LEVELS.PRODUCT);
   const [selectedSpecKeys, setSelectedSpecKeys] = useState([]);
   const [showEditTable, setShowEditTable] = useState(false);
   const [editValues, setEditValues] = useState({});
+  const [loadedValues, setLoadedValues] = useState({});
+  const [vocabularies, setVocabularies] = useState({});
   const [productNameBySku, setProductNameBySku] = useState({});
   const [productsData, setProductsData] = useState([]);
   const [showSuccessBanner, setShowSuccessBanner] = useState(false);
+  const [saveWarnings, setSaveWarnings] = useState([]);
+  const [saveStatus, setSaveStatus] = useState(null);
   const [collectionSearchQuery, setCollectionSearchQuery] = useState("");
+  const [exporting, setExporting] = useState(false);
+  const [exportError, setExportError] = useState("");
 
   const filteredCollectionOptions = (collections || [])
     .map(c => ({ label: c.title, value: c.id }))
@@ -376,8 +129,27 @@ export default function SpecManagerPage() {
   };
 
   useEffect(() => {
-    if (actionFetcher.data?.ok) {
+    if (actionFetcher.data?.ok && actionFetcher.data.jobId) {
+      setShowSuccessBanner(false);
+      setSaveStatus({ id: actionFetcher.data.jobId, status: "queued", stage: "Queued", progress_done: 0, progress_total: 0 });
+      statusFetcher.load(`/app/job_status?jobId=${actionFetcher.data.jobId}`);
+    } else if (actionFetcher.data && !actionFetcher.data.ok) {
+      setShowSuccessBanner(false);
+    }
+  }, [actionFetcher.data]);
+
+  // Poll the save job until it finishes
+  useEffect(() => {
+    const job = statusFetcher.data?.job;
+    if (!job) return;
+    setSaveStatus(job);
+    if (job.status === "queued" || job.status === "running") {
+      const timer = setTimeout(() => statusFetcher.load(`/app/job_status?jobId=${job.id}`), 2000);
+      return () => clearTimeout(timer);
+    }
+    if (job.status === "completed") {
       setShowSuccessBanner(true);
+      setSaveWarnings((statusFetcher.data.items || []).map(item => `${item.ref}: ${item.message}`));
       setShowEditTable(false);
       setEditValues({});
       setSelectedSpecKeys([]);
@@ -385,10 +157,8 @@ export default function SpecManagerPage() {
       setAllSKUs([]);
       setAvailableSpecKeys([]);
       setProductNameBySku({});
-    } else if (actionFetcher.data && !actionFetcher.data.ok) {
-      setShowSuccessBanner(false);
     }
-  }, [actionFetcher.data]);
+  }, [statusFetcher.data]);
 
   useEffect(() => {
     if (!selectedCollectionId) {
@@ -405,6 +175,8 @@ export default function SpecManagerPage() {
     if (data && data.skus) {
       setAllSKUs(data.skus);
       setAvailableSpecKeys(data.specKeys);
+      setSpecKeyLabels(data.specKeyLabels || {});
+      setKeyCoverage(data.keyCoverage || {});
       setProductsData(data.products);
       if (Array.isArray(data.preselectedKeys)) setSelectedSpecKeys(data.preselectedKeys);
       const map = {};
@@ -416,6 +188,9 @@ export default function SpecManagerPage() {
   useEffect(() => {
     if (specValuesFetcher.data?.values) {
       setEditValues(specValuesFetcher.data.values);
+      setLoadedValues(specValuesFetcher.data.values);
+      setVocabularies(specValuesFetcher.data.vocabularies || {});
+      setGridFilter(GRID_FILTER_ALL);
       setShowEditTable(true);
     }
   }, [specValuesFetcher.data]);
@@ -423,11 +198,19 @@ export default function SpecManagerPage() {
   useEffect(() => { setShowEditTable(false); setEditValues({}); }, [selectedSpecKeys]);
 
   const handleUpdate = () => {
-    specValuesFetcher.load(`?skuList=${encodeURIComponent(allSKUs.join(","))}&specKeys=${encodeURIComponent(selectedSpecKeys.join(","))}`);
+    const formData = new FormData();
+    formData.append("intent", "loadValues");
+    formData.append("skus", JSON.stringify(allSKUs));
+    formData.append("selectedKeys", JSON.stringify(selectedSpecKeys));
+    specValuesFetcher.submit(formData, { method: "post" });
   };
 
-  const updateEditValue = (sku, key, value) => {
-    setEditValues(prev => ({ ...prev, [sku]: { ...(prev[sku] || {}), [key]: value } }));
+  const applyGridChanges = (changes) => {
+    setEditValues(prev => {
+      const next = { ...prev };
+      for (const { sku, key, value } of changes) next[sku] = { ...(next[sku] || {}), [key]: value };
+      return next;
+    });
   };
 
   const handleSave = () => {
@@ -437,31 +220,94 @@ export default function SpecManagerPage() {
     formData.append("selectedKeys", JSON.stringify(selectedSpecKeys));
     formData.append("valuesBySku", JSON.stringify(editValues));
     formData.append("productsData", JSON.stringify(productsData));
+    formData.append("filterLevel", filterLevel);
     actionFetcher.submit(formData, { method: "post" });
   };
 
+  // The export is fetched (App Bridge adds the session token) and saved as a blob
+  const handleExport = async (format, collectionId) => {
+    const params = new URLSearchParams({ format });
+    if (collectionId) params.set("collectionId", collectionId);
+    setExporting(true);
+    setExportError("");
+    try {
+      const res = await fetch(`/app/spec_export?${params}`);
+      if (!res.ok) throw new Error(await res.text() || "Export failed");
+      const blob = await res.blob();
+      const fileName = res.headers.get("Content-Disposition")?.match(/filename="(.+)"/)?.[1] || `specifications.${format}`;
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = fileName;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      setExportError(err.message || "Export failed");
+    } finally {
+      setExporting(false);
+    }
+  };
+
   const handleCancel = () => { setShowEditTable(false); setEditValues({}); setSelectedSpecKeys([]); };
 
-  const shouldDisableCollectionSelect = productsFetcher.state === "loading" || actionFetcher.state === "submitting";
-  const specKeyChoices = (availableSpecKeys || []).map(key => ({ label: key, value: key }));
-
-  const tableRows = allSKUs.map(sku => [
-    sku,
-    productNameBySku[sku] || "",
-    ...selectedSpecKeys.map(key => (
-      <div key={`${sku}-${key}`} style={{ minWidth: "200px" }}>
-        <TextField
-          value={editValues[sku]?.[key] || ""}
-          onChange={val => updateEditValue(sku, key, val)}
-          autoComplete="off"
-          disabled={actionFetcher.state === "submitting"}
-        />
-      </div>
-    )),
-  ]);
+  const saving = actionFetcher.state === "submitting" || saveStatus?.status === "queued" || saveStatus?.status === "running";
+  const shouldDisableCollectionSelect = productsFetcher.state === "loading" || saving;
+  const coveragePercent = (key) => (allSKUs.length ? Math.round(((keyCoverage[key] || 0) / allSKUs.length) * 100) : 0);
+  const specKeyChoices = (availableSpecKeys || []).map(key => ({
+    label: `${specKeyLabels[key] || key} (${coveragePercent(key)}%)`,
+    value: key,
+  }));
+
+  const selectWellFilledKeys = () => {
+    const threshold = Number(coverageThreshold) || 0;
+    setSelectedSpecKeys(availableSpecKeys.filter(key => coveragePercent(key) >= threshold).slice(0, MAX_FILTER_KEYS));
+  };
+
+  const coverageRows = [...(availableSpecKeys || [])]
+    .sort((a, b) => (keyCoverage[b] || 0) - (keyCoverage[a] || 0))
+    .map(key => [
+      specKeyLabels[key] || key,
+      `${keyCoverage[key] || 0} of ${allSKUs.length}`,
+      <div key={key} style={{ display: "flex", alignItems: "center", gap: 8, minWidth: 160 }}>
+        <div style={{ flex: 1 }}><ProgressBar progress={coveragePercent(key)} size="small" /></div>
+        <Text variant="bodySm">{`${coveragePercent(key)}%`}</Text>
+      </div>,
+    ]);
+
+  // Missing selected keys per SKU, from the values being edited
+  const missingBySku = {};
+  for (const sku of allSKUs) {
+    missingBySku[sku] = selectedSpecKeys.filter(key => !String(editValues[sku]?.[key] ?? "").trim()).length;
+  }
+  const skusMissingValues = allSKUs.filter(sku => missingBySku[sku] > 0).length;
+
+  // The row list is only refiltered when the filter changes, so filling a
+  // cell does not make its row disappear while editing
+  const applyGridFilter = (filter) => {
+    setGridFilter(filter);
+    if (filter === GRID_FILTER_ALL) setFilteredSKUs(allSKUs);
+    else if (filter === GRID_FILTER_MISSING) setFilteredSKUs(allSKUs.filter(sku => missingBySku[sku] > 0));
+    else {
+      const key = filter.slice(GRID_FILTER_KEY_PREFIX.length);
+      setFilteredSKUs(allSKUs.filter(sku => !String(editValues[sku]?.[key] ?? "").trim()));
+    }
+  };
+  const gridFilterOptions = [
+    { label: "All SKUs", value: GRID_FILTER_ALL },
+    { label: "SKUs with missing values", value: GRID_FILTER_MISSING },
+    ...selectedSpecKeys.map(key => ({ label: `Missing ${specKeyLabels[key] || key}`, value: `${GRID_FILTER_KEY_PREFIX}${key}` })),
+  ];
+
+  const tooManyKeys = selectedSpecKeys.length > MAX_FILTER_KEYS;
+  // Memoized so the grid's cell counts are not recomputed on unrelated renders
+  const gridColumns = useMemo(() => selectedSpecKeys
+    .filter(key => !gridFilter.startsWith(GRID_FILTER_KEY_PREFIX) || gridFilter === `${GRID_FILTER_KEY_PREFIX}${key}`)
+    .map(key => ({ key, label: specKeyLabels[key] || key })), [selectedSpecKeys, gridFilter, specKeyLabels]);
 
   return (
-    <Page title="Filter Manager">
+    <Page title="Filter Manager" secondaryActions={[{ content: "Filter settings", url: "/app/filter_settings" }]}>
       <Layout>
         {showSuccessBanner && (
           <Layout.Section>
@@ -470,11 +316,41 @@ export default function SpecManagerPage() {
             </Banner>
           </Layout.Section>
         )}
+        {showSuccessBanner && saveWarnings.length > 0 && (
+          <Layout.Section>
+            <Banner status="warning" title="Saved with warnings">
+              <ul style={{ margin: 0, paddingLeft: 20 }}>
+                {saveWarnings.slice(0, 20).map(w => <li key={w}>{w}</li>)}
+              </ul>
+            </Banner>
+          </Layout.Section>
+        )}
         {actionFetcher.data && !actionFetcher.data.ok && (
           <Layout.Section>
             <Banner status="critical" title={actionFetcher.data.error || "Failed to save"} />
           </Layout.Section>
         )}
+        {(saveStatus?.status === "failed" || saveStatus?.status === "canceled") && (
+          <Layout.Section>
+            <Banner status="critical" title={saveStatus.status === "canceled" ? "Save canceled" : saveStatus.error || "Failed to save"}>
+              <Link url="/app/jobs">View on the Jobs page</Link>
+            </Banner>
+          </Layout.Section>
+        )}
+        {(saveStatus?.status === "queued" || saveStatus?.status === "running") && (
+          <Layout.Section>
+            <Card sectioned>
+              <Text variant="bodyMd">
+                {saveStatus.progress_total
+                  ? `${saveStatus.stage} (${saveStatus.progress_done} of ${saveStatus.progress_total})`
+                  : saveStatus.stage || "Queued"}
+              </Text>
+              <div style={{ marginTop: 8 }}>
+                <ProgressBar progress={saveStatus.progress_total ? Math.round((saveStatus.progress_done / saveStatus.progress_total) * 100) : 0} size="small" />
+              </div>
+            </Card>
+          </Layout.Section>
+        )}
 
         <Layout.Section>
           <Card sectioned>
@@ -506,6 +382,22 @@ export default function SpecManagerPage() {
           </Card>
         </Layout.Section>
 
+        <Layout.Section>
+          <Card sectioned>
+            <Text variant="headingMd">Export Specifications</Text>
+            <Text variant="bodyMd" color="subdued">
+              One row per SKU with product title, handle and a column per spec key. The file can be re-imported on the Spec Import page.
+            </Text>
+            {exportError && <Banner status="critical" title={exportError} />}
+            <div style={{ marginTop: 12, display: "flex", gap: 8, flexWrap: "wrap" }}>
+              <Button onClick={() => handleExport("xlsx", selectedCollectionId)} disabled={!selectedCollectionId || exporting}>Export collection (.xlsx)</Button>
+              <Button onClick={() => handleExport("csv", selectedCollectionId)} disabled={!selectedCollectionId || exporting}>Export collection (.csv)</Button>
+              <Button onClick={() => handleExport("xlsx")} disabled={exporting}>Export all (.xlsx)</Button>
+              <Button onClick={() => handleExport("csv")} disabled={exporting}>Export all (.csv)</Button>
+            </div>
+          </Card>
+        </Layout.Section>
+
         {productsFetcher.state === "loading" && selectedCollectionId && (
           <Layout.Section>
             <Card sectioned>
@@ -524,8 +416,26 @@ export default function SpecManagerPage() {
               {availableSpecKeys.length > 0 ? (
                 <>
                   <ChoiceList allowMultiple choices={specKeyChoices} selected={selectedSpecKeys} onChange={setSelectedSpecKeys} titleHidden />
+                  {tooManyKeys && (
+                    <Banner status="critical" title={`${selectedSpecKeys.length} keys selected. Select at most ${MAX_FILTER_KEYS} filter keys.`} />
+                  )}
                   <div style={{ marginTop: 16 }}>
-                    <Button primary onClick={handleUpdate} loading={specValuesFetcher.state === "loading"}>Update</Button>
+                    <Button primary onClick={handleUpdate} loading={specValuesFetcher.state !== "idle"} disabled={tooManyKeys}>Update</Button>
+                  </div>
+                  <div style={{ marginTop: 24 }}>
+                    <Text variant="headingSm" as="h3">Completeness</Text>
+                    <Text variant="bodySm" color="subdued">Share of this collection&apos;s SKUs that have a value for each key.</Text>
+                    <div style={{ display: "flex", alignItems: "flex-end", gap: 8, marginTop: 8 }}>
+                      <div style={{ width: 140 }}>
+                        <TextField label="Minimum coverage (%)" type="number" min={0} max={100} value={coverageThreshold} onChange={setCoverageThreshold} autoComplete="off" />
+                      </div>
+                      <Button onClick={selectWellFilledKeys}>Select keys with at least this coverage</Button>
+                    </div>
+                    <DataTable
+                      columnContentTypes={["text", "text", "text"]}
+                      headings={["Key", "SKUs with a value", "Coverage"]}
+                      rows={coverageRows}
+                    />
                   </div>
                 </>
               ) : (
@@ -538,16 +448,41 @@ export default function SpecManagerPage() {
         {showEditTable && (
           <Layout.Section>
             <Card sectioned title="Step 3: Edit and Save Spec Values">
-              <div style={{ overflowX: "auto" }}>
-                <DataTable
-                  columnContentTypes={["text", "text", ...selectedSpecKeys.map(() => "text")]}
-                  headings={["SKU", "Product Name", ...selectedSpecKeys]}
-                  rows={tableRows}
+              <div style={{ display: "flex", alignItems: "flex-end", gap: 12, marginBottom: 12 }}>
+                <div style={{ minWidth: 240 }}>
+                  <Select label="Show" options={gridFilterOptions} value={gridFilter} onChange={applyGridFilter} />
+                </div>
+                {gridFilter !== GRID_FILTER_ALL && <Button onClick={() => applyGridFilter(gridFilter)}>Refresh</Button>}
+                <Text variant="bodySm" color="subdued">
+                  {`${skusMissingValues} of ${allSKUs.length} SKUs are missing at least one selected key.`}
+                </Text>
+              </div>
+              <SpecGrid
+                skus={gridFilter === GRID_FILTER_ALL ? allSKUs : filteredSKUs}
+                columns={gridColumns}
+                values={editValues}
+                originalValues={loadedValues}
+                productNameBySku={productNameBySku}
+                vocabularies={vocabularies}
+                rowNotes={missingBySku}
+                rowNotesLabel="Missing"
+                markEmpty={gridFilter !== GRID_FILTER_ALL}
+                onChange={applyGridChanges}
+                disabled={saving}
+              />
+              <div style={{ marginTop: 16, maxWidth: 420 }}>
+                <Select
+                  label="Write filters to"
+                  options={FILTER_LEVEL_OPTIONS}
+                  value={filterLevel}
+                  onChange={setFilterLevel}
+                  disabled={saving}
+                  helpText="Filters at the other levels are removed. The product list level writes list metafields; namespace, keys and value type are set in Filter Settings."
                 />
               </div>
               <div style={{ marginTop: 16, display: "flex", gap: 8 }}>
-                <Button primary onClick={handleSave} loading={actionFetcher.state === "submitting"} disabled={actionFetcher.state === "submitting"}>Save</Button>
-                <Button onClick={handleCancel} disabled={actionFetcher.state === "submitting"}>Cancel</Button>
+                <Button primary onClick={handleSave} loading={saving} disabled={saving}>Save</Button>
+                <Button onClick={handleCancel} disabled={saving}>Cancel</Button>
               </div>
             </Card>
           </Layout.Section>
@@ -556,7 +491,7 @@ export default function SpecManagerPage() {
         {selectedCollectionId && !showEditTable && (
           <Layout.Section>
             <div style={{ marginTop: "16px" }}>
-              <Button primary onClick={handleSave} loading={actionFetcher.state === "submitting"} disabled={actionFetcher.state === "submitting"}>Save to Clear Filters</Button>
+              <Button primary onClick={handleSave} loading={saving} disabled={saving}>Save to Clear Filters</Button>
             </div>
           </Layout.Section>
         )}
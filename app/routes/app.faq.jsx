@@ -17,7 +17,7 @@ import prisma from "../db.server";
 
 //  Loader: Fetch collections, pages, and FAQs
 export async function loader({ request }) {
-  const { admin } = await authenticate.admin(request);
+  const { admin, session } = await authenticate.admin(request);
 
   const collectionQuery = `query {
     collections(first: 50) {
@@ -57,7 +57,7 @@ export async function loader({ request }) {
 
   let faqs = [];
   try {
-    faqs = await prisma.faq.findMany();
+    faqs = await prisma.faq.findMany({ where: { shop: session.shop } });
   } catch (error) {
     console.error("Error fetching FAQs from Prisma:", error);
   }
@@ -67,12 +67,14 @@ export async function loader({ request }) {
 
 // Action: Add, Update, Delete FAQ
 export async function action({ request }) {
+  const { session } = await authenticate.admin(request);
   const formData = await request.formData();
   const intent = formData.get("intent");
 
   if (intent === "create") {
     await prisma.faq.create({
       data: {
+        shop: session.shop,
         question: formData.get("question"),
         answer: formData.get("answer"),
         resourceId: formData.get("id"),
@@ -84,8 +86,8 @@ export async function action({ request }) {
 
   if (intent === "update") {
     const faqId = String(formData.get("faqId"));
-    await prisma.faq.update({
-      where: { id: faqId },
+    await prisma.faq.updateMany({
+      where: { id: faqId, shop: session.shop },
       data: {
         question: formData.get("question"),
         answer: formData.get("answer"),
@@ -96,8 +98,8 @@ export async function action({ request }) {
 
   if (intent === "delete") {
     const faqId = String(formData.get("faqId"));
-    await prisma.faq.delete({
-      where: { id: faqId },
+    await prisma.faq.deleteMany({
+      where: { id: faqId, shop: session.shop },
     });
     return json({ status: "deleted" });
   }
@@ -0,0 +1,194 @@
+import { json } from "@remix-run/node";
+import { useLoaderData, useFetcher } from "@remix-run/react";
+import { useState, useEffect } from "react";
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  Button,
+  Select,
+  ChoiceList,
+  Checkbox,
+  Banner,
+  Spinner,
+  Link,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { fetchCollections, loadCollectionSpecs } from "../utils/filterManager.server";
+import { startFeatureTableBulk } from "../utils/featureTable.server";
+
+// ------------------------------------
+// Loader — the collections, plus the spec keys of one collection when
+// `collectionId` is given
+// ------------------------------------
+export async function loader({ request }) {
+  const { admin, session } = await authenticate.admin(request);
+  const collectionId = new URL(request.url).searchParams.get("collectionId");
+  const collections = await fetchCollections(admin);
+  if (!collectionId) return json({ collections, specKeys: [] });
+
+  const { products, specKeys } = await loadCollectionSpecs(admin, session.shop, collectionId);
+  return json({ collections, collectionId, productCount: products.length, specKeys });
+}
+
+// ------------------------------------
+// Action — queues the bulk job
+// ------------------------------------
+export async function action({ request }) {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  try {
+    if (intent === "start") {
+      const { status, ...result } = await startFeatureTableBulk(session.shop, {
+        collectionId: formData.get("collectionId"),
+        collectionTitle: formData.get("collectionTitle"),
+        keys: JSON.parse(formData.get("keys") || "[]"),
+        keepInSync: formData.get("keepInSync") === "true",
+      });
+      return json({ ...result, intent }, { status });
+    }
+  } catch (err) {
+    console.error("[feature tables] Error:", err);
+    return json({ ok: false, intent, error: err.message || "Failed to start the job" }, { status: 500 });
+  }
+
+  return json({ ok: false, error: "Unknown intent" }, { status: 400 });
+}
+
+// ------------------------------------
+// React Component
+// ------------------------------------
+export default function FeatureTablesPage() {
+  const { collections } = useLoaderData();
+  const keysFetcher = useFetcher();
+  const fetcher = useFetcher();
+
+  const [collectionId, setCollectionId] = useState("");
+  const [chosenKeys, setChosenKeys] = useState([]);
+  const [keepInSync, setKeepInSync] = useState(true);
+
+  const loadingKeys = keysFetcher.state !== "idle";
+  const collectionData = keysFetcher.data?.collectionId === collectionId ? keysFetcher.data : null;
+  const specKeys = collectionData?.specKeys || [];
+  const busy = fetcher.state !== "idle";
+
+  // A new collection starts without keys
+  useEffect(() => {
+    setChosenKeys([]);
+  }, [collectionId]);
+
+  const handleCollectionChange = (value) => {
+    setCollectionId(value);
+    if (value) keysFetcher.load(`/app/feature_tables?collectionId=${encodeURIComponent(value)}`);
+  };
+
+  // Keeps the order keys were chosen in; newly ticked keys go last
+  const handleKeysChange = (selected) => {
+    setChosenKeys(prev => [...prev.filter(k => selected.includes(k)), ...selected.filter(k => !prev.includes(k))]);
+  };
+
+  const moveKey = (index, offset) => {
+    setChosenKeys(prev => {
+      const next = [...prev];
+      const [key] = next.splice(index, 1);
+      next.splice(Math.min(Math.max(index + offset, 0), next.length), 0, key);
+      return next;
+    });
+  };
+
+  const handleStart = () => {
+    fetcher.submit(
+      {
+        intent: "start",
+        collectionId,
+        collectionTitle: collections.find(c => c.id === collectionId)?.title || "",
+        keys: JSON.stringify(chosenKeys),
+        keepInSync: String(keepInSync),
+      },
+      { method: "post" }
+    );
+  };
+
+  const collectionOptions = [
+    { label: "Choose a collection", value: "" },
+    ...collections.map(c => ({ label: c.title, value: c.id })),
+  ];
+
+  return (
+    <Page title="Feature Tables">
+      <Layout>
+        {fetcher.data && !fetcher.data.ok && (
+          <Layout.Section>
+            <Banner status="critical" title={fetcher.data.error || "Failed to start the job"} />
+          </Layout.Section>
+        )}
+        {fetcher.data?.ok && (
+          <Layout.Section>
+            <Banner status="success" title="Feature tables are being written">
+              <Link url="/app/jobs">View on the Jobs page</Link>
+            </Banner>
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <Card sectioned>
+            <Text variant="headingMd" as="h2">Step 1: Select a Collection</Text>
+            <Select label="Collection" labelHidden options={collectionOptions} value={collectionId} onChange={handleCollectionChange} />
+            {loadingKeys && <Spinner size="small" />}
+            {collectionData && (
+              <Text variant="bodyMd" color="subdued" as="p">
+                {collectionData.productCount} products, {specKeys.length} spec keys.
+              </Text>
+            )}
+          </Card>
+        </Layout.Section>
+
+        {collectionData && (
+          <Layout.Section>
+            <Card sectioned>
+              <Text variant="headingMd" as="h2">Step 2: Choose the Rows</Text>
+              <Text variant="bodyMd" color="subdued" as="p">
+                Each chosen key becomes a row, labelled with its Spec Keys label. Variants with different values are listed
+                together. Products without a value for any chosen key keep their current table.
+              </Text>
+              {specKeys.length === 0 ? (
+                <Text variant="bodyMd" as="p">No specifications are stored for the SKUs of this collection.</Text>
+              ) : (
+                <ChoiceList allowMultiple title="Spec keys" titleHidden
+                  choices={specKeys.map(key => ({ label: key, value: key }))}
+                  selected={chosenKeys} onChange={handleKeysChange} />
+              )}
+            </Card>
+          </Layout.Section>
+        )}
+
+        {chosenKeys.length > 0 && (
+          <Layout.Section>
+            <Card sectioned>
+              <Text variant="headingMd" as="h2">Step 3: Order and Write</Text>
+              <ol>
+                {chosenKeys.map((key, index) => (
+                  <li key={key} style={{ marginBottom: 4 }}>
+                    {key}{" "}
+                    <Button size="slim" onClick={() => moveKey(index, -1)} disabled={index === 0}>↑</Button>{" "}
+                    <Button size="slim" onClick={() => moveKey(index, 1)} disabled={index === chosenKeys.length - 1}>↓</Button>
+                  </li>
+                ))}
+              </ol>
+              <Checkbox
+                label="Keep in sync with specifications"
+                helpText="Tables are rebuilt from these keys whenever a product's specifications change. Manual edits to a synced table are replaced."
+                checked={keepInSync}
+                onChange={setKeepInSync}
+              />
+              <Button primary onClick={handleStart} loading={busy} disabled={busy}>Write feature tables</Button>
+            </Card>
+          </Layout.Section>
+        )}
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,164 @@
+import { json } from "@remix-run/node";
+import { useLoaderData, useFetcher } from "@remix-run/react";
+import { useState } from "react";
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  Button,
+  TextField,
+  Checkbox,
+  Select,
+  DataTable,
+  Banner,
+  FormLayout,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { getFilterSettings, saveFilterSettings, managedFilterKeys } from "../utils/filterSettings.server";
+import { listSpecKeys } from "../utils/specKeys.server";
+import {
+  FILTER_KEY_SCHEMES,
+  FILTER_VALUE_TYPES,
+  filterMetafieldKeys,
+  validateFilterSettings,
+} from "../utils/filterConfig";
+
+const KEY_SCHEME_OPTIONS = [
+  { label: "Numbered (filter_1, filter_2, ... in selection order)", value: FILTER_KEY_SCHEMES.POSITIONAL },
+  { label: "Spec key name (filter_colour, filter_width, ...)", value: FILTER_KEY_SCHEMES.SLUG },
+];
+
+const VALUE_TYPE_OPTIONS = [
+  { label: "Single line text", value: FILTER_VALUE_TYPES.TEXT },
+  { label: "List of single line text", value: FILTER_VALUE_TYPES.TEXT_LIST },
+];
+
+// Registry keys shown in the key preview
+const PREVIEW_KEYS = 5;
+
+// ------------------------------------
+// Loader
+// ------------------------------------
+export async function loader({ request }) {
+  const { session } = await authenticate.admin(request);
+  const settings = await getFilterSettings(session.shop);
+  const previewKeys = (await listSpecKeys(session.shop))
+    .filter((entry) => !entry.exclude_from_filters)
+    .slice(0, PREVIEW_KEYS)
+    .map((entry) => entry.key);
+  return json({ settings, managedKeyCount: managedFilterKeys(settings).length, previewKeys });
+}
+
+// ------------------------------------
+// Action
+// ------------------------------------
+export async function action({ request }) {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  try {
+    if (intent === "save") {
+      const result = await saveFilterSettings(session.shop, {
+        namespace: formData.get("namespace"),
+        keyScheme: formData.get("keyScheme"),
+        keyPrefix: formData.get("keyPrefix"),
+        valueType: formData.get("valueType"),
+        createDefinitions: formData.get("createDefinitions") === "true",
+      });
+      return json({ ...result, intent }, { status: result.ok ? 200 : 400 });
+    }
+  } catch (err) {
+    console.error("[filter settings] Error:", err);
+    return json({ ok: false, intent, error: err.message || "Failed to save filter settings" }, { status: 500 });
+  }
+
+  return json({ ok: false, error: "Unknown intent" }, { status: 400 });
+}
+
+// ------------------------------------
+// React Component
+// ------------------------------------
+export default function FilterSettingsPage() {
+  const { settings, managedKeyCount, previewKeys } = useLoaderData();
+  const fetcher = useFetcher();
+  const [form, setForm] = useState({
+    namespace: settings.namespace,
+    keyScheme: settings.keyScheme,
+    keyPrefix: settings.keyPrefix,
+    valueType: settings.valueType,
+    createDefinitions: settings.createDefinitions,
+  });
+
+  const busy = fetcher.state !== "idle";
+  const setField = (field) => (value) => setForm((prev) => ({ ...prev, [field]: value }));
+  const error = validateFilterSettings(form);
+
+  const handleSave = () => {
+    fetcher.submit(
+      { intent: "save", ...form, createDefinitions: String(form.createDefinitions) },
+      { method: "post" }
+    );
+  };
+
+  const sampleKeys = previewKeys.length ? previewKeys : ["Colour", "Width", "Material"];
+  const previewRows = filterMetafieldKeys(form, sampleKeys).map((key, i) => [
+    sampleKeys[i],
+    `${form.namespace}.${key}`,
+  ]);
+
+  return (
+    <Page title="Filter Settings" backAction={{ content: "Filter Manager", url: "/app/db" }}>
+      <Layout>
+        {fetcher.data && !fetcher.data.ok && (
+          <Layout.Section>
+            <Banner status="critical" title={fetcher.data.error || "Failed to save"} />
+          </Layout.Section>
+        )}
+        {fetcher.data?.ok && (
+          <Layout.Section>
+            <Banner status="success" title="Filter settings saved">
+              The next Filter Manager save writes the new metafields and removes the old ones from that collection.
+            </Banner>
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <Card sectioned>
+            <Text variant="headingMd" as="h2">Filter metafields</Text>
+            <FormLayout>
+              <TextField label="Namespace" value={form.namespace} onChange={setField("namespace")} autoComplete="off"
+                helpText="Use a namespace of your own to keep filters apart from other metafields, e.g. filters" />
+              <FormLayout.Group>
+                <Select label="Keys" options={KEY_SCHEME_OPTIONS} value={form.keyScheme} onChange={setField("keyScheme")}
+                  helpText="Named keys stay the same when the selection changes, so storefront filters keep working." />
+                <TextField label="Key prefix" value={form.keyPrefix} onChange={setField("keyPrefix")} autoComplete="off" />
+              </FormLayout.Group>
+              <Select label="Value type" options={VALUE_TYPE_OPTIONS} value={form.valueType} onChange={setField("valueType")}
+                helpText="Unit keys written as measurements keep their measurement type. The product list filter level always writes lists." />
+              <Checkbox
+                label="Create metafield definitions"
+                helpText="Missing definitions are created with storefront access, so they can be added as filters in Search & Discovery."
+                checked={form.createDefinitions}
+                onChange={setField("createDefinitions")}
+              />
+              {error && <Text variant="bodyMd" color="critical" as="p">{error}</Text>}
+              <Button primary onClick={handleSave} loading={busy} disabled={busy || Boolean(error)}>Save</Button>
+            </FormLayout>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card sectioned>
+            <Text variant="headingMd" as="h2">Preview</Text>
+            <DataTable columnContentTypes={["text", "text"]} headings={["Spec key", "Metafield"]} rows={previewRows} />
+            <Text variant="bodyMd" color="subdued" as="p">
+              Saves only remove filter metafields this app has written ({managedKeyCount} key{managedKeyCount === 1 ? "" : "s"} so far).
+            </Text>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
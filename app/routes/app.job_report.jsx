@@ -0,0 +1,41 @@
+import { authenticate } from "../shopify.server";
+import { buildSheetBuffer } from "../utils/excel.server";
+import { getJob, listJobItems, ITEM_STATUS } from "../utils/jobs.server";
+
+const CONTENT_TYPES = {
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  csv: "text/csv; charset=utf-8",
+};
+
+// ------------------------------------
+// Loader — downloads the warnings and errors of a job
+//   ?jobId=123&format=xlsx|csv
+//   &all=1  includes the items that succeeded
+// ------------------------------------
+export async function loader({ request }) {
+  const { session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+  const jobId = Number(url.searchParams.get("jobId"));
+  const format = url.searchParams.get("format") === "xlsx" ? "xlsx" : "csv";
+
+  const job = jobId ? await getJob(session.shop, jobId) : null;
+  if (!job) return new Response("Job not found", { status: 404 });
+
+  try {
+    const items = await listJobItems(session.shop, jobId, url.searchParams.get("all")
+      ? {}
+      : { statuses: [ITEM_STATUS.WARNING, ITEM_STATUS.ERROR] });
+    const rows = items.map((item) => [item.ref, item.status, item.message || ""]);
+    const buffer = await buildSheetBuffer(["Item", "Status", "Message"], rows, { format, sheetName: "Report" });
+
+    return new Response(buffer, {
+      headers: {
+        "Content-Type": CONTENT_TYPES[format],
+        "Content-Disposition": `attachment; filename="job-${job.id}-report.${format}"`,
+      },
+    });
+  } catch (err) {
+    console.error("[job report] Error:", err);
+    return new Response("Failed to build the job report", { status: 500 });
+  }
+}
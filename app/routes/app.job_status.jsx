@@ -0,0 +1,25 @@
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { getJob, listJobItems, ITEM_STATUS } from "../utils/jobs.server";
+
+// Warnings and errors returned with the status; the full list is in the report
+const STATUS_ITEM_LIMIT = 50;
+
+// ------------------------------------
+// Loader — status of one job, polled by pages that started it
+//   ?jobId=123
+// ------------------------------------
+export async function loader({ request }) {
+  const { session } = await authenticate.admin(request);
+  const jobId = Number(new URL(request.url).searchParams.get("jobId"));
+  if (!jobId) return json({ job: null, items: [], error: "Missing jobId" }, { status: 400 });
+
+  const job = await getJob(session.shop, jobId);
+  if (!job) return json({ job: null, items: [], error: "Job not found" }, { status: 404 });
+
+  const items = await listJobItems(session.shop, jobId, {
+    statuses: [ITEM_STATUS.WARNING, ITEM_STATUS.ERROR],
+    take: STATUS_ITEM_LIMIT,
+  });
+  return json({ job, items });
+}
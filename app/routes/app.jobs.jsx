@@ -0,0 +1,179 @@
+import { json } from "@remix-run/node";
+import { useLoaderData, useFetcher, useRevalidator } from "@remix-run/react";
+import { useState, useEffect } from "react";
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  Button,
+  DataTable,
+  Banner,
+  Badge,
+  ProgressBar,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { listJobs, cancelJob, retryJob } from "../utils/jobs.server";
+
+// How often the list refreshes while a job is queued or running
+const REFRESH_INTERVAL_MS = 3000;
+
+const STATUS_BADGES = {
+  queued: { status: "info", label: "Queued" },
+  running: { status: "attention", label: "Running" },
+  completed: { status: "success", label: "Completed" },
+  failed: { status: "critical", label: "Failed" },
+  canceled: { status: undefined, label: "Canceled" },
+};
+
+// ------------------------------------
+// Loader
+// ------------------------------------
+export async function loader({ request }) {
+  const { session } = await authenticate.admin(request);
+  return json({ jobs: await listJobs(session.shop) });
+}
+
+// ------------------------------------
+// Action — cancel or retry a job
+// ------------------------------------
+export async function action({ request }) {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  const jobId = formData.get("jobId");
+
+  try {
+    if (intent === "cancel") return json({ ...(await cancelJob(session.shop, jobId)), intent });
+    if (intent === "retry") return json({ ...(await retryJob(session.shop, jobId)), intent });
+  } catch (err) {
+    console.error("[jobs] Error:", err);
+    return json({ ok: false, intent, error: err.message || "Failed to update job" }, { status: 500 });
+  }
+
+  return json({ ok: false, error: "Unknown intent" }, { status: 400 });
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : "";
+}
+
+// ------------------------------------
+// React Component
+// ------------------------------------
+export default function JobsPage() {
+  const { jobs } = useLoaderData();
+  const fetcher = useFetcher();
+  const revalidator = useRevalidator();
+  const [downloadError, setDownloadError] = useState("");
+
+  const busy = fetcher.state !== "idle";
+  const hasActiveJobs = jobs.some((job) => job.status === "queued" || job.status === "running");
+
+  // Live progress: reload the list while anything is still queued or running
+  useEffect(() => {
+    if (!hasActiveJobs || revalidator.state !== "idle") return;
+    const timer = setTimeout(() => revalidator.revalidate(), REFRESH_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [jobs, hasActiveJobs, revalidator]);
+
+  const submit = (intent, jobId) => fetcher.submit({ intent, jobId: String(jobId) }, { method: "post" });
+
+  const downloadReport = async (jobId) => {
+    setDownloadError("");
+    try {
+      const res = await fetch(`/app/job_report?jobId=${jobId}&format=csv`);
+      if (!res.ok) throw new Error(await res.text() || "Download failed");
+      const blob = await res.blob();
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `job-${jobId}-report.csv`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      setDownloadError(err.message || "Download failed");
+    }
+  };
+
+  const rows = jobs.map((job) => {
+    const badge = STATUS_BADGES[job.status] || { label: job.status };
+    const issues = (job.itemCounts.warning || 0) + (job.itemCounts.error || 0);
+    const percent = job.progress_total ? Math.round((job.progress_done / job.progress_total) * 100) : 0;
+    return [
+      job.title,
+      <Badge key="status" status={badge.status}>{job.cancel_requested && job.status === "running" ? "Canceling" : badge.label}</Badge>,
+      <div key="progress" style={{ minWidth: 180 }}>
+        {job.status === "running" ? (
+          <>
+            <Text variant="bodySm">
+              {job.progress_total ? `${job.stage} (${job.progress_done} of ${job.progress_total})` : job.stage || "Starting"}
+            </Text>
+            <ProgressBar progress={percent} size="small" />
+          </>
+        ) : (
+          <Text variant="bodySm" color={job.status === "failed" ? "critical" : "subdued"}>
+            {job.status === "failed" ? job.error : job.stage || ""}
+          </Text>
+        )}
+      </div>,
+      formatDate(job.created_at),
+      formatDate(job.finished_at),
+      <div key="actions" style={{ display: "flex", gap: 8 }}>
+        {(job.status === "queued" || job.status === "running") && !job.cancel_requested && (
+          <Button size="slim" onClick={() => submit("cancel", job.id)} disabled={busy}>Cancel</Button>
+        )}
+        {(job.status === "failed" || job.status === "canceled") && (
+          <Button size="slim" onClick={() => submit("retry", job.id)} disabled={busy}>Retry</Button>
+        )}
+        {issues > 0 && (
+          <Button size="slim" plain onClick={() => downloadReport(job.id)}>
+            {`Error report (${issues})`}
+          </Button>
+        )}
+      </div>,
+    ];
+  });
+
+  return (
+    <Page title="Jobs">
+      <Layout>
+        {fetcher.data && !fetcher.data.ok && (
+          <Layout.Section>
+            <Banner status="critical" title={fetcher.data.error || "Failed to update job"} />
+          </Layout.Section>
+        )}
+        {downloadError && (
+          <Layout.Section>
+            <Banner status="critical" title={downloadError} onDismiss={() => setDownloadError("")} />
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <Card sectioned>
+            <Text variant="bodyMd" as="p">
+              Filter saves, collection imports and bulk metafield updates run in the background.
+              Failed and canceled jobs can be retried from here.
+            </Text>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card sectioned>
+            {rows.length ? (
+              <DataTable
+                columnContentTypes={["text", "text", "text", "text", "text", "text"]}
+                headings={["Job", "Status", "Progress", "Created", "Finished", ""]}
+                rows={rows}
+              />
+            ) : (
+              <Text variant="bodyMd" color="subdued">No jobs yet.</Text>
+            )}
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
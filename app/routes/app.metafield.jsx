@@ -1,6 +1,23 @@
 import { json, unstable_createMemoryUploadHandler, unstable_parseMultipartFormData } from "@remix-run/node";
-import { useLoaderData, useFetcher } from "@remix-run/react";
 import { authenticate } from "../shopify.server";
+import { enqueueJob, JOB_TYPES } from "../utils/jobs.server";
+import {
+  getMetafieldDefinition,
+  updateMetafieldDefinition,
+  deleteMetafieldDefinition,
+} from "../utils/metafieldDefinitions.server";
+import {
+  DEFINITION_VALIDATIONS,
+  FILE_TYPE_OPTIONS,
+  STOREFRONT_ACCESS,
+  validateMetafieldValue,
+  validateDefinitionValidations,
+  isReferenceType,
+  baseType,
+  metaobjectDefinitionIds,
+  parseJsonValue,
+} from "../utils/metafieldValues";
+import { MetafieldValueInput, ReferencePicker, hasTypedInput } from "../components/MetafieldValueInput";
 import {
   Page,
   Layout,
@@ -13,12 +30,17 @@ import {
   Modal,
   Form,
   FormLayout,
+  ProgressBar,
+  Link,
+  Checkbox,
 } from "@shopify/polaris";
 import { useState, useCallback, useMemo, useEffect, useRef } from "react";
 import {
+  useLoaderData,
+  useFetcher,
+  useNavigate,
   useActionData,
   useNavigation,
-  Form as RemixForm,
 } from "@remix-run/react";
 // Type Map (remains unchanged)
 const typeMap = {
@@ -61,7 +83,21 @@ const reverseTypeMap = Object.fromEntries(
 
 
 
-const MAX_PAGES = 5; // Maximum pages to fetch for products/definitions
+// Owner types the editor can switch between. `connection` and `fields` list
+// the owners of a type; the shop is its own single owner.
+const OWNER_TYPES = {
+  PRODUCT: { label: "Products", noun: "product", connection: "products", fields: "id title" },
+  PRODUCTVARIANT: { label: "Variants", noun: "variant", connection: "productVariants", fields: "id title: displayName" },
+  COLLECTION: { label: "Collections", noun: "collection", connection: "collections", fields: "id title" },
+  PAGE: { label: "Pages", noun: "page", connection: "pages", fields: "id title" },
+  BLOG: { label: "Blogs", noun: "blog", connection: "blogs", fields: "id title" },
+  ARTICLE: { label: "Articles", noun: "article", connection: "articles", fields: "id title" },
+  SHOP: { label: "Shop", noun: "shop" },
+};
+
+const OWNER_TYPE_OPTIONS = Object.entries(OWNER_TYPES).map(([value, { label }]) => ({ label, value }));
+
+const MAX_PAGES = 5; // Maximum pages to fetch for owners/definitions
 const API_TIMEOUT_MS = 15000; // 15 seconds timeout per Shopify API call
 
 
@@ -84,52 +120,70 @@ async function fetchWithTimeout(admin, query, variables = {}) {
   }
 }
 
-export async function loader({ request }) {
-  try {
-    const { admin } = await authenticate.admin(request);
+// The definition a value is written to, loaded here so its validations are
+// enforced on the server too. `definition` is "namespace___key___type" and
+// must match the definition with id `definitionId`.
+async function loadWriteDefinition(admin, definitionId, definition) {
+  const [namespace, key, type] = (definition || "").split("___");
+  const loaded = definitionId ? await getMetafieldDefinition(admin, definitionId) : null;
+  if (!loaded || loaded.namespace !== namespace || loaded.key !== key || loaded.type !== type) return null;
+  return loaded;
+}
 
-    // ------- Fetch Products with Pagination Limit -------
-    let products = [];
-    let productCursor = null;
-    let hasNextPage = true;
-    let productPageCount = 0;
+// Owners of one type as `[{ id, title }]`, up to MAX_PAGES pages
+async function fetchOwners(admin, ownerType) {
+  if (ownerType === "SHOP") {
+    const data = await fetchWithTimeout(admin, `query { shop { id name } }`);
+    const shop = data?.data?.shop;
+    return shop ? [{ id: shop.id, title: shop.name }] : [];
+  }
 
-    while (hasNextPage && productPageCount < MAX_PAGES) {
-      const query = `
-        query getProducts($after: String) {
-          products(first: 100, after: $after) {
-            edges {
-              cursor
-              node { id title }
-            }
-            pageInfo { hasNextPage }
-          }
+  const { connection, fields } = OWNER_TYPES[ownerType];
+  const query = `
+    query getOwners($after: String) {
+      ${connection}(first: 100, after: $after) {
+        edges {
+          cursor
+          node { ${fields} }
         }
-      `;
-
-      const data = await fetchWithTimeout(admin, query, { after: productCursor });
-
-      const edges = data?.data?.products?.edges || [];
-      products.push(...edges.map((e) => e.node));
-      hasNextPage = data?.data?.products?.pageInfo?.hasNextPage;
-
-      if (hasNextPage && edges.length > 0) {
-        productCursor = edges[edges.length - 1].cursor;
+        pageInfo { hasNextPage }
       }
-
-      productPageCount++;
     }
+  `;
+
+  const owners = [];
+  let cursor = null;
+  let hasNextPage = true;
+  let pageCount = 0;
+  while (hasNextPage && pageCount < MAX_PAGES) {
+    const data = await fetchWithTimeout(admin, query, { after: cursor });
+    const edges = data?.data?.[connection]?.edges || [];
+    owners.push(...edges.map((e) => e.node));
+    hasNextPage = data?.data?.[connection]?.pageInfo?.hasNextPage;
+    if (hasNextPage && edges.length > 0) cursor = edges[edges.length - 1].cursor;
+    pageCount++;
+  }
+  return owners;
+}
+
+export async function loader({ request }) {
+  try {
+    const { admin } = await authenticate.admin(request);
+
+    const requestedType = new URL(request.url).searchParams.get("ownerType");
+    const ownerType = OWNER_TYPES[requestedType] ? requestedType : "PRODUCT";
+    const owners = await fetchOwners(admin, ownerType);
 
     // ------- Fetch Metafield Definitions with Pagination Limit -------
     let definitions = [];
     let defCursor = null;
-    hasNextPage = true;
+    let hasNextPage = true;
     let defPageCount = 0;
 
     while (hasNextPage && defPageCount < MAX_PAGES) {
       const query = `
-        query getMetafieldDefinitions($after: String) {
-          metafieldDefinitions(first: 100, ownerType: PRODUCT, after: $after) {
+        query getMetafieldDefinitions($ownerType: MetafieldOwnerType!, $after: String) {
+          metafieldDefinitions(first: 100, ownerType: $ownerType, after: $after) {
             edges {
               cursor
               node {
@@ -137,6 +191,7 @@ export async function loader({ request }) {
                 namespace
                 key
                 type { name }
+                validations { name value }
                 id
               }
             }
@@ -145,7 +200,7 @@ export async function loader({ request }) {
         }
       `;
 
-      const data = await fetchWithTimeout(admin, query, { after: defCursor });
+      const data = await fetchWithTimeout(admin, query, { ownerType, after: defCursor });
 
       const edges = data?.data?.metafieldDefinitions?.edges || [];
       definitions.push(
@@ -168,7 +223,10 @@ export async function loader({ request }) {
       defPageCount++;
     }
 
-    return json({ products, definitions });
+    const shopData = await fetchWithTimeout(admin, `query { shop { currencyCode } }`);
+    const currencyCode = shopData?.data?.shop?.currencyCode || "USD";
+
+    return json({ ownerType, owners, definitions, currencyCode });
   } catch (error) {
     console.error("Loader error:", error);
     // Return a generic error response, or customize as you wish
@@ -180,17 +238,8 @@ export async function loader({ request }) {
 
 const MAX_RETRIES = 5;
 const RETRY_DELAY_MS = 2000;
-const BULK_UPDATE_CHUNK_SIZE = 20;
 const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
-function chunkArray(array, chunkSize) {
-  const chunks = [];
-  for (let i = 0; i < array.length; i += chunkSize) {
-    chunks.push(array.slice(i, i + chunkSize));
-  }
-  return chunks;
-}
-
 export async function action({ request }) {
   const contentType = request.headers.get("content-type");
 
@@ -311,18 +360,18 @@ export async function action({ request }) {
       }, { status: 500 });
     }
 
-    return json({ success: true, url: fileUrl, intent: "uploadFile" });
+    return json({ success: true, url: fileUrl, fileId: createdFileId, intent: "uploadFile" });
   }
 
   // ---------------- AUTHENTICATE ----------------
-  let admin;
+  let admin, session;
   try {
     const authResult = await authenticate.admin(request);
     if (!authResult || !authResult.admin) {
       console.error("Authentication failed: No admin session returned.");
       return new Response("Unauthorized", { status: 401 });
     }
-    admin = authResult.admin;
+    ({ admin, session } = authResult);
   } catch (err) {
     console.error("Authentication error during action:", err);
     return new Response("Unauthorized - error in authenticate.admin", { status: 401 });
@@ -338,6 +387,7 @@ export async function action({ request }) {
     const name = form.get("name");
     const friendlyType = form.get("type");
     const description = form.get("description");
+    const ownerType = OWNER_TYPES[form.get("ownerType")] ? form.get("ownerType") : "PRODUCT";
 
     if (!namespace || !key || !name || !friendlyType) {
       return json({
@@ -379,7 +429,7 @@ export async function action({ request }) {
           key,
           namespace,
           name,
-          ownerType: "PRODUCT",
+          ownerType,
           type: shopifyType,
           description: description || null,
         },
@@ -405,7 +455,43 @@ export async function action({ request }) {
     }
   }
 
-  // --------- BULK UPDATE METAFIELDS WITH CHUNKING ---------
+  // --------- METAFIELD DEFINITION DETAILS / EDIT / DELETE ----------
+  if (intent === "getDefinitionDetails" || intent === "updateMetafieldDefinition" || intent === "deleteMetafieldDefinition") {
+    const definitionId = form.get("definitionId");
+    if (!definitionId) {
+      return json({ success: false, errors: [{ message: "Definition required." }], intent });
+    }
+
+    try {
+      if (intent === "getDefinitionDetails") {
+        const definition = await getMetafieldDefinition(admin, definitionId);
+        if (!definition) return json({ success: false, errors: [{ message: "Metafield definition not found." }], intent });
+        return json({ success: true, definition, intent });
+      }
+
+      if (intent === "updateMetafieldDefinition") {
+        const result = await updateMetafieldDefinition(admin, definitionId, {
+          name: form.get("name"),
+          description: form.get("description"),
+          validations: JSON.parse(form.get("validations") || "[]"),
+          pinned: form.get("pinned") === "true",
+          storefrontAccess: form.get("storefrontAccess"),
+          filterable: form.get("filterable") === "true",
+        });
+        if (!result.ok) return json({ success: false, errors: [{ message: result.error }], intent });
+        return json({ success: true, definition: result.definition, intent });
+      }
+
+      const result = await deleteMetafieldDefinition(admin, definitionId, { deleteValues: form.get("deleteValues") === "true" });
+      if (!result.ok) return json({ success: false, errors: [{ message: result.error }], intent });
+      return json({ success: true, definitionId, intent });
+    } catch (err) {
+      console.error("Metafield definition error:", err);
+      return json({ success: false, errors: [{ message: "Unexpected server error." }], intent });
+    }
+  }
+
+  // --------- BULK UPDATE METAFIELDS (background job) ---------
   if (intent === "updateMetafieldsBulk") {
     const definition = form.get("definition");
     const updatesRaw = form.get("updates") || "[]";
@@ -424,80 +510,58 @@ export async function action({ request }) {
       return json({ success: false, errors: [{ message: "Invalid JSON for updates." }], intent });
     }
 
-    const [namespace, key, originalType] = definition.split("___");
-
-    const mutation = `
-      mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
-        metafieldsSet(metafields: $metafields) {
-          metafields { key namespace value }
-          userErrors { field message }
-        }
-      }
-    `;
-
-    const chunks = chunkArray(updates, BULK_UPDATE_CHUNK_SIZE);
-    const results = [];
-
-    for (const chunk of chunks) {
-      const metafieldsInput = chunk.map(({ productId, value }) => ({
-        ownerId: productId,
-        namespace,
-        key,
-        type: originalType,
-        value,
-      }));
-
-      try {
-        const response = await admin.graphql(mutation, { variables: { metafields: metafieldsInput } });
-        const data = await response.json();
-
-        const userErrors = data?.data?.metafieldsSet?.userErrors || [];
-        if (userErrors.length > 0) {
-          // Apply same error to all in chunk
-          chunk.forEach(({ productId }) => {
-            results.push({ productId, success: false, errors: userErrors });
-          });
-        } else {
-          chunk.forEach(({ productId }) => {
-            results.push({ productId, success: true });
-          });
-        }
-      } catch (err) {
-        console.error("Error during bulk metafield set:", err);
-        chunk.forEach(({ productId }) => {
-          results.push({
-            productId,
-            success: false,
-            errors: [{ message: "Server error during bulk update." }],
-          });
-        });
-      }
-
-      // Small pause between chunks to avoid rate limits
-      await delay(300);
+    const [namespace, key] = definition.split("___");
+    const writeDefinition = await loadWriteDefinition(admin, form.get("definitionId"), definition);
+    if (!writeDefinition) {
+      return json({ success: false, errors: [{ message: "Metafield definition not found." }], intent });
+    }
+    const invalid = {};
+    for (const { ownerId, value } of updates) {
+      const error = validateMetafieldValue(writeDefinition.type, value, writeDefinition.validations);
+      if (error) invalid[ownerId] = error;
+    }
+    if (Object.keys(invalid).length > 0) {
+      const count = Object.keys(invalid).length;
+      return json({
+        success: false,
+        errors: [{ message: `${count} value${count === 1 ? " is" : "s are"} invalid.` }],
+        invalid,
+        intent,
+      });
     }
 
-    const allSuccess = results.every((r) => r.success);
-    return json({ success: allSuccess, results, intent });
+    const noun = OWNER_TYPES[form.get("ownerType")]?.noun || "owner";
+    const job = await enqueueJob(session.shop, {
+      type: JOB_TYPES.METAFIELD_BULK_UPDATE,
+      title: `Set ${namespace}.${key} on ${updates.length} ${noun}${updates.length === 1 ? "" : "s"}`,
+      payload: { definition, updates },
+    });
+    return json({ success: true, jobId: job.id, ownerIds: updates.map((u) => u.ownerId), intent });
   }
 
-  // -------- SINGLE PRODUCT UPDATE --------
+  // -------- SINGLE OWNER UPDATE --------
   if (intent === "updateMetafield") {
-    const productId = form.get("productId");
+    const ownerId = form.get("ownerId");
     const definition = form.get("definition");
     const value = form.get("value");
 
-    if (!productId || !definition || value === null) {
-      return json({ success: false, errors: [{ message: "Product ID, definition, and value are required." }], intent: "updateMetafield" });
+    if (!ownerId || !definition || value === null) {
+      return json({ success: false, errors: [{ message: "Owner ID, definition, and value are required." }], intent: "updateMetafield" });
     }
 
     const [namespace, key, originalType] = definition.split("___");
+    const writeDefinition = await loadWriteDefinition(admin, form.get("definitionId"), definition);
+    if (!writeDefinition) {
+      return json({ success: false, errors: [{ message: "Metafield definition not found." }], intent: "updateMetafield", ownerId });
+    }
 
-    if (originalType === "URL" && !/^https?:\/\//.test(value)) {
+    const invalid = validateMetafieldValue(originalType, value, writeDefinition.validations);
+    if (invalid) {
       return json({
         success: false,
-        errors: [{ message: "URL metafield value must start with http:// or https://." }],
+        errors: [{ message: invalid }],
         intent: "updateMetafield",
+        ownerId,
       });
     }
 
@@ -513,7 +577,7 @@ export async function action({ request }) {
     const variables = {
       metafields: [
         {
-          ownerId: productId,
+          ownerId,
           namespace,
           key,
           type: originalType,
@@ -527,16 +591,16 @@ export async function action({ request }) {
       const result = await response.json();
       const userErrors = result?.data?.metafieldsSet?.userErrors || [];
       if (userErrors.length > 0) {
-        return json({ success: false, errors: userErrors, intent: "updateMetafield", productId });
+        return json({ success: false, errors: userErrors, intent: "updateMetafield", ownerId });
       }
-      return json({ success: true, intent: "updateMetafield", productId });
+      return json({ success: true, intent: "updateMetafield", ownerId });
     } catch (err) {
       console.error("Metafield mutation error:", err);
       return json({
         success: false,
         errors: [{ message: "Server error during metafield update." }],
         intent: "updateMetafield",
-        productId,
+        ownerId,
       });
     }
   }
@@ -544,18 +608,18 @@ export async function action({ request }) {
   // -------- BULK GET METAFIELD VALUES --------
   if (intent === "getMetafieldValuesBulk") {
     const definition = form.get("definition");
-    const productIds = JSON.parse(form.get("productIds") || "[]");
-    if (!definition || !Array.isArray(productIds) || productIds.length === 0) {
-      return json({ success: false, errors: [{ message: "Definition and at least one product required." }], intent });
+    const ownerIds = JSON.parse(form.get("ownerIds") || "[]");
+    if (!definition || !Array.isArray(ownerIds) || ownerIds.length === 0) {
+      return json({ success: false, errors: [{ message: "Definition and at least one owner required." }], intent });
     }
     const [namespace, key, originalType] = definition.split("___");
 
-    const results = await Promise.all(productIds.map(async (productId) => {
+    const results = await Promise.all(ownerIds.map(async (ownerId) => {
       try {
         const res = await admin.graphql(`
           query getMetafield($ownerId: ID!, $namespace: String!, $key: String!) {
             node(id: $ownerId) {
-              ... on Product {
+              ... on HasMetafields {
                 metafield(namespace: $namespace, key: $key) {
                   value
                 }
@@ -564,32 +628,32 @@ export async function action({ request }) {
           }
         `, {
           variables: {
-            ownerId: productId,
+            ownerId,
             namespace,
             key,
           },
         });
         const data = await res.json();
         const value = data?.data?.node?.metafield?.value;
-        return { productId, value };
+        return { ownerId, value };
       } catch (err) {
-        return { productId, value: null };
+        return { ownerId, value: null };
       }
     }));
 
     const values = {};
-    for (const { productId, value } of results) values[productId] = value;
+    for (const { ownerId, value } of results) values[ownerId] = value;
 
     return json({ success: true, values, originalType, intent });
   }
 
   // -------- SINGLE GET METAFIELD VALUE --------
   if (intent === "getMetafieldValue") {
-    const productId = form.get("productId");
+    const ownerId = form.get("ownerId");
     const definition = form.get("definition");
 
-    if (!productId || !definition) {
-      return json({ success: false, errors: [{ message: "Product ID and definition are required to fetch metafield." }], intent: "getMetafieldValue" });
+    if (!ownerId || !definition) {
+      return json({ success: false, errors: [{ message: "Owner ID and definition are required to fetch metafield." }], intent: "getMetafieldValue" });
     }
 
     const [namespace, key, originalType] = definition.split("___");
@@ -598,7 +662,7 @@ export async function action({ request }) {
       const res = await admin.graphql(`
         query getMetafield($ownerId: ID!, $namespace: String!, $key: String!) {
           node(id: $ownerId) {
-            ... on Product {
+            ... on HasMetafields {
               metafield(namespace: $namespace, key: $key) {
                 value
               }
@@ -607,7 +671,7 @@ export async function action({ request }) {
         }
       `, {
         variables: {
-          ownerId: productId,
+          ownerId,
           namespace,
           key,
         },
@@ -628,13 +692,13 @@ export async function action({ request }) {
 
   // -------- CLEAR METAFIELD --------
   if (intent === "clearMetafield") {
-    const productId = form.get("productId");
+    const ownerId = form.get("ownerId");
     const definition = form.get("definition"); // expected format "namespace___key"
 
-    if (!productId || !definition) {
+    if (!ownerId || !definition) {
       return json({
         success: false,
-        errors: [{ message: "Product ID and definition required." }],
+        errors: [{ message: "Owner ID and definition required." }],
         intent,
       }, { status: 400 });
     }
@@ -650,20 +714,20 @@ export async function action({ request }) {
         }
       `, {
         variables: {
-          metafields: [{ ownerId: productId, namespace, key }],
+          metafields: [{ ownerId, namespace, key }],
         },
       });
 
       const delData = await delRes.json();
       const errs = delData?.data?.metafieldsDelete?.userErrors || [];
       if (errs.length) {
-        return json({ success: false, errors: errs, intent, productId });
+        return json({ success: false, errors: errs, intent, ownerId });
       }
 
-      return json({ success: true, intent, productId });
+      return json({ success: true, intent, ownerId });
     } catch (err) {
       console.error("Error clearing metafield:", err);
-      return json({ success: false, errors: [{ message: "Server error during metafield clearing." }], intent, productId });
+      return json({ success: false, errors: [{ message: "Server error during metafield clearing." }], intent, ownerId });
     }
   }
 
@@ -786,6 +850,197 @@ function CreateMetafieldDefinitionModal({ isOpen, onClose, onSubmit, isSubmittin
   );
 }
 
+// Form values of the editable validations, keyed by validation name. Choices
+// are edited one per line and file types as a list of checked kinds.
+function validationFormValues(definition) {
+  const values = {};
+  for (const { name, kind } of DEFINITION_VALIDATIONS[baseType(definition.type)] || []) {
+    const value = definition.validations.find((v) => v.name === name)?.value ?? "";
+    if (kind === "choices") values[name] = (parseJsonValue(value) || []).join("\n");
+    else if (kind === "fileTypes") values[name] = parseJsonValue(value) || [];
+    else values[name] = value;
+  }
+  return values;
+}
+
+function validationsFromForm(type, values) {
+  return (DEFINITION_VALIDATIONS[baseType(type)] || []).map(({ name, kind }) => {
+    const value = values[name];
+    if (kind === "choices") {
+      const choices = String(value || "").split("\n").map((c) => c.trim()).filter(Boolean);
+      return { name, value: choices.length ? JSON.stringify(choices) : "" };
+    }
+    if (kind === "fileTypes") return { name, value: value?.length ? JSON.stringify(value) : "" };
+    return { name, value: String(value ?? "").trim() };
+  });
+}
+
+// Edit, pin or delete an existing definition. The details (pinning, access,
+// filtering, how many owners hold a value) are loaded when the modal opens.
+function EditMetafieldDefinitionModal({ isOpen, onClose, onDeleted, definitionId, ownerNoun }) {
+  const fetcher = useFetcher();
+  const [details, setDetails] = useState(null);
+  const [name, setName] = useState("");
+  const [description, setDescription] = useState("");
+  const [validationValues, setValidationValues] = useState({});
+  const [pinned, setPinned] = useState(false);
+  const [storefrontAccess, setStorefrontAccess] = useState(STOREFRONT_ACCESS.NONE);
+  const [filterable, setFilterable] = useState(false);
+  const [deleteValues, setDeleteValues] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen || !definitionId) return;
+    setDetails(null);
+    setDeleteValues(false);
+    fetcher.submit({ intent: "getDefinitionDetails", definitionId }, { method: "post", action: "." });
+  }, [isOpen, definitionId]);
+
+  useEffect(() => {
+    const data = fetcher.data;
+    if (!data?.success || fetcher.state !== "idle") return;
+    if (data.intent === "getDefinitionDetails") {
+      const definition = data.definition;
+      setDetails(definition);
+      setName(definition.name);
+      setDescription(definition.description);
+      setValidationValues(validationFormValues(definition));
+      setPinned(definition.pinned);
+      setStorefrontAccess(definition.storefrontAccess);
+      setFilterable(definition.filterable.enabled);
+    }
+    if (data.intent === "updateMetafieldDefinition") onClose();
+    if (data.intent === "deleteMetafieldDefinition") onDeleted();
+  }, [fetcher.data, fetcher.state]);
+
+  const busy = fetcher.state !== "idle";
+  const errors = fetcher.data?.success === false ? fetcher.data.errors : null;
+  const validationFields = details ? DEFINITION_VALIDATIONS[baseType(details.type)] || [] : [];
+  const validations = details ? validationsFromForm(details.type, validationValues) : [];
+  const validationError = details ? validateDefinitionValidations(details.type, validations) : null;
+  const affected = details ? `${details.ownersAffected} ${ownerNoun}${details.ownersAffected === 1 ? "" : "s"}` : "";
+  const setValidation = (field) => (value) => setValidationValues((prev) => ({ ...prev, [field]: value }));
+
+  const handleSave = () => {
+    fetcher.submit({
+      intent: "updateMetafieldDefinition",
+      definitionId,
+      name,
+      description,
+      validations: JSON.stringify(validations),
+      pinned: String(pinned),
+      storefrontAccess,
+      filterable: String(filterable),
+    }, { method: "post", action: "." });
+  };
+
+  const handleDelete = () => {
+    const message = deleteValues
+      ? `Delete "${details.name}" and the values stored on ${affected}? This cannot be undone.`
+      : `Delete "${details.name}"? The values on ${affected} stay as metafields without a definition.`;
+    if (!confirm(message)) return;
+    fetcher.submit({ intent: "deleteMetafieldDefinition", definitionId, deleteValues: String(deleteValues) }, { method: "post", action: "." });
+  };
+
+  return (
+    <Modal
+      open={isOpen}
+      onClose={onClose}
+      title={details ? `Edit ${details.namespace}.${details.key}` : "Edit Metafield Definition"}
+      primaryAction={{
+        content: "Save",
+        onAction: handleSave,
+        loading: busy && !!details,
+        disabled: busy || !details || !name.trim() || Boolean(validationError),
+      }}
+      secondaryActions={[{ content: "Cancel", onAction: onClose, disabled: busy }]}
+    >
+      <Modal.Section>
+        {!details ? (
+          errors ? (
+            <Text color="critical" as="p">{errors.map((e) => e.message).join(", ")}</Text>
+          ) : (
+            <Text as="p" color="subdued">Loading definition…</Text>
+          )
+        ) : (
+          <FormLayout>
+            {errors && <Text color="critical" as="p">{errors.map((e) => e.message).join(", ")}</Text>}
+            <Text as="p" variant="bodyMd">
+              {`${affected} have a value for this definition. Changes apply to all of them.`}
+            </Text>
+            <TextField label="Name" value={name} onChange={setName} autoComplete="off" requiredIndicator />
+            <TextField label="Description" value={description} onChange={setDescription} multiline autoComplete="off" />
+
+            {validationFields.length > 0 && (
+              <FormLayout.Group>
+                {validationFields.map(({ name: field, label, kind }) => (
+                  kind === "fileTypes" ? (
+                    <div key={field}>
+                      <Text as="p" variant="bodyMd">{label}</Text>
+                      {FILE_TYPE_OPTIONS.map((fileType) => (
+                        <Checkbox
+                          key={fileType}
+                          label={fileType}
+                          checked={(validationValues[field] || []).includes(fileType)}
+                          onChange={(checked) => setValidation(field)(checked
+                            ? [...(validationValues[field] || []), fileType]
+                            : (validationValues[field] || []).filter((t) => t !== fileType))}
+                        />
+                      ))}
+                    </div>
+                  ) : (
+                    <TextField
+                      key={field}
+                      label={label}
+                      value={validationValues[field] ?? ""}
+                      onChange={setValidation(field)}
+                      type={kind === "number" ? "number" : kind === "date" ? "date" : "text"}
+                      multiline={kind === "choices" ? 3 : undefined}
+                      helpText={kind === "choices" ? "One choice per line" : undefined}
+                      autoComplete="off"
+                    />
+                  )
+                ))}
+              </FormLayout.Group>
+            )}
+            {validationError && <Text color="critical" as="p">{validationError}</Text>}
+
+            <Checkbox label="Pin to the top of the metafields list in the Shopify admin" checked={pinned} onChange={setPinned} />
+            <Select
+              label="Storefront access"
+              options={[
+                { label: "Readable on the storefront", value: STOREFRONT_ACCESS.PUBLIC_READ },
+                { label: "Hidden from the storefront", value: STOREFRONT_ACCESS.NONE },
+              ]}
+              value={storefrontAccess}
+              onChange={setStorefrontAccess}
+            />
+            <Checkbox
+              label="Use as a filter in the Shopify admin"
+              checked={filterable}
+              onChange={setFilterable}
+              disabled={!details.filterable.eligible && !details.filterable.enabled}
+              helpText={details.filterable.eligible ? undefined : "Not available for this type"}
+            />
+          </FormLayout>
+        )}
+      </Modal.Section>
+      {details && (
+        <Modal.Section>
+          <FormLayout>
+            <Text variant="headingSm" as="h3">Delete definition</Text>
+            <Checkbox
+              label={`Also delete the values stored on ${affected}`}
+              checked={deleteValues}
+              onChange={setDeleteValues}
+            />
+            <Button destructive onClick={handleDelete} disabled={busy}>Delete definition</Button>
+          </FormLayout>
+        </Modal.Section>
+      )}
+    </Modal>
+  );
+}
+
 // Converts 2D array of [specification, value] rows into HTML table string
 function generateTableHTML(tableData) {
   let html = "<table>";
@@ -863,15 +1118,18 @@ function TableBuilder({ data, onChange }) {
 
 
 
-export default function ProductMetafieldEditor() {
-  const { products, definitions } = useLoaderData();
+export default function MetafieldEditor() {
+  const { ownerType, owners, definitions, currencyCode } = useLoaderData();
+  const navigate = useNavigate();
+  const ownerTypeInfo = OWNER_TYPES[ownerType];
   const fetcher = useFetcher();
   const definitionFetcher = useFetcher(); // New fetcher for definition creation
+  const bulkStatusFetcher = useFetcher(); // Polls the "Save All" job
   const fileInputRef = useRef(null);
 
-  // MULTI PRODUCT SELECTION
-  const [productSearch, setProductSearch] = useState("");
-  const [selectedProductIds, setSelectedProductIds] = useState([]);
+  // MULTI OWNER SELECTION
+  const [ownerSearch, setOwnerSearch] = useState("");
+  const [selectedOwnerIds, setSelectedOwnerIds] = useState([]);
   const [selectedDef, setSelectedDef] = useState("");
   const [metafieldValues, setMetafieldValues] = useState({});
   const [listValues, setListValues] = useState({});
@@ -880,14 +1138,16 @@ export default function ProductMetafieldEditor() {
   const [bulkListValue, setBulkListValue] = useState([""]);
   const [successMap, setSuccessMap] = useState({});
   const [errorMap, setErrorMap] = useState({});
-  const [uploadProductId, setUploadProductId] = useState(null);
+  const [bulkJob, setBulkJob] = useState(null);
+  const bulkRunning = bulkJob?.status === "queued" || bulkJob?.status === "running";
+  const [uploadOwnerId, setUploadOwnerId] = useState(null);
 
   // NEW: Metafield Definition Creation State
   const [showCreateModal, setShowCreateModal] = useState(false);
+  const [showEditModal, setShowEditModal] = useState(false);
 
-  // Add inside ProductMetafieldEditor component, near your other useState calls
-  const [multiTextModeByProduct, setMultiTextModeByProduct] = useState({});
-  const [tableDataByProduct, setTableDataByProduct] = useState({});
+  const [multiTextModeByOwner, setMultiTextModeByOwner] = useState({});
+  const [tableDataByOwner, setTableDataByOwner] = useState({});
 
   // Bulk input mode for multiline text metafields: "plain" or "html" (table)
   const [bulkMultiTextMode, setBulkMultiTextMode] = useState("plain");
@@ -898,26 +1158,33 @@ export default function ProductMetafieldEditor() {
 
   
 
-  // AUTOCOMPLETE MULTI for Products
-  const productOptions = useMemo(
-    () => products.map((product) => ({ label: product.title, value: product.id })),
-    [products]
+  // AUTOCOMPLETE MULTI for Owners
+  const ownerOptions = useMemo(
+    () => owners.map((owner) => ({ label: owner.title, value: owner.id })),
+    [owners]
   );
-  // Filter out already-selected products from options + add "Select All"
-  const filteredProductOptions = useMemo(() => {
-    let options = productOptions.filter(opt => !selectedProductIds.includes(opt.value));
+  // Filter out already-selected owners from options + add "Select All"
+  const filteredOwnerOptions = useMemo(() => {
+    let options = ownerOptions.filter(opt => !selectedOwnerIds.includes(opt.value));
 
-    // Add "Select All Products" option
-    const selectAllOption = { label: "Select All Products", value: "ALL" };
-    if (productSearch.toLowerCase() === "all" || productSearch === "") {
+    // Add "Select All" option
+    const selectAllOption = { label: `Select All ${ownerTypeInfo.label}`, value: "ALL" };
+    if (ownerSearch.toLowerCase() === "all" || ownerSearch === "") {
       options = [selectAllOption, ...options];
     } else {
       options = options.filter(
-        (option) => option.label.toLowerCase().includes(productSearch.toLowerCase())
+        (option) => option.label.toLowerCase().includes(ownerSearch.toLowerCase())
       );
     }
     return options.slice(0, 20); // Limit to top 20 suggestions
-  }, [productSearch, productOptions, selectedProductIds]);
+  }, [ownerSearch, ownerOptions, selectedOwnerIds, ownerTypeInfo]);
+
+  // A new owner type starts from scratch; the shop is selected right away
+  useEffect(() => {
+    setSelectedOwnerIds(ownerType === "SHOP" ? owners.map((owner) => owner.id) : []);
+    setSelectedDef("");
+    setOwnerSearch("");
+  }, [ownerType]);
 
   // DEFINITION options (now using Polaris Select)
  // 🔹 1. Memoize the raw definition options
@@ -927,6 +1194,8 @@ const definitionOptions = useMemo(() => {
     value: `${def.namespace}___${def.key}___${def.originalType}`,
     type: def.type,
     originalType: def.originalType,
+    validations: def.validations,
+    id: def.id,
   }));
   return [{ label: "Select a metafield definition", value: "", disabled: true }, ...opts];
 }, [definitions]);
@@ -946,6 +1215,11 @@ const filteredDefs = useMemo(() => {
 const selectedDefObj = definitionOptions.find((d) => d.value === selectedDef);
 const selectedType = selectedDefObj?.type || "";
 const selectedOriginalType = selectedDefObj?.originalType || "";
+const selectedValidations = selectedDefObj?.validations || [];
+// Metaobject definitions behind a metaobject or mixed reference, for the "manage entries" link
+const entryDefinitionIds = ["metaobject_reference", "mixed_reference"].includes(baseType(selectedType))
+  ? metaobjectDefinitionIds(selectedValidations)
+  : [];
 const isListType = selectedType.startsWith("list.");
 const isJsonType = selectedType === "json";
 const isFileType = selectedType === "file_reference";
@@ -958,11 +1232,11 @@ const isColorType = selectedType === "color";
 
   // FETCH VALUES WHEN SELECTION CHANGES
   useEffect(() => {
-    if (selectedProductIds.length && selectedDef) {
+    if (selectedOwnerIds.length && selectedDef) {
       fetcher.submit(
         {
           intent: "getMetafieldValuesBulk",
-          productIds: JSON.stringify(selectedProductIds),
+          ownerIds: JSON.stringify(selectedOwnerIds),
           definition: selectedDef,
         },
         { method: "post", action: "." }
@@ -973,7 +1247,7 @@ const isColorType = selectedType === "color";
       setSuccessMap({});
       setErrorMap({});
     }
-  }, [selectedProductIds, selectedDef]);
+  }, [selectedOwnerIds, selectedDef]);
 
   // SET VALUES FROM FETCHER
   useEffect(() => {
@@ -981,7 +1255,7 @@ const isColorType = selectedType === "color";
       const fetched = fetcher.data.values || {};
       const newValues = {};
       const newListValues = {};
-      for (const pid of selectedProductIds) {
+      for (const pid of selectedOwnerIds) {
         const v = fetched[pid];
         if (isListType || (isJsonType && Array.isArray(v))) {
           try {
@@ -1000,22 +1274,22 @@ const isColorType = selectedType === "color";
       setMetafieldValues(newValues);
       setListValues(newListValues);
     }
-  }, [fetcher.data, isListType, isJsonType, selectedProductIds]);
+  }, [fetcher.data, isListType, isJsonType, selectedOwnerIds]);
 
   // HANDLE PRODUCT MULTI SELECT
-  const handleProductSelect = useCallback(
+  const handleOwnerSelect = useCallback(
     (selected) => {
       if (selected.includes("ALL")) {
-        setSelectedProductIds(productOptions.map(p => p.value)); // Select all available products
+        setSelectedOwnerIds(ownerOptions.map(p => p.value)); // Select all available owners
       } else {
-        setSelectedProductIds((prev) => Array.from(new Set([...prev, ...selected])));
+        setSelectedOwnerIds((prev) => Array.from(new Set([...prev, ...selected])));
       }
-      setProductSearch("");
+      setOwnerSearch("");
     },
-    [productOptions]
+    [ownerOptions]
   );
-  const handleRemoveProduct = (pid) => {
-    setSelectedProductIds((prev) => prev.filter((id) => id !== pid));
+  const handleRemoveOwner = (pid) => {
+    setSelectedOwnerIds((prev) => prev.filter((id) => id !== pid));
     setMetafieldValues((prev) => {
       const copy = { ...prev };
       delete copy[pid];
@@ -1039,27 +1313,27 @@ const isColorType = selectedType === "color";
   };
 
   // HANDLE VALUE CHANGE
-  const handleValueChange = (productId, val) => {
-    setMetafieldValues((prev) => ({ ...prev, [productId]: val }));
+  const handleValueChange = (ownerId, val) => {
+    setMetafieldValues((prev) => ({ ...prev, [ownerId]: val }));
   };
-  const handleListValueChange = (productId, idx, val) => {
+  const handleListValueChange = (ownerId, idx, val) => {
     setListValues((prev) => {
-      const arr = [...(prev[productId] || [""])];
+      const arr = [...(prev[ownerId] || [""])];
       arr[idx] = val;
-      return { ...prev, [productId]: arr };
+      return { ...prev, [ownerId]: arr };
     });
   };
-  const handleAddListItem = (productId) => {
+  const handleAddListItem = (ownerId) => {
     setListValues((prev) => ({
       ...prev,
-      [productId]: [...(prev[productId] || [""]), ""],
+      [ownerId]: [...(prev[ownerId] || [""]), ""],
     }));
   };
-  const handleRemoveListItem = (productId, idx) => {
+  const handleRemoveListItem = (ownerId, idx) => {
     setListValues((prev) => {
-      const arr = [...(prev[productId] || [""])];
+      const arr = [...(prev[ownerId] || [""])];
       arr.splice(idx, 1);
-      return { ...prev, [productId]: arr.length > 0 ? arr : [""] };
+      return { ...prev, [ownerId]: arr.length > 0 ? arr : [""] };
     });
   };
 
@@ -1068,15 +1342,15 @@ const isColorType = selectedType === "color";
   // 1. Multi-line Text Field: HTML TABLE MODE
   // =========================
   if (selectedType === "multi_line_text_field" && bulkMultiTextMode === "html") {
-    const newTableDataByProduct = { ...tableDataByProduct };
-    const newMultiTextModeByProduct = { ...multiTextModeByProduct };
-    selectedProductIds.forEach(pid => {
-      newTableDataByProduct[pid] = bulkTableData;
-      newMultiTextModeByProduct[pid] = "html";
+    const newTableDataByOwner = { ...tableDataByOwner };
+    const newMultiTextModeByOwner = { ...multiTextModeByOwner };
+    selectedOwnerIds.forEach(pid => {
+      newTableDataByOwner[pid] = bulkTableData;
+      newMultiTextModeByOwner[pid] = "html";
     });
-    setTableDataByProduct(newTableDataByProduct);
-    setMultiTextModeByProduct(newMultiTextModeByProduct);
-    console.log("Bulk set HTML table data and mode:", newTableDataByProduct, newMultiTextModeByProduct);
+    setTableDataByOwner(newTableDataByOwner);
+    setMultiTextModeByOwner(newMultiTextModeByOwner);
+    console.log("Bulk set HTML table data and mode:", newTableDataByOwner, newMultiTextModeByOwner);
     return;
   }
 
@@ -1085,14 +1359,14 @@ const isColorType = selectedType === "color";
   // =========================
   if (selectedType === "multi_line_text_field" && bulkMultiTextMode === "plain") {
     const newVals = { ...metafieldValues };
-    const newMultiTextModeByProduct = { ...multiTextModeByProduct };
-    selectedProductIds.forEach(pid => {
+    const newMultiTextModeByOwner = { ...multiTextModeByOwner };
+    selectedOwnerIds.forEach(pid => {
       newVals[pid] = bulkValue;
-      newMultiTextModeByProduct[pid] = "plain";
+      newMultiTextModeByOwner[pid] = "plain";
     });
     setMetafieldValues(newVals);
-    setMultiTextModeByProduct(newMultiTextModeByProduct);
-    console.log("Bulk set plain text and mode:", newVals, newMultiTextModeByProduct);
+    setMultiTextModeByOwner(newMultiTextModeByOwner);
+    console.log("Bulk set plain text and mode:", newVals, newMultiTextModeByOwner);
     return;
   }
 
@@ -1103,12 +1377,13 @@ const isColorType = selectedType === "color";
   if (isListType || (isJsonType && Array.isArray(bulkItems))) {
     console.log("Inside list/json type block");
     const updatedListValues = {};
-    selectedProductIds.forEach(pid => {
+    selectedOwnerIds.forEach(pid => {
       // Ensure existing items are valid strings before processing
       const existing = (listValues[pid] || []).filter(item => typeof item === 'string' && item.trim() !== '');
       console.log(`Processing PID: ${pid}, Existing (filtered):`, existing);
       if (existing.length > 0) {
-        updatedListValues[pid] = [...existing, ...bulkItems];
+        // A reference can be listed only once
+        updatedListValues[pid] = isReferenceType(selectedType) ? Array.from(new Set([...existing, ...bulkItems])) : [...existing, ...bulkItems];
       } else {
         updatedListValues[pid] = [...bulkItems];
       }
@@ -1123,7 +1398,7 @@ const isColorType = selectedType === "color";
   // =========================
   console.log("Inside non-list/json type block");
   const newVals = {};
-  selectedProductIds.forEach(pid => {
+  selectedOwnerIds.forEach(pid => {
     newVals[pid] = bulkValue;
   });
   console.log("newVals before setMetafieldValues:", newVals);
@@ -1131,46 +1406,47 @@ const isColorType = selectedType === "color";
 };
 
   // FILE UPLOAD
-  const handleFileChange = async (e, productId) => {
+  const handleFileChange = async (e, ownerId) => {
     const file = e.target.files[0];
     if (file) {
       setUploading(true);
-      setUploadProductId(productId);
-      handleValueChange(productId, "Uploading..."); // Show uploading status in the text field
+      setUploadOwnerId(ownerId);
+      handleValueChange(ownerId, "Uploading..."); // Show uploading status in the text field
       const formData = new FormData();
       formData.append("file", file);
       fetcher.submit(formData, { method: "post", encType: "multipart/form-data" });
     }
   };
-  // Set uploaded file URL to correct product
+  // Set uploaded file URL to correct owner
   useEffect(() => {
     if (
       fetcher.data?.intent === "uploadFile" &&
       fetcher.data?.success &&
-      uploadProductId
+      uploadOwnerId
     ) {
-      handleValueChange(uploadProductId, fetcher.data.url);
+      // File references take the file's GID, URL metafields its address
+      handleValueChange(uploadOwnerId, isFileType ? fetcher.data.fileId : fetcher.data.url);
       setUploading(false);
-      setUploadProductId(null);
+      setUploadOwnerId(null);
     }
     if (fetcher.data?.intent === "uploadFile" && !fetcher.data?.success) {
       setUploading(false);
-      setUploadProductId(null);
+      setUploadOwnerId(null);
       alert(fetcher.data.error || "Failed to upload file.");
     }
     // eslint-disable-next-line
-  }, [fetcher.data, uploadProductId]);
+  }, [fetcher.data, uploadOwnerId]);
 
   const handleBulkSubmit = (e) => {
   e.preventDefault();
 
-  // Prepare update payload for each selected product
-  const updates = selectedProductIds.map(pid => {
+  // Prepare update payload for each selected owner
+  const updates = selectedOwnerIds.map(pid => {
     let value = "";
 
     // Handle multi_line_text_field in "html" mode (table input)
-    if (selectedType === "multi_line_text_field" && multiTextModeByProduct[pid] === "html") {
-  value = generateTableHTML(tableDataByProduct[pid] || [["", ""]]);
+    if (selectedType === "multi_line_text_field" && multiTextModeByOwner[pid] === "html") {
+  value = generateTableHTML(tableDataByOwner[pid] || [["", ""]]);
 }
     // Handle Shopify LIST types or JSON lists
     else if (
@@ -1189,7 +1465,7 @@ const isColorType = selectedType === "color";
         // Validate that value is valid JSON; if not, reset to empty string
         value = JSON.stringify(JSON.parse(value));
       } catch (err) {
-        console.warn("Invalid JSON for product", pid, ":", value);
+        console.warn("Invalid JSON for owner", pid, ":", value);
         value = "";
       }
     }
@@ -1198,7 +1474,7 @@ const isColorType = selectedType === "color";
       value = metafieldValues[pid] ?? bulkValue ?? "";
     }
 
-    return { productId: pid, value };
+    return { ownerId: pid, value };
   });
 
   // Filter to allow all list/JSON updates, but ignore empty scalar values
@@ -1214,7 +1490,18 @@ const isColorType = selectedType === "color";
   });
 
   if (filteredUpdates.length === 0 && selectedDef) {
-    alert("No valid metafield values to save for the selected definition and products. All values are empty or invalid.");
+    alert(`No valid metafield values to save for the selected definition and ${ownerTypeInfo.label.toLowerCase()}. All values are empty or invalid.`);
+    return;
+  }
+
+  const invalid = {};
+  updates.forEach(({ ownerId, value }) => {
+    const error = validateMetafieldValue(selectedType, value, selectedValidations);
+    if (error) invalid[ownerId] = error;
+  });
+  if (Object.keys(invalid).length > 0) {
+    setSuccessMap({});
+    setErrorMap(invalid);
     return;
   }
 
@@ -1222,26 +1509,28 @@ const isColorType = selectedType === "color";
   fetcher.submit(
     {
       intent: "updateMetafieldsBulk",
+      ownerType,
       definition: selectedDef,
+      definitionId: selectedDefObj?.id,
       updates: JSON.stringify(updates),
     },
     { method: "post", action: "." }
   );
 };
   // PER-ROW SUBMIT
-const handleRowUpdate = (productId) => {
+const handleRowUpdate = (ownerId) => {
   let value = "";
 
   // Handle multiline_text_field with "html" input mode (Table Builder)
-  if (selectedType === "multi_line_text_field" && multiTextModeByProduct[productId] === "html") {
-    const tableData = tableDataByProduct[productId] || [["", ""]];
+  if (selectedType === "multi_line_text_field" && multiTextModeByOwner[ownerId] === "html") {
+    const tableData = tableDataByOwner[ownerId] || [["", ""]];
     value = generateTableHTML(tableData); // Convert table data to HTML string
-  } else if (isListType || (isJsonType && Array.isArray(listValues[productId]) && selectedOriginalType.startsWith("LIST."))) {
-    const rawList = listValues[productId] || [""];
+  } else if (isListType || (isJsonType && Array.isArray(listValues[ownerId]) && selectedOriginalType.startsWith("LIST."))) {
+    const rawList = listValues[ownerId] || [""];
     const cleanList = rawList.filter(v => v !== null && v.trim() !== "");
     value = JSON.stringify(cleanList.length > 0 ? cleanList : []); // Ensure empty array if all empty
-  } else if (isJsonType && metafieldValues[productId]) {
-    value = metafieldValues[productId];
+  } else if (isJsonType && metafieldValues[ownerId]) {
+    value = metafieldValues[ownerId];
     try {
       value = JSON.stringify(JSON.parse(value));
     } catch (e) {
@@ -1249,12 +1538,19 @@ const handleRowUpdate = (productId) => {
       return;
     }
   } else {
-    value = metafieldValues[productId] || "";
+    value = metafieldValues[ownerId] || "";
+  }
+
+  const invalid = validateMetafieldValue(selectedType, value, selectedValidations);
+  if (invalid) {
+    setSuccessMap((prev) => ({ ...prev, [ownerId]: false }));
+    setErrorMap((prev) => ({ ...prev, [ownerId]: invalid }));
+    return;
   }
 
   if (!value && !(isListType || isJsonType)) { // For scalar types, prompt before clearing
-    if (confirm("Value is empty. Do you want to clear this metafield for this product?")) {
-      handleRowClear(productId);
+    if (confirm(`Value is empty. Do you want to clear this metafield for this ${ownerTypeInfo.noun}?`)) {
+      handleRowClear(ownerId);
     }
     return;
   }
@@ -1262,8 +1558,9 @@ const handleRowUpdate = (productId) => {
   fetcher.submit(
     {
       intent: "updateMetafield",
-      productId,
+      ownerId,
       definition: selectedDef,
+      definitionId: selectedDefObj?.id,
       value,
     },
     { method: "post", action: "." }
@@ -1271,11 +1568,11 @@ const handleRowUpdate = (productId) => {
 };
 
 
-const handleRowClear = (productId) => {
+const handleRowClear = (ownerId) => {
   fetcher.submit(
     {
       intent: "clearMetafield",
-      productId,
+      ownerId,
       definition: selectedDef, // "namespace___key___originalType"
     },
     { method: "post", action: "." }
@@ -1285,22 +1582,24 @@ const handleRowClear = (productId) => {
 
 // Success/error feedback per row
 useEffect(() => {
-  if (fetcher.data?.intent === "updateMetafieldsBulk" && fetcher.data?.results) {
-    const s = {}, e = {};
-    fetcher.data.results.forEach(r => {
-      if (r.success) s[r.productId] = true;
-      else e[r.productId] = r.errors?.map(x => x.message).join(", ") || "Error";
-    });
-    setSuccessMap(s);
-    setErrorMap(e);
+  if (fetcher.data?.intent === "updateMetafieldsBulk") {
+    if (fetcher.data.success && fetcher.data.jobId) {
+      setBulkJob({ id: fetcher.data.jobId, status: "queued", ownerIds: fetcher.data.ownerIds });
+      setSuccessMap({});
+      setErrorMap({});
+      bulkStatusFetcher.load(`/app/job_status?jobId=${fetcher.data.jobId}`);
+    } else if (!fetcher.data.success) {
+      if (fetcher.data.invalid) setErrorMap(fetcher.data.invalid);
+      alert(fetcher.data.errors?.map(x => x.message).join(", ") || "Failed to start the bulk update.");
+    }
   }
-  if (fetcher.data?.intent === "updateMetafield" && fetcher.data?.productId) {
-    if (fetcher.data.success) setSuccessMap((prev) => ({ ...prev, [fetcher.data.productId]: true }));
-    else setErrorMap((prev) => ({ ...prev, [fetcher.data.productId]: fetcher.data.errors?.map(x => x.message).join(", ") || "Error" }));
+  if (fetcher.data?.intent === "updateMetafield" && fetcher.data?.ownerId) {
+    if (fetcher.data.success) setSuccessMap((prev) => ({ ...prev, [fetcher.data.ownerId]: true }));
+    else setErrorMap((prev) => ({ ...prev, [fetcher.data.ownerId]: fetcher.data.errors?.map(x => x.message).join(", ") || "Error" }));
   }
 
-  if (fetcher.data?.intent === "clearMetafield" && fetcher.data?.productId) {
-    const pid = fetcher.data.productId;
+  if (fetcher.data?.intent === "clearMetafield" && fetcher.data?.ownerId) {
+    const pid = fetcher.data.ownerId;
     if (fetcher.data.success) {
       setMetafieldValues(prev => ({ ...prev, [pid]: "" }));
       setListValues(prev => ({ ...prev, [pid]: [""] }));
@@ -1316,6 +1615,25 @@ useEffect(() => {
 }, [fetcher.data]);
 
 
+// Poll the bulk update job; owners without an error item were saved
+useEffect(() => {
+  const job = bulkStatusFetcher.data?.job;
+  if (!job) return;
+  setBulkJob(prev => ({ ...prev, ...job }));
+  if (job.status === "queued" || job.status === "running") {
+    const timer = setTimeout(() => bulkStatusFetcher.load(`/app/job_status?jobId=${job.id}`), 2000);
+    return () => clearTimeout(timer);
+  }
+  const e = {};
+  (bulkStatusFetcher.data.items || []).forEach(item => { e[item.ref] = item.message || "Error"; });
+  const s = {};
+  if (job.status === "completed") {
+    (bulkJob?.ownerIds || []).forEach(pid => { if (!e[pid]) s[pid] = true; });
+  }
+  setSuccessMap(s);
+  setErrorMap(e);
+}, [bulkStatusFetcher.data]);
+
 // Handle Definition Creation feedback
 useEffect(() => {
   if (definitionFetcher.data?.intent === "createMetafieldDefinition") {
@@ -1373,16 +1691,29 @@ useEffect(() => {
 
 
 return (
-  <Page title="🚧 Metafield Workbench">
+  <Page
+    title="🚧 Metafield Workbench"
+    secondaryActions={[{ content: "Product metafields in Excel", url: "/app/product_metafields" }]}
+  >
     <Layout>
       <Layout.Section>
         <Card sectioned spacing="loose">
           <form onSubmit={handleBulkSubmit}>
-            {/* Selected Products as Chips */}
-            {selectedProductIds.length > 0 && (
+            {/* Owner Type Switcher */}
+            <div style={{ marginBottom: "1.5rem" }}>
+              <Select
+                label="Edit metafields of"
+                options={OWNER_TYPE_OPTIONS}
+                value={ownerType}
+                onChange={(value) => navigate(`?ownerType=${value}`)}
+              />
+            </div>
+
+            {/* Selected Owners as Chips */}
+            {ownerType !== "SHOP" && selectedOwnerIds.length > 0 && (
               <div style={{ marginBottom: "1rem", display: "flex", flexWrap: "wrap", gap: "8px" }}>
-                {selectedProductIds.map(pid => {
-                  const product = productOptions.find(p => p.value === pid);
+                {selectedOwnerIds.map(pid => {
+                  const owner = ownerOptions.find(p => p.value === pid);
                   return (
                     <span
                       key={pid}
@@ -1400,10 +1731,10 @@ return (
                         marginRight: "4px",
                       }}
                     >
-                      {product?.label}
+                      {owner?.label}
                       <button
                         type="button"
-                        onClick={() => handleRemoveProduct(pid)}
+                        onClick={() => handleRemoveOwner(pid)}
                         style={{
                           background: "none",
                           border: "none",
@@ -1425,24 +1756,26 @@ return (
               </div>
             )}
 
-            {/* Product Multi-Select */}
-            <div style={{ marginBottom: "1.5rem" }}>
-              <Autocomplete
-                options={filteredProductOptions}
-                selected={[]}
-                onSelect={handleProductSelect}
-                allowMultiple
-                textField={
-                  <Autocomplete.TextField
-                    label="Search Products"
-                    value={productSearch}
-                    onChange={setProductSearch}
-                    placeholder="Search Product Name"
-                    autoComplete="off"
-                  />
-                }
-              />
-            </div>
+            {/* Owner Multi-Select */}
+            {ownerType !== "SHOP" && (
+              <div style={{ marginBottom: "1.5rem" }}>
+                <Autocomplete
+                  options={filteredOwnerOptions}
+                  selected={[]}
+                  onSelect={handleOwnerSelect}
+                  allowMultiple
+                  textField={
+                    <Autocomplete.TextField
+                      label={`Search ${ownerTypeInfo.label}`}
+                      value={ownerSearch}
+                      onChange={setOwnerSearch}
+                      placeholder={`Search ${ownerTypeInfo.noun} name`}
+                      autoComplete="off"
+                    />
+                  }
+                />
+              </div>
+            )}
 
             {/* Definition Dropdown */}
             <div style={{ marginBottom: "1.5rem", display: 'flex', alignItems: 'flex-end', gap: '1rem' }}>
@@ -1472,16 +1805,35 @@ return (
                   }
                 />
               </div>
+              <Button onClick={() => setShowEditModal(true)} disabled={!selectedDefObj?.id}>
+                Edit Definition
+              </Button>
               <Button onClick={() => setShowCreateModal(true)}>
                 Create New Definition
               </Button>
             </div>
 
+            {entryDefinitionIds.length > 0 && (
+              <div style={{ marginTop: "-1rem", marginBottom: "1.5rem" }}>
+                <Text as="p" variant="bodySm" color="subdued">
+                  Entries of this reference are managed on the{" "}
+                  {entryDefinitionIds.map((id, i) => (
+                    <span key={id}>
+                      {i > 0 && ", "}
+                      <Link url={`/app/metaobjects?definitionId=${encodeURIComponent(id)}`}>
+                        {entryDefinitionIds.length > 1 ? `Metaobjects page (${i + 1})` : "Metaobjects page"}
+                      </Link>
+                    </span>
+                  ))}.
+                </Text>
+              </div>
+            )}
+
             {/* Bulk Set */}
-            {selectedProductIds.length > 1 && selectedDef && (
+            {selectedOwnerIds.length > 1 && selectedDef && (
               <div style={{ marginBottom: "1.5rem" }}>
                 <Text as="p" variant="bodyMd" style={{ fontWeight: 700, color: "#97530bff", marginBottom: 8 }}>
-                  Bulk set value for all selected products:
+                  Bulk set value for all selected {ownerTypeInfo.label.toLowerCase()}:
                 </Text>
 
                 {selectedType === "multi_line_text_field" ? (
@@ -1540,6 +1892,15 @@ return (
                       </>
                     )}
                   </div>
+                ) : isListType && isReferenceType(selectedType) ? (
+                  <ReferencePicker
+                    type={selectedType}
+                    label="Bulk Value"
+                    value={bulkListValue}
+                    onChange={setBulkListValue}
+                    allowMultiple
+                    validations={selectedValidations}
+                  />
                 ) : isListType || (isJsonType && selectedOriginalType.startsWith("LIST.")) ? (
                   <>
                     {bulkListValue.map((item, idx) => (
@@ -1614,22 +1975,14 @@ return (
                       }}
                     >＋ Add List Item</button>
                   </>
-                ) : selectedType === "color" ? (
-                  <TextField
-                    label={<span style={{ color: "#f59e42", fontWeight: 700 }}>Bulk Value (Color)</span>}
+                ) : hasTypedInput(selectedType) ? (
+                  <MetafieldValueInput
+                    type={selectedType}
+                    label="Bulk Value"
                     value={bulkValue}
                     onChange={setBulkValue}
-                    type="color"
-                    autoComplete="off"
-                    fullWidth
-                    style={{
-                      fontWeight: 700,
-                      color: "#f59e42",
-                      background: "#fffbe8",
-                      border: "1.5px solid #fde68a",
-                      borderRadius: "6px",
-                      boxShadow: "0 1px 8px #fde68a40"
-                    }}
+                    validations={selectedValidations}
+                    currencyCode={currencyCode}
                   />
                 ) : selectedType === "boolean" ? (
                   <Select
@@ -1650,7 +2003,7 @@ return (
                     autoComplete="off"
                     fullWidth
                     multiline={selectedType === "multi_line_text_field" || selectedType === "rich_text_field" || selectedType === "json"}
-                    type={selectedType === "integer" || selectedType === "float" ? "number" : "text"}
+                    type={selectedType === "number_integer" || selectedType === "number_decimal" ? "number" : "text"}
                     style={{
                       fontWeight: 700,
                       color: "#f59e42",
@@ -1677,28 +2030,28 @@ return (
               </div>
             )}
 
-            {/* Table/List of Products */}
-            {selectedDef && selectedProductIds.length > 0 && (
+            {/* Table/List of Owners */}
+            {selectedDef && selectedOwnerIds.length > 0 && (
               <div style={{ marginBottom: "1.5rem" }}>
                 <table style={{ width: "100%", borderCollapse: "collapse" }}>
                   <thead>
                     <tr>
-                      <th style={{ textAlign: "left", padding: "8px" }}>Product</th>
+                      <th style={{ textAlign: "left", padding: "8px" }}>{ownerTypeInfo.label}</th>
                       <th style={{ textAlign: "left", padding: "8px" }}>Metafield Value</th>
                       <th style={{ textAlign: "left", padding: "8px" }}>Update</th>
                       <th style={{ textAlign: "left", padding: "8px" }}>Status</th>
                     </tr>
                   </thead>
                   <tbody>
-                    {selectedProductIds.map(pid => {
-                      const product = productOptions.find(p => p.value === pid);
+                    {selectedOwnerIds.map(pid => {
+                      const owner = ownerOptions.find(p => p.value === pid);
                       let value = metafieldValues[pid] || "";
                       let listVal = listValues[pid] || [""];
 
                       return (
                         <tr key={pid} style={{ borderBottom: "1px solid #eee" }}>
                           <td style={{ padding: "8px", verticalAlign: "top" }}>
-                            <Text as="span" variant="bodyMd">{product?.label}</Text>
+                            <Text as="span" variant="bodyMd">{owner?.label}</Text>
                           </td>
                           <td style={{ padding: "8px", verticalAlign: "top" }}>
                             {selectedType === "multi_line_text_field" ? (
@@ -1710,22 +2063,22 @@ return (
                                     { label: "Plain Text", value: "plain" },
                                     { label: "HTML Table", value: "html" },
                                   ]}
-                                  value={multiTextModeByProduct[pid] || "plain"}
+                                  value={multiTextModeByOwner[pid] || "plain"}
                                   onChange={(val) => {
-                                    setMultiTextModeByProduct(prev => ({ ...prev, [pid]: val }));
+                                    setMultiTextModeByOwner(prev => ({ ...prev, [pid]: val }));
                                     if (val !== "html") {
-                                      setTableDataByProduct(prev => {
+                                      setTableDataByOwner(prev => {
                                         const copy = { ...prev };
                                         delete copy[pid];
                                         return copy;
                                       });
-                                    } else if (!tableDataByProduct[pid]) {
-                                      setTableDataByProduct(prev => ({ ...prev, [pid]: [["", ""]] }));
+                                    } else if (!tableDataByOwner[pid]) {
+                                      setTableDataByOwner(prev => ({ ...prev, [pid]: [["", ""]] }));
                                     }
                                   }}
                                 />
                                 {/* Plain text input */}
-                                {multiTextModeByProduct[pid] === "plain" && (
+                                {multiTextModeByOwner[pid] === "plain" && (
                                   <TextField
                                     label="Plain Text"
                                     value={metafieldValues[pid] || ""}
@@ -1737,17 +2090,17 @@ return (
                                   />
                                 )}
                                 {/* Table builder with live HTML preview */}
-                                {multiTextModeByProduct[pid] === "html" && (
+                                {multiTextModeByOwner[pid] === "html" && (
                                   <>
                                     <TableBuilder
-                                      data={tableDataByProduct[pid] || [["", ""]]}
-                                      onChange={(newTable) => setTableDataByProduct(prev => ({ ...prev, [pid]: newTable }))}
+                                      data={tableDataByOwner[pid] || [["", ""]]}
+                                      onChange={(newTable) => setTableDataByOwner(prev => ({ ...prev, [pid]: newTable }))}
                                     />
                                     <TextField
                                       label="Generated HTML Preview"
                                       multiline
                                       readOnly
-                                      value={generateTableHTML(tableDataByProduct[pid] || [["", ""]])}
+                                      value={generateTableHTML(tableDataByOwner[pid] || [["", ""]])}
                                       helpText="This HTML markup will be saved as the metafield value."
                                       style={{ marginTop: "12px", fontFamily: "monospace" }}
                                       fullWidth
@@ -1755,6 +2108,15 @@ return (
                                   </>
                                 )}
                               </div>
+                            ) : isListType && isReferenceType(selectedType) ? (
+                              <ReferencePicker
+                                type={selectedType}
+                                label="Metafield Value"
+                                value={listVal}
+                                onChange={ids => setListValues(prev => ({ ...prev, [pid]: ids }))}
+                                allowMultiple
+                                validations={selectedValidations}
+                              />
                             ) : isListType || (isJsonType && selectedOriginalType.startsWith("LIST.")) ? (
                               <>
                                 {listVal.map((item, idx) => (
@@ -1800,13 +2162,21 @@ return (
                                   }}
                                 >＋ Add List Item</button>
                               </>
+                            ) : hasTypedInput(selectedType) ? (
+                              <MetafieldValueInput
+                                type={selectedType}
+                                value={value}
+                                onChange={val => handleValueChange(pid, val)}
+                                validations={selectedValidations}
+                                currencyCode={currencyCode}
+                              />
                             ) : (isFileType || isUrlType) ? (
   <>
-    <Text as="p" variant="bodyMd">Upload File (or enter a URL)</Text>
+    <Text as="p" variant="bodyMd">{isFileType ? "Upload a file (or pick one)" : "Upload File (or enter a URL)"}</Text>
     <div style={{ display: "flex", alignItems: "center", gap: "1rem" }}>
       <Button
         onClick={() => {
-          setUploadProductId(pid);
+          setUploadOwnerId(pid);
           fileInputRef.current?.click();
         }}
         disabled={uploading}
@@ -1819,18 +2189,27 @@ return (
         ref={fileInputRef}
         onChange={e => handleFileChange(e, pid)}
       />
-      {uploading && uploadProductId === pid && (
+      {uploading && uploadOwnerId === pid && (
         <Text as="span" variant="bodySm" color="subdued">Uploading...</Text>
       )}
     </div>
-    <TextField
-      label="Metafield Value (URL)"
-      value={value}
-      onChange={val => handleValueChange(pid, val)}
-      autoComplete="off"
-      fullWidth
-      placeholder="Paste a URL or upload a file"
-    />
+    {isFileType ? (
+      <ReferencePicker
+        type={selectedType}
+        label="Metafield Value (File)"
+        value={value}
+        onChange={val => handleValueChange(pid, val)}
+      />
+    ) : (
+      <TextField
+        label="Metafield Value (URL)"
+        value={value}
+        onChange={val => handleValueChange(pid, val)}
+        autoComplete="off"
+        fullWidth
+        placeholder="Paste a URL or upload a file"
+      />
+    )}
   </>
                             ) : selectedType === "boolean" ? (
                               <Select
@@ -1851,7 +2230,7 @@ return (
                                 multiline={selectedType === "rich_text_field" || selectedType === "json"}
                                 autoComplete="off"
                                 fullWidth
-                                type={selectedType === "integer" || selectedType === "float" ? "number" : "text"}
+                                type={selectedType === "number_integer" || selectedType === "number_decimal" ? "number" : "text"}
                               />
                             )}
                           </td>
@@ -1883,17 +2262,36 @@ return (
               </div>
             )}
 
+            {bulkRunning && (
+              <div style={{ margin: "12px 0" }}>
+                <Text variant="bodyMd">
+                  {bulkJob.progress_total
+                    ? `Saving metafields (${bulkJob.progress_done} of ${bulkJob.progress_total})`
+                    : "Save queued..."}
+                </Text>
+                <ProgressBar progress={bulkJob.progress_total ? Math.round((bulkJob.progress_done / bulkJob.progress_total) * 100) : 0} size="small" />
+              </div>
+            )}
+            {(bulkJob?.status === "failed" || bulkJob?.status === "canceled") && (
+              <div style={{ margin: "12px 0" }}>
+                <Text variant="bodyMd" color="critical">
+                  {bulkJob.status === "failed" ? `Save failed: ${bulkJob.error}` : "Save canceled."} See the <Link url="/app/jobs">Jobs</Link> page.
+                </Text>
+              </div>
+            )}
+
             {/* Save/Update Button */}
             <Button
               submit
               primary
-              loading={fetcher.state === "submitting" || fetcher.state === "loading"}
+              loading={fetcher.state === "submitting" || fetcher.state === "loading" || bulkRunning}
               disabled={
-                !selectedProductIds.length ||
+                !selectedOwnerIds.length ||
                 !selectedDef ||
                 uploading ||
                 fetcher.state === "submitting" ||
-                fetcher.state === "loading"
+                fetcher.state === "loading" ||
+                bulkRunning
               }
               style={{
                 backgroundColor: "#16a34a",
@@ -1910,6 +2308,16 @@ return (
     </Layout>
 
     {/* NEW: Metafield Definition Creation Modal */}
+    <EditMetafieldDefinitionModal
+      isOpen={showEditModal}
+      onClose={() => setShowEditModal(false)}
+      onDeleted={() => {
+        setShowEditModal(false);
+        setSelectedDef("");
+      }}
+      definitionId={selectedDefObj?.id}
+      ownerNoun={ownerTypeInfo.noun}
+    />
     <CreateMetafieldDefinitionModal
       isOpen={showCreateModal}
       onClose={() => setShowCreateModal(false)}
@@ -1921,6 +2329,7 @@ return (
         formData.append("name", definitionData.name);
         formData.append("type", reverseTypeMap[definitionData.type] || definitionData.type);
         formData.append("description", definitionData.description);
+        formData.append("ownerType", ownerType);
         definitionFetcher.submit(formData, { method: "post", action: "." });
       }}
       isSubmitting={definitionFetcher.state === "submitting" || definitionFetcher.state === "loading"}
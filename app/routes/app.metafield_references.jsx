@@ -0,0 +1,113 @@
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { REFERENCE_TYPES } from "../utils/metafieldValues";
+
+// Matches returned per search
+const SEARCH_LIMIT = 20;
+
+// Connection searched for each reference type; `label` is aliased in the query
+const SEARCHES = {
+  product_reference: { connection: "products", fields: "id label: title" },
+  variant_reference: { connection: "productVariants", fields: "id label: displayName" },
+  collection_reference: { connection: "collections", fields: "id label: title" },
+  page_reference: { connection: "pages", fields: "id label: title" },
+  customer_reference: { connection: "customers", fields: "id label: displayName" },
+  company_reference: { connection: "companies", fields: "id label: name" },
+  file_reference: { connection: "files", fields: "id alt ... on GenericFile { url } ... on MediaImage { image { url } }" },
+};
+
+const NODE_LABELS_QUERY = `
+  query referenceLabels($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      id
+      ... on Product { title }
+      ... on ProductVariant { displayName }
+      ... on Collection { title }
+      ... on Page { title }
+      ... on Customer { displayName }
+      ... on Company { name }
+      ... on Metaobject { displayName }
+      ... on GenericFile { alt url }
+      ... on MediaImage { alt image { url } }
+    }
+  }
+`;
+
+const METAOBJECT_DEFINITION_TYPE_QUERY = `
+  query metaobjectDefinitionType($id: ID!) {
+    metaobjectDefinition(id: $id) { type }
+  }
+`;
+
+const METAOBJECTS_QUERY = `
+  query metaobjectsByType($type: String!, $first: Int!, $query: String) {
+    metaobjects(type: $type, first: $first, query: $query) {
+      nodes { id label: displayName }
+    }
+  }
+`;
+
+function nodeLabel(node) {
+  const url = node.url || node.image?.url || "";
+  return node.label || node.title || node.displayName || node.name || node.alt || url.split("?")[0].split("/").pop() || node.id;
+}
+
+async function searchMetaobjects(admin, definitionIds, q) {
+  const options = [];
+  for (const id of definitionIds) {
+    const typeRes = await admin.graphql(METAOBJECT_DEFINITION_TYPE_QUERY, { variables: { id } });
+    const type = (await typeRes.json())?.data?.metaobjectDefinition?.type;
+    if (!type) continue;
+    const res = await admin.graphql(METAOBJECTS_QUERY, { variables: { type, first: SEARCH_LIMIT, query: q || null } });
+    const data = await res.json();
+    options.push(...(data?.data?.metaobjects?.nodes || []));
+  }
+  return options;
+}
+
+// ------------------------------------
+// Loader — options for the Metafield Editor reference pickers
+//   ?type=product_reference&q=chair            search one reference type
+//   ?type=metaobject_reference&definitionIds=  metaobject entries of the definitions
+//   ?ids=gid://shopify/Product/1,...           labels of chosen references
+// ------------------------------------
+export async function loader({ request }) {
+  const { admin } = await authenticate.admin(request);
+  const params = new URL(request.url).searchParams;
+
+  try {
+    const ids = (params.get("ids") || "").split(",").filter(Boolean);
+    if (ids.length) {
+      const res = await admin.graphql(NODE_LABELS_QUERY, { variables: { ids } });
+      const data = await res.json();
+      const options = (data?.data?.nodes || []).filter(Boolean).map((node) => ({ value: node.id, label: nodeLabel(node) }));
+      return json({ options });
+    }
+
+    const type = params.get("type");
+    const q = params.get("q") || "";
+    if (!REFERENCE_TYPES[type]) return json({ options: [], error: "Unknown reference type" }, { status: 400 });
+
+    if (type === "metaobject_reference" || type === "mixed_reference") {
+      const definitionIds = (params.get("definitionIds") || "").split(",").filter(Boolean);
+      const nodes = await searchMetaobjects(admin, definitionIds, q);
+      return json({ options: nodes.map((node) => ({ value: node.id, label: nodeLabel(node) })) });
+    }
+
+    const { connection, fields } = SEARCHES[type];
+    const res = await admin.graphql(`
+      query searchReferences($first: Int!, $query: String) {
+        ${connection}(first: $first, query: $query) {
+          nodes { ${fields} }
+        }
+      }
+    `, { variables: { first: SEARCH_LIMIT, query: q || null } });
+    const data = await res.json();
+    if (data?.errors?.length) return json({ options: [], error: data.errors[0].message }, { status: 502 });
+    const options = (data?.data?.[connection]?.nodes || []).map((node) => ({ value: node.id, label: nodeLabel(node) }));
+    return json({ options });
+  } catch (err) {
+    console.error("[metafield references] Error:", err);
+    return json({ options: [], error: err.message || "Search failed" }, { status: 500 });
+  }
+}
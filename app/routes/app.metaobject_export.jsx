@@ -0,0 +1,38 @@
+import { authenticate } from "../shopify.server";
+import { buildSheetBuffer } from "../utils/excel.server";
+import { buildMetaobjectSheet, getMetaobjectDefinition } from "../utils/metaobjects.server";
+
+const CONTENT_TYPES = {
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  csv: "text/csv; charset=utf-8",
+};
+
+// ------------------------------------
+// Loader — downloads every entry of one metaobject definition
+//   ?definitionId=gid://shopify/MetaobjectDefinition/1
+//   &format=xlsx|csv
+// ------------------------------------
+export async function loader({ request }) {
+  const { admin } = await authenticate.admin(request);
+  const url = new URL(request.url);
+  const definitionId = url.searchParams.get("definitionId");
+  const format = url.searchParams.get("format") === "csv" ? "csv" : "xlsx";
+
+  try {
+    const definition = definitionId && await getMetaobjectDefinition(admin, definitionId);
+    if (!definition) return new Response("Metaobject definition not found", { status: 404 });
+
+    const { headers, rows } = await buildMetaobjectSheet(admin, definition);
+    const buffer = await buildSheetBuffer(headers, rows, { format, sheetName: "Entries" });
+
+    return new Response(buffer, {
+      headers: {
+        "Content-Type": CONTENT_TYPES[format],
+        "Content-Disposition": `attachment; filename="metaobjects-${definition.type}.${format}"`,
+      },
+    });
+  } catch (err) {
+    console.error("[metaobject export] Error:", err);
+    return new Response("Failed to export metaobjects", { status: 500 });
+  }
+}
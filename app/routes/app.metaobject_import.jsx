@@ -0,0 +1,62 @@
+import { json, unstable_parseMultipartFormData, unstable_createMemoryUploadHandler } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { readNumberedSheetRows } from "../utils/excel.server";
+import {
+  getMetaobjectDefinition,
+  previewMetaobjectImport,
+  startMetaobjectImport,
+} from "../utils/metaobjects.server";
+
+// How many row problems are sent back with the preview
+const PREVIEW_LIMIT = 100;
+
+// ------------------------------------
+// Action — preview (dry run) or queue the import of an entries sheet.
+// Used by the Metaobjects page; the import itself runs as a job.
+// ------------------------------------
+export async function action({ request }) {
+  const { admin, session } = await authenticate.admin(request);
+
+  const uploadHandler = unstable_createMemoryUploadHandler({ maxPartSize: 50_000_000 }); // 50 MB
+  let formData;
+  try {
+    formData = await unstable_parseMultipartFormData(request, uploadHandler);
+  } catch (error) {
+    console.error("[metaobject import] Error parsing upload:", error);
+    return json({ ok: false, error: "Failed to read the upload. The file might be too large." }, { status: 400 });
+  }
+
+  const intent = formData.get("intent");
+  const file = formData.get("file");
+  if (!file || typeof file !== "object") {
+    return json({ ok: false, intent, error: "No file uploaded." }, { status: 400 });
+  }
+
+  const buffer = Buffer.from(await file.arrayBuffer());
+  let rows;
+  try {
+    rows = await readNumberedSheetRows(buffer, file.name);
+  } catch (error) {
+    console.error("[metaobject import] Error reading sheet:", error);
+    return json({ ok: false, intent, error: `Failed to read ${file.name}. Upload a valid .xlsx or .csv file.` }, { status: 400 });
+  }
+
+  try {
+    const definition = await getMetaobjectDefinition(admin, formData.get("definitionId"));
+    if (!definition) return json({ ok: false, intent, error: "Metaobject definition not found." }, { status: 404 });
+
+    const summary = await previewMetaobjectImport(admin, definition, rows);
+    const errors = summary.errors.slice(0, PREVIEW_LIMIT);
+
+    if (intent === "apply") {
+      if (summary.entries === 0) return json({ ok: false, intent, error: "No valid rows to import.", errors }, { status: 400 });
+      const { status, ...result } = await startMetaobjectImport(session.shop, definition, { buffer, fileName: file.name });
+      return json({ ...result, intent, summary: { ...summary, errors: summary.errors.length }, errors }, { status });
+    }
+
+    return json({ ok: true, intent: "preview", summary: { ...summary, errors: summary.errors.length }, errors });
+  } catch (error) {
+    console.error("[metaobject import] Error:", error);
+    return json({ ok: false, intent, error: error.message || "Import failed. No changes were saved." }, { status: 500 });
+  }
+}
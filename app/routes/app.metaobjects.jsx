@@ -0,0 +1,482 @@
+import { json } from "@remix-run/node";
+import { useLoaderData, useFetcher, useNavigate } from "@remix-run/react";
+import { useState, useEffect, useCallback } from "react";
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  Button,
+  TextField,
+  Select,
+  DataTable,
+  Banner,
+  FormLayout,
+  Modal,
+  DropZone,
+  LegacyStack,
+  Link,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import {
+  listMetaobjectDefinitions,
+  getMetaobjectDefinition,
+  listMetaobjects,
+  saveMetaobject,
+  deleteMetaobject,
+} from "../utils/metaobjects.server";
+import { MetafieldValueInput, ReferencePicker, hasTypedInput } from "../components/MetafieldValueInput";
+import { isListType, isReferenceType, parseJsonValue, validateMetafieldValue } from "../utils/metafieldValues";
+
+const MULTILINE_TYPES = ["multi_line_text_field", "rich_text_field", "json"];
+
+// ------------------------------------
+// Loader
+//   (no definitionId)            every metaobject definition
+//   ?definitionId=gid://...      entries of one definition
+//   &q=search&after=cursor       search and paging of the entries
+// ------------------------------------
+export async function loader({ request }) {
+  const { admin } = await authenticate.admin(request);
+  const params = new URL(request.url).searchParams;
+  const definitionId = params.get("definitionId");
+
+  if (!definitionId) {
+    return json({ definitions: await listMetaobjectDefinitions(admin), definition: null });
+  }
+
+  const definition = await getMetaobjectDefinition(admin, definitionId);
+  if (!definition) throw new Response("Metaobject definition not found", { status: 404 });
+
+  const q = params.get("q") || "";
+  const after = params.get("after") || null;
+  const [{ entries, nextCursor }, shopRes] = await Promise.all([
+    listMetaobjects(admin, definition.type, { after, query: q }),
+    admin.graphql(`query { shop { currencyCode } }`),
+  ]);
+  const shopData = await shopRes.json();
+
+  return json({
+    definitions: null,
+    definition,
+    entries,
+    nextCursor,
+    q,
+    paged: Boolean(after),
+    currencyCode: shopData?.data?.shop?.currencyCode || "USD",
+  });
+}
+
+// ------------------------------------
+// Action — save or delete an entry
+// ------------------------------------
+export async function action({ request }) {
+  const { admin } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  try {
+    if (intent === "save") {
+      const definition = await getMetaobjectDefinition(admin, formData.get("definitionId"));
+      if (!definition) return json({ ok: false, intent, error: "Metaobject definition not found." }, { status: 404 });
+      const { status, ...result } = await saveMetaobject(admin, definition, {
+        id: formData.get("id") || null,
+        handle: (formData.get("handle") || "").trim(),
+        fields: JSON.parse(formData.get("fields") || "{}"),
+      });
+      return json({ ...result, intent }, { status });
+    }
+    if (intent === "delete") {
+      const { status, ...result } = await deleteMetaobject(admin, formData.get("id"));
+      return json({ ...result, intent }, { status });
+    }
+  } catch (err) {
+    console.error("[metaobjects] Error:", err);
+    return json({ ok: false, intent, error: err.message || "Failed to update metaobjects" }, { status: 500 });
+  }
+
+  return json({ ok: false, error: "Unknown intent" }, { status: 400 });
+}
+
+// The export is fetched (App Bridge adds the session token) and saved as a blob
+async function downloadExport(definition, format) {
+  const params = new URLSearchParams({ definitionId: definition.id, format });
+  const res = await fetch(`/app/metaobject_export?${params}`);
+  if (!res.ok) throw new Error(await res.text() || "Export failed");
+  const blob = await res.blob();
+  const fileName = res.headers.get("Content-Disposition")?.match(/filename="(.+)"/)?.[1] || `metaobjects.${format}`;
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  window.URL.revokeObjectURL(url);
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : "";
+}
+
+// Input for one entry field, by the field's metafield type
+function EntryFieldInput({ field, value, onChange, error, currencyCode }) {
+  const label = field.required ? `${field.name} *` : field.name;
+
+  if (isListType(field.type) && isReferenceType(field.type)) {
+    const ids = parseJsonValue(value);
+    return (
+      <div>
+        <ReferencePicker
+          type={field.type}
+          label={label}
+          value={Array.isArray(ids) ? ids : []}
+          onChange={(next) => onChange(next.length ? JSON.stringify(next) : "")}
+          allowMultiple
+          validations={field.validations}
+        />
+        {error && <Text as="p" variant="bodySm" color="critical">{error}</Text>}
+      </div>
+    );
+  }
+  if (hasTypedInput(field.type)) {
+    return (
+      <div>
+        <MetafieldValueInput type={field.type} label={label} value={value} onChange={onChange} validations={field.validations} currencyCode={currencyCode} />
+        {error && !validateMetafieldValue(field.type, value, field.validations) && <Text as="p" variant="bodySm" color="critical">{error}</Text>}
+      </div>
+    );
+  }
+  if (field.type === "file_reference") {
+    return (
+      <div>
+        <ReferencePicker type={field.type} label={label} value={value} onChange={onChange} validations={field.validations} />
+        {error && <Text as="p" variant="bodySm" color="critical">{error}</Text>}
+      </div>
+    );
+  }
+  if (field.type === "boolean") {
+    return (
+      <Select
+        label={label}
+        options={[{ label: "Not set", value: "" }, { label: "True", value: "true" }, { label: "False", value: "false" }]}
+        value={value}
+        onChange={onChange}
+        error={error}
+      />
+    );
+  }
+
+  const isNumber = field.type === "number_integer" || field.type === "number_decimal";
+  return (
+    <TextField
+      label={label}
+      value={value}
+      onChange={onChange}
+      type={isNumber ? "number" : "text"}
+      multiline={MULTILINE_TYPES.includes(field.type) || isListType(field.type) ? 3 : undefined}
+      helpText={isListType(field.type) ? "A JSON list, e.g. [\"first\", \"second\"]" : undefined}
+      error={error || validateMetafieldValue(field.type, value, field.validations) || undefined}
+      autoComplete="off"
+    />
+  );
+}
+
+function EntryModal({ definition, entry, open, onClose, currencyCode }) {
+  const fetcher = useFetcher();
+  const [handle, setHandle] = useState("");
+  const [fields, setFields] = useState({});
+
+  useEffect(() => {
+    if (!open) return;
+    setHandle(entry?.handle || "");
+    setFields(Object.fromEntries(definition.fieldDefinitions.map((f) => [f.key, entry?.fields[f.key] ?? ""])));
+  }, [open, entry]);
+
+  useEffect(() => {
+    if (fetcher.state === "idle" && fetcher.data?.ok) onClose();
+  }, [fetcher.state, fetcher.data]);
+
+  const busy = fetcher.state !== "idle";
+  const result = fetcher.data;
+  const invalid = definition.fieldDefinitions.some((f) =>
+    (f.required && !fields[f.key]) || validateMetafieldValue(f.type, fields[f.key] ?? "", f.validations));
+
+  const handleSave = () => {
+    fetcher.submit({
+      intent: "save",
+      definitionId: definition.id,
+      id: entry?.id || "",
+      handle,
+      fields: JSON.stringify(fields),
+    }, { method: "post" });
+  };
+
+  return (
+    <Modal
+      open={open}
+      onClose={onClose}
+      title={entry ? `Edit ${entry.displayName}` : `New ${definition.name} entry`}
+      primaryAction={{ content: "Save", onAction: handleSave, loading: busy, disabled: busy || invalid }}
+      secondaryActions={[{ content: "Cancel", onAction: onClose, disabled: busy }]}
+    >
+      <Modal.Section>
+        <FormLayout>
+          {result && !result.ok && <Text color="critical" as="p">{result.error}</Text>}
+          <TextField
+            label="Handle"
+            value={handle}
+            onChange={setHandle}
+            helpText={entry ? undefined : "Leave empty to generate one from the display name"}
+            autoComplete="off"
+          />
+          {definition.fieldDefinitions.map((field) => (
+            <EntryFieldInput
+              key={field.key}
+              field={field}
+              value={fields[field.key] ?? ""}
+              onChange={(value) => setFields((prev) => ({ ...prev, [field.key]: value }))}
+              error={result?.fieldErrors?.[field.key]}
+              currencyCode={currencyCode}
+            />
+          ))}
+        </FormLayout>
+      </Modal.Section>
+    </Modal>
+  );
+}
+
+function ImportCard({ definition }) {
+  const fetcher = useFetcher();
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+
+  const busy = fetcher.state !== "idle";
+  const data = fetcher.data;
+
+  useEffect(() => {
+    if (data?.ok && data.intent === "preview") setPreview(data);
+    if (data?.ok && data.intent === "apply") {
+      setPreview(null);
+      setFile(null);
+    }
+  }, [data]);
+
+  const handleDrop = useCallback((_files, acceptedFiles) => {
+    if (acceptedFiles.length) {
+      setFile(acceptedFiles[0]);
+      setPreview(null);
+    }
+  }, []);
+
+  const submit = (intent) => {
+    if (!file) return;
+    const formData = new FormData();
+    formData.append("intent", intent);
+    formData.append("definitionId", definition.id);
+    formData.append("file", file);
+    fetcher.submit(formData, { method: "post", action: "/app/metaobject_import", encType: "multipart/form-data" });
+  };
+
+  const summary = preview?.summary;
+  const errors = data?.errors || [];
+
+  return (
+    <Card sectioned>
+      <LegacyStack vertical spacing="tight">
+        <Text variant="headingMd" as="h2">Import entries</Text>
+        <Text variant="bodyMd" color="subdued" as="p">
+          A handle column plus one column per field key, as in the export. Rows update the entry with that handle or
+          create it; empty cells leave the field as it is.
+        </Text>
+        {data && !data.ok && <Banner status="critical" title={data.error || "Import failed"} />}
+        {data?.ok && data.intent === "apply" && (
+          <Banner status="success" title="Import queued">
+            <Link url="/app/jobs">View on the Jobs page</Link>
+          </Banner>
+        )}
+        <DropZone allowMultiple={false} onDrop={handleDrop} disabled={busy} accept=".xlsx,.csv">
+          {file
+            ? <Text alignment="center">Selected file: {file.name}</Text>
+            : <DropZone.FileUpload actionHint="Accepts .xlsx and .csv files" />}
+        </DropZone>
+        {summary && (
+          <Text variant="bodyMd" as="p">
+            {`${summary.entries} entries: ${summary.creates} to create, ${summary.updates} to update, ${summary.errors} rows with problems.`}
+          </Text>
+        )}
+        {errors.length > 0 && (
+          <DataTable
+            columnContentTypes={["text", "text"]}
+            headings={["Row #", "Problem"]}
+            rows={errors.map((e) => [e.row, e.message])}
+          />
+        )}
+        <div style={{ display: "flex", gap: 8 }}>
+          <Button onClick={() => submit("preview")} disabled={!file || busy} loading={busy && !preview}>
+            Preview import
+          </Button>
+          <Button primary onClick={() => submit("apply")} disabled={!preview || !summary.entries || busy} loading={busy && !!preview}>
+            Import entries
+          </Button>
+        </div>
+      </LegacyStack>
+    </Card>
+  );
+}
+
+function DefinitionList({ definitions }) {
+  const rows = definitions.map((definition) => [
+    <Link key={definition.id} url={`/app/metaobjects?definitionId=${encodeURIComponent(definition.id)}`}>{definition.name}</Link>,
+    definition.type,
+    definition.fieldDefinitions.length,
+    definition.metaobjectsCount,
+  ]);
+
+  return (
+    <Page title="Metaobjects">
+      <Layout>
+        <Layout.Section>
+          <Card sectioned>
+            <Text variant="headingMd" as="h2">Definitions</Text>
+            {rows.length === 0 ? (
+              <Text variant="bodyMd" color="subdued" as="p">
+                This shop has no metaobject definitions yet. Create them under Settings › Custom data in the Shopify admin.
+              </Text>
+            ) : (
+              <DataTable
+                columnContentTypes={["text", "text", "numeric", "numeric"]}
+                headings={["Definition", "Type", "Fields", "Entries"]}
+                rows={rows}
+              />
+            )}
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
+
+// ------------------------------------
+// React Component
+// ------------------------------------
+export default function MetaobjectsPage() {
+  const { definitions, definition, entries, nextCursor, q, paged, currencyCode } = useLoaderData();
+  const navigate = useNavigate();
+  const fetcher = useFetcher();
+  const [search, setSearch] = useState(q || "");
+  const [editing, setEditing] = useState(null);
+  const [exporting, setExporting] = useState(false);
+  const [exportError, setExportError] = useState("");
+
+  useEffect(() => setSearch(q || ""), [q, definition?.id]);
+
+  if (!definition) return <DefinitionList definitions={definitions} />;
+
+  const busy = fetcher.state !== "idle";
+  const result = fetcher.data;
+
+  const entriesUrl = (params = {}) => {
+    const query = new URLSearchParams({ definitionId: definition.id, ...params });
+    return `/app/metaobjects?${query}`;
+  };
+
+  const handleDelete = (entry) => {
+    if (!confirm(`Delete "${entry.displayName}"? References to it in metafields stop resolving.`)) return;
+    fetcher.submit({ intent: "delete", id: entry.id }, { method: "post" });
+  };
+
+  const handleExport = async (format) => {
+    setExporting(true);
+    setExportError("");
+    try {
+      await downloadExport(definition, format);
+    } catch (err) {
+      setExportError(err.message || "Export failed");
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const rows = entries.map((entry) => [
+    entry.displayName,
+    entry.handle,
+    formatDate(entry.updatedAt),
+    <div key={entry.id} style={{ display: "flex", gap: 8 }}>
+      <Button size="slim" onClick={() => setEditing(entry)} disabled={busy}>Edit</Button>
+      <Button size="slim" destructive onClick={() => handleDelete(entry)} disabled={busy}>Delete</Button>
+    </div>,
+  ]);
+
+  return (
+    <Page
+      title={definition.name}
+      subtitle={definition.type}
+      backAction={{ content: "Metaobjects", url: "/app/metaobjects" }}
+      primaryAction={{ content: "Add entry", onAction: () => setEditing({}) }}
+    >
+      <Layout>
+        {result && !result.ok && (
+          <Layout.Section>
+            <Banner status="critical" title={result.error || "Something went wrong"} />
+          </Layout.Section>
+        )}
+        {exportError && (
+          <Layout.Section>
+            <Banner status="critical" title={exportError} onDismiss={() => setExportError("")} />
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <Card sectioned>
+            <FormLayout>
+              <div style={{ display: "flex", gap: 8, alignItems: "flex-end" }}>
+                <div style={{ flexGrow: 1 }}>
+                  <TextField label="Search entries" value={search} onChange={setSearch} autoComplete="off" clearButton onClearButtonClick={() => setSearch("")} />
+                </div>
+                <Button onClick={() => navigate(entriesUrl(search.trim() ? { q: search.trim() } : {}))}>Search</Button>
+              </div>
+              {rows.length === 0 ? (
+                <Text variant="bodyMd" color="subdued" as="p">No entries{q ? ` match "${q}"` : " yet"}.</Text>
+              ) : (
+                <DataTable
+                  columnContentTypes={["text", "text", "text", "text"]}
+                  headings={["Entry", "Handle", "Updated", ""]}
+                  rows={rows}
+                />
+              )}
+              <div style={{ display: "flex", gap: 8 }}>
+                {paged && <Button onClick={() => navigate(entriesUrl(q ? { q } : {}))}>First page</Button>}
+                {nextCursor && <Button onClick={() => navigate(entriesUrl({ ...(q ? { q } : {}), after: nextCursor }))}>Next page</Button>}
+              </div>
+            </FormLayout>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card sectioned>
+            <LegacyStack vertical spacing="tight">
+              <Text variant="headingMd" as="h2">Export entries</Text>
+              <div style={{ display: "flex", gap: 8 }}>
+                <Button onClick={() => handleExport("xlsx")} loading={exporting} disabled={exporting}>Download .xlsx</Button>
+                <Button onClick={() => handleExport("csv")} disabled={exporting}>Download .csv</Button>
+              </div>
+            </LegacyStack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <ImportCard definition={definition} />
+        </Layout.Section>
+      </Layout>
+
+      <EntryModal
+        definition={definition}
+        entry={editing?.id ? editing : null}
+        open={Boolean(editing)}
+        onClose={() => setEditing(null)}
+        currencyCode={currencyCode}
+      />
+    </Page>
+  );
+}
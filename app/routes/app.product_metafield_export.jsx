@@ -0,0 +1,45 @@
+import { authenticate } from "../shopify.server";
+import { buildSheetBuffer } from "../utils/excel.server";
+import { buildProductMetafieldSheet, listProductMetafieldDefinitions } from "../utils/productMetafields.server";
+
+const CONTENT_TYPES = {
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  csv: "text/csv; charset=utf-8",
+};
+
+// ------------------------------------
+// Loader — downloads product metafield values, one row per product
+//   ?definitionIds=gid://...,gid://...   one column per definition
+//   &collectionId=&vendor=&tag=&query=   optional product filters
+//   &format=xlsx|csv
+// ------------------------------------
+export async function loader({ request }) {
+  const { admin } = await authenticate.admin(request);
+  const params = new URL(request.url).searchParams;
+  const definitionIds = (params.get("definitionIds") || "").split(",").filter(Boolean);
+  const format = params.get("format") === "csv" ? "csv" : "xlsx";
+  const filters = {
+    collectionId: params.get("collectionId") || "",
+    vendor: (params.get("vendor") || "").trim(),
+    tag: (params.get("tag") || "").trim(),
+    query: (params.get("query") || "").trim(),
+  };
+
+  try {
+    const definitions = (await listProductMetafieldDefinitions(admin)).filter((d) => definitionIds.includes(d.id));
+    if (!definitions.length) return new Response("Choose at least one metafield definition", { status: 400 });
+
+    const { headers, rows } = await buildProductMetafieldSheet(admin, definitions, filters);
+    const buffer = await buildSheetBuffer(headers, rows, { format, sheetName: "Product metafields" });
+
+    return new Response(buffer, {
+      headers: {
+        "Content-Type": CONTENT_TYPES[format],
+        "Content-Disposition": `attachment; filename="product-metafields.${format}"`,
+      },
+    });
+  } catch (err) {
+    console.error("[product metafield export] Error:", err);
+    return new Response(err.message || "Failed to export product metafields", { status: 500 });
+  }
+}
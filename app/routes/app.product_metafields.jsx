@@ -0,0 +1,300 @@
+import { json, unstable_parseMultipartFormData, unstable_createMemoryUploadHandler } from "@remix-run/node";
+import { useLoaderData, useFetcher } from "@remix-run/react";
+import { useState, useEffect, useCallback } from "react";
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  Button,
+  TextField,
+  Select,
+  ChoiceList,
+  DataTable,
+  Banner,
+  DropZone,
+  FormLayout,
+  LegacyStack,
+  Link,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { readNumberedSheetRows } from "../utils/excel.server";
+import {
+  listProductMetafieldDefinitions,
+  parseProductMetafieldRows,
+  startProductMetafieldImport,
+} from "../utils/productMetafields.server";
+
+// How many row problems are sent back with the preview
+const PREVIEW_LIMIT = 100;
+
+const COLLECTIONS_QUERY = `
+  query collectionOptions($after: String) {
+    collections(first: 250, after: $after, sortKey: TITLE) {
+      nodes { id title }
+      pageInfo { hasNextPage endCursor }
+    }
+  }
+`;
+
+// ------------------------------------
+// Loader
+// ------------------------------------
+export async function loader({ request }) {
+  const { admin } = await authenticate.admin(request);
+
+  const collections = [];
+  let cursor = null, hasMore = true;
+  while (hasMore) {
+    const res = await admin.graphql(COLLECTIONS_QUERY, { variables: { after: cursor } });
+    const data = await res.json();
+    const page = data?.data?.collections;
+    collections.push(...(page?.nodes || []));
+    hasMore = page?.pageInfo?.hasNextPage;
+    cursor = page?.pageInfo?.endCursor;
+  }
+
+  return json({ definitions: await listProductMetafieldDefinitions(admin), collections });
+}
+
+// ------------------------------------
+// Action — preview (dry run) or queue the import of an uploaded sheet
+// ------------------------------------
+export async function action({ request }) {
+  const { admin, session } = await authenticate.admin(request);
+
+  const uploadHandler = unstable_createMemoryUploadHandler({ maxPartSize: 50_000_000 }); // 50 MB
+  let formData;
+  try {
+    formData = await unstable_parseMultipartFormData(request, uploadHandler);
+  } catch (error) {
+    console.error("[product metafield import] Error parsing upload:", error);
+    return json({ ok: false, error: "Failed to read the upload. The file might be too large." }, { status: 400 });
+  }
+
+  const intent = formData.get("intent");
+  const file = formData.get("file");
+  if (!file || typeof file !== "object") {
+    return json({ ok: false, intent, error: "No file uploaded." }, { status: 400 });
+  }
+
+  const buffer = Buffer.from(await file.arrayBuffer());
+  let rows;
+  try {
+    rows = await readNumberedSheetRows(buffer, file.name);
+  } catch (error) {
+    console.error("[product metafield import] Error reading sheet:", error);
+    return json({ ok: false, intent, error: `Failed to read ${file.name}. Upload a valid .xlsx or .csv file.` }, { status: 400 });
+  }
+
+  try {
+    const definitions = await listProductMetafieldDefinitions(admin);
+    const { updates, errors } = await parseProductMetafieldRows(admin, definitions, rows);
+    const summary = {
+      products: updates.length,
+      values: updates.reduce((sum, u) => sum + u.metafields.length, 0),
+      errors: errors.length,
+    };
+
+    if (intent === "apply") {
+      if (!updates.length) {
+        return json({ ok: false, intent, error: "No valid rows to import.", errors: errors.slice(0, PREVIEW_LIMIT) }, { status: 400 });
+      }
+      const { status, ...result } = await startProductMetafieldImport(session.shop, { buffer, fileName: file.name });
+      return json({ ...result, intent, summary, errors: errors.slice(0, PREVIEW_LIMIT) }, { status });
+    }
+
+    return json({ ok: true, intent: "preview", summary, errors: errors.slice(0, PREVIEW_LIMIT) });
+  } catch (error) {
+    console.error("[product metafield import] Error:", error);
+    return json({ ok: false, intent, error: error.message || "Import failed. No changes were saved." }, { status: 500 });
+  }
+}
+
+// The export is fetched (App Bridge adds the session token) and saved as a blob
+async function downloadExport(params, format) {
+  const res = await fetch(`/app/product_metafield_export?${new URLSearchParams({ ...params, format })}`);
+  if (!res.ok) throw new Error(await res.text() || "Export failed");
+  const blob = await res.blob();
+  const fileName = res.headers.get("Content-Disposition")?.match(/filename="(.+)"/)?.[1] || `product-metafields.${format}`;
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  window.URL.revokeObjectURL(url);
+}
+
+function ExportCard({ definitions, collections }) {
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [filters, setFilters] = useState({ collectionId: "", vendor: "", tag: "", query: "" });
+  const [exporting, setExporting] = useState(false);
+  const [exportError, setExportError] = useState("");
+
+  const setFilter = (field) => (value) => setFilters((prev) => ({ ...prev, [field]: value }));
+
+  const handleExport = async (format) => {
+    setExporting(true);
+    setExportError("");
+    try {
+      await downloadExport({ definitionIds: selectedIds.join(","), ...filters }, format);
+    } catch (err) {
+      setExportError(err.message || "Export failed");
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const collectionOptions = [
+    { label: "All products", value: "" },
+    ...collections.map((c) => ({ label: c.title, value: c.id })),
+  ];
+
+  return (
+    <Card sectioned>
+      <LegacyStack vertical spacing="tight">
+        <Text variant="headingMd" as="h2">Export</Text>
+        <Text variant="bodyMd" color="subdued" as="p">
+          One row per product with its ID, handle and title, and one column per chosen definition. References are written
+          as handles (variants as SKUs) and lists as JSON.
+        </Text>
+        {exportError && <Banner status="critical" title={exportError} onDismiss={() => setExportError("")} />}
+        {definitions.length === 0 ? (
+          <Text variant="bodyMd" color="subdued" as="p">There are no product metafield definitions yet.</Text>
+        ) : (
+          <>
+            <div style={{ display: "flex", gap: 8 }}>
+              <Button size="slim" onClick={() => setSelectedIds(definitions.map((d) => d.id))}>Select all</Button>
+              <Button size="slim" onClick={() => setSelectedIds([])} disabled={!selectedIds.length}>Clear</Button>
+            </div>
+            <ChoiceList
+              title="Metafield definitions"
+              allowMultiple
+              choices={definitions.map((d) => ({ label: `${d.name} (${d.namespace}.${d.key})`, value: d.id }))}
+              selected={selectedIds}
+              onChange={setSelectedIds}
+            />
+          </>
+        )}
+        <FormLayout>
+          <FormLayout.Group>
+            <Select label="Collection" options={collectionOptions} value={filters.collectionId} onChange={setFilter("collectionId")} />
+            <TextField label="Vendor" value={filters.vendor} onChange={setFilter("vendor")} autoComplete="off" />
+            <TextField label="Tag" value={filters.tag} onChange={setFilter("tag")} autoComplete="off" />
+          </FormLayout.Group>
+          <TextField
+            label="Search query"
+            value={filters.query}
+            onChange={setFilter("query")}
+            helpText="Shopify product search syntax, e.g. status:active product_type:Chairs"
+            autoComplete="off"
+          />
+        </FormLayout>
+        <div style={{ display: "flex", gap: 8 }}>
+          <Button onClick={() => handleExport("xlsx")} loading={exporting} disabled={exporting || !selectedIds.length}>Download .xlsx</Button>
+          <Button onClick={() => handleExport("csv")} disabled={exporting || !selectedIds.length}>Download .csv</Button>
+        </div>
+      </LegacyStack>
+    </Card>
+  );
+}
+
+function ImportCard() {
+  const fetcher = useFetcher();
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+
+  const busy = fetcher.state !== "idle";
+  const data = fetcher.data;
+
+  useEffect(() => {
+    if (data?.ok && data.intent === "preview") setPreview(data);
+    if (data?.ok && data.intent === "apply") {
+      setPreview(null);
+      setFile(null);
+    }
+  }, [data]);
+
+  const handleDrop = useCallback((_files, acceptedFiles) => {
+    if (acceptedFiles.length) {
+      setFile(acceptedFiles[0]);
+      setPreview(null);
+    }
+  }, []);
+
+  const submit = (intent) => {
+    if (!file) return;
+    const formData = new FormData();
+    formData.append("intent", intent);
+    formData.append("file", file);
+    fetcher.submit(formData, { method: "post", encType: "multipart/form-data" });
+  };
+
+  const summary = preview?.summary;
+  const errors = data?.errors || [];
+
+  return (
+    <Card sectioned>
+      <LegacyStack vertical spacing="tight">
+        <Text variant="headingMd" as="h2">Import</Text>
+        <Text variant="bodyMd" color="subdued" as="p">
+          Products are matched by the ID column, or by Handle when the ID is empty. Columns are matched to definitions by
+          namespace.key; empty cells leave the value as it is.
+        </Text>
+        {data && !data.ok && <Banner status="critical" title={data.error || "Import failed"} />}
+        {data?.ok && data.intent === "apply" && (
+          <Banner status="success" title="Import queued">
+            <Link url="/app/jobs">View on the Jobs page</Link>
+          </Banner>
+        )}
+        <DropZone allowMultiple={false} onDrop={handleDrop} disabled={busy} accept=".xlsx,.csv">
+          {file
+            ? <Text alignment="center">Selected file: {file.name}</Text>
+            : <DropZone.FileUpload actionHint="Accepts .xlsx and .csv files" />}
+        </DropZone>
+        {summary && (
+          <Text variant="bodyMd" as="p">
+            {`${summary.values} values on ${summary.products} products to update, ${summary.errors} rows with problems.`}
+          </Text>
+        )}
+        {errors.length > 0 && (
+          <DataTable
+            columnContentTypes={["text", "text"]}
+            headings={["Row #", "Problem"]}
+            rows={errors.map((e) => [e.row, e.message])}
+          />
+        )}
+        <div style={{ display: "flex", gap: 8 }}>
+          <Button onClick={() => submit("preview")} disabled={!file || busy} loading={busy && !preview}>
+            Preview import
+          </Button>
+          <Button primary onClick={() => submit("apply")} disabled={!preview || !summary.products || busy} loading={busy && !!preview}>
+            Import values
+          </Button>
+        </div>
+      </LegacyStack>
+    </Card>
+  );
+}
+
+// ------------------------------------
+// React Component
+// ------------------------------------
+export default function ProductMetafieldsPage() {
+  const { definitions, collections } = useLoaderData();
+
+  return (
+    <Page title="Product Metafields Excel" backAction={{ content: "Metafield Editor", url: "/app/metafield" }}>
+      <Layout>
+        <Layout.Section>
+          <ExportCard definitions={definitions} collections={collections} />
+        </Layout.Section>
+        <Layout.Section>
+          <ImportCard />
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
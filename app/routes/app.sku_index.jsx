@@ -0,0 +1,145 @@
+import { json } from "@remix-run/node";
+import { useLoaderData, useFetcher, useRevalidator } from "@remix-run/react";
+import { useEffect } from "react";
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  Button,
+  DataTable,
+  Banner,
+  Link,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { getSkuIndexStatus, buildSkuIndexReport, startSkuIndexSync } from "../utils/skuIndex.server";
+
+// How often the page refreshes while a sync is queued or running
+const REFRESH_INTERVAL_MS = 3000;
+
+// Rows shown per report table
+const REPORT_LIMIT = 250;
+
+// ------------------------------------
+// Loader
+// ------------------------------------
+export async function loader({ request }) {
+  const { session } = await authenticate.admin(request);
+  const status = await getSkuIndexStatus(session.shop);
+  return json({ status, report: await buildSkuIndexReport(session.shop) });
+}
+
+// ------------------------------------
+// Action — queues a full sync
+// ------------------------------------
+export async function action({ request }) {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  try {
+    if (intent === "sync") {
+      const { status, ...result } = await startSkuIndexSync(session.shop);
+      return json({ ...result, intent }, { status });
+    }
+  } catch (err) {
+    console.error("[sku index] Error:", err);
+    return json({ ok: false, intent, error: err.message || "Failed to start the sync" }, { status: 500 });
+  }
+
+  return json({ ok: false, error: "Unknown intent" }, { status: 400 });
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : "";
+}
+
+// ------------------------------------
+// React Component
+// ------------------------------------
+export default function SkuIndexPage() {
+  const { status, report } = useLoaderData();
+  const fetcher = useFetcher();
+  const revalidator = useRevalidator();
+
+  const syncing = Boolean(status.syncJobId) || fetcher.data?.ok;
+
+  useEffect(() => {
+    if (!status.syncJobId || revalidator.state !== "idle") return;
+    const timer = setTimeout(() => revalidator.revalidate(), REFRESH_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [status, revalidator]);
+
+  const handleSync = () => fetcher.submit({ intent: "sync" }, { method: "post" });
+
+  const orphanedRows = (report?.orphaned || []).slice(0, REPORT_LIMIT).map(o => [
+    <Link key={o.sku} url={`/app/spec_history?sku=${encodeURIComponent(o.sku)}`}>{o.sku}</Link>,
+    o.rows,
+  ]);
+  const withoutSpecsRows = (report?.withoutSpecs || []).slice(0, REPORT_LIMIT).map(p => [
+    <Link key={p.productId} url={`/app/content/specs?productId=${encodeURIComponent(p.productId)}`}>{p.title}</Link>,
+    p.handle,
+    p.skus.join(", ") || "No SKUs",
+  ]);
+
+  return (
+    <Page title="SKU Index">
+      <Layout>
+        {fetcher.data && !fetcher.data.ok && (
+          <Layout.Section>
+            <Banner status="critical" title={fetcher.data.error || "Failed to start the sync"} />
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <Card sectioned>
+            <Text variant="headingMd" as="h2">Index</Text>
+            <Text variant="bodyMd" as="p">
+              {status.variants} variants of {status.products} products.
+              {status.lastSyncedAt ? ` Last full sync: ${formatDate(status.lastSyncedAt)}.` : " Not synced yet."}
+            </Text>
+            <Text variant="bodyMd" color="subdued" as="p">
+              Product changes are picked up from webhooks. Until the first full sync has finished, the Filter Manager and
+              spec exports look SKUs up in Shopify instead.
+            </Text>
+            <Button primary onClick={handleSync} loading={fetcher.state !== "idle"} disabled={syncing}>
+              {syncing ? "Syncing..." : "Sync now"}
+            </Button>
+            {syncing && <Link url="/app/jobs">View on the Jobs page</Link>}
+          </Card>
+        </Layout.Section>
+
+        {report && (
+          <>
+            <Layout.Section>
+              <Card sectioned>
+                <Text variant="headingMd" as="h2">Spec rows without a product ({report.orphaned.length} SKUs)</Text>
+                <Text variant="bodyMd" color="subdued" as="p">
+                  Specifications stored for SKUs that no variant in Shopify has. Usually a changed or mistyped SKU.
+                </Text>
+                {orphanedRows.length > 0 && (
+                  <DataTable columnContentTypes={["text", "numeric"]} headings={["SKU", "Spec rows"]} rows={orphanedRows} />
+                )}
+                {report.orphaned.length > REPORT_LIMIT && (
+                  <Text variant="bodyMd" color="subdued" as="p">Showing the first {REPORT_LIMIT}.</Text>
+                )}
+              </Card>
+            </Layout.Section>
+
+            <Layout.Section>
+              <Card sectioned>
+                <Text variant="headingMd" as="h2">Products without specifications ({report.withoutSpecs.length})</Text>
+                {withoutSpecsRows.length > 0 && (
+                  <DataTable columnContentTypes={["text", "text", "text"]} headings={["Product", "Handle", "SKUs"]} rows={withoutSpecsRows} />
+                )}
+                {report.withoutSpecs.length > REPORT_LIMIT && (
+                  <Text variant="bodyMd" color="subdued" as="p">Showing the first {REPORT_LIMIT}.</Text>
+                )}
+              </Card>
+            </Layout.Section>
+          </>
+        )}
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,214 @@
+import { json } from "@remix-run/node";
+import { useLoaderData, useFetcher } from "@remix-run/react";
+import { useState } from "react";
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  Button,
+  TextField,
+  Select,
+  DataTable,
+  Banner,
+  FormLayout,
+  Link,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import {
+  listSpecCollections,
+  listSpecCollectionKeys,
+  createSpecCollection,
+  rebuildSpecCollection,
+  deleteSpecCollection,
+  SPEC_COLLECTION_NAMESPACE,
+} from "../utils/specCollections.server";
+import {
+  SPEC_RULE_OPERATORS,
+  SPEC_RULE_OPERATOR_OPTIONS,
+  describeSpecRule,
+  isNumericOperator,
+  validateSpecRule,
+} from "../utils/specRules";
+
+// ------------------------------------
+// Loader
+// ------------------------------------
+export async function loader({ request }) {
+  const { session } = await authenticate.admin(request);
+  const [specCollections, keys] = await Promise.all([
+    listSpecCollections(session.shop),
+    listSpecCollectionKeys(session.shop),
+  ]);
+  return json({ specCollections, keys, namespace: SPEC_COLLECTION_NAMESPACE });
+}
+
+// ------------------------------------
+// Action — preview, create, rebuild or stop syncing a spec collection
+// ------------------------------------
+export async function action({ request }) {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  const rule = {
+    title: formData.get("title"),
+    key: formData.get("key"),
+    operator: formData.get("operator"),
+    value: formData.get("value"),
+    valueTo: formData.get("valueTo"),
+  };
+
+  try {
+    if (intent === "preview" || intent === "create") {
+      const { status, ...result } = await createSpecCollection(admin, session.shop, rule, { previewOnly: intent === "preview" });
+      return json({ ...result, intent }, { status });
+    }
+    if (intent === "rebuild") {
+      const { status, ...result } = await rebuildSpecCollection(session.shop, formData.get("id"));
+      return json({ ...result, intent }, { status });
+    }
+    if (intent === "delete") {
+      return json({ ...(await deleteSpecCollection(session.shop, formData.get("id"))), intent });
+    }
+  } catch (err) {
+    console.error("[spec collections] Error:", err);
+    return json({ ok: false, intent, error: err.message || "Failed to update spec collections" }, { status: 500 });
+  }
+
+  return json({ ok: false, error: "Unknown intent" }, { status: 400 });
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : "";
+}
+
+const EMPTY_FORM = { title: "", key: "", operator: SPEC_RULE_OPERATORS.EQUALS, value: "", valueTo: "" };
+
+// ------------------------------------
+// React Component
+// ------------------------------------
+export default function SpecCollectionsPage() {
+  const { specCollections, keys, namespace } = useLoaderData();
+  const fetcher = useFetcher();
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  const busy = fetcher.state !== "idle";
+  const result = fetcher.data;
+  const setField = (field) => (value) => setForm((prev) => ({ ...prev, [field]: value }));
+  const selectedKey = keys.find((k) => k.key === form.key);
+  const error = form.key && form.value ? validateSpecRule(form) : null;
+
+  const submit = (intent, fields = form) => fetcher.submit({ intent, ...fields }, { method: "post" });
+
+  const handleCreate = () => {
+    submit("create");
+    setForm(EMPTY_FORM);
+  };
+
+  const handleDelete = (record) => {
+    if (!confirm(`Stop keeping "${record.title}" in sync? The collection and its metafields stay in Shopify.`)) return;
+    submit("delete", { id: record.id });
+  };
+
+  const keyOptions = [
+    { label: "Choose a spec key", value: "" },
+    ...keys.map((k) => ({ label: k.displayUnit ? `${k.label} (${k.displayUnit})` : k.label, value: k.key })),
+  ];
+
+  const rows = specCollections.map((record) => [
+    record.collection_id
+      ? <Link key={record.id} url={`shopify://admin/collections/${record.collection_id.split("/").pop()}`}>{record.title}</Link>
+      : record.title,
+    describeSpecRule({ key: record.spec_key, operator: record.operator, value: record.value, valueTo: record.value_to }),
+    `${namespace}.${record.metafield_key}`,
+    record.built_at ? formatDate(record.built_at) : "Not built yet",
+    <div key={record.id} style={{ display: "flex", gap: 8 }}>
+      <Button size="slim" onClick={() => submit("rebuild", { id: record.id })} disabled={busy}>Rebuild</Button>
+      <Button size="slim" destructive onClick={() => handleDelete(record)} disabled={busy}>Stop syncing</Button>
+    </div>,
+  ]);
+
+  return (
+    <Page title="Spec Collections" backAction={{ content: "Collection Making", url: "/app/coll_make" }}>
+      <Layout>
+        {result && !result.ok && (
+          <Layout.Section>
+            <Banner status="critical" title={result.error || "Something went wrong"} />
+          </Layout.Section>
+        )}
+        {result?.ok && result.jobId && (
+          <Layout.Section>
+            <Banner status="success" title={result.intent === "create" ? "Spec collection is being built" : "Rebuild queued"}>
+              {result.matchingSkus !== undefined && <p>{result.matchingSkus} SKUs match.</p>}
+              <Link url="/app/jobs">View on the Jobs page</Link>
+            </Banner>
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <Card sectioned>
+            <Text variant="headingMd" as="h2">New collection from specifications</Text>
+            <Text variant="bodyMd" color="subdued" as="p">
+              Products with at least one SKU matching the rule get the product metafield {namespace}.&lt;key&gt; set to true, and
+              a smart collection is created with a rule on that metafield. The metafield follows later spec changes.
+            </Text>
+            <FormLayout>
+              <FormLayout.Group>
+                <Select label="Spec key" options={keyOptions} value={form.key} onChange={setField("key")} />
+                <Select label="Condition" options={SPEC_RULE_OPERATOR_OPTIONS} value={form.operator} onChange={setField("operator")} />
+              </FormLayout.Group>
+              <FormLayout.Group>
+                <TextField
+                  label={form.operator === SPEC_RULE_OPERATORS.BETWEEN ? "From" : "Value"}
+                  value={form.value}
+                  onChange={setField("value")}
+                  autoComplete="off"
+                  helpText={isNumericOperator(form.operator) && selectedKey?.displayUnit
+                    ? `In ${selectedKey.displayUnit} unless a unit is given`
+                    : undefined}
+                />
+                {form.operator === SPEC_RULE_OPERATORS.BETWEEN && (
+                  <TextField label="To" value={form.valueTo} onChange={setField("valueTo")} autoComplete="off" />
+                )}
+              </FormLayout.Group>
+              <TextField
+                label="Collection title"
+                value={form.title}
+                onChange={setField("title")}
+                autoComplete="off"
+                placeholder={form.key && form.value ? describeSpecRule(form) : "Defaults to the rule"}
+              />
+              {error && <Text variant="bodyMd" color="critical" as="p">{error}</Text>}
+              {result?.ok && result.intent === "preview" && (
+                <Text variant="bodyMd" as="p">{result.matchingSkus} SKUs match this rule.</Text>
+              )}
+              <div style={{ display: "flex", gap: 8 }}>
+                <Button onClick={() => submit("preview")} disabled={busy || !form.key || !form.value || Boolean(error)}>
+                  Count matching SKUs
+                </Button>
+                <Button primary onClick={handleCreate} loading={busy} disabled={busy || !form.key || !form.value || Boolean(error)}>
+                  Create collection
+                </Button>
+              </div>
+            </FormLayout>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card sectioned>
+            <Text variant="headingMd" as="h2">Spec collections</Text>
+            {rows.length === 0 ? (
+              <Text variant="bodyMd" color="subdued" as="p">None yet.</Text>
+            ) : (
+              <DataTable
+                columnContentTypes={["text", "text", "text", "text", "text"]}
+                headings={["Collection", "Rule", "Metafield", "Last build", ""]}
+                rows={rows}
+              />
+            )}
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
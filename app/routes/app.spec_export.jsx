@@ -0,0 +1,66 @@
+import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
+import { buildSheetBuffer } from "../utils/excel.server";
+import {
+  buildSpecificationsSheet,
+  fetchSkuProductMap,
+  findSpecificationsBySkus,
+} from "../utils/specifications.server";
+import { loadSpecKeyRegistry } from "../utils/specKeys.server";
+import { loadCollectionProducts, loadIndexedSkuProductMap } from "../utils/skuIndex.server";
+
+const CONTENT_TYPES = {
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  csv: "text/csv; charset=utf-8",
+};
+
+// ------------------------------------
+// Loader — downloads the specifications sheet
+//   ?collectionId=gid://...  SKUs of one collection
+//   (no collectionId)        every SKU in the specifications table
+//   &format=xlsx|csv
+// ------------------------------------
+export async function loader({ request }) {
+  const { admin, session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+  const collectionId = url.searchParams.get("collectionId");
+  const format = url.searchParams.get("format") === "csv" ? "csv" : "xlsx";
+
+  try {
+    let specRows;
+    let skuInfo = new Map();
+    let skuOrder = [];
+    let fileName = "specifications-all";
+
+    if (collectionId) {
+      const products = await loadCollectionProducts(admin, session.shop, collectionId);
+      for (const p of products) {
+        for (const v of p.variants) {
+          if (v.sku && !skuInfo.has(v.sku)) {
+            skuInfo.set(v.sku, { productId: p.id, title: p.title, handle: p.handle });
+            skuOrder.push(v.sku);
+          }
+        }
+      }
+      specRows = await findSpecificationsBySkus(session.shop, skuOrder);
+      fileName = `specifications-${collectionId.split("/").pop()}`;
+    } else {
+      specRows = await prisma.specifications.findMany({ where: { shop: session.shop }, orderBy: [{ sku: "asc" }, { id: "asc" }] });
+      skuInfo = (await loadIndexedSkuProductMap(session.shop)) || await fetchSkuProductMap(admin);
+    }
+
+    const registry = await loadSpecKeyRegistry(session.shop);
+    const { headers, rows } = buildSpecificationsSheet(specRows, skuInfo, skuOrder, registry);
+    const buffer = await buildSheetBuffer(headers, rows, { format, sheetName: "Specifications" });
+
+    return new Response(buffer, {
+      headers: {
+        "Content-Type": CONTENT_TYPES[format],
+        "Content-Disposition": `attachment; filename="${fileName}.${format}"`,
+      },
+    });
+  } catch (err) {
+    console.error("[spec export] Error:", err);
+    return new Response("Failed to export specifications", { status: 500 });
+  }
+}
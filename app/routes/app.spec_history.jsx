@@ -0,0 +1,145 @@
+import { json } from "@remix-run/node";
+import { Form, useLoaderData, useFetcher } from "@remix-run/react";
+import { useState, useEffect } from "react";
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  Button,
+  TextField,
+  DataTable,
+  Banner,
+  Link,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import {
+  listSpecHistory,
+  revertSpecChange,
+  sessionUser,
+} from "../utils/specHistory.server";
+
+const SOURCE_LABELS = {
+  filter_manager: "Filter Manager",
+  spec_import: "Spec Import",
+  specifications_page: "Specifications",
+  revert: "Revert",
+  value_merge: "Value merge",
+  product_editor: "Product specs",
+};
+
+// ------------------------------------
+// Loader — history of one SKU, or the latest changes of the shop
+//   ?sku=ABC-123
+// ------------------------------------
+export async function loader({ request }) {
+  const { session } = await authenticate.admin(request);
+  const sku = new URL(request.url).searchParams.get("sku")?.trim() || "";
+  const entries = await listSpecHistory(session.shop, { sku: sku || undefined });
+  return json({ sku, entries });
+}
+
+// ------------------------------------
+// Action — revert one change
+// ------------------------------------
+export async function action({ request }) {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  try {
+    if (intent === "revert") {
+      const result = await revertSpecChange(session.shop, formData.get("historyId"), sessionUser(session));
+      return json({ ...result, intent });
+    }
+  } catch (err) {
+    console.error("[spec history] Error:", err);
+    return json({ ok: false, intent, error: err.message || "Failed to revert the change" }, { status: 500 });
+  }
+
+  return json({ ok: false, error: "Unknown intent" }, { status: 400 });
+}
+
+const displayValue = (value) => (value === null ? <Text as="span" color="subdued">(none)</Text> : value);
+
+// ------------------------------------
+// React Component
+// ------------------------------------
+export default function SpecHistoryPage() {
+  const { sku, entries } = useLoaderData();
+  const fetcher = useFetcher();
+  const [skuQuery, setSkuQuery] = useState(sku);
+
+  useEffect(() => setSkuQuery(sku), [sku]);
+
+  const busy = fetcher.state !== "idle";
+
+  const revert = (entry) => {
+    const target = entry.old_value === null ? "remove the value" : `set it back to "${entry.old_value}"`;
+    if (!confirm(`Revert ${entry.sku} / ${entry.spec_key} and ${target}?`)) return;
+    fetcher.submit({ intent: "revert", historyId: String(entry.id) }, { method: "post" });
+  };
+
+  const rows = entries.map((entry) => [
+    new Date(entry.created_at).toLocaleString(),
+    sku ? entry.sku : <Link key="sku" url={`/app/spec_history?sku=${encodeURIComponent(entry.sku)}`}>{entry.sku}</Link>,
+    entry.spec_key,
+    displayValue(entry.old_value),
+    displayValue(entry.new_value),
+    entry.user_email || entry.user_id || "—",
+    SOURCE_LABELS[entry.source] || entry.source,
+    <Button key="revert" size="slim" onClick={() => revert(entry)} disabled={busy}>Revert</Button>,
+  ]);
+
+  return (
+    <Page title="Specification History" backAction={sku ? { content: "All changes", url: "/app/spec_history" } : undefined}>
+      <Layout>
+        {fetcher.data?.ok && fetcher.data.intent === "revert" && (
+          <Layout.Section>
+            <Banner status="success" title="Change reverted" />
+          </Layout.Section>
+        )}
+        {fetcher.data && !fetcher.data.ok && (
+          <Layout.Section>
+            <Banner status="critical" title={fetcher.data.error || "Failed to revert the change"} />
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <Card sectioned>
+            <Form method="get">
+              <div style={{ display: "flex", gap: 8, alignItems: "flex-end" }}>
+                <div style={{ flex: 1 }}>
+                  <TextField
+                    label="SKU"
+                    name="sku"
+                    value={skuQuery}
+                    onChange={setSkuQuery}
+                    autoComplete="off"
+                    placeholder="Show the history of one SKU"
+                  />
+                </div>
+                <Button submit>Show history</Button>
+              </div>
+            </Form>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card sectioned>
+            <Text variant="headingMd" as="h2">{sku ? `Changes to ${sku}` : "Latest changes"}</Text>
+            {rows.length ? (
+              <DataTable
+                columnContentTypes={["text", "text", "text", "text", "text", "text", "text", "text"]}
+                headings={["When", "SKU", "Key", "Old value", "New value", "User", "Source", ""]}
+                rows={rows}
+              />
+            ) : (
+              <Text variant="bodyMd" color="subdued">No changes recorded{sku ? ` for ${sku}` : ""}.</Text>
+            )}
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,257 @@
+import { json, unstable_parseMultipartFormData, unstable_createMemoryUploadHandler } from "@remix-run/node";
+import { useFetcher } from "@remix-run/react";
+import { useState, useCallback, useEffect } from "react";
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  Button,
+  DropZone,
+  DataTable,
+  Banner,
+  Checkbox,
+  LegacyStack,
+  List,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { readSheetRows } from "../utils/excel.server";
+import {
+  parseSpecificationRows,
+  buildSpecificationDiff,
+  applySpecificationDiff,
+} from "../utils/specifications.server";
+import { loadSpecKeyRegistry } from "../utils/specKeys.server";
+import { buildDiffHistoryRows, sessionUser, HISTORY_SOURCES } from "../utils/specHistory.server";
+import { applyVocabularyToEntries } from "../utils/specVocabulary.server";
+import { onSpecificationsChanged } from "../utils/specChanges.server";
+
+// How many rows of each change type are sent back for the preview tables
+const PREVIEW_LIMIT = 100;
+
+// Columns written by the specifications export that are not spec keys
+const EXPORT_INFO_COLUMNS = ["product title", "title", "handle"];
+
+// ------------------------------------
+// Action — preview (dry run) or apply an uploaded sheet
+// ------------------------------------
+export async function action({ request }) {
+  const { session } = await authenticate.admin(request);
+
+  const uploadHandler = unstable_createMemoryUploadHandler({ maxPartSize: 50_000_000 }); // 50 MB
+  let formData;
+  try {
+    formData = await unstable_parseMultipartFormData(request, uploadHandler);
+  } catch (error) {
+    console.error("[spec import] Error parsing upload:", error);
+    return json({ ok: false, error: "Failed to read the upload. The file might be too large." }, { status: 400 });
+  }
+
+  const intent = formData.get("intent");
+  const replaceMissing = formData.get("replaceMissing") === "true";
+  const file = formData.get("file");
+  if (!file || typeof file !== "object") {
+    return json({ ok: false, intent, error: "No file uploaded." }, { status: 400 });
+  }
+
+  let rows;
+  try {
+    rows = await readSheetRows(Buffer.from(await file.arrayBuffer()), file.name);
+  } catch (error) {
+    console.error("[spec import] Error reading sheet:", error);
+    return json({ ok: false, intent, error: `Failed to read ${file.name}. Upload a valid .xlsx or .csv file.` }, { status: 400 });
+  }
+
+  const { format, entries, errors } = parseSpecificationRows(rows, { ignoredColumns: EXPORT_INFO_COLUMNS });
+  if (!format) {
+    return json({ ok: false, intent, error: errors[0]?.message || "Unrecognised sheet layout.", errors }, { status: 400 });
+  }
+
+  try {
+    const registry = await loadSpecKeyRegistry(session.shop);
+    // Values outside a strict vocabulary are reported like other row problems
+    const checked = applyVocabularyToEntries(registry, entries);
+    errors.push(...checked.errors);
+    errors.sort((a, b) => a.row - b.row);
+    const diff = await buildSpecificationDiff(session.shop, checked.entries, {
+      replaceMissing,
+      registry,
+      keepEntries: checked.rejected,
+    });
+    const summary = {
+      format,
+      skus: new Set(entries.map((e) => e.sku)).size,
+      creates: diff.creates.length,
+      updates: diff.updates.length,
+      deletes: diff.deletes.length,
+      unchanged: diff.unchanged,
+      errors: errors.length,
+    };
+
+    if (intent === "apply") {
+      const history = buildDiffHistoryRows(session.shop, diff, {
+        source: HISTORY_SOURCES.SPEC_IMPORT,
+        user: sessionUser(session),
+      });
+      const result = await applySpecificationDiff(session.shop, diff, { history });
+      await onSpecificationsChanged(session.shop, history.map((h) => h.sku));
+      return json({ ok: true, intent, summary, result, errors: errors.slice(0, PREVIEW_LIMIT) });
+    }
+
+    return json({
+      ok: true,
+      intent: "preview",
+      summary,
+      creates: diff.creates.slice(0, PREVIEW_LIMIT),
+      updates: diff.updates.slice(0, PREVIEW_LIMIT),
+      deletes: diff.deletes.slice(0, PREVIEW_LIMIT),
+      errors: errors.slice(0, PREVIEW_LIMIT),
+    });
+  } catch (error) {
+    console.error("[spec import] Error:", error);
+    return json({ ok: false, intent, error: error.message || "Import failed. No changes were saved." }, { status: 500 });
+  }
+}
+
+// ------------------------------------
+// React Component
+// ------------------------------------
+export default function SpecificationsImportPage() {
+  const fetcher = useFetcher();
+  const [file, setFile] = useState(null);
+  const [replaceMissing, setReplaceMissing] = useState(false);
+  const [preview, setPreview] = useState(null);
+
+  const busy = fetcher.state !== "idle";
+  const data = fetcher.data;
+
+  useEffect(() => {
+    if (data?.ok && data.intent === "preview") setPreview(data);
+    if (data?.ok && data.intent === "apply") setPreview(null);
+  }, [data]);
+
+  const handleDrop = useCallback((_files, acceptedFiles) => {
+    if (acceptedFiles.length) {
+      setFile(acceptedFiles[0]);
+      setPreview(null);
+    }
+  }, []);
+
+  const submit = (intent) => {
+    if (!file) return;
+    const formData = new FormData();
+    formData.append("intent", intent);
+    formData.append("file", file);
+    formData.append("replaceMissing", String(replaceMissing));
+    fetcher.submit(formData, { method: "post", encType: "multipart/form-data" });
+  };
+
+  const summary = preview?.summary;
+  const errors = data?.errors || [];
+
+  return (
+    <Page title="Import Specifications">
+      <Layout>
+        {data && !data.ok && (
+          <Layout.Section>
+            <Banner status="critical" title={data.error || "Import failed"} />
+          </Layout.Section>
+        )}
+        {data?.ok && data.intent === "apply" && (
+          <Layout.Section>
+            <Banner status="success" title="Specifications imported">
+              {`${data.result.created} created, ${data.result.updated} updated, ${data.result.deleted} deleted.`}
+            </Banner>
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <Card sectioned>
+            <LegacyStack vertical spacing="tight">
+              <Text variant="headingMd" as="h2">Upload a specifications sheet</Text>
+              <List type="bullet">
+                <List.Item>Wide sheet: a SKU column plus one column per spec key.</List.Item>
+                <List.Item>Long sheet: SKU, Key and Value columns, one row per value.</List.Item>
+                <List.Item>An empty value removes that key from the SKU.</List.Item>
+                <List.Item>Keys listed as aliases under Spec Keys are saved under their canonical key.</List.Item>
+              </List>
+              <DropZone allowMultiple={false} onDrop={handleDrop} disabled={busy} accept=".xlsx,.csv">
+                {file
+                  ? <Text alignment="center">Selected file: {file.name}</Text>
+                  : <DropZone.FileUpload actionHint="Accepts .xlsx and .csv files" />}
+              </DropZone>
+              <Checkbox
+                label="Remove keys that are stored for these SKUs but missing from the sheet"
+                checked={replaceMissing}
+                onChange={(checked) => { setReplaceMissing(checked); setPreview(null); }}
+                disabled={busy}
+              />
+              <div style={{ display: "flex", gap: 8 }}>
+                <Button onClick={() => submit("preview")} disabled={!file || busy} loading={busy && !preview}>
+                  Preview changes
+                </Button>
+                <Button primary onClick={() => submit("apply")} disabled={!preview || busy} loading={busy && !!preview}>
+                  Apply changes
+                </Button>
+              </div>
+            </LegacyStack>
+          </Card>
+        </Layout.Section>
+
+        {summary && (
+          <Layout.Section>
+            <Card sectioned>
+              <Text variant="headingMd" as="h2">Dry run</Text>
+              <Text variant="bodyMd" as="p">
+                {`${summary.format === "long" ? "Long" : "Wide"} sheet with ${summary.skus} SKUs: ` +
+                  `${summary.creates} to create, ${summary.updates} to update, ${summary.deletes} to delete, ` +
+                  `${summary.unchanged} unchanged, ${summary.errors} rows with problems.`}
+              </Text>
+              {preview.creates.length > 0 && (
+                <DataTable
+                  columnContentTypes={["text", "text", "text"]}
+                  headings={["SKU", "Key", "New value"]}
+                  rows={preview.creates.map((c) => [c.sku, c.spec_key, c.spec_value])}
+                />
+              )}
+              {preview.updates.length > 0 && (
+                <DataTable
+                  columnContentTypes={["text", "text", "text", "text"]}
+                  headings={["SKU", "Key", "Current value", "New value"]}
+                  rows={preview.updates.map((u) => [u.sku, u.spec_key, u.from, u.to])}
+                />
+              )}
+              {preview.deletes.length > 0 && (
+                <DataTable
+                  columnContentTypes={["text", "text", "text"]}
+                  headings={["SKU", "Key", "Value to delete"]}
+                  rows={preview.deletes.map((d) => [d.sku, d.spec_key, d.spec_value])}
+                />
+              )}
+              {(summary.creates > preview.creates.length ||
+                summary.updates > preview.updates.length ||
+                summary.deletes > preview.deletes.length) && (
+                <Text variant="bodySm" color="subdued" as="p">
+                  {`Only the first ${preview.creates.length + preview.updates.length + preview.deletes.length} changes are listed.`}
+                </Text>
+              )}
+            </Card>
+          </Layout.Section>
+        )}
+
+        {errors.length > 0 && (
+          <Layout.Section>
+            <Card sectioned>
+              <Text variant="headingMd" as="h2">Rows skipped</Text>
+              <DataTable
+                columnContentTypes={["text", "text"]}
+                headings={["Row #", "Problem"]}
+                rows={errors.map((e) => [e.row, e.message])}
+              />
+            </Card>
+          </Layout.Section>
+        )}
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,359 @@
+import { json } from "@remix-run/node";
+import { useLoaderData, useFetcher } from "@remix-run/react";
+import { useState, useEffect } from "react";
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  Button,
+  TextField,
+  Checkbox,
+  Select,
+  DataTable,
+  Banner,
+  FormLayout,
+  Spinner,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import {
+  listSpecKeys,
+  createSpecKeyRegistry,
+  findUnregisteredKeys,
+  saveSpecKey,
+  deleteSpecKey,
+  loadSpecKeyRegistry,
+} from "../utils/specKeys.server";
+import { listKeyValues, mergeSpecValues } from "../utils/specVocabulary.server";
+import { sessionUser } from "../utils/specHistory.server";
+import { UNIT_TYPES } from "../utils/units";
+import { VOCABULARY_MODES } from "../utils/vocabulary";
+
+const EMPTY_FORM = {
+  id: "",
+  key: "",
+  label: "",
+  aliases: "",
+  sortOrder: "0",
+  excludeFromFilters: false,
+  unitType: "",
+  displayUnit: "",
+  unitMetafield: false,
+  vocabularyMode: VOCABULARY_MODES.FREE,
+  allowedValues: "",
+};
+
+const UNIT_TYPE_OPTIONS = [
+  { label: "None (free text)", value: "" },
+  ...Object.entries(UNIT_TYPES).map(([value, { label }]) => ({ label, value })),
+];
+
+const VOCABULARY_OPTIONS = [
+  { label: "Free text", value: VOCABULARY_MODES.FREE },
+  { label: "Suggest allowed and existing values", value: VOCABULARY_MODES.SUGGEST },
+  { label: "Strict (allowed values only)", value: VOCABULARY_MODES.STRICT },
+];
+
+const VOCABULARY_LABELS = {
+  [VOCABULARY_MODES.SUGGEST]: "Suggest",
+  [VOCABULARY_MODES.STRICT]: "Strict",
+};
+
+// ------------------------------------
+// Loader — the registry, or the stored values of one key
+//   ?valuesFor=Colour
+// ------------------------------------
+export async function loader({ request }) {
+  const { session } = await authenticate.admin(request);
+  const valuesFor = new URL(request.url).searchParams.get("valuesFor");
+  if (valuesFor) {
+    const registry = await loadSpecKeyRegistry(session.shop);
+    return json({ key: valuesFor, values: await listKeyValues(session.shop, registry, valuesFor) });
+  }
+
+  const specKeys = await listSpecKeys(session.shop);
+  const unregisteredKeys = await findUnregisteredKeys(session.shop, createSpecKeyRegistry(specKeys));
+  return json({ specKeys, unregisteredKeys });
+}
+
+// ------------------------------------
+// Action — save or delete a registry entry, or merge two stored values
+// ------------------------------------
+export async function action({ request }) {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  try {
+    if (intent === "save") {
+      const result = await saveSpecKey(session.shop, {
+        id: formData.get("id"),
+        key: formData.get("key"),
+        label: formData.get("label"),
+        aliases: formData.get("aliases"),
+        sortOrder: formData.get("sortOrder"),
+        excludeFromFilters: formData.get("excludeFromFilters") === "true",
+        unitType: formData.get("unitType"),
+        displayUnit: formData.get("displayUnit"),
+        unitMetafield: formData.get("unitMetafield") === "true",
+        vocabularyMode: formData.get("vocabularyMode"),
+        allowedValues: formData.get("allowedValues"),
+      });
+      return json({ ...result, intent });
+    }
+
+    if (intent === "merge") {
+      const result = await mergeSpecValues(session.shop, await loadSpecKeyRegistry(session.shop), {
+        key: formData.get("key"),
+        from: formData.get("from"),
+        to: formData.get("to"),
+        user: sessionUser(session),
+      });
+      return json({ ...result, intent });
+    }
+
+    if (intent === "delete") {
+      await deleteSpecKey(session.shop, formData.get("id"));
+      return json({ ok: true, intent });
+    }
+  } catch (err) {
+    console.error("[spec keys] Error:", err);
+    return json({ ok: false, intent, error: err.message || "Failed to save spec key" }, { status: 500 });
+  }
+
+  return json({ ok: false, error: "Unknown intent" }, { status: 400 });
+}
+
+// ------------------------------------
+// React Component
+// ------------------------------------
+export default function SpecKeysPage() {
+  const { specKeys, unregisteredKeys } = useLoaderData();
+  const fetcher = useFetcher();
+  const valuesFetcher = useFetcher();
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [merge, setMerge] = useState({ key: "", from: "", to: "" });
+
+  const busy = fetcher.state !== "idle";
+
+  useEffect(() => {
+    if (fetcher.state !== "idle" || !fetcher.data?.ok) return;
+    if (fetcher.data.intent === "save") setForm(EMPTY_FORM);
+    if (fetcher.data.intent === "merge") {
+      setMerge((prev) => ({ ...prev, from: "", to: "" }));
+      valuesFetcher.load(`/app/spec_keys?valuesFor=${encodeURIComponent(merge.key)}`);
+    }
+  }, [fetcher.state, fetcher.data]);
+
+  const setField = (field) => (value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const handleSave = () => {
+    fetcher.submit(
+      {
+        intent: "save",
+        ...form,
+        excludeFromFilters: String(form.excludeFromFilters),
+        unitMetafield: String(form.unitMetafield),
+      },
+      { method: "post" }
+    );
+  };
+
+  const handleEdit = (entry) => {
+    setForm({
+      id: String(entry.id),
+      key: entry.key,
+      label: entry.label,
+      aliases: (entry.aliases || []).join(", "),
+      sortOrder: String(entry.sort_order),
+      excludeFromFilters: entry.exclude_from_filters,
+      unitType: entry.unit_type || "",
+      displayUnit: entry.display_unit || "",
+      unitMetafield: entry.unit_metafield,
+      vocabularyMode: entry.vocabulary_mode || VOCABULARY_MODES.FREE,
+      allowedValues: (entry.allowed_values || []).join("\n"),
+    });
+  };
+
+  const handleUnitTypeChange = (unitType) => {
+    setForm((prev) => ({
+      ...prev,
+      unitType,
+      displayUnit: unitType ? UNIT_TYPES[unitType].defaultUnit : "",
+      unitMetafield: false,
+    }));
+  };
+
+  const unitType = UNIT_TYPES[form.unitType];
+
+  const handleDelete = (entry) => {
+    if (confirm(`Remove "${entry.key}" from the registry? Stored values are not changed.`)) {
+      fetcher.submit({ intent: "delete", id: String(entry.id) }, { method: "post" });
+    }
+  };
+
+  const handleMergeKeyChange = (key) => {
+    setMerge({ key, from: "", to: "" });
+    if (key) valuesFetcher.load(`/app/spec_keys?valuesFor=${encodeURIComponent(key)}`);
+  };
+
+  const handleMerge = () => {
+    if (!confirm(`Replace "${merge.from}" with "${merge.to}" for "${merge.key}" on every SKU?`)) return;
+    fetcher.submit({ intent: "merge", ...merge }, { method: "post" });
+  };
+
+  const keyValues = valuesFetcher.data?.key === merge.key ? valuesFetcher.data.values : null;
+  const mergeKeyOptions = [
+    { label: "Choose a key", value: "" },
+    ...specKeys.map((entry) => ({ label: entry.label, value: entry.key })),
+    ...unregisteredKeys.map((key) => ({ label: `${key} (unregistered)`, value: key })),
+  ];
+
+  const valueRows = (keyValues || []).map((v) => [
+    v.value,
+    v.count,
+    v.allowed ? "Allowed" : "",
+    <div key={v.value} style={{ display: "flex", gap: 8 }}>
+      <Button size="slim" onClick={() => setMerge((prev) => ({ ...prev, from: v.value }))} disabled={busy}>Merge from</Button>
+      <Button size="slim" onClick={() => setMerge((prev) => ({ ...prev, to: v.value }))} disabled={busy}>Merge into</Button>
+    </div>,
+  ]);
+
+  const rows = specKeys.map((entry) => [
+    entry.key,
+    entry.label,
+    (entry.aliases || []).join(", "),
+    entry.sort_order,
+    entry.exclude_from_filters ? "Excluded" : "",
+    entry.unit_type
+      ? `${UNIT_TYPES[entry.unit_type]?.label || entry.unit_type} (${entry.display_unit})${entry.unit_metafield ? ", metafield" : ""}`
+      : "",
+    entry.vocabulary_mode && VOCABULARY_LABELS[entry.vocabulary_mode]
+      ? `${VOCABULARY_LABELS[entry.vocabulary_mode]} (${(entry.allowed_values || []).length} allowed)`
+      : "",
+    <div key={entry.id} style={{ display: "flex", gap: 8 }}>
+      <Button size="slim" onClick={() => handleEdit(entry)} disabled={busy}>Edit</Button>
+      <Button size="slim" destructive onClick={() => handleDelete(entry)} disabled={busy}>Delete</Button>
+    </div>,
+  ]);
+
+  return (
+    <Page title="Spec Keys">
+      <Layout>
+        {fetcher.data && !fetcher.data.ok && (
+          <Layout.Section>
+            <Banner status="critical" title={fetcher.data.error || "Failed to save"} />
+          </Layout.Section>
+        )}
+        {fetcher.data?.ok && fetcher.data.intent === "merge" && (
+          <Layout.Section>
+            <Banner status="success" title={`Merged ${fetcher.data.count} value${fetcher.data.count === 1 ? "" : "s"}`}>
+              Storefront filters pick up the change on the next Filter Manager save.
+            </Banner>
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <Card sectioned>
+            <Text variant="headingMd" as="h2">{form.id ? `Edit "${form.key}"` : "Add a canonical key"}</Text>
+            <FormLayout>
+              <TextField label="Key" value={form.key} onChange={setField("key")} autoComplete="off"
+                helpText="The name values are stored and filtered under, e.g. Colour" />
+              <TextField label="Display label" value={form.label} onChange={setField("label")} autoComplete="off"
+                helpText="Shown as the filter name. Defaults to the key." />
+              <TextField label="Aliases" value={form.aliases} onChange={setField("aliases")} autoComplete="off" multiline
+                helpText="Comma separated names that mean the same key, e.g. Color, Finish Colour" />
+              <TextField label="Sort order" type="number" value={form.sortOrder} onChange={setField("sortOrder")} autoComplete="off" />
+              <Checkbox label="Exclude from filters" checked={form.excludeFromFilters} onChange={setField("excludeFromFilters")} />
+              <FormLayout.Group>
+                <Select label="Unit type" options={UNIT_TYPE_OPTIONS} value={form.unitType} onChange={handleUnitTypeChange}
+                  helpText="Values like 10mm, 1 cm and 0.39 in are converted to one display unit for filters" />
+                {unitType && (
+                  <Select label="Display unit" options={Object.keys(unitType.units)} value={form.displayUnit} onChange={setField("displayUnit")} />
+                )}
+              </FormLayout.Group>
+              {unitType?.metafieldType && (
+                <Checkbox
+                  label={`Write filters as Shopify ${unitType.metafieldType} metafields`}
+                  helpText="Otherwise the converted value is written as text. Values that cannot be read are skipped."
+                  checked={form.unitMetafield}
+                  onChange={setField("unitMetafield")}
+                />
+              )}
+              <Select label="Values" options={VOCABULARY_OPTIONS} value={form.vocabularyMode} onChange={setField("vocabularyMode")}
+                helpText="Suggested values are offered in the Filter Manager. Strict keys reject any other value on save and import." />
+              {form.vocabularyMode !== VOCABULARY_MODES.FREE && (
+                <TextField label="Allowed values" value={form.allowedValues} onChange={setField("allowedValues")} autoComplete="off" multiline={4}
+                  helpText="One value per line. Values that only differ in case or punctuation are saved with this spelling." />
+              )}
+              <div style={{ display: "flex", gap: 8 }}>
+                <Button primary onClick={handleSave} loading={busy} disabled={busy || !form.key.trim()}>Save</Button>
+                {form.id && <Button onClick={() => setForm(EMPTY_FORM)} disabled={busy}>Cancel</Button>}
+              </div>
+            </FormLayout>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card sectioned>
+            <Text variant="headingMd" as="h2">Registry</Text>
+            {rows.length ? (
+              <DataTable
+                columnContentTypes={["text", "text", "text", "numeric", "text", "text", "text", "text"]}
+                headings={["Key", "Label", "Aliases", "Sort", "Filters", "Unit", "Values", ""]}
+                rows={rows}
+              />
+            ) : (
+              <Text variant="bodyMd" color="subdued">No keys registered yet.</Text>
+            )}
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card sectioned>
+            <Text variant="headingMd" as="h2">Merge values</Text>
+            <Text variant="bodyMd" color="subdued" as="p">
+              Replaces one stored value with another on every SKU, e.g. &quot;stainless-steel&quot; into &quot;Stainless steel&quot;.
+            </Text>
+            <FormLayout>
+              <Select label="Key" options={mergeKeyOptions} value={merge.key} onChange={handleMergeKeyChange} />
+              {valuesFetcher.state === "loading" && <Spinner size="small" />}
+              {keyValues && (keyValues.length ? (
+                <>
+                  <DataTable
+                    columnContentTypes={["text", "numeric", "text", "text"]}
+                    headings={["Value", "SKUs", "", ""]}
+                    rows={valueRows}
+                  />
+                  <FormLayout.Group>
+                    <TextField label="Merge" value={merge.from} onChange={(from) => setMerge((prev) => ({ ...prev, from }))} autoComplete="off" />
+                    <TextField label="Into" value={merge.to} onChange={(to) => setMerge((prev) => ({ ...prev, to }))} autoComplete="off"
+                      helpText="An existing value or a new spelling" />
+                  </FormLayout.Group>
+                  <div>
+                    <Button primary onClick={handleMerge} loading={busy} disabled={busy || !merge.from || !merge.to.trim()}>Merge</Button>
+                  </div>
+                </>
+              ) : (
+                <Text variant="bodyMd" color="subdued">No values stored for this key.</Text>
+              ))}
+            </FormLayout>
+          </Card>
+        </Layout.Section>
+
+        {unregisteredKeys.length > 0 && (
+          <Layout.Section>
+            <Card sectioned>
+              <Text variant="headingMd" as="h2">Unregistered keys in the specifications table</Text>
+              <div style={{ display: "flex", flexWrap: "wrap", gap: 8, marginTop: 12 }}>
+                {unregisteredKeys.map((key) => (
+                  <Button key={key} size="slim" onClick={() => setForm({ ...EMPTY_FORM, key, label: key })}>{key}</Button>
+                ))}
+              </div>
+            </Card>
+          </Layout.Section>
+        )}
+      </Layout>
+    </Page>
+  );
+}
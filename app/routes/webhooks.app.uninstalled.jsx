@@ -12,5 +12,18 @@ export const action = async ({ request }) => {
     await db.session.deleteMany({ where: { shop } });
   }
 
+  // App data is scoped by shop, so it can be purged even when the session is already gone.
+  await db.$transaction([
+    db.specifications.deleteMany({ where: { shop } }),
+    db.faq.deleteMany({ where: { shop } }),
+    db.specKey.deleteMany({ where: { shop } }),
+    db.specificationHistory.deleteMany({ where: { shop } }),
+    db.job.deleteMany({ where: { shop } }),
+    db.filterSettings.deleteMany({ where: { shop } }),
+    db.featureTableSync.deleteMany({ where: { shop } }),
+    db.skuIndex.deleteMany({ where: { shop } }),
+    db.specCollection.deleteMany({ where: { shop } }),
+  ]);
+
   return new Response();
 };
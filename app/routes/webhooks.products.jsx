@@ -0,0 +1,17 @@
+import { authenticate } from "../shopify.server";
+import { indexProduct, removeProductFromIndex, productFromWebhook } from "../utils/skuIndex.server";
+
+// products/create, products/update and products/delete keep the SKU index current
+export const action = async ({ request }) => {
+  const { shop, payload, topic } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  if (topic === "PRODUCTS_DELETE") {
+    await removeProductFromIndex(shop, `gid://shopify/Product/${payload.id}`);
+  } else {
+    await indexProduct(shop, productFromWebhook(payload));
+  }
+
+  return new Response();
+};
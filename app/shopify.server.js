@@ -16,6 +16,9 @@ const shopify = shopifyApp({
   authPathPrefix: "/auth",
   sessionStorage: new PrismaSessionStorage(prisma),
   distribution: AppDistribution.AppStore,
+  // Requests run on the staff member's online session, so changes can be
+  // attributed to them; background jobs use the shop's offline session
+  useOnlineTokens: true,
   future: {
     unstable_newEmbeddedAuthStrategy: true,
     removeRest: true,
@@ -0,0 +1,33 @@
+// Stand-in for the Admin API client of `authenticate.admin`. Responses are
+// looked up by the operation name of the query (`query productFilters(...)`
+// -> "productFilters"); a handler gets the variables and returns the JSON
+// body. Every call is recorded as `{ name, variables }`.
+export function createAdminStub(handlers = {}) {
+  const calls = [];
+  const admin = {
+    async graphql(query, { variables = {} } = {}) {
+      const name = query.match(/(?:query|mutation)\s+(\w+)/)?.[1];
+      calls.push({ name, variables });
+      const handler = handlers[name];
+      if (!handler) throw new Error(`Unexpected GraphQL operation "${name}"`);
+      const body = await handler(variables, calls);
+      return { json: async () => body };
+    },
+  };
+  const callsTo = (name) => calls.filter((c) => c.name === name);
+  return { admin, calls, callsTo };
+}
+
+// One page of `node.metafields` as returned by the owner metafields query
+export function metafieldsPage(metafields, hasNextPage = false) {
+  return {
+    data: {
+      node: {
+        metafields: {
+          edges: metafields.map((node, i) => ({ cursor: `c${i}`, node })),
+          pageInfo: { hasNextPage },
+        },
+      },
+    },
+  };
+}
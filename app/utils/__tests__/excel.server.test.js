@@ -0,0 +1,31 @@
+import { describe, it, expect } from "vitest";
+import ExcelJS from "exceljs";
+import { readNumberedSheetRows, readSheetRows } from "../excel.server";
+
+describe("readNumberedSheetRows", () => {
+  it("keeps the Excel row numbers when empty rows are skipped", async () => {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet("Sheet1");
+    worksheet.getRow(1).values = ["handle", "title"];
+    worksheet.getRow(2).values = ["first", "First"];
+    worksheet.getRow(5).values = ["second", "Second"];
+    const buffer = Buffer.from(await workbook.xlsx.writeBuffer());
+
+    expect(await readNumberedSheetRows(buffer, "entries.xlsx")).toEqual([
+      { number: 1, cells: ["handle", "title"] },
+      { number: 2, cells: ["first", "First"] },
+      { number: 5, cells: ["second", "Second"] },
+    ]);
+  });
+
+  it("numbers CSV rows by line, blank lines included", async () => {
+    const buffer = Buffer.from("handle,title\nfirst,First\n\n , \nsecond,Second\n", "utf8");
+
+    expect(await readNumberedSheetRows(buffer, "entries.csv")).toEqual([
+      { number: 1, cells: ["handle", "title"] },
+      { number: 2, cells: ["first", "First"] },
+      { number: 5, cells: ["second", "Second"] },
+    ]);
+    expect(await readSheetRows(buffer, "entries.csv")).toEqual([["handle", "title"], ["first", "First"], ["second", "Second"]]);
+  });
+});
@@ -0,0 +1,203 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { createAdminStub, metafieldsPage } from "./adminStub";
+
+const { prisma, loadCollectionProducts } = vi.hoisted(() => ({
+  prisma: {
+    specKey: { findMany: vi.fn() },
+    specifications: { findMany: vi.fn(), groupBy: vi.fn() },
+    filterSettings: { findUnique: vi.fn() },
+    job: { findFirst: vi.fn(), create: vi.fn() },
+  },
+  loadCollectionProducts: vi.fn(),
+}));
+
+vi.mock("../../db.server", () => ({ default: prisma }));
+vi.mock("../skuIndex.server", () => ({ loadCollectionProducts }));
+vi.mock("../specChanges.server", () => ({ onSpecificationsChanged: vi.fn() }));
+
+const { loadCollectionSpecs, loadGridValues, startFilterSave } = await import("../filterManager.server");
+const { JOB_TYPES } = await import("../jobs.server");
+const { FILTER_LEVELS, MAX_FILTER_KEYS } = await import("../filterConfig");
+const { VOCABULARY_MODES } = await import("../vocabulary");
+
+const SHOP = "test-shop.myshopify.com";
+const COLLECTION_ID = "gid://shopify/Collection/1";
+
+const specKey = (fields) => ({
+  id: 1,
+  label: "",
+  aliases: [],
+  sort_order: 0,
+  exclude_from_filters: false,
+  unit_type: null,
+  display_unit: null,
+  unit_metafield: false,
+  vocabulary_mode: VOCABULARY_MODES.FREE,
+  allowed_values: [],
+  ...fields,
+});
+
+const spec = (sku, spec_key, spec_value) => ({ shop: SHOP, sku, spec_key, spec_value });
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  prisma.specKey.findMany.mockResolvedValue([]);
+  prisma.specifications.findMany.mockResolvedValue([]);
+  prisma.specifications.groupBy.mockResolvedValue([]);
+  prisma.filterSettings.findUnique.mockResolvedValue(null);
+  prisma.job.findFirst.mockResolvedValue(null);
+  prisma.job.create.mockImplementation(async ({ data }) => ({ id: 42, ...data }));
+});
+
+describe("loadCollectionSpecs", () => {
+  const products = [
+    { id: "gid://shopify/Product/1", title: "Chair", variants: [{ id: "v1", sku: "A" }, { id: "v2", sku: "B" }] },
+    { id: "gid://shopify/Product/2", title: "Table", variants: [{ id: "v3", sku: "C" }, { id: "v4", sku: "" }] },
+  ];
+
+  beforeEach(() => {
+    loadCollectionProducts.mockResolvedValue(products);
+    prisma.specKey.findMany.mockResolvedValue([
+      specKey({ key: "Colour", label: "Colour", aliases: ["Color"], sort_order: 1 }),
+      specKey({ key: "Width", label: "Width (cm)", sort_order: 2 }),
+    ]);
+    prisma.specifications.findMany.mockResolvedValue([
+      spec("A", "Color", "Red"),
+      spec("B", "colour", "Blue"),
+      spec("C", "Width", ""),
+      spec("A", "Brand", "Acme"),
+      spec("C", "Material", "Oak"),
+    ]);
+  });
+
+  it("collapses aliases onto the canonical key and leaves excluded keys out", async () => {
+    const { admin } = createAdminStub({ ownerMetafields: () => metafieldsPage([]) });
+    const result = await loadCollectionSpecs(admin, SHOP, COLLECTION_ID);
+
+    expect(result.skus).toEqual(["A", "B", "C"]);
+    expect(result.specKeys).toEqual(["Colour", "Width", "Material"]);
+    expect(result.specKeyLabels).toEqual({ Colour: "Colour", Width: "Width (cm)", Material: "Material" });
+    expect(result.keyCoverage).toEqual({ Colour: 2, Width: 0, Material: 1 });
+    expect(prisma.specifications.findMany).toHaveBeenCalledWith({ where: { shop: SHOP, sku: { in: ["A", "B", "C"] } } });
+  });
+
+  it("preselects the keys the collection filters on", async () => {
+    const { admin, callsTo } = createAdminStub({
+      ownerMetafields: () => metafieldsPage([
+        { namespace: "custom", key: "filter_1", type: "single_line_text_field", value: "color" },
+        { namespace: "custom", key: "filter_2", type: "single_line_text_field", value: "Unknown key" },
+        { namespace: "other_app", key: "filter_3", type: "single_line_text_field", value: "Width" },
+      ]),
+    });
+    const result = await loadCollectionSpecs(admin, SHOP, COLLECTION_ID);
+
+    expect(callsTo("ownerMetafields")[0].variables.id).toBe(COLLECTION_ID);
+    expect(result.preselectedKeys).toEqual(["Colour"]);
+  });
+
+  it("still loads the specs when the collection filters cannot be read", async () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    const { admin } = createAdminStub({
+      ownerMetafields: () => {
+        throw new Error("Throttled");
+      },
+    });
+    const result = await loadCollectionSpecs(admin, SHOP, COLLECTION_ID);
+
+    expect(result.preselectedKeys).toEqual([]);
+    expect(result.specKeys).toEqual(["Colour", "Width", "Material"]);
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
+
+describe("loadGridValues", () => {
+  it("returns nothing without SKUs or keys", async () => {
+    expect(await loadGridValues(SHOP, [], ["Colour"])).toEqual({ values: {}, vocabularies: {} });
+    expect(await loadGridValues(SHOP, ["A"], [])).toEqual({ values: {}, vocabularies: {} });
+    expect(prisma.specifications.findMany).not.toHaveBeenCalled();
+  });
+
+  it("shows alias values under the canonical key, preferring the canonical spelling", async () => {
+    prisma.specKey.findMany.mockResolvedValue([specKey({ key: "Colour", aliases: ["Color"] })]);
+    prisma.specifications.findMany.mockResolvedValue([
+      spec("A", "Colour", "Red"),
+      spec("A", "Color", "Crimson"),
+      spec("B", "Color", "Blue"),
+      spec("B", "Width", "40"),
+    ]);
+
+    const { values } = await loadGridValues(SHOP, ["A", "B"], ["Colour"]);
+    expect(values).toEqual({ A: { Colour: "Red" }, B: { Colour: "Blue" } });
+  });
+
+  it("offers allowed values, then stored values, for keys outside free mode", async () => {
+    prisma.specKey.findMany.mockResolvedValue([
+      specKey({ key: "Colour", aliases: ["Color"], vocabulary_mode: VOCABULARY_MODES.SUGGEST, allowed_values: ["Red", "Blue"] }),
+      specKey({ key: "Finish", vocabulary_mode: VOCABULARY_MODES.STRICT, allowed_values: ["Matt", "Gloss"] }),
+      specKey({ key: "Material", vocabulary_mode: VOCABULARY_MODES.SUGGEST }),
+    ]);
+    prisma.specifications.groupBy.mockResolvedValue([
+      { spec_key: "Colour", spec_value: "red", _count: { _all: 9 } },
+      { spec_key: "Color", spec_value: "Green", _count: { _all: 2 } },
+      { spec_key: "Colour", spec_value: "Teal", _count: { _all: 5 } },
+      { spec_key: "Material", spec_value: "Oak", _count: { _all: 1 } },
+    ]);
+
+    const { vocabularies } = await loadGridValues(SHOP, ["A"], ["Colour", "Finish", "Width", "Material"]);
+    expect(vocabularies).toEqual({
+      Colour: { mode: VOCABULARY_MODES.SUGGEST, allowedValues: ["Red", "Blue"], values: ["Red", "Blue", "Teal", "Green"] },
+      Finish: { mode: VOCABULARY_MODES.STRICT, allowedValues: ["Matt", "Gloss"], values: ["Matt", "Gloss"] },
+      Material: { mode: VOCABULARY_MODES.SUGGEST, allowedValues: [], values: ["Oak"] },
+    });
+    expect(prisma.specifications.groupBy).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("startFilterSave", () => {
+  const request = {
+    collectionId: COLLECTION_ID,
+    selectedKeys: ["Finish"],
+    valuesBySku: { A: { Finish: "matt" } },
+    productsData: [{ id: "gid://shopify/Product/1", title: "Chair", variants: [{ id: "v1", sku: "A" }] }],
+    filterLevel: FILTER_LEVELS.PRODUCT,
+    user: { id: 1 },
+  };
+
+  beforeEach(() => {
+    prisma.specKey.findMany.mockResolvedValue([
+      specKey({ key: "Finish", vocabulary_mode: VOCABULARY_MODES.STRICT, allowed_values: ["Matt", "Gloss"] }),
+    ]);
+  });
+
+  it("rejects incomplete or invalid requests", async () => {
+    expect(await startFilterSave(SHOP, { ...request, collectionId: "" }))
+      .toMatchObject({ ok: false, status: 400, error: "Missing collectionId" });
+    expect(await startFilterSave(SHOP, { ...request, selectedKeys: Array.from({ length: MAX_FILTER_KEYS + 1 }, (_, i) => `k${i}`) }))
+      .toMatchObject({ ok: false, status: 400 });
+    expect(await startFilterSave(SHOP, { ...request, filterLevel: "shop" }))
+      .toMatchObject({ ok: false, status: 400, error: 'Unknown filter level "shop"' });
+    expect(prisma.job.create).not.toHaveBeenCalled();
+  });
+
+  it("rejects values outside a strict vocabulary", async () => {
+    const result = await startFilterSave(SHOP, { ...request, valuesBySku: { A: { Finish: "Satin" } } });
+    expect(result).toMatchObject({ ok: false, status: 400 });
+    expect(result.error).toContain('A / Finish: "Satin"');
+    expect(prisma.job.create).not.toHaveBeenCalled();
+  });
+
+  it("refuses a second save while one is queued or running", async () => {
+    prisma.job.findFirst.mockResolvedValue({ id: 7 });
+    expect(await startFilterSave(SHOP, request)).toMatchObject({ ok: false, status: 409 });
+    expect(prisma.job.create).not.toHaveBeenCalled();
+  });
+
+  it("queues the save with the vocabulary spelling of the values", async () => {
+    expect(await startFilterSave(SHOP, request)).toEqual({ ok: true, status: 200, jobId: 42 });
+
+    const { data } = prisma.job.create.mock.calls[0][0];
+    expect(data).toMatchObject({ shop: SHOP, type: JOB_TYPES.FILTER_SAVE, title: "Filter save (1 products)" });
+    expect(data.payload).toEqual({ ...request, valuesBySku: { A: { Finish: "Matt" } } });
+  });
+});
@@ -0,0 +1,260 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { createAdminStub, metafieldsPage } from "./adminStub";
+
+const { prisma, bulk, onSpecificationsChanged } = vi.hoisted(() => ({
+  prisma: {
+    specKey: { findMany: vi.fn() },
+    specifications: { findMany: vi.fn(), deleteMany: vi.fn(), create: vi.fn() },
+    specificationHistory: { createMany: vi.fn() },
+    filterSettings: { findUnique: vi.fn(), upsert: vi.fn() },
+    $transaction: vi.fn(),
+  },
+  // Bulk mutations run instantly: `runs` records each one and `failures`
+  // (keyed by mutation name) makes the next run of that mutation fail
+  bulk: { runs: [], failures: {} },
+  onSpecificationsChanged: vi.fn(),
+}));
+
+vi.mock("../../db.server", () => ({ default: prisma }));
+vi.mock("../specChanges.server", () => ({ onSpecificationsChanged }));
+vi.mock("../bulkOperations.server", async (importOriginal) => ({
+  ...(await importOriginal()),
+  getBulkClient: () => ({}),
+  runBulkMutation: vi.fn(async (client, mutation, lines) => {
+    const name = mutation.match(/mutation\s+(\w+)/)[1];
+    bulk.runs.push({ name, lines });
+    const failures = bulk.failures[name] || [];
+    delete bulk.failures[name];
+    return { status: "COMPLETED", objectCount: lines.length, failures };
+  }),
+}));
+
+const { buildFilterMetafields, fetchFilterMetafields, runFilterSaveJob } = await import("../filterSave.server");
+const { createSpecKeyRegistry } = await import("../specKeys.server");
+const { FILTER_LEVELS, FILTER_KEY_SCHEMES, DEFAULT_FILTER_SETTINGS } = await import("../filterConfig");
+
+const SHOP = "test-shop.myshopify.com";
+const COLLECTION_ID = "gid://shopify/Collection/1";
+const TEXT = "single_line_text_field";
+
+const productsData = [
+  {
+    id: "gid://shopify/Product/1",
+    title: "Chair",
+    variants: [
+      { id: "gid://shopify/ProductVariant/1", sku: "A" },
+      { id: "gid://shopify/ProductVariant/2", sku: "B" },
+    ],
+  },
+  { id: "gid://shopify/Product/2", title: "Table", variants: [{ id: "gid://shopify/ProductVariant/3", sku: "C" }] },
+];
+
+const registry = createSpecKeyRegistry([
+  { key: "Colour", label: "Colour", aliases: ["Color"], sort_order: 1 },
+  { key: "Width", label: "Width", aliases: [], sort_order: 2, unit_type: "length", display_unit: "mm", unit_metafield: true },
+]);
+
+const build = (overrides) => buildFilterMetafields({
+  collectionId: COLLECTION_ID,
+  selectedKeys: ["Colour"],
+  valuesBySku: { A: { Colour: "Red" }, B: { Colour: "Blue" }, C: { Colour: "Red" } },
+  productsData,
+  registry,
+  settings: DEFAULT_FILTER_SETTINGS,
+  ...overrides,
+});
+
+describe("buildFilterMetafields", () => {
+  it("writes one value per product and labels the collection filters", () => {
+    const { collectionMetafields, ownerMetafields, definitions, writtenKeys, warnings } = build();
+
+    expect(collectionMetafields).toEqual([
+      { namespace: "custom", key: "filter_1", ownerId: COLLECTION_ID, type: TEXT, value: "Colour" },
+    ]);
+    expect(ownerMetafields.get("gid://shopify/Product/1")).toEqual([
+      { namespace: "custom", key: "filter_1", ownerId: "gid://shopify/Product/1", type: TEXT, value: "Blue" },
+    ]);
+    expect(ownerMetafields.get("gid://shopify/ProductVariant/1")).toEqual([]);
+    expect(definitions.map((d) => [d.ownerType, d.key, d.type])).toEqual([
+      ["PRODUCT", "filter_1", TEXT],
+      ["COLLECTION", "filter_1", TEXT],
+    ]);
+    expect(writtenKeys).toEqual(["custom.filter_1"]);
+    expect(warnings).toEqual([{ ref: "Chair", message: expect.stringContaining('the product filter uses "Blue"') }]);
+  });
+
+  it("writes variant filters and product lists at the other levels", () => {
+    const variant = build({ level: FILTER_LEVELS.VARIANT });
+    expect(variant.ownerMetafields.get("gid://shopify/Product/1")).toEqual([]);
+    expect(variant.ownerMetafields.get("gid://shopify/ProductVariant/2")[0]).toMatchObject({ type: TEXT, value: "Blue" });
+    expect(variant.definitions[0].ownerType).toBe("PRODUCTVARIANT");
+
+    const list = build({ level: FILTER_LEVELS.PRODUCT_LIST });
+    expect(list.ownerMetafields.get("gid://shopify/Product/1")[0]).toMatchObject({
+      type: `list.${TEXT}`,
+      value: JSON.stringify(["Red", "Blue"]),
+    });
+    expect(list.warnings).toEqual([]);
+  });
+
+  it("converts unit values to measurements and names keys by slug", () => {
+    const { ownerMetafields, collectionMetafields, warnings } = build({
+      selectedKeys: ["Width"],
+      valuesBySku: { A: { Width: "4 cm" }, C: { Width: "wide" } },
+      settings: { ...DEFAULT_FILTER_SETTINGS, keyScheme: FILTER_KEY_SCHEMES.SLUG },
+    });
+
+    expect(collectionMetafields[0].key).toBe("filter_width");
+    expect(ownerMetafields.get("gid://shopify/Product/1")).toEqual([{
+      namespace: "custom",
+      key: "filter_width",
+      ownerId: "gid://shopify/Product/1",
+      type: "dimension",
+      value: JSON.stringify({ value: 40, unit: "mm" }),
+    }]);
+    expect(ownerMetafields.get("gid://shopify/Product/2")).toEqual([]);
+    expect(warnings).toEqual([{ ref: "C", message: '"wide" is not a valid length for Width and was skipped' }]);
+  });
+});
+
+describe("fetchFilterMetafields", () => {
+  it("pages through the owner's metafields and keeps the managed ones", async () => {
+    const { admin, callsTo } = createAdminStub({
+      ownerMetafields: ({ after }) => (after
+        ? metafieldsPage([{ namespace: "custom", key: "filter_2", type: TEXT, value: "Width" }])
+        : metafieldsPage([
+          { namespace: "custom", key: "filter_1", type: TEXT, value: "Colour" },
+          { namespace: "reviews", key: "rating", type: "rating", value: "{}" },
+        ], true)),
+    });
+
+    const metafields = await fetchFilterMetafields(admin, COLLECTION_ID, ["custom.filter_1", "custom.filter_2"]);
+    expect(metafields.map((m) => m.key)).toEqual(["filter_1", "filter_2"]);
+    expect(callsTo("ownerMetafields").map((c) => c.variables.after)).toEqual([null, "c1"]);
+  });
+});
+
+describe("runFilterSaveJob", () => {
+  const payload = {
+    collectionId: COLLECTION_ID,
+    selectedKeys: ["Colour"],
+    valuesBySku: { A: { Colour: "Red" }, B: { Colour: "Red" }, C: { Colour: "Oak" } },
+    productsData,
+    filterLevel: FILTER_LEVELS.PRODUCT,
+    user: { userId: 5, email: "staff@example.com" },
+  };
+  const previousFilter = { namespace: "custom", key: "filter_1", type: TEXT, value: "Green" };
+
+  let items;
+  const ctx = (admin, overrides = {}) => ({
+    job: { id: 1, shop: SHOP },
+    payload,
+    admin,
+    progress: vi.fn(),
+    addItems: vi.fn(async (list) => items.push(...list)),
+    isCanceled: vi.fn(async () => false),
+    ...overrides,
+  });
+
+  // A store where Chair already has a Colour filter and the collection its label
+  const storeAdmin = () => createAdminStub({
+    ownerMetafields: () => metafieldsPage([{ ...previousFilter, value: "Colour" }]),
+    ownersFilterMetafields: ({ ids, keys }) => ({
+      data: {
+        nodes: ids.map((id) => ({
+          id,
+          metafields: {
+            edges: id === "gid://shopify/Product/1" && keys.includes("custom.filter_1") ? [{ node: previousFilter }] : [],
+          },
+        })),
+      },
+    }),
+    metafieldsSet: () => ({ data: { metafieldsSet: { metafields: [], userErrors: [] } } }),
+    metafieldsDelete: () => ({ data: { metafieldsDelete: { deletedMetafields: [], userErrors: [] } } }),
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    items = [];
+    bulk.runs = [];
+    bulk.failures = {};
+    prisma.specKey.findMany.mockResolvedValue([]);
+    prisma.filterSettings.findUnique.mockResolvedValue({
+      namespace: "custom",
+      key_scheme: FILTER_KEY_SCHEMES.POSITIONAL,
+      key_prefix: "filter_",
+      value_type: TEXT,
+      create_definitions: false,
+      managed_keys: ["custom.filter_1"],
+    });
+    prisma.specifications.findMany.mockResolvedValue([{ id: 9, shop: SHOP, sku: "C", spec_key: "Colour", spec_value: "Walnut" }]);
+    prisma.specifications.deleteMany.mockImplementation((args) => ({ op: "deleteMany", args }));
+    prisma.specifications.create.mockImplementation((args) => ({ op: "create", args }));
+    prisma.specificationHistory.createMany.mockImplementation((args) => ({ op: "history", args }));
+    prisma.$transaction.mockResolvedValue([]);
+  });
+
+  it("replaces the filters, then stores the values and their history", async () => {
+    const { admin, callsTo } = storeAdmin();
+    const result = await runFilterSaveJob(ctx(admin));
+
+    expect(result).toMatchObject({ products: 2, keys: 1, namespace: "custom", definitionsCreated: 0 });
+    expect(callsTo("metafieldsSet")[0].variables.metafields).toEqual([
+      { namespace: "custom", key: "filter_1", ownerId: COLLECTION_ID, type: TEXT, value: "Colour" },
+    ]);
+    expect(bulk.runs.map((r) => [r.name, r.lines.length])).toEqual([["metafieldsDelete", 5], ["metafieldsSet", 2]]);
+    expect(bulk.runs[1].lines.map((l) => l.metafields[0].value)).toEqual(["Red", "Oak"]);
+
+    const ops = prisma.$transaction.mock.calls[0][0];
+    expect(ops.map((op) => op.op)).toEqual(["create", "create", "deleteMany", "create", "history"]);
+    expect(ops[4].args.data).toContainEqual(expect.objectContaining({
+      sku: "C", old_value: "Walnut", new_value: "Oak", user_email: "staff@example.com",
+    }));
+    expect(onSpecificationsChanged).toHaveBeenCalledWith(SHOP, ["A", "B", "C"]);
+  });
+
+  it("restores the snapshot and saves nothing when product filters fail", async () => {
+    bulk.failures.metafieldsSet = [{ line: 0, errors: [{ message: "Type mismatch" }] }];
+    const { admin, callsTo } = storeAdmin();
+
+    await expect(runFilterSaveJob(ctx(admin))).rejects.toThrow(
+      "1 product filter update(s) failed. The previous filters were restored and no specifications were saved."
+    );
+    expect(items).toContainEqual({ ref: "Chair", status: "error", message: "Type mismatch" });
+
+    expect(bulk.runs.map((r) => r.name)).toEqual(["metafieldsDelete", "metafieldsSet", "metafieldsDelete", "metafieldsSet"]);
+    expect(bulk.runs[3].lines).toEqual([{ metafields: [{ ownerId: "gid://shopify/Product/1", ...previousFilter }] }]);
+    expect(callsTo("metafieldsSet").at(-1).variables.metafields).toEqual([
+      { ownerId: COLLECTION_ID, ...previousFilter, value: "Colour" },
+    ]);
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+
+  it("restores the snapshot when the save is canceled", async () => {
+    const { admin } = storeAdmin();
+    const result = await runFilterSaveJob(ctx(admin, { isCanceled: vi.fn(async () => true) }));
+
+    expect(result).toEqual({ canceled: true, restored: true });
+    expect(bulk.runs).toEqual([]);
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+
+  it("snapshots every managed key, not only the first query's worth", async () => {
+    const managedKeys = Array.from({ length: 300 }, (_, i) => `custom.filter_${300 - i}`);
+    prisma.filterSettings.findUnique.mockResolvedValue({
+      namespace: "custom",
+      key_scheme: FILTER_KEY_SCHEMES.POSITIONAL,
+      key_prefix: "filter_",
+      value_type: TEXT,
+      create_definitions: false,
+      managed_keys: managedKeys,
+    });
+    bulk.failures.metafieldsSet = [{ line: 0, errors: [{ message: "Type mismatch" }] }];
+    const { admin, callsTo } = storeAdmin();
+
+    await expect(runFilterSaveJob(ctx(admin))).rejects.toThrow("previous filters were restored");
+    const snapshotKeys = callsTo("ownersFilterMetafields").flatMap((c) => c.variables.keys);
+    expect(new Set(snapshotKeys)).toEqual(new Set(managedKeys));
+    expect(bulk.runs[3].lines).toEqual([{ metafields: [{ ownerId: "gid://shopify/Product/1", ...previousFilter }] }]);
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it, expect, vi } from "vitest";
+
+vi.mock("../../db.server", () => ({ default: {} }));
+
+const { parseMetaobjectRows } = await import("../metaobjects.server");
+
+// Rows as `readNumberedSheetRows` returns them, numbered from the header
+const sheet = (...rows) => rows.map((cells, i) => ({ number: i + 1, cells }));
+
+const definition = {
+  id: "gid://shopify/MetaobjectDefinition/1",
+  type: "event",
+  fieldDefinitions: [
+    { key: "title", name: "Title", required: true, type: "single_line_text_field", validations: [] },
+    { key: "starts_on", name: "Starts on", required: false, type: "date", validations: [{ name: "min", value: "2024-01-01" }] },
+    { key: "sessions", name: "Sessions", required: false, type: "list.date", validations: [] },
+  ],
+};
+
+describe("parseMetaobjectRows", () => {
+  it("reads Excel date cells of date fields as calendar dates", () => {
+    const { entries, errors } = parseMetaobjectRows(definition, sheet(
+      ["handle", "title", "starts_on"],
+      ["launch", "Launch", "2024-05-01T00:00:00.000Z"],
+      ["typed", "Typed", "2024-06-15"],
+      ["early", "Early", "2023-12-31T00:00:00.000Z"],
+    ));
+
+    expect(entries.map((e) => e.fields.starts_on)).toEqual(["2024-05-01", "2024-06-15"]);
+    expect(errors).toEqual([{ row: 4, message: expect.stringMatching(/^Starts on: /) }]);
+  });
+
+  it("reads Excel date cells and timestamps of date list fields as calendar dates", () => {
+    const { entries, errors } = parseMetaobjectRows(definition, sheet(
+      ["handle", "title", "sessions"],
+      ["single", "Single", "2024-05-01T00:00:00.000Z"],
+      ["list", "List", '["2024-05-01T00:00:00.000Z","2024-05-02"]'],
+    ));
+
+    expect(errors).toEqual([]);
+    expect(entries.map((e) => e.fields.sessions)).toEqual(['["2024-05-01"]', '["2024-05-01","2024-05-02"]']);
+  });
+
+  it("reports errors on the sheet row numbers", () => {
+    const { errors } = parseMetaobjectRows(definition, [
+      { number: 1, cells: ["handle", "title", "starts_on"] },
+      { number: 4, cells: ["early", "Early", "2023-12-31"] },
+    ]);
+    expect(errors).toEqual([{ row: 4, message: expect.stringMatching(/^Starts on: /) }]);
+  });
+
+  it("leaves timestamps in other fields alone", () => {
+    const { entries } = parseMetaobjectRows(definition, sheet(
+      ["handle", "title"],
+      ["stamp", "2024-05-01T00:00:00.000Z"],
+    ));
+    expect(entries[0].fields.title).toBe("2024-05-01T00:00:00.000Z");
+  });
+});
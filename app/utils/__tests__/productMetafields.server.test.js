@@ -0,0 +1,112 @@
+import { describe, it, expect, vi } from "vitest";
+import { createAdminStub } from "./adminStub";
+
+vi.mock("../../db.server", () => ({ default: {} }));
+
+const { buildProductMetafieldSheet, parseProductMetafieldRows } = await import("../productMetafields.server");
+
+// Rows as `readNumberedSheetRows` returns them, numbered from the header
+const sheet = (...rows) => rows.map((cells, i) => ({ number: i + 1, cells }));
+
+const definition = (key, type) => ({ id: `gid://shopify/MetafieldDefinition/${key}`, namespace: "custom", key, type, validations: [] });
+
+const productsPage = (nodes, hasNextPage = false) => ({
+  data: { products: { nodes, pageInfo: { hasNextPage, endCursor: hasNextPage ? "next" : null } } },
+});
+
+describe("buildProductMetafieldSheet", () => {
+  it("pages by the query cost of the chosen columns", async () => {
+    const { admin, callsTo } = createAdminStub({ productMetafieldExport: () => productsPage([]) });
+
+    await buildProductMetafieldSheet(admin, [definition("material", "single_line_text_field")], {});
+    await buildProductMetafieldSheet(admin, [
+      definition("related", "list.product_reference"),
+      definition("pairs_with", "list.product_reference"),
+      definition("brand", "metaobject_reference"),
+    ], {});
+
+    const [scalar, lists] = callsTo("productMetafieldExport").map((c) => c.variables.first);
+    expect(scalar).toBe(100);
+    expect(lists).toBe(16);
+  });
+
+  it("refuses columns that cost too much for a single product", async () => {
+    const { admin, calls } = createAdminStub({});
+    const definitions = Array.from({ length: 40 }, (_, i) => definition(`list_${i}`, "list.product_reference"));
+
+    await expect(buildProductMetafieldSheet(admin, definitions, {})).rejects.toThrow("Choose fewer definitions");
+    expect(calls).toEqual([]);
+  });
+
+  it("writes references as handles, and long reference lists as GIDs", async () => {
+    const { admin } = createAdminStub({
+      productMetafieldExport: () => productsPage([{
+        id: "gid://shopify/Product/1",
+        handle: "chair",
+        title: "Chair",
+        m0: {
+          value: '["gid://shopify/Product/2"]',
+          references: { nodes: [{ id: "gid://shopify/Product/2", handle: "table" }], pageInfo: { hasNextPage: false } },
+        },
+        m1: {
+          value: '["gid://shopify/Product/3","gid://shopify/Product/4"]',
+          references: { nodes: [{ id: "gid://shopify/Product/3", handle: "stool" }], pageInfo: { hasNextPage: true } },
+        },
+      }]),
+    });
+
+    const { headers, rows } = await buildProductMetafieldSheet(admin, [
+      definition("related", "list.product_reference"),
+      definition("pairs_with", "list.product_reference"),
+    ], {});
+    expect(headers).toEqual(["ID", "Handle", "Title", "custom.related", "custom.pairs_with"]);
+    expect(rows).toEqual([[
+      "gid://shopify/Product/1", "chair", "Chair", '["table"]', '["gid://shopify/Product/3","gid://shopify/Product/4"]',
+    ]]);
+  });
+});
+
+describe("parseProductMetafieldRows", () => {
+  it("reads Excel date cells of date metafields as calendar dates", async () => {
+    const { admin } = createAdminStub({});
+    const { updates, errors } = await parseProductMetafieldRows(admin, [definition("launched_on", "date")], sheet(
+      ["ID", "custom.launched_on"],
+      ["1", "2024-05-01T00:00:00.000Z"],
+      ["2", "2024-06-15"],
+    ));
+
+    expect(errors).toEqual([]);
+    expect(updates.map((u) => u.metafields[0].value)).toEqual(["2024-05-01", "2024-06-15"]);
+  });
+
+  it("reports errors on the sheet row numbers", async () => {
+    const { admin } = createAdminStub({});
+    const { updates, errors } = await parseProductMetafieldRows(admin, [definition("launched_on", "date")], [
+      { number: 1, cells: ["ID", "custom.launched_on"] },
+      { number: 3, cells: ["1", "2024-05-01"] },
+      { number: 6, cells: ["2", "soon"] },
+    ]);
+
+    expect(updates.map((u) => u.row)).toEqual([3]);
+    expect(errors).toEqual([{ row: 6, message: expect.stringMatching(/^custom\.launched_on: /) }]);
+  });
+
+  it("rejects boolean and number cells that are not exact", async () => {
+    const { admin } = createAdminStub({});
+    const definitions = [definition("in_stock", "boolean"), definition("pieces", "number_integer"), definition("weight", "number_decimal")];
+    const { updates, errors } = await parseProductMetafieldRows(admin, definitions, sheet(
+      ["ID", "custom.in_stock", "custom.pieces", "custom.weight"],
+      ["1", "TRUE", "-12", "2.5"],
+      ["2", "ture", "", ""],
+      ["3", "Any", "12abc", "1.5kg"],
+      ["4", "N/A", "", ""],
+    ));
+
+    expect(updates.map((u) => u.metafields.map((m) => m.value))).toEqual([["true", "-12", "2.5"]]);
+    expect(errors).toEqual([
+      { row: 3, message: "custom.in_stock: Not a valid boolean" },
+      { row: 4, message: "custom.in_stock: Not a valid boolean; custom.pieces: Not a valid number integer; custom.weight: Not a valid number decimal" },
+      { row: 5, message: "custom.in_stock: Not a valid boolean" },
+    ]);
+  });
+});
@@ -0,0 +1,23 @@
+import { describe, it, expect, vi } from "vitest";
+
+const { queueFeatureTableSync, queueSpecCollectionSync } = vi.hoisted(() => ({
+  queueFeatureTableSync: vi.fn(),
+  queueSpecCollectionSync: vi.fn(),
+}));
+
+vi.mock("../featureTable.server", () => ({ queueFeatureTableSync }));
+vi.mock("../specCollections.server", () => ({ queueSpecCollectionSync }));
+
+const { onSpecificationsChanged } = await import("../specChanges.server");
+
+describe("onSpecificationsChanged", () => {
+  it("logs a follow-up that cannot be queued and still queues the others", async () => {
+    const error = vi.spyOn(console, "error").mockImplementation(() => {});
+    queueFeatureTableSync.mockRejectedValue(new Error("Deadlock found"));
+
+    await expect(onSpecificationsChanged("test-shop.myshopify.com", ["A"])).resolves.toBeUndefined();
+    expect(queueSpecCollectionSync).toHaveBeenCalledWith("test-shop.myshopify.com", ["A"]);
+    expect(error).toHaveBeenCalledWith("[spec changes] Failed to queue the feature table sync:", expect.any(Error));
+    error.mockRestore();
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { Session } from "@shopify/shopify-app-remix/server";
+
+const { prisma } = vi.hoisted(() => ({
+  prisma: {
+    specKey: { findMany: vi.fn() },
+    specifications: { findMany: vi.fn(), deleteMany: vi.fn(), create: vi.fn() },
+    specificationHistory: { findFirst: vi.fn(), createMany: vi.fn() },
+    $transaction: vi.fn(),
+  },
+}));
+
+vi.mock("../../db.server", () => ({ default: prisma }));
+vi.mock("../specChanges.server", () => ({ onSpecificationsChanged: vi.fn() }));
+
+const { sessionUser, buildHistoryRows, revertSpecChange, HISTORY_SOURCES } = await import("../specHistory.server");
+
+const SHOP = "test-shop.myshopify.com";
+
+// The online session `authenticate.admin` returns with `useOnlineTokens`
+const onlineSession = new Session({
+  id: `${SHOP}_42`,
+  shop: SHOP,
+  state: "state",
+  isOnline: true,
+  accessToken: "token",
+  onlineAccessInfo: {
+    expires_in: 86399,
+    associated_user_scope: "write_products",
+    associated_user: { id: 42, first_name: "Ada", last_name: "Lovelace", email: "ada@example.com", email_verified: true, account_owner: false, locale: "en", collaborator: false },
+  },
+});
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  prisma.specKey.findMany.mockResolvedValue([]);
+  prisma.specifications.deleteMany.mockImplementation((args) => ({ op: "deleteMany", args }));
+  prisma.specifications.create.mockImplementation((args) => ({ op: "create", args }));
+  prisma.specificationHistory.createMany.mockImplementation((args) => ({ op: "history", args }));
+  prisma.$transaction.mockResolvedValue([]);
+});
+
+describe("sessionUser", () => {
+  it("records the staff member of an online session with each change", () => {
+    const [row] = buildHistoryRows(SHOP, [{ sku: "A", spec_key: "Colour", old_value: "Red", new_value: "Blue" }], {
+      source: HISTORY_SOURCES.SPECIFICATIONS_PAGE,
+      user: sessionUser(onlineSession),
+    });
+    expect(row).toMatchObject({ user_id: "42", user_email: "ada@example.com" });
+  });
+
+  it("has no user for an offline session", () => {
+    expect(sessionUser(new Session({ id: `offline_${SHOP}`, shop: SHOP, state: "state", isOnline: false })))
+      .toEqual({ userId: null, email: null });
+  });
+});
+
+describe("revertSpecChange", () => {
+  it("puts the old value back and records who reverted it", async () => {
+    prisma.specificationHistory.findFirst.mockResolvedValue({ id: 1, sku: "A", spec_key: "Colour", old_value: "Red", new_value: "Blue" });
+    prisma.specifications.findMany.mockResolvedValue([{ id: 7, shop: SHOP, sku: "A", spec_key: "Colour", spec_value: "Blue" }]);
+
+    expect(await revertSpecChange(SHOP, "1", sessionUser(onlineSession))).toEqual({ ok: true });
+    const [remove, create, history] = prisma.$transaction.mock.calls[0][0];
+    expect(remove.args.where.id).toEqual({ in: [7] });
+    expect(create.args.data).toMatchObject({ sku: "A", spec_key: "Colour", spec_value: "Red" });
+    expect(history.args.data).toEqual([expect.objectContaining({
+      old_value: "Blue", new_value: "Red", source: HISTORY_SOURCES.REVERT, user_id: "42", user_email: "ada@example.com",
+    })]);
+  });
+
+  it("replaces a value now stored under an alias or a renamed key", async () => {
+    prisma.specKey.findMany.mockResolvedValue([
+      { id: 1, key: "Finish Colour", label: "Finish Colour", aliases: ["Colour", "Color"], sort_order: 0 },
+    ]);
+    prisma.specificationHistory.findFirst.mockResolvedValue({ id: 1, sku: "A", spec_key: "Colour", old_value: "Red", new_value: "Blue" });
+    prisma.specifications.findMany.mockResolvedValue([
+      { id: 7, shop: SHOP, sku: "A", spec_key: "Color", spec_value: "Blue" },
+      { id: 8, shop: SHOP, sku: "A", spec_key: "Material", spec_value: "Oak" },
+    ]);
+
+    expect(await revertSpecChange(SHOP, "1", sessionUser(onlineSession))).toEqual({ ok: true });
+    const [remove, create, history] = prisma.$transaction.mock.calls[0][0];
+    expect(remove.args.where.id).toEqual({ in: [7] });
+    expect(create.args.data).toMatchObject({ sku: "A", spec_key: "Finish Colour", spec_value: "Red" });
+    expect(history.args.data[0]).toMatchObject({ spec_key: "Finish Colour", old_value: "Blue", new_value: "Red" });
+  });
+});
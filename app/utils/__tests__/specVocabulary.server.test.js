@@ -0,0 +1,49 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+const { prisma } = vi.hoisted(() => ({
+  prisma: {
+    specifications: { findMany: vi.fn(), deleteMany: vi.fn(), updateMany: vi.fn() },
+    specificationHistory: { createMany: vi.fn() },
+    $transaction: vi.fn(),
+  },
+}));
+
+vi.mock("../../db.server", () => ({ default: prisma }));
+vi.mock("../specChanges.server", () => ({ onSpecificationsChanged: vi.fn() }));
+
+const { mergeSpecValues } = await import("../specVocabulary.server");
+const { createSpecKeyRegistry } = await import("../specKeys.server");
+
+const SHOP = "test-shop.myshopify.com";
+const row = (id, sku, spec_key, spec_value) => ({ id, shop: SHOP, sku, spec_key, spec_value });
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  prisma.specifications.deleteMany.mockImplementation((args) => ({ op: "deleteMany", args }));
+  prisma.specifications.updateMany.mockImplementation((args) => ({ op: "updateMany", args }));
+  prisma.specificationHistory.createMany.mockImplementation((args) => ({ op: "history", args }));
+  prisma.$transaction.mockResolvedValue([]);
+});
+
+describe("mergeSpecValues", () => {
+  it("drops a source value stored under an alias when the SKU already has the target", async () => {
+    const registry = createSpecKeyRegistry([{ key: "Colour", label: "Colour", aliases: ["Color"] }]);
+    const sources = [
+      row(1, "A", "Color", "Crimson"),
+      row(2, "B", "Colour", "Crimson"),
+      row(3, "B", "Color", "Crimson"),
+      row(4, "C", "Color", "Crimson"),
+    ];
+    prisma.specifications.findMany
+      .mockResolvedValueOnce(sources)
+      .mockResolvedValueOnce([...sources, row(5, "A", "Colour", "Red"), row(6, "C", "Material", "Red")]);
+
+    const result = await mergeSpecValues(SHOP, registry, { key: "Colour", from: "Crimson", to: "Red", user: {} });
+
+    expect(result).toEqual({ ok: true, count: 4 });
+    const [remove, rename] = prisma.$transaction.mock.calls[0][0];
+    expect(remove.args.where.id).toEqual({ in: [1, 3] });
+    expect(rename.args.where.id).toEqual({ in: [2, 4] });
+    expect(rename.args.data).toEqual({ spec_value: "Red" });
+  });
+});
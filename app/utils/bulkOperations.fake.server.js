@@ -0,0 +1,151 @@
+// app/utils/bulkOperations.fake.server.js
+// In-memory stand-in for the Shopify endpoints used by bulkOperations.server.js:
+// stagedUploadsCreate, the staged upload itself, bulkOperationRunMutation,
+// BulkOperation polling and the results download. metafieldsSet and
+// metafieldsDelete lines are applied to an in-memory metafield store, a few
+// lines per poll, so progress reporting can be exercised offline.
+
+const FAKE_HOST = "https://fake-bulk-operations.local";
+const METAFIELDS_SET_LIMIT = 25;
+
+const respond = (body) => ({ json: async () => body });
+
+export function createFakeBulkClient({ linesPerPoll = 50 } = {}) {
+  const uploads = new Map(); // staged key -> JSONL text
+  const results = new Map(); // results path -> JSONL text
+  const operations = new Map(); // id -> operation state
+  const metafields = new Map(); // ownerId -> Map(`${namespace}.${key}` -> { type, value })
+  let sequence = 0;
+
+  const applyLine = (mutation, variables) => {
+    if (mutation.includes("metafieldsSet")) {
+      const userErrors = [];
+      if (variables.metafields.length > METAFIELDS_SET_LIMIT) {
+        userErrors.push({ field: ["metafields"], message: `Exceeded the maximum metafields input limit of ${METAFIELDS_SET_LIMIT}.` });
+        return { metafieldsSet: { metafields: [], userErrors } };
+      }
+      const saved = [];
+      variables.metafields.forEach((m, i) => {
+        const owner = metafields.get(m.ownerId) || new Map();
+        const existing = owner.get(`${m.namespace}.${m.key}`);
+        if (!m.value) {
+          userErrors.push({ field: ["metafields", String(i), "value"], message: "Value can't be blank." });
+        } else if (existing && existing.type !== m.type) {
+          userErrors.push({ field: ["metafields", String(i), "type"], message: `Type '${m.type}' must be consistent with the existing type '${existing.type}'.` });
+        } else {
+          owner.set(`${m.namespace}.${m.key}`, { type: m.type, value: m.value });
+          metafields.set(m.ownerId, owner);
+          saved.push({ id: `gid://shopify/Metafield/${++sequence}` });
+        }
+      });
+      return { metafieldsSet: { metafields: saved, userErrors } };
+    }
+    if (mutation.includes("metafieldsDelete")) {
+      const deletedMetafields = variables.metafields.map((m) => {
+        const existed = metafields.get(m.ownerId)?.delete(`${m.namespace}.${m.key}`);
+        return existed ? { key: m.key } : null;
+      });
+      return { metafieldsDelete: { deletedMetafields, userErrors: [] } };
+    }
+    return null;
+  };
+
+  // Applies the next batch of lines; called on every status poll
+  const advance = (operation) => {
+    if (operation.status !== "RUNNING") return;
+    const batch = operation.lines.slice(operation.objectCount, operation.objectCount + linesPerPoll);
+    for (const [index, variables] of batch.entries()) {
+      const data = applyLine(operation.mutation, variables);
+      const lineNumber = operation.objectCount + index;
+      operation.output.push(JSON.stringify(data
+        ? { data, __lineNumber: lineNumber }
+        : { errors: [{ message: "Mutation not supported by the fake bulk client" }], __lineNumber: lineNumber }));
+    }
+    operation.objectCount += batch.length;
+    if (operation.objectCount >= operation.lines.length) {
+      const path = `/results/${operation.id.split("/").pop()}.jsonl`;
+      results.set(path, operation.output.join("\n"));
+      operation.status = "COMPLETED";
+      operation.url = `${FAKE_HOST}${path}`;
+    }
+  };
+
+  const describe = (operation) => ({
+    id: operation.id,
+    status: operation.status,
+    errorCode: null,
+    objectCount: String(operation.objectCount),
+    url: operation.url || null,
+    partialDataUrl: null,
+  });
+
+  const admin = {
+    async graphql(query, { variables = {} } = {}) {
+      if (query.includes("stagedUploadsCreate")) {
+        const key = `tmp/fake/${++sequence}/bulk_variables.jsonl`;
+        return respond({
+          data: {
+            stagedUploadsCreate: {
+              stagedTargets: [{ url: `${FAKE_HOST}/upload`, resourceUrl: null, parameters: [{ name: "key", value: key }] }],
+              userErrors: [],
+            },
+          },
+        });
+      }
+
+      if (query.includes("bulkOperationRunMutation")) {
+        const running = Array.from(operations.values()).find((op) => op.status === "RUNNING");
+        if (running) {
+          return respond({
+            data: {
+              bulkOperationRunMutation: {
+                bulkOperation: null,
+                userErrors: [{ field: null, message: `A bulk mutation operation for this app and shop is already in progress: ${running.id}.`, code: "OPERATION_IN_PROGRESS" }],
+              },
+            },
+          });
+        }
+        const text = uploads.get(variables.stagedUploadPath);
+        if (text === undefined) {
+          return respond({
+            data: { bulkOperationRunMutation: { bulkOperation: null, userErrors: [{ field: ["stagedUploadPath"], message: "Staged upload not found", code: "NO_SUCH_FILE" }] } },
+          });
+        }
+        const operation = {
+          id: `gid://shopify/BulkOperation/${++sequence}`,
+          status: "RUNNING",
+          mutation: variables.mutation,
+          lines: text.split("\n").filter((l) => l.trim()).map((l) => JSON.parse(l)),
+          objectCount: 0,
+          output: [],
+          url: null,
+        };
+        operations.set(operation.id, operation);
+        return respond({ data: { bulkOperationRunMutation: { bulkOperation: { id: operation.id, status: "CREATED" }, userErrors: [] } } });
+      }
+
+      if (query.includes("bulkOperationStatus")) {
+        const operation = operations.get(variables.id);
+        if (!operation) return respond({ data: { node: null } });
+        advance(operation);
+        return respond({ data: { node: describe(operation) } });
+      }
+
+      return respond({ errors: [{ message: "Query not supported by the fake bulk client" }] });
+    },
+  };
+
+  const fetch = async (url, { method = "GET", body } = {}) => {
+    const { pathname } = new URL(url);
+    if (method === "POST" && pathname === "/upload") {
+      uploads.set(body.get("key"), await body.get("file").text());
+      return new Response(null, { status: 201 });
+    }
+    if (method === "GET" && results.has(pathname)) {
+      return new Response(results.get(pathname), { status: 200 });
+    }
+    return new Response("Not found", { status: 404 });
+  };
+
+  return { admin, fetch, metafields };
+}
@@ -0,0 +1,148 @@
+// app/utils/bulkOperations.server.js
+// Runs a mutation once per JSONL line through Shopify's bulk operations:
+// stage the JSONL, start bulkOperationRunMutation, poll, read the results.
+
+import { createFakeBulkClient } from "./bulkOperations.fake.server";
+
+// ------------------------------------
+// GraphQL
+// ------------------------------------
+const STAGED_UPLOADS_CREATE_MUTATION = `
+  mutation stagedUploadsCreate($input: [StagedUploadInput!]!) {
+    stagedUploadsCreate(input: $input) {
+      stagedTargets { url resourceUrl parameters { name value } }
+      userErrors { field message }
+    }
+  }
+`;
+
+const BULK_OPERATION_RUN_MUTATION = `
+  mutation bulkOperationRunMutation($mutation: String!, $stagedUploadPath: String!) {
+    bulkOperationRunMutation(mutation: $mutation, stagedUploadPath: $stagedUploadPath) {
+      bulkOperation { id status }
+      userErrors { field message code }
+    }
+  }
+`;
+
+const BULK_OPERATION_STATUS_QUERY = `
+  query bulkOperationStatus($id: ID!) {
+    node(id: $id) {
+      ... on BulkOperation { id status errorCode objectCount url partialDataUrl }
+    }
+  }
+`;
+
+export const METAFIELDS_SET_BULK_MUTATION = `
+  mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      metafields { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+export const METAFIELDS_DELETE_BULK_MUTATION = `
+  mutation metafieldsDelete($metafields: [MetafieldIdentifierInput!]!) {
+    metafieldsDelete(metafields: $metafields) {
+      deletedMetafields { key }
+      userErrors { field message }
+    }
+  }
+`;
+
+const FINISHED_STATUSES = new Set(["COMPLETED", "FAILED", "CANCELED", "EXPIRED"]);
+const POLL_INTERVAL_MS = 2000;
+
+// With SHOPIFY_FAKE_BULK_OPERATIONS=true the bulk endpoints are served by an
+// in-memory fake (see bulkOperations.fake.server.js), so saves can be run
+// without a store.
+let fakeClient = null;
+export function getBulkClient(admin) {
+  if (process.env.SHOPIFY_FAKE_BULK_OPERATIONS === "true") {
+    fakeClient = fakeClient || createFakeBulkClient();
+    return fakeClient;
+  }
+  return { admin, fetch };
+}
+
+async function graphqlData(admin, query, variables) {
+  const res = await admin.graphql(query, { variables });
+  const body = await res.json();
+  if (body?.errors?.length) throw new Error(body.errors[0].message);
+  return body?.data;
+}
+
+// Uploads the JSONL variables file and returns its staged upload path
+export async function stageBulkVariables(client, lines) {
+  const data = await graphqlData(client.admin, STAGED_UPLOADS_CREATE_MUTATION, {
+    input: [{
+      resource: "BULK_MUTATION_VARIABLES",
+      filename: "bulk_variables.jsonl",
+      mimeType: "text/jsonl",
+      httpMethod: "POST",
+    }],
+  });
+  const errors = data?.stagedUploadsCreate?.userErrors || [];
+  if (errors.length) throw new Error(errors[0].message);
+  const target = data?.stagedUploadsCreate?.stagedTargets?.[0];
+  if (!target) throw new Error("Shopify did not return a staged upload target");
+
+  const form = new FormData();
+  for (const { name, value } of target.parameters) form.append(name, value);
+  form.append("file", new Blob([lines.map((l) => JSON.stringify(l)).join("\n")], { type: "text/jsonl" }));
+
+  const upload = await client.fetch(target.url, { method: "POST", body: form });
+  if (!upload.ok) throw new Error(`Staged upload failed with status ${upload.status}`);
+
+  return target.parameters.find((p) => p.name === "key")?.value;
+}
+
+// Result lines look like `{ "data": { "metafieldsSet": { "userErrors": [...] } }, "__lineNumber": 3 }`.
+// Returns the lines whose mutation reported user errors.
+async function readBulkResults(client, url) {
+  if (!url) return [];
+  const res = await client.fetch(url);
+  if (!res.ok) throw new Error(`Failed to download bulk operation results (${res.status})`);
+  const failures = [];
+  for (const line of (await res.text()).split("\n")) {
+    if (!line.trim()) continue;
+    const result = JSON.parse(line);
+    const payload = Object.values(result.data || {})[0];
+    const userErrors = payload?.userErrors || [];
+    if (result.errors?.length || userErrors.length) {
+      failures.push({ line: result.__lineNumber, errors: [...(result.errors || []), ...userErrors] });
+    }
+  }
+  return failures;
+}
+
+// Runs `mutation` once per item of `variablesList` and waits for it to finish.
+// `onProgress({ status, done, total })` is called after every poll.
+// Resolves to `{ status, objectCount, failures }`; throws if the operation
+// could not be started or did not complete.
+export async function runBulkMutation(client, mutation, variablesList, { onProgress, pollInterval = POLL_INTERVAL_MS } = {}) {
+  const total = variablesList.length;
+  if (!total) return { status: "COMPLETED", objectCount: 0, failures: [] };
+
+  const stagedUploadPath = await stageBulkVariables(client, variablesList);
+  const started = await graphqlData(client.admin, BULK_OPERATION_RUN_MUTATION, { mutation, stagedUploadPath });
+  const startErrors = started?.bulkOperationRunMutation?.userErrors || [];
+  if (startErrors.length) throw new Error(startErrors[0].message);
+  const operationId = started?.bulkOperationRunMutation?.bulkOperation?.id;
+
+  let operation = started.bulkOperationRunMutation.bulkOperation;
+  while (!FINISHED_STATUSES.has(operation?.status)) {
+    await new Promise((resolve) => setTimeout(resolve, pollInterval));
+    operation = (await graphqlData(client.admin, BULK_OPERATION_STATUS_QUERY, { id: operationId }))?.node;
+    if (!operation) throw new Error(`Bulk operation ${operationId} not found`);
+    onProgress?.({ status: operation.status, done: Number(operation.objectCount || 0), total });
+  }
+
+  if (operation.status !== "COMPLETED") {
+    throw new Error(`Bulk operation ${operation.status.toLowerCase()}${operation.errorCode ? ` (${operation.errorCode})` : ""}`);
+  }
+
+  const failures = await readBulkResults(client, operation.url || operation.partialDataUrl);
+  return { status: operation.status, objectCount: Number(operation.objectCount || 0), failures };
+}
@@ -1,6 +1,7 @@
 // app/utils/excel.server.js
 
 import ExcelJS from "exceljs";
+import Papa from "papaparse";
 import fs from "fs/promises";
 import path from "path";
 
@@ -49,3 +50,91 @@ export async function parseExcelFile(file) {
 
   return collections;
 }
+
+// Reads the first worksheet of an .xlsx file (or a .csv file) into an array
+// of rows, each row being an array of trimmed cell strings. The header row is
+// included as the first entry.
+export async function readSheetRows(buffer, fileName = "") {
+  return (await readNumberedSheetRows(buffer, fileName)).map((row) => row.cells);
+}
+
+// Same rows as `readSheetRows`, as `{ number, cells }` where `number` is the
+// row number shown in Excel, so skipped empty rows don't shift the rows that
+// errors are reported on.
+export async function readNumberedSheetRows(buffer, fileName = "") {
+  if (fileName.toLowerCase().endsWith(".csv")) {
+    // Empty lines are dropped after numbering, not by Papa, to keep the numbers
+    const parsed = Papa.parse(buffer.toString("utf8"));
+    return parsed.data
+      .map((row, i) => ({ number: i + 1, cells: row.map((cell) => String(cell ?? "").trim()) }))
+      .filter((row) => row.cells.some(Boolean));
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) return [];
+
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: false }, (row) => {
+    // ExcelJS `values` is 1-based, index 0 is always empty
+    const values = Array.isArray(row.values) ? row.values.slice(1) : [];
+    rows.push({ number: row.number, cells: Array.from(values, cellToString) });
+  });
+  return rows;
+}
+
+// Flattens the different shapes ExcelJS uses for cell values
+// (rich text, hyperlinks, formulas, dates) into a plain string.
+function cellToString(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "object") {
+    if (Array.isArray(value.richText)) return value.richText.map((r) => r.text).join("").trim();
+    if (value.text !== undefined) return String(value.text).trim();
+    if (value.result !== undefined) return cellToString(value.result);
+    return "";
+  }
+  return String(value).trim();
+}
+
+// A date cell read as an ISO timestamp by `cellToString`
+const DATE_CELL_PATTERN = /^(\d{4}-\d{2}-\d{2})T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z$/;
+
+const calendarDate = (text) => text.match(DATE_CELL_PATTERN)?.[1] ?? text;
+
+// Cell text for a metafield of `type`. Excel stores dates as timestamps, so
+// for `date` metafields a date cell is turned back into YYYY-MM-DD. For
+// `list.date` a single date cell becomes a one-date list, and timestamps
+// inside a JSON list are shortened the same way.
+export function sheetCellForType(type, text) {
+  if (type === "date") return calendarDate(text);
+  if (type !== "list.date") return text;
+  if (DATE_CELL_PATTERN.test(text)) return JSON.stringify([calendarDate(text)]);
+
+  let list;
+  try {
+    list = JSON.parse(text);
+  } catch {
+    return text;
+  }
+  if (!Array.isArray(list)) return text;
+  return JSON.stringify(list.map((value) => (typeof value === "string" ? calendarDate(value) : value)));
+}
+
+// Builds a single-sheet .xlsx (default) or .csv file from a header row and
+// data rows. Returns a Buffer ready to be sent as a download.
+export async function buildSheetBuffer(headers, rows, { format = "xlsx", sheetName = "Sheet1" } = {}) {
+  if (format === "csv") {
+    return Buffer.from(Papa.unparse({ fields: headers, data: rows }), "utf8");
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet(sheetName);
+  worksheet.columns = headers.map((header) => ({ header, width: Math.min(Math.max(header.length + 4, 14), 50) }));
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.views = [{ state: "frozen", ySplit: 1 }];
+  rows.forEach((row) => worksheet.addRow(row));
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
@@ -0,0 +1,190 @@
+// app/utils/featureTable.server.js
+// Feature tables (the custom.feature_table metafield of the Tables content
+// type) built from the specifications of a product's SKUs: for one product,
+// for a whole collection as a job, and again for synced products whenever
+// their specs change.
+
+import prisma from "../db.server";
+import {
+  normalizeKey,
+  fetchProduct,
+  fetchCollectionProducts,
+  findSpecificationsBySkus,
+} from "./specifications.server";
+import { loadSpecKeyRegistry } from "./specKeys.server";
+import { resolveProductIds } from "./skuIndex.server";
+import { enqueueJob, enqueueSkuJob, JOB_TYPES, ITEM_STATUS } from "./jobs.server";
+
+const FEATURE_TABLE = { namespace: "custom", key: "feature_table", type: "json" };
+
+const FEATURE_TABLE_SET_MUTATION = `
+  mutation featureTableSet($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      metafields { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+// Rows `[{ name, value }]` for the chosen keys, in their order. Aliases count
+// as their canonical key; variants with different values are listed
+// together, in variant order. Keys without any value are left out.
+export function buildFeatureTableRows(registry, skus, specRows, keys) {
+  const valuesByKey = new Map(); // normalized key -> distinct values
+  const sorted = [...specRows].sort((a, b) => skus.indexOf(a.sku) - skus.indexOf(b.sku));
+  for (const row of sorted) {
+    const value = row.spec_value?.trim();
+    if (!value) continue;
+    const norm = normalizeKey(registry.resolve(row.spec_key).key);
+    if (!valuesByKey.has(norm)) valuesByKey.set(norm, []);
+    if (!valuesByKey.get(norm).includes(value)) valuesByKey.get(norm).push(value);
+  }
+
+  const rows = [];
+  for (const key of keys) {
+    const resolved = registry.resolve(key);
+    const values = valuesByKey.get(normalizeKey(resolved.key));
+    if (values?.length) rows.push({ name: resolved.label, value: values.join(", ") });
+  }
+  return rows;
+}
+
+// `product` is `{ id, variants: [{ sku }] }`
+export async function generateFeatureTable(shop, product, keys, registry = null) {
+  const skus = product.variants.map(v => v.sku).filter(Boolean);
+  const specRows = await findSpecificationsBySkus(shop, skus);
+  return buildFeatureTableRows(registry || await loadSpecKeyRegistry(shop), skus, specRows, keys);
+}
+
+// Canonical keys stored for the product's SKUs, in registry order, as the
+// choices of the "populate from specifications" picker
+export async function listProductSpecKeys(shop, product) {
+  const registry = await loadSpecKeyRegistry(shop);
+  const keys = new Map();
+  for (const row of await findSpecificationsBySkus(shop, product.variants.map(v => v.sku).filter(Boolean))) {
+    const resolved = registry.resolve(row.spec_key);
+    if (row.spec_value?.trim() && !keys.has(normalizeKey(resolved.key))) keys.set(normalizeKey(resolved.key), resolved.key);
+  }
+  return Array.from(keys.values()).sort(registry.compare);
+}
+
+export async function writeFeatureTable(admin, productId, rows) {
+  const res = await admin.graphql(FEATURE_TABLE_SET_MUTATION, {
+    variables: { metafields: [{ ...FEATURE_TABLE, ownerId: productId, value: JSON.stringify(rows) }] },
+  });
+  const data = await res.json();
+  const userErrors = data?.data?.metafieldsSet?.userErrors || [];
+  if (userErrors.length) throw new Error(userErrors[0].message);
+}
+
+// ------------------------------------
+// Sync
+// ------------------------------------
+
+// The keys a product's table is generated from, or null when it is not synced
+export async function getFeatureTableSync(shop, productId) {
+  const row = await prisma.featureTableSync.findUnique({ where: { shop_product_id: { shop, product_id: productId } } });
+  return row ? row.spec_keys : null;
+}
+
+// Keeps the product's table in sync with `keys`, or stops syncing it when
+// `keys` is null
+export async function setFeatureTableSync(shop, productId, keys) {
+  if (!keys) {
+    await prisma.featureTableSync.deleteMany({ where: { shop, product_id: productId } });
+    return;
+  }
+  await prisma.featureTableSync.upsert({
+    where: { shop_product_id: { shop, product_id: productId } },
+    create: { shop, product_id: productId, spec_keys: keys },
+    update: { spec_keys: keys },
+  });
+}
+
+// Called after specs of `skus` changed. Queues a sync job unless no product
+// of the shop is synced; SKUs are added to a sync job that has not started yet.
+export async function queueFeatureTableSync(shop, skus) {
+  if (!(await prisma.featureTableSync.count({ where: { shop } }))) return;
+  await enqueueSkuJob(shop, { type: JOB_TYPES.FEATURE_TABLE_SYNC, title: "Feature table sync", skus });
+}
+
+// Job handler. Payload: `{ skus }`. Rebuilds the tables of the synced
+// products those SKUs belong to.
+export async function runFeatureTableSyncJob({ job, payload, admin, progress, addItems, isCanceled }) {
+  const { skus = [] } = payload;
+  await progress(0, 0, "Finding the products of the changed SKUs");
+  const productIds = await resolveProductIds(admin, job.shop, skus);
+  const synced = await prisma.featureTableSync.findMany({ where: { shop: job.shop, product_id: { in: productIds } } });
+  const registry = await loadSpecKeyRegistry(job.shop);
+
+  let updated = 0;
+  await progress(0, synced.length, "Updating feature tables");
+  for (const [i, { product_id: productId, spec_keys: keys }] of synced.entries()) {
+    if (await isCanceled()) break;
+    try {
+      const product = await fetchProduct(admin, productId);
+      if (!product) {
+        await setFeatureTableSync(job.shop, productId, null);
+        await addItems([{ ref: productId, status: ITEM_STATUS.WARNING, message: "Product no longer exists; sync removed" }]);
+        continue;
+      }
+      await writeFeatureTable(admin, productId, await generateFeatureTable(job.shop, product, keys, registry));
+      await addItems([{ ref: product.title, status: ITEM_STATUS.OK }]);
+      updated++;
+    } catch (err) {
+      await addItems([{ ref: productId, status: ITEM_STATUS.ERROR, message: err.message }]);
+    } finally {
+      await progress(i + 1);
+    }
+  }
+  return { skus: skus.length, products: synced.length, updated };
+}
+
+// Checks a bulk request and queues the job. Returns `{ ok, error, status, jobId }`.
+export async function startFeatureTableBulk(shop, { collectionId, collectionTitle, keys = [], keepInSync = false }) {
+  if (!collectionId)
+    return { ok: false, status: 400, error: "Choose a collection." };
+  if (!keys.length)
+    return { ok: false, status: 400, error: "Choose at least one spec key." };
+
+  const job = await enqueueJob(shop, {
+    type: JOB_TYPES.FEATURE_TABLE_BULK,
+    title: collectionTitle ? `Feature tables (${collectionTitle})` : "Feature tables",
+    payload: { collectionId, keys, keepInSync },
+  });
+  return { ok: true, status: 200, jobId: job.id };
+}
+
+// Job handler. Payload: `{ collectionId, keys, keepInSync }`. Writes the
+// table of every product in the collection; products without any value for
+// the keys keep their current table.
+export async function runFeatureTableBulkJob({ job, payload, admin, progress, addItems, isCanceled }) {
+  const { collectionId, keys = [], keepInSync = false } = payload;
+  await progress(0, 0, "Loading the collection's products");
+  const products = await fetchCollectionProducts(admin, collectionId);
+  const registry = await loadSpecKeyRegistry(job.shop);
+
+  let updated = 0;
+  let skipped = 0;
+  await progress(0, products.length, "Writing feature tables");
+  for (const [i, product] of products.entries()) {
+    if (await isCanceled()) break;
+    try {
+      const rows = await generateFeatureTable(job.shop, product, keys, registry);
+      if (!rows.length) {
+        skipped++;
+        await addItems([{ ref: product.title, status: ITEM_STATUS.WARNING, message: "No values for the chosen keys; table left unchanged" }]);
+        continue;
+      }
+      await writeFeatureTable(admin, product.id, rows);
+      if (keepInSync) await setFeatureTableSync(job.shop, product.id, keys);
+      await addItems([{ ref: product.title, status: ITEM_STATUS.OK, message: `${rows.length} rows` }]);
+      updated++;
+    } catch (err) {
+      await addItems([{ ref: product.title, status: ITEM_STATUS.ERROR, message: err.message }]);
+    } finally {
+      await progress(i + 1);
+    }
+  }
+  return { products: products.length, updated, skipped, keys: keys.length, keepInSync };
+}
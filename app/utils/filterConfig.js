@@ -0,0 +1,93 @@
+// app/utils/filterConfig.js
+// Shared by the Filter Manager and Filter Settings pages and the filter save
+// job: where filter values are written and how their metafields are named.
+
+// Where the filter values of a product's SKUs are written:
+//   product       one value on the product; with differing variants the last SKU wins
+//   variant       one value on every variant (ProductVariant metafields)
+//   product_list  all distinct variant values as a list metafield on the product
+export const FILTER_LEVELS = {
+  PRODUCT: "product",
+  VARIANT: "variant",
+  PRODUCT_LIST: "product_list",
+};
+
+export const FILTER_LEVEL_OPTIONS = [
+  { label: "Product (one value per product)", value: FILTER_LEVELS.PRODUCT },
+  { label: "Variant (one value per variant)", value: FILTER_LEVELS.VARIANT },
+  { label: "Product list (all variant values on the product)", value: FILTER_LEVELS.PRODUCT_LIST },
+];
+
+export function isFilterLevel(level) {
+  return Object.values(FILTER_LEVELS).includes(level);
+}
+
+// Each selected key becomes one filter metafield on the collection and its products
+export const MAX_FILTER_KEYS = 50;
+
+// positional: <prefix>1, <prefix>2, ... in the order the keys are selected
+// slug:       <prefix><spec key as a slug>, e.g. filter_colour
+export const FILTER_KEY_SCHEMES = {
+  POSITIONAL: "positional",
+  SLUG: "slug",
+};
+
+// Metafield type of text filter values; unit keys written as measurements
+// use their measurement type (or its list) instead
+export const FILTER_VALUE_TYPES = {
+  TEXT: "single_line_text_field",
+  TEXT_LIST: "list.single_line_text_field",
+};
+
+export const DEFAULT_FILTER_SETTINGS = {
+  namespace: "custom",
+  keyScheme: FILTER_KEY_SCHEMES.POSITIONAL,
+  keyPrefix: "filter_",
+  valueType: FILTER_VALUE_TYPES.TEXT,
+  createDefinitions: true,
+};
+
+const NAMESPACE_PATTERN = /^[a-zA-Z0-9_-]{3,255}$/;
+const KEY_PATTERN = /^[a-zA-Z0-9_-]{2,64}$/;
+const PREFIX_PATTERN = /^[a-zA-Z0-9_-]{0,30}$/;
+
+// "Finish Colour (RAL)" -> "finish_colour_ral"
+export function slugifyKey(text) {
+  return String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+}
+
+// Metafield keys for the selected spec keys, in order. Slugs are cut to fit
+// Shopify's key length limit; collisions get a numeric suffix.
+export function filterMetafieldKeys(settings, specKeys) {
+  const { keyScheme, keyPrefix = "" } = settings;
+  if (keyScheme !== FILTER_KEY_SCHEMES.SLUG) return specKeys.map((_, i) => `${keyPrefix}${i + 1}`);
+
+  const used = new Set();
+  return specKeys.map((specKey, i) => {
+    const base = `${keyPrefix}${slugifyKey(specKey) || `key_${i + 1}`}`.slice(0, 60);
+    let key = base;
+    for (let n = 2; used.has(key); n++) key = `${base}_${n}`;
+    used.add(key);
+    return key;
+  });
+}
+
+// Returns an error message, or null when the settings can be saved
+export function validateFilterSettings({ namespace, keyScheme, keyPrefix, valueType }) {
+  if (!NAMESPACE_PATTERN.test(namespace || "")) {
+    return "The namespace must be 3 to 255 letters, digits, hyphens or underscores.";
+  }
+  if (namespace.toLowerCase().startsWith("shopify")) return "Namespaces starting with \"shopify\" are reserved.";
+  if (!Object.values(FILTER_KEY_SCHEMES).includes(keyScheme)) return `Unknown key scheme "${keyScheme}".`;
+  if (!PREFIX_PATTERN.test(keyPrefix || "")) return "The key prefix may only use letters, digits, hyphens and underscores (at most 30).";
+  if (keyScheme === FILTER_KEY_SCHEMES.POSITIONAL && !KEY_PATTERN.test(`${keyPrefix}1`)) {
+    return "Positional keys need a prefix, e.g. filter_.";
+  }
+  if (!Object.values(FILTER_VALUE_TYPES).includes(valueType)) return `Unsupported value type "${valueType}".`;
+  return null;
+}
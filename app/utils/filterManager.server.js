@@ -0,0 +1,153 @@
+// app/utils/filterManager.server.js
+// Server side of the Filter Manager page: collection and product loading,
+// spec key and value lookups for the edit grid, and starting a save. The
+// metafield sync itself runs as a job (see filterSave.server.js).
+
+import prisma from "../db.server";
+import { normalizeKey, findSpecificationsBySkus } from "./specifications.server";
+import { loadCollectionProducts } from "./skuIndex.server";
+import { loadSpecKeyRegistry } from "./specKeys.server";
+import { fetchFilterMetafields } from "./filterSave.server";
+import { getFilterSettings, managedFilterKeys } from "./filterSettings.server";
+import { enqueueJob, JOB_TYPES, ACTIVE_STATUSES } from "./jobs.server";
+import { applyVocabulary, describeViolations, loadValueSuggestions } from "./specVocabulary.server";
+import { FILTER_LEVELS, MAX_FILTER_KEYS, isFilterLevel } from "./filterConfig";
+
+const COLLECTIONS_QUERY = `
+  query getCollections($first: Int!, $after: String) {
+    collections(first: $first, after: $after) {
+      edges { cursor node { id title } }
+      pageInfo { hasNextPage }
+    }
+  }
+`;
+
+export async function fetchCollections(admin) {
+  const collections = [];
+  let cursor = null, hasNext = true;
+  while (hasNext) {
+    const res = await admin.graphql(COLLECTIONS_QUERY, { variables: { first: 100, after: cursor } });
+    const data = await res.json();
+    const edges = data?.data?.collections?.edges || [];
+    collections.push(...edges.map(e => e.node));
+    hasNext = data?.data?.collections?.pageInfo?.hasNextPage;
+    cursor = hasNext && edges.length ? edges[edges.length - 1].cursor : null;
+  }
+  return collections;
+}
+
+// Products of a collection with the spec keys stored for their SKUs.
+// Aliases collapse onto their canonical key from the Spec Keys registry and
+// excluded keys are left out. `keyCoverage` counts the SKUs with a value per
+// key; `preselectedKeys` are the keys the collection currently filters on.
+export async function loadCollectionSpecs(admin, shop, collectionId) {
+  const products = await loadCollectionProducts(admin, shop, collectionId);
+  const skus = Array.from(new Set(products.flatMap(p => p.variants.map(v => v.sku)).filter(Boolean)));
+  const rows = await findSpecificationsBySkus(shop, skus);
+
+  const registry = await loadSpecKeyRegistry(shop);
+  const normalizedToOriginal = new Map();
+  const specKeyLabels = {};
+  const filledSkus = new Map(); // normalized key -> SKUs with a value
+  for (const r of rows) {
+    if (!r.spec_key?.trim()) continue;
+    const resolved = registry.resolve(r.spec_key);
+    const norm = normalizeKey(resolved.key);
+    if (resolved.excluded) continue;
+    if (!normalizedToOriginal.has(norm)) {
+      normalizedToOriginal.set(norm, resolved.key);
+      specKeyLabels[resolved.key] = resolved.label;
+    }
+    if (r.spec_value?.trim()) {
+      if (!filledSkus.has(norm)) filledSkus.set(norm, new Set());
+      filledSkus.get(norm).add(r.sku);
+    }
+  }
+  const specKeys = Array.from(normalizedToOriginal.values()).sort(registry.compare);
+
+  const keyCoverage = Object.fromEntries(
+    Array.from(normalizedToOriginal, ([norm, key]) => [key, filledSkus.get(norm)?.size || 0])
+  );
+
+  let preselectedKeys = [];
+  try {
+    // The collection's filter metafields hold the labels of the selected keys
+    const settings = await getFilterSettings(shop);
+    const allValues = (await fetchFilterMetafields(admin, collectionId, managedFilterKeys(settings)))
+      .map(m => m.value ? String(m.value).trim() : "")
+      .filter(Boolean);
+    const dedupe = new Set();
+    for (const val of allValues) {
+      const original = normalizedToOriginal.get(normalizeKey(registry.resolve(val).key));
+      if (original) dedupe.add(original);
+    }
+    preselectedKeys = Array.from(dedupe);
+  } catch (e) {
+    console.warn("[filter manager] Failed to fetch collection filters:", e);
+  }
+
+  return { products, skus, specKeys, specKeyLabels, keyCoverage, preselectedKeys };
+}
+
+// Stored values of the given keys, keyed by SKU then by the requested key.
+// Values stored under an alias show up under the canonical key; a row stored
+// under the canonical spelling itself wins.
+export async function loadSpecValues(shop, skus, specKeysRaw) {
+  const registry = await loadSpecKeyRegistry(shop);
+  const targetKeys = new Map(specKeysRaw.map(k => [normalizeKey(k), k]));
+  const allRows = await findSpecificationsBySkus(shop, skus);
+
+  const values = {};
+  for (const row of allRows) {
+    const canonical = registry.resolve(row.spec_key).key;
+    const key = targetKeys.get(normalizeKey(canonical));
+    if (!key) continue;
+    if (!values[row.sku]) values[row.sku] = {};
+    if (values[row.sku][key] === undefined || row.spec_key.trim() === canonical) {
+      values[row.sku][key] = row.spec_value;
+    }
+  }
+  return values;
+}
+
+// Grid values plus the autocomplete lists of the selected keys
+export async function loadGridValues(shop, skus, selectedKeys) {
+  if (!skus.length || !selectedKeys.length) return { values: {}, vocabularies: {} };
+  const registry = await loadSpecKeyRegistry(shop);
+  return {
+    values: await loadSpecValues(shop, skus, selectedKeys),
+    vocabularies: await loadValueSuggestions(shop, registry, selectedKeys),
+  };
+}
+
+// Checks a save request and queues the filter save job. Only one save per
+// shop runs at a time. Returns `{ ok, error, status, jobId }`.
+export async function startFilterSave(shop, {
+  collectionId, selectedKeys = [], valuesBySku = {}, productsData = [], filterLevel = FILTER_LEVELS.PRODUCT, user,
+}) {
+  if (!collectionId)
+    return { ok: false, status: 400, error: "Missing collectionId" };
+  if (selectedKeys.length > MAX_FILTER_KEYS)
+    return { ok: false, status: 400, error: `${selectedKeys.length} keys selected. Select at most ${MAX_FILTER_KEYS} filter keys.` };
+  if (!isFilterLevel(filterLevel))
+    return { ok: false, status: 400, error: `Unknown filter level "${filterLevel}"` };
+
+  const registry = await loadSpecKeyRegistry(shop);
+  const checked = applyVocabulary(registry, valuesBySku);
+  if (checked.violations.length)
+    return { ok: false, status: 400, error: describeViolations(checked.violations) };
+
+  const running = await prisma.job.findFirst({
+    where: { shop, type: JOB_TYPES.FILTER_SAVE, status: { in: ACTIVE_STATUSES } },
+    select: { id: true },
+  });
+  if (running)
+    return { ok: false, status: 409, error: "A save is already queued or running for this shop. Wait for it to finish." };
+
+  const job = await enqueueJob(shop, {
+    type: JOB_TYPES.FILTER_SAVE,
+    title: productsData.length ? `Filter save (${productsData.length} products)` : "Filter save",
+    payload: { collectionId, selectedKeys, valuesBySku: checked.valuesBySku, productsData, filterLevel, user },
+  });
+  return { ok: true, status: 200, jobId: job.id };
+}
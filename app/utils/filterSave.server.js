@@ -0,0 +1,637 @@
+// app/utils/filterSave.server.js
+// Filter Manager save, run as a background job: replaces the filter
+// metafields of a collection, its products and their variants and stores the
+// edited values in the specifications table. Namespace, keys and value type
+// come from the shop's filter settings (see filterSettings.server.js).
+
+import prisma from "../db.server";
+import { normalizeKey, findSpecificationsBySkus } from "./specifications.server";
+import { loadSpecKeyRegistry } from "./specKeys.server";
+import { normalizeUnitValue, toMeasurementMetafield } from "./units";
+import {
+  getBulkClient,
+  runBulkMutation,
+  METAFIELDS_SET_BULK_MUTATION,
+  METAFIELDS_DELETE_BULK_MUTATION,
+} from "./bulkOperations.server";
+import { ITEM_STATUS } from "./jobs.server";
+import { FILTER_LEVELS, FILTER_VALUE_TYPES, filterMetafieldKeys } from "./filterConfig";
+import { getFilterSettings, managedFilterKeys, addManagedFilterKeys } from "./filterSettings.server";
+import { buildHistoryRows, HISTORY_SOURCES } from "./specHistory.server";
+import { onSpecificationsChanged } from "./specChanges.server";
+
+// ------------------------------------
+// GraphQL
+// ------------------------------------
+
+// Every metafield of a product or collection
+const OWNER_METAFIELDS_QUERY = `
+  query ownerMetafields($id: ID!, $first: Int!, $after: String) {
+    node(id: $id) {
+      ... on HasMetafields {
+        metafields(first: $first, after: $after) {
+          edges { cursor node { key value namespace type } }
+          pageInfo { hasNextPage }
+        }
+      }
+    }
+  }
+`;
+
+// Managed filter metafields of a batch of products and variants, used for
+// the rollback snapshot
+const OWNERS_FILTER_METAFIELDS_QUERY = `
+  query ownersFilterMetafields($ids: [ID!]!, $keys: [String!]!, $first: Int!) {
+    nodes(ids: $ids) {
+      ... on Product {
+        id
+        metafields(first: $first, keys: $keys) {
+          edges { node { key value namespace type } }
+        }
+      }
+      ... on ProductVariant {
+        id
+        metafields(first: $first, keys: $keys) {
+          edges { node { key value namespace type } }
+        }
+      }
+    }
+  }
+`;
+
+const PRODUCT_COLLECTIONS_QUERY = `
+  query productFilterCollections($id: ID!) {
+    product(id: $id) {
+      collections(first: 50) { nodes { id } }
+    }
+  }
+`;
+
+const FILTER_DEFINITIONS_QUERY = `
+  query filterDefinitions($ownerType: MetafieldOwnerType!, $namespace: String!, $after: String) {
+    metafieldDefinitions(first: 250, after: $after, ownerType: $ownerType, namespace: $namespace) {
+      nodes { id key type { name } access { storefront } }
+      pageInfo { hasNextPage endCursor }
+    }
+  }
+`;
+
+const FILTER_DEFINITION_CREATE_MUTATION = `
+  mutation filterDefinitionCreate($definition: MetafieldDefinitionInput!) {
+    metafieldDefinitionCreate(definition: $definition) {
+      createdDefinition { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+const FILTER_DEFINITION_UPDATE_MUTATION = `
+  mutation filterDefinitionUpdate($definition: MetafieldDefinitionUpdateInput!) {
+    metafieldDefinitionUpdate(definition: $definition) {
+      updatedDefinition { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+// Shopify accepts at most 25 metafields per metafieldsSet/metafieldsDelete call
+const METAFIELD_BATCH_SIZE = 25;
+
+// Owners × keys per snapshot query; keeps the query cost under Shopify's limit
+const SNAPSHOT_QUERY_BUDGET = 750;
+const MAX_SNAPSHOT_KEYS = 250;
+
+const OWNER_TYPE_LABELS = { PRODUCT: "product", PRODUCTVARIANT: "variant", COLLECTION: "collection" };
+
+// Only metafields listed in `managedKeys` ("namespace.key") are returned, so
+// metafields of other apps or the merchant are never touched
+export async function fetchFilterMetafields(admin, ownerId, managedKeys) {
+  const managed = new Set(managedKeys);
+  const metafields = [];
+  let cursor = null, hasMore = true;
+  while (hasMore) {
+    const res = await admin.graphql(OWNER_METAFIELDS_QUERY, { variables: { id: ownerId, first: 100, after: cursor } });
+    const data = await res.json();
+    const edges = data?.data?.node?.metafields?.edges || [];
+    metafields.push(...edges.map(e => e.node).filter(m => managed.has(`${m.namespace}.${m.key}`)));
+    hasMore = data?.data?.node?.metafields?.pageInfo?.hasNextPage;
+    cursor = edges.length ? edges[edges.length - 1].cursor : null;
+  }
+  return metafields;
+}
+
+async function deleteFilterMetafields(admin, ownerId, managedKeys) {
+  const deletes = (await fetchFilterMetafields(admin, ownerId, managedKeys))
+    .map(m => ({ ownerId, namespace: m.namespace, key: m.key }));
+  await deleteMetafields(admin, deletes);
+}
+
+async function deleteMetafields(admin, metafields) {
+  for (let i = 0; i < metafields.length; i += METAFIELD_BATCH_SIZE) {
+    const delRes = await admin.graphql(METAFIELDS_DELETE_BULK_MUTATION, { variables: { metafields: metafields.slice(i, i + METAFIELD_BATCH_SIZE) } });
+    const delJson = await delRes.json();
+    if (delJson?.data?.metafieldsDelete?.userErrors?.length)
+      throw new Error(delJson.data.metafieldsDelete.userErrors[0].message);
+  }
+}
+
+async function setMetafields(admin, metafields) {
+  for (let i = 0; i < metafields.length; i += METAFIELD_BATCH_SIZE) {
+    const res = await admin.graphql(METAFIELDS_SET_BULK_MUTATION, { variables: { metafields: metafields.slice(i, i + METAFIELD_BATCH_SIZE) } });
+    const jsonRes = await res.json();
+    if (jsonRes?.data?.metafieldsSet?.userErrors?.length)
+      throw new Error(jsonRes.data.metafieldsSet.userErrors[0].message);
+  }
+}
+
+// Current managed filter metafields of the given products and variants, as
+// metafieldsSet inputs. Every managed key is covered, since the write removes
+// all of them: keys are queried in chunks of MAX_SNAPSHOT_KEYS.
+async function fetchOwnerFilterSnapshot(admin, ownerIds, managedKeys) {
+  const snapshot = new Map(); // ownerId -> metafields[]
+  for (let k = 0; k < managedKeys.length; k += MAX_SNAPSHOT_KEYS) {
+    const keys = managedKeys.slice(k, k + MAX_SNAPSHOT_KEYS);
+    const batchSize = Math.max(1, Math.floor(SNAPSHOT_QUERY_BUDGET / keys.length));
+    for (let i = 0; i < ownerIds.length; i += batchSize) {
+      const res = await admin.graphql(OWNERS_FILTER_METAFIELDS_QUERY, {
+        variables: { ids: ownerIds.slice(i, i + batchSize), keys, first: keys.length },
+      });
+      const data = await res.json();
+      if (data?.errors?.length) throw new Error(`Failed to snapshot product filters: ${data.errors[0].message}`);
+      for (const node of data?.data?.nodes || []) {
+        if (!node?.id) continue;
+        const metafields = (node.metafields?.edges || []).map(({ node: m }) =>
+          ({ ownerId: node.id, namespace: m.namespace, key: m.key, type: m.type, value: m.value }));
+        snapshot.set(node.id, [...(snapshot.get(node.id) || []), ...metafields]);
+      }
+    }
+  }
+  return snapshot;
+}
+
+// Replaces the managed filter metafields of every product and variant: one
+// bulk operation removes all of them, a second sets `ownerMetafields`.
+// Deleting a key that does not exist is a no-op. Returns the lines that
+// failed, with the owner each belonged to. `stages` labels the progress.
+async function writeOwnerFilters(bulkClient, ownerMetafields, managedKeys, progress, stages) {
+  const deletes = managedKeys.map(ref => {
+    const dot = ref.indexOf(".");
+    return { namespace: ref.slice(0, dot), key: ref.slice(dot + 1) };
+  });
+  const deleteLines = [];
+  for (const ownerId of ownerMetafields.keys()) {
+    for (let i = 0; i < deletes.length; i += METAFIELD_BATCH_SIZE) {
+      deleteLines.push({ metafields: deletes.slice(i, i + METAFIELD_BATCH_SIZE).map(d => ({ ownerId, ...d })) });
+    }
+  }
+  await progress(0, deleteLines.length, stages.remove);
+  const deleteResult = await runBulkMutation(bulkClient, METAFIELDS_DELETE_BULK_MUTATION, deleteLines, {
+    onProgress: ({ done }) => progress(done)
+  });
+  if (deleteResult.failures.length)
+    throw new Error(`Failed to remove product filters: ${deleteResult.failures[0].errors[0]?.message}`);
+
+  const setLines = [];
+  const lineOwners = [];
+  for (const [ownerId, metafields] of ownerMetafields.entries()) {
+    for (let i = 0; i < metafields.length; i += METAFIELD_BATCH_SIZE) {
+      setLines.push({ metafields: metafields.slice(i, i + METAFIELD_BATCH_SIZE) });
+      lineOwners.push(ownerId);
+    }
+  }
+  await progress(0, setLines.length, stages.write);
+  const setResult = await runBulkMutation(bulkClient, METAFIELDS_SET_BULK_MUTATION, setLines, {
+    onProgress: ({ done }) => progress(done)
+  });
+  return setResult.failures.map(({ line, errors }) => ({ ownerId: lineOwners[line], errors }));
+}
+
+// Creates the missing filter definitions, with storefront access so they can
+// be used as storefront filters, and grants that access to existing ones.
+// A definition with a different type would make every write fail, so that
+// stops the save before anything is changed. Definitions that cannot be
+// created (e.g. a name already in use) are returned as warnings; the values
+// are still written.
+async function ensureFilterDefinitions(admin, namespace, definitions) {
+  const warnings = [];
+  let created = 0;
+  const byOwnerType = new Map();
+  for (const def of definitions) {
+    if (!byOwnerType.has(def.ownerType)) byOwnerType.set(def.ownerType, []);
+    byOwnerType.get(def.ownerType).push(def);
+  }
+
+  for (const [ownerType, defs] of byOwnerType) {
+    const existing = new Map();
+    let after = null, hasMore = true;
+    while (hasMore) {
+      const res = await admin.graphql(FILTER_DEFINITIONS_QUERY, { variables: { ownerType, namespace, after } });
+      const data = await res.json();
+      if (data?.errors?.length) throw new Error(`Failed to load metafield definitions: ${data.errors[0].message}`);
+      const connection = data?.data?.metafieldDefinitions;
+      for (const node of connection?.nodes || []) existing.set(node.key, node);
+      hasMore = connection?.pageInfo?.hasNextPage;
+      after = connection?.pageInfo?.endCursor;
+    }
+
+    for (const def of defs) {
+      const ref = `${namespace}.${def.key}`;
+      const current = existing.get(def.key);
+      if (current && current.type?.name !== def.type) {
+        throw new Error(
+          `The ${OWNER_TYPE_LABELS[ownerType]} metafield definition ${ref} is ${current.type?.name}, but the filter needs ${def.type}. ` +
+          "Change the value type or key prefix in Filter Settings, or the definition in Shopify."
+        );
+      }
+
+      if (current) {
+        if (current.access?.storefront === "PUBLIC_READ") continue;
+        const res = await admin.graphql(FILTER_DEFINITION_UPDATE_MUTATION, {
+          variables: { definition: { namespace, key: def.key, ownerType, access: { storefront: "PUBLIC_READ" } } },
+        });
+        const data = await res.json();
+        const errors = data?.data?.metafieldDefinitionUpdate?.userErrors || [];
+        if (errors.length) warnings.push({ ref, message: `Storefront access could not be enabled: ${errors[0].message}` });
+        continue;
+      }
+
+      const res = await admin.graphql(FILTER_DEFINITION_CREATE_MUTATION, {
+        variables: {
+          definition: {
+            namespace, key: def.key, ownerType, name: def.name, type: def.type,
+            access: { storefront: "PUBLIC_READ" },
+          },
+        },
+      });
+      const data = await res.json();
+      const errors = data?.data?.metafieldDefinitionCreate?.userErrors || [];
+      if (errors.length) warnings.push({ ref, message: `The ${OWNER_TYPE_LABELS[ownerType]} definition could not be created: ${errors[0].message}` });
+      else created++;
+    }
+  }
+  return { created, warnings };
+}
+
+// Filter metafield type and value for one spec value. Unit-typed keys are
+// converted to their display unit, optionally as a Shopify measurement
+// metafield. `text` is the value as shown to people; a `warning` is set when
+// a unit value cannot be read, and `skipped` when it is left out.
+function toFilterValue(val, key, registry) {
+  const { unitType, displayUnit, unitMetafield } = registry.resolve(key);
+  if (!unitType) return { type: "single_line_text_field", value: val, text: val };
+  const normalized = normalizeUnitValue(val, unitType, displayUnit);
+  const measurement = normalized && unitMetafield && toMeasurementMetafield(normalized.amount, unitType, displayUnit);
+  if (measurement) return { ...measurement, text: normalized.text };
+  if (normalized && !unitMetafield) return { type: "single_line_text_field", value: normalized.text, text: normalized.text };
+  const warning = `"${val}" is not a valid ${unitType} for ${key}${unitMetafield ? " and was skipped" : ""}`;
+  return unitMetafield ? { warning, skipped: true } : { type: "single_line_text_field", value: val, text: val, warning };
+}
+
+// Metafield type of a key's filter values before any list wrapping: the
+// measurement type for unit keys written as measurements, text otherwise
+function filterBaseType(key, registry) {
+  const { unitType, displayUnit, unitMetafield } = registry.resolve(key);
+  const measurement = unitMetafield && toMeasurementMetafield(0, unitType, displayUnit);
+  return measurement ? measurement.type : FILTER_VALUE_TYPES.TEXT;
+}
+
+// Builds the collection, product and variant metafields for the selected
+// keys at the given filter `level` (see filterConfig.js), named by the shop's
+// filter `settings`. Every product and variant of the collection is an owner,
+// so filters left at the other level are removed. Also returns the
+// definitions the filters need and their "namespace.key" refs. Unreadable
+// unit values are returned as warnings.
+export function buildFilterMetafields({
+  collectionId, selectedKeys, valuesBySku, productsData, registry, settings, level = FILTER_LEVELS.PRODUCT,
+}) {
+  const { namespace } = settings;
+  const metafieldKeys = filterMetafieldKeys(settings, selectedKeys.map(key => registry.resolve(key).key));
+  const asList = level === FILTER_LEVELS.PRODUCT_LIST || settings.valueType === FILTER_VALUE_TYPES.TEXT_LIST;
+  const baseTypes = selectedKeys.map(key => filterBaseType(key, registry));
+  const types = baseTypes.map(type => (asList ? `list.${type}` : type));
+
+  const ownerTitles = {};
+  const ownerMetafields = new Map(); // ownerId -> metafields[]
+  for (const p of productsData) {
+    ownerTitles[p.id] = p.title;
+    ownerMetafields.set(p.id, []);
+    for (const v of p.variants) {
+      ownerTitles[v.id] = v.sku ? `${p.title} / ${v.sku}` : p.title;
+      ownerMetafields.set(v.id, []);
+    }
+  }
+
+  const collectionMetafields = [];
+  const definitions = [];
+  const ownerType = level === FILTER_LEVELS.VARIANT ? "PRODUCTVARIANT" : "PRODUCT";
+  selectedKeys.forEach((key, i) => {
+    if (key?.trim()) {
+      const { label } = registry.resolve(key);
+      collectionMetafields.push({
+        namespace,
+        key: metafieldKeys[i],
+        ownerId: collectionId,
+        type: FILTER_VALUE_TYPES.TEXT,
+        value: label
+      });
+      definitions.push(
+        { ownerType, key: metafieldKeys[i], name: label, type: types[i] },
+        { ownerType: "COLLECTION", key: metafieldKeys[i], name: `${label} (filter label)`, type: FILTER_VALUE_TYPES.TEXT },
+      );
+    }
+  });
+
+  // Converted values per SKU of the collection: sku -> (key index -> value)
+  const warnings = []; // [{ ref, message }]
+  const converted = new Map();
+  for (const sku of new Set(productsData.flatMap(p => p.variants.map(v => v.sku)).filter(Boolean))) {
+    const byIndex = new Map();
+    selectedKeys.forEach((key, i) => {
+      const val = valuesBySku[sku]?.[key]?.trim();
+      if (!val) return;
+      const result = toFilterValue(val, key, registry);
+      if (result.warning) warnings.push({ ref: sku, message: result.warning });
+      if (!result.skipped) byIndex.set(i, result);
+    });
+    converted.set(sku, byIndex);
+  }
+
+  // All values of a key share one type: either text or one measurement
+  const listItem = (i, value) => (baseTypes[i] === FILTER_VALUE_TYPES.TEXT ? value : JSON.parse(value));
+  const push = (ownerId, i, values) => ownerMetafields.get(ownerId).push({
+    namespace,
+    key: metafieldKeys[i],
+    ownerId,
+    type: types[i],
+    value: asList ? JSON.stringify(values.map(value => listItem(i, value))) : values[0],
+  });
+
+  for (const p of productsData) {
+    const variants = p.variants.filter(v => v.sku && converted.has(v.sku));
+
+    if (level === FILTER_LEVELS.VARIANT) {
+      for (const v of variants) {
+        for (const [i, { value }] of converted.get(v.sku)) push(v.id, i, [value]);
+      }
+      continue;
+    }
+
+    selectedKeys.forEach((key, i) => {
+      const values = variants.map(v => converted.get(v.sku).get(i)).filter(Boolean);
+      if (!values.length) return;
+      const distinct = Array.from(new Map(values.map(v => [v.value, v])).values());
+
+      if (level === FILTER_LEVELS.PRODUCT_LIST) {
+        push(p.id, i, distinct.map(v => v.value));
+        return;
+      }
+
+      const last = values[values.length - 1];
+      if (distinct.length > 1) {
+        warnings.push({
+          ref: p.title,
+          message: `Variants have different values for ${key} (${distinct.map(v => v.text).join(", ")}); the product filter uses "${last.text}"`,
+        });
+      }
+      push(p.id, i, [last.value]);
+    });
+  }
+
+  const writtenKeys = selectedKeys.flatMap((key, i) => (key?.trim() ? [`${namespace}.${metafieldKeys[i]}`] : []));
+  return { collectionMetafields, ownerMetafields, ownerTitles, definitions, writtenKeys, warnings };
+}
+
+// Rewrites the filter metafields a product and its variants already have
+// from the stored specifications, e.g. after its specs were edited outside
+// the Filter Manager. The spec key behind each metafield is read from the
+// filter labels of the product's collections; metafields the collections
+// disagree on, or whose type no longer fits the values, are left alone.
+// `product` is `{ id, variants: [{ id, sku }] }`. Returns
+// `{ updated, removed, warnings }`.
+export async function syncProductFilters(admin, shop, product) {
+  const settings = await getFilterSettings(shop);
+  const managedKeys = managedFilterKeys(settings);
+  const registry = await loadSpecKeyRegistry(shop);
+  const warnings = []; // [{ ref, message }]
+
+  const res = await admin.graphql(PRODUCT_COLLECTIONS_QUERY, { variables: { id: product.id } });
+  const data = await res.json();
+  const specKeyByRef = new Map(); // "namespace.key" -> spec key
+  const conflicts = new Set();
+  for (const { id } of data?.data?.product?.collections?.nodes || []) {
+    for (const m of await fetchFilterMetafields(admin, id, managedKeys)) {
+      const ref = `${m.namespace}.${m.key}`;
+      const key = registry.resolve(m.value).key;
+      if (specKeyByRef.has(ref) && normalizeKey(specKeyByRef.get(ref)) !== normalizeKey(key)) conflicts.add(ref);
+      else specKeyByRef.set(ref, key);
+    }
+  }
+  for (const ref of conflicts) {
+    specKeyByRef.delete(ref);
+    warnings.push({ ref, message: `The product's collections use ${ref} for different spec keys, so it was left unchanged` });
+  }
+
+  const valuesBySku = new Map(); // sku -> (normalized key -> value)
+  for (const row of await findSpecificationsBySkus(shop, product.variants.map(v => v.sku).filter(Boolean))) {
+    if (!row.spec_value?.trim()) continue;
+    if (!valuesBySku.has(row.sku)) valuesBySku.set(row.sku, new Map());
+    valuesBySku.get(row.sku).set(normalizeKey(registry.resolve(row.spec_key).key), row.spec_value.trim());
+  }
+
+  const ownerSkus = new Map([
+    [product.id, product.variants.map(v => v.sku)],
+    ...product.variants.map(v => [v.id, [v.sku]]),
+  ]);
+  const snapshot = await fetchOwnerFilterSnapshot(admin, Array.from(ownerSkus.keys()), managedKeys);
+  const sets = [];
+  const deletes = [];
+  for (const [ownerId, metafields] of snapshot) {
+    for (const m of metafields) {
+      const key = specKeyByRef.get(`${m.namespace}.${m.key}`);
+      if (!key) continue;
+      const converted = [];
+      for (const sku of ownerSkus.get(ownerId)) {
+        const val = valuesBySku.get(sku)?.get(normalizeKey(key));
+        if (!val) continue;
+        const result = toFilterValue(val, key, registry);
+        if (result.warning) warnings.push({ ref: sku, message: result.warning });
+        if (!result.skipped) converted.push(result);
+      }
+
+      // Like a Filter Manager save: lists hold every distinct value, single
+      // product values come from the last variant
+      const isList = m.type.startsWith("list.");
+      const values = isList ? Array.from(new Map(converted.map(v => [v.value, v])).values()) : converted.slice(-1);
+      if (!values.length) {
+        deletes.push({ ownerId, namespace: m.namespace, key: m.key });
+        continue;
+      }
+      const type = isList ? `list.${values[0].type}` : values[0].type;
+      if (type !== m.type) {
+        warnings.push({ ref: `${m.namespace}.${m.key}`, message: `${key} values are ${type}, but the metafield is ${m.type}, so it was left unchanged` });
+        continue;
+      }
+      const value = isList
+        ? JSON.stringify(values.map(v => (v.type === FILTER_VALUE_TYPES.TEXT ? v.value : JSON.parse(v.value))))
+        : values[0].value;
+      if (value !== m.value) sets.push({ ownerId, namespace: m.namespace, key: m.key, type, value });
+    }
+  }
+
+  await setMetafields(admin, sets);
+  await deleteMetafields(admin, deletes);
+  return { updated: sets.length, removed: deletes.length, warnings };
+}
+
+// Rows stored under any alias of a key are replaced by one canonical row; a
+// blank value deletes them, as in Spec Import. Each changed value is also
+// written to the specification history. Returns the SKUs that changed.
+async function saveSpecificationValues(shop, valuesBySku, registry, user) {
+  const existingBySku = new Map();
+  for (const row of await findSpecificationsBySkus(shop, Object.keys(valuesBySku))) {
+    if (!existingBySku.has(row.sku)) existingBySku.set(row.sku, []);
+    existingBySku.get(row.sku).push(row);
+  }
+  const dbOps = [];
+  const changes = [];
+  for (const [sku, kv] of Object.entries(valuesBySku)) {
+    for (const [rawKey, specValue] of Object.entries(kv)) {
+      if (specValue === undefined || specValue === null) continue;
+      const value = String(specValue).trim();
+      const specKey = registry.resolve(rawKey).key;
+      const current = (existingBySku.get(sku) || []).filter(r =>
+        normalizeKey(registry.resolve(r.spec_key).key) === normalizeKey(specKey));
+      if (!value && !current.length) continue;
+      if (current.length === 1 && current[0].spec_key === specKey && current[0].spec_value === value) continue;
+      if (current.length) {
+        dbOps.push(prisma.specifications.deleteMany({
+          where: { shop, id: { in: current.map(r => r.id) } }
+        }));
+      }
+      if (value) {
+        dbOps.push(
+          prisma.specifications.create({
+            data: { shop, sku, spec_key: specKey, spec_value: value }
+          })
+        );
+      }
+      const previous = current.find(r => r.spec_key === specKey) || current[0];
+      changes.push({ sku, spec_key: specKey, old_value: previous?.spec_value ?? null, new_value: value || null });
+    }
+  }
+  const history = buildHistoryRows(shop, changes, { source: HISTORY_SOURCES.FILTER_MANAGER, user });
+  if (history.length) dbOps.push(prisma.specificationHistory.createMany({ data: history }));
+  if (dbOps.length > 0) await prisma.$transaction(dbOps);
+  return dbOps.length > 0 ? changes.map(c => c.sku) : [];
+}
+
+// Job handler. Payload: `{ collectionId, selectedKeys, valuesBySku, productsData, filterLevel, user }`.
+// Creates the filter definitions when the settings ask for it, then writes
+// the collection filters directly, the product and variant filters through
+// two bulk operations (delete, then set) and finally the specifications table.
+//
+// The current filters are snapshotted first. If any later step fails or the
+// job is canceled, the snapshot is written back and the specifications table
+// is left untouched, so the store and the database never disagree.
+export async function runFilterSaveJob({ job, payload, admin, progress, addItems, isCanceled }) {
+  const {
+    collectionId, selectedKeys = [], valuesBySku = {}, productsData = [], filterLevel = FILTER_LEVELS.PRODUCT, user = {},
+  } = payload;
+  const registry = await loadSpecKeyRegistry(job.shop);
+  const settings = await getFilterSettings(job.shop);
+  const { collectionMetafields, ownerMetafields, ownerTitles, definitions, writtenKeys, warnings } =
+    buildFilterMetafields({ collectionId, selectedKeys, valuesBySku, productsData, registry, settings, level: filterLevel });
+  await addItems(warnings.map(w => ({ ...w, status: ITEM_STATUS.WARNING })));
+  const bulkClient = getBulkClient(admin);
+  const ownerIds = Array.from(ownerMetafields.keys());
+
+  // ---- Definitions ----
+  let definitionsCreated = 0;
+  if (settings.createDefinitions && definitions.length) {
+    await progress(0, 0, "Checking filter metafield definitions");
+    const result = await ensureFilterDefinitions(admin, settings.namespace, definitions);
+    definitionsCreated = result.created;
+    await addItems(result.warnings.map(w => ({ ...w, status: ITEM_STATUS.WARNING })));
+  }
+
+  // Old filters may use an earlier namespace or key scheme; the new keys are
+  // recorded before they are written so a failed save can still clean them up
+  const managedKeys = Array.from(new Set([...managedFilterKeys(settings), ...writtenKeys]));
+  await addManagedFilterKeys(job.shop, settings, writtenKeys);
+
+  // ---- Snapshot ----
+  await progress(0, 0, "Saving a snapshot of the current filters");
+  const collectionSnapshot = (await fetchFilterMetafields(admin, collectionId, managedKeys))
+    .map(m => ({ ownerId: collectionId, namespace: m.namespace, key: m.key, type: m.type, value: m.value }));
+  const ownerSnapshot = await fetchOwnerFilterSnapshot(admin, ownerIds, managedKeys);
+  for (const ownerId of ownerIds) if (!ownerSnapshot.has(ownerId)) ownerSnapshot.set(ownerId, []);
+
+  let productsTouched = false;
+  let canceled = false;
+  let changedSkus = [];
+  const stopIfCanceled = async () => {
+    if (await isCanceled()) {
+      canceled = true;
+      throw new Error("Save canceled");
+    }
+  };
+
+  try {
+    // ---- Collection ----
+    await progress(0, 0, "Updating collection filters");
+    await deleteFilterMetafields(admin, collectionId, managedKeys);
+    await setMetafields(admin, collectionMetafields);
+    await stopIfCanceled();
+
+    // ---- Products and variants ----
+    productsTouched = true;
+    const failures = await writeOwnerFilters(bulkClient, ownerMetafields, managedKeys, progress, {
+      remove: "Removing old product filters",
+      write: "Writing product filters",
+    });
+    if (failures.length) {
+      await addItems(failures.map(({ ownerId, errors }) => ({
+        ref: ownerTitles[ownerId] || ownerId,
+        status: ITEM_STATUS.ERROR,
+        message: errors.map(e => e.message).join(", "),
+      })));
+      throw new Error(`${failures.length} product filter update(s) failed`);
+    }
+    await stopIfCanceled();
+
+    // ---- Database ----
+    await progress(0, 0, "Saving specifications");
+    changedSkus = await saveSpecificationValues(job.shop, valuesBySku, registry, user);
+  } catch (err) {
+    await progress(0, 0, "Restoring the previous filters");
+    try {
+      await deleteFilterMetafields(admin, collectionId, managedKeys);
+      await setMetafields(admin, collectionSnapshot);
+      if (productsTouched) {
+        const restoreFailures = await writeOwnerFilters(bulkClient, ownerSnapshot, managedKeys, progress, {
+          remove: "Removing new product filters",
+          write: "Restoring previous product filters",
+        });
+        if (restoreFailures.length)
+          throw new Error(`${restoreFailures.length} product(s) or variant(s) could not be restored: ${restoreFailures[0].errors[0]?.message}`);
+      }
+    } catch (restoreErr) {
+      console.error("[filter save] Rollback failed:", restoreErr);
+      throw new Error(`${err.message}. Restoring the previous filters also failed: ${restoreErr.message}`);
+    }
+    if (canceled) return { canceled: true, restored: true };
+    throw new Error(`${err.message}. The previous filters were restored and no specifications were saved.`);
+  }
+
+  // Outside the rollback: the filters and specifications are saved by now
+  if (changedSkus.length) await onSpecificationsChanged(job.shop, changedSkus);
+
+  return {
+    products: productsData.length,
+    level: filterLevel,
+    namespace: settings.namespace,
+    keys: selectedKeys.length,
+    definitionsCreated,
+    warnings: warnings.length,
+  };
+}
@@ -0,0 +1,74 @@
+// app/utils/filterSettings.server.js
+// Per-shop settings of the filter metafields (namespace, key scheme, value
+// type) and the list of metafield keys the app has written, so a save only
+// ever removes its own filters.
+
+import prisma from "../db.server";
+import { DEFAULT_FILTER_SETTINGS, validateFilterSettings } from "./filterConfig";
+
+// Before the first save with managed keys, filters were always written as
+// custom.filter_1 .. custom.filter_50
+const LEGACY_FILTER_KEYS = Array.from({ length: 50 }, (_, i) => `custom.filter_${i + 1}`);
+
+function toSettings(row) {
+  return {
+    namespace: row.namespace,
+    keyScheme: row.key_scheme,
+    keyPrefix: row.key_prefix,
+    valueType: row.value_type,
+    createDefinitions: row.create_definitions,
+    managedKeys: Array.isArray(row.managed_keys) ? row.managed_keys : null,
+  };
+}
+
+export async function getFilterSettings(shop) {
+  const row = await prisma.filterSettings.findUnique({ where: { shop } });
+  return row ? toSettings(row) : { ...DEFAULT_FILTER_SETTINGS, managedKeys: null };
+}
+
+// Returns `{ ok, error }`
+export async function saveFilterSettings(shop, { namespace, keyScheme, keyPrefix, valueType, createDefinitions }) {
+  const settings = {
+    namespace: (namespace || "").trim(),
+    keyScheme,
+    keyPrefix: (keyPrefix || "").trim(),
+    valueType,
+    createDefinitions: Boolean(createDefinitions),
+  };
+  const error = validateFilterSettings(settings);
+  if (error) return { ok: false, error };
+
+  const data = {
+    namespace: settings.namespace,
+    key_scheme: settings.keyScheme,
+    key_prefix: settings.keyPrefix,
+    value_type: settings.valueType,
+    create_definitions: settings.createDefinitions,
+  };
+  await prisma.filterSettings.upsert({ where: { shop }, create: { shop, ...data }, update: data });
+  return { ok: true };
+}
+
+// "namespace.key" of every filter metafield the app may have written
+export function managedFilterKeys(settings) {
+  return settings.managedKeys ?? LEGACY_FILTER_KEYS;
+}
+
+// Keys accumulate: filters written under an earlier namespace or key scheme
+// still exist on products that have not been saved since
+export async function addManagedFilterKeys(shop, settings, keys) {
+  const managed = Array.from(new Set([...managedFilterKeys(settings), ...keys]));
+  await prisma.filterSettings.upsert({
+    where: { shop },
+    create: {
+      shop,
+      namespace: settings.namespace,
+      key_scheme: settings.keyScheme,
+      key_prefix: settings.keyPrefix,
+      value_type: settings.valueType,
+      create_definitions: settings.createDefinitions,
+      managed_keys: managed,
+    },
+    update: { managed_keys: managed },
+  });
+}
@@ -0,0 +1,203 @@
+// app/utils/jobWorker.server.js
+// In-process worker for the job queue. Polls for queued jobs, claims one at a
+// time and hands it to the handler registered for its type.
+//
+// Each process claims jobs under its own worker id and refreshes a heartbeat
+// while a job runs, so several app instances can share the queue: only jobs
+// whose heartbeat stopped are treated as interrupted.
+//
+// A handler receives `{ job, payload, admin, progress, addItems, isCanceled }`
+// and returns the job result. Handlers should check `isCanceled()` between
+// items and return early when it is true.
+
+import os from "os";
+import { randomUUID } from "crypto";
+import prisma from "../db.server";
+import { unauthenticated } from "../shopify.server";
+import { JOB_TYPES, JOB_STATUS, ITEM_STATUS } from "./jobs.server";
+import { runFilterSaveJob } from "./filterSave.server";
+import { runCollectionImportJob } from "./collectionImport.server";
+import { runMetafieldBulkUpdateJob } from "./metafieldBulkUpdate.server";
+import { runFeatureTableBulkJob, runFeatureTableSyncJob } from "./featureTable.server";
+import { runSkuIndexSyncJob } from "./skuIndex.server";
+import { runSpecCollectionBuildJob, runSpecCollectionSyncJob } from "./specCollections.server";
+import { runMetaobjectImportJob } from "./metaobjects.server";
+import { runProductMetafieldImportJob } from "./productMetafields.server";
+
+const HANDLERS = {
+  [JOB_TYPES.FILTER_SAVE]: runFilterSaveJob,
+  [JOB_TYPES.COLLECTION_IMPORT]: runCollectionImportJob,
+  [JOB_TYPES.METAFIELD_BULK_UPDATE]: runMetafieldBulkUpdateJob,
+  [JOB_TYPES.FEATURE_TABLE_BULK]: runFeatureTableBulkJob,
+  [JOB_TYPES.FEATURE_TABLE_SYNC]: runFeatureTableSyncJob,
+  [JOB_TYPES.SKU_INDEX_SYNC]: runSkuIndexSyncJob,
+  [JOB_TYPES.SPEC_COLLECTION_BUILD]: runSpecCollectionBuildJob,
+  [JOB_TYPES.SPEC_COLLECTION_SYNC]: runSpecCollectionSyncJob,
+  [JOB_TYPES.METAOBJECT_IMPORT]: runMetaobjectImportJob,
+  [JOB_TYPES.PRODUCT_METAFIELD_IMPORT]: runProductMetafieldImportJob,
+};
+
+const POLL_INTERVAL_MS = 3000;
+
+// Progress is written at most this often; the final value is always written
+const PROGRESS_WRITE_INTERVAL_MS = 1000;
+
+// A running job's heartbeat is refreshed this often...
+const HEARTBEAT_INTERVAL_MS = 30_000;
+
+// ...and the job counts as interrupted once it is this old
+const STALE_AFTER_MS = 5 * 60_000;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`.slice(0, 100);
+
+// Claims the oldest queued job. The conditional update makes sure two
+// workers never pick up the same job.
+async function claimNextJob() {
+  const next = await prisma.job.findFirst({
+    where: { status: JOB_STATUS.QUEUED },
+    orderBy: { created_at: "asc" },
+    select: { id: true },
+  });
+  if (!next) return null;
+
+  const claimed = await prisma.job.updateMany({
+    where: { id: next.id, status: JOB_STATUS.QUEUED },
+    data: {
+      status: JOB_STATUS.RUNNING,
+      worker_id: WORKER_ID,
+      heartbeat_at: new Date(),
+      started_at: new Date(),
+      attempts: { increment: 1 },
+    },
+  });
+  if (!claimed.count) return null;
+  return prisma.job.findUnique({ where: { id: next.id } });
+}
+
+function createJobContext(job, admin) {
+  let lastWrite = 0;
+  let pending = null;
+
+  const writeProgress = (data) => prisma.job.update({ where: { id: job.id }, data });
+
+  return {
+    job,
+    payload: job.payload || {},
+    admin,
+
+    async progress(done, total, stage) {
+      pending = {
+        progress_done: done,
+        ...(total !== undefined ? { progress_total: total } : {}),
+        ...(stage !== undefined ? { stage } : {}),
+      };
+      if (stage === undefined && Date.now() - lastWrite < PROGRESS_WRITE_INTERVAL_MS) return;
+      lastWrite = Date.now();
+      const data = pending;
+      pending = null;
+      await writeProgress(data);
+    },
+
+    async flushProgress() {
+      if (pending) await writeProgress(pending);
+      pending = null;
+    },
+
+    // items: [{ ref, status, message }]
+    async addItems(items) {
+      if (!items.length) return;
+      await prisma.jobItem.createMany({
+        data: items.map(({ ref, status = ITEM_STATUS.OK, message = null }) => ({
+          job_id: job.id,
+          ref: String(ref).slice(0, 255),
+          status,
+          message,
+        })),
+      });
+    },
+
+    async isCanceled() {
+      const current = await prisma.job.findUnique({ where: { id: job.id }, select: { cancel_requested: true } });
+      return !!current?.cancel_requested;
+    },
+  };
+}
+
+// Final status writes only apply while this process still owns the job; a
+// job failed as stale and retried elsewhere is left alone
+function finishJob(job, data) {
+  return prisma.job.updateMany({ where: { id: job.id, worker_id: WORKER_ID }, data });
+}
+
+async function runJob(job) {
+  const handler = HANDLERS[job.type];
+  const heartbeat = setInterval(() => {
+    prisma.job
+      .updateMany({ where: { id: job.id, worker_id: WORKER_ID, status: JOB_STATUS.RUNNING }, data: { heartbeat_at: new Date() } })
+      .catch((err) => console.error(`[jobs] Heartbeat of job ${job.id} failed:`, err));
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref?.();
+
+  try {
+    if (!handler) throw new Error(`Unknown job type "${job.type}"`);
+    const { admin } = await unauthenticated.admin(job.shop);
+    const ctx = createJobContext(job, admin);
+    const result = await handler(ctx);
+    await ctx.flushProgress();
+
+    const canceled = await ctx.isCanceled();
+    await finishJob(job, {
+      status: canceled ? JOB_STATUS.CANCELED : JOB_STATUS.COMPLETED,
+      stage: canceled ? "Canceled" : "Done",
+      result: result ?? {},
+      finished_at: new Date(),
+    });
+  } catch (err) {
+    console.error(`[jobs] Job ${job.id} (${job.type}) failed:`, err);
+    await finishJob(job, { status: JOB_STATUS.FAILED, error: err.message || String(err), finished_at: new Date() });
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+// Running jobs whose worker stopped sending heartbeats (a restart, a crashed
+// instance) can never finish; mark them failed so they can be retried from
+// the Jobs page. Jobs other instances are still running keep their heartbeat.
+async function failStaleJobs() {
+  const cutoff = new Date(Date.now() - STALE_AFTER_MS);
+  await prisma.job.updateMany({
+    where: {
+      status: JOB_STATUS.RUNNING,
+      OR: [{ heartbeat_at: { lt: cutoff } }, { heartbeat_at: null, started_at: { lt: cutoff } }],
+    },
+    data: { status: JOB_STATUS.FAILED, error: "Interrupted: the worker running this job stopped", finished_at: new Date() },
+  });
+}
+
+async function tick(worker) {
+  if (worker.busy) return;
+  worker.busy = true;
+  try {
+    if (Date.now() - worker.staleCheckedAt > HEARTBEAT_INTERVAL_MS) {
+      worker.staleCheckedAt = Date.now();
+      await failStaleJobs();
+    }
+    let job;
+    while ((job = await claimNextJob())) await runJob(job);
+  } catch (err) {
+    console.error("[jobs] Worker error:", err);
+  } finally {
+    worker.busy = false;
+  }
+}
+
+// Starts the worker once per process (the global survives dev reloads)
+export function startJobWorker() {
+  if (global.jobWorker) return global.jobWorker;
+  const worker = { busy: false, timer: null, staleCheckedAt: 0 };
+  global.jobWorker = worker;
+
+  worker.timer = setInterval(() => tick(worker), POLL_INTERVAL_MS);
+  worker.timer.unref?.();
+  return worker;
+}
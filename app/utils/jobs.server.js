@@ -0,0 +1,178 @@
+// app/utils/jobs.server.js
+// Database-backed job queue. Routes enqueue work and return the job id;
+// the worker in jobWorker.server.js claims queued jobs and runs them.
+
+import { Prisma } from "@prisma/client";
+import prisma from "../db.server";
+
+export const JOB_TYPES = {
+  FILTER_SAVE: "filter_save",
+  COLLECTION_IMPORT: "collection_import",
+  METAFIELD_BULK_UPDATE: "metafield_bulk_update",
+  FEATURE_TABLE_BULK: "feature_table_bulk",
+  FEATURE_TABLE_SYNC: "feature_table_sync",
+  SKU_INDEX_SYNC: "sku_index_sync",
+  SPEC_COLLECTION_BUILD: "spec_collection_build",
+  SPEC_COLLECTION_SYNC: "spec_collection_sync",
+  METAOBJECT_IMPORT: "metaobject_import",
+  PRODUCT_METAFIELD_IMPORT: "product_metafield_import",
+};
+
+export const JOB_STATUS = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  COMPLETED: "completed",
+  FAILED: "failed",
+  CANCELED: "canceled",
+};
+
+export const ACTIVE_STATUSES = [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING];
+
+// Item statuses recorded per processed row/product
+export const ITEM_STATUS = { OK: "ok", WARNING: "warning", ERROR: "error" };
+
+// Columns returned to the UI (the payload and uploaded file stay server side)
+const JOB_SUMMARY_SELECT = {
+  id: true,
+  type: true,
+  title: true,
+  status: true,
+  file_name: true,
+  stage: true,
+  progress_done: true,
+  progress_total: true,
+  result: true,
+  error: true,
+  attempts: true,
+  cancel_requested: true,
+  created_at: true,
+  started_at: true,
+  finished_at: true,
+};
+
+export async function enqueueJob(shop, { type, title, payload = {}, file = null, fileName = null }) {
+  return prisma.job.create({
+    data: { shop, type, title, payload, file, file_name: fileName },
+    select: JOB_SUMMARY_SELECT,
+  });
+}
+
+// Queues a job with `{ skus }` as its payload. When a job of the same type
+// has not started yet, the SKUs are added to that one instead. The merge only
+// applies while that job is still queued and unchanged since it was read; if
+// a worker claimed it or another merge changed it meanwhile, a new job is
+// queued so no SKU is dropped.
+export async function enqueueSkuJob(shop, { type, title, skus }) {
+  const changed = Array.from(new Set(skus.filter(Boolean)));
+  if (!changed.length) return null;
+
+  const queued = await prisma.job.findFirst({
+    where: { shop, type, status: JOB_STATUS.QUEUED },
+    select: { id: true, payload: true, updated_at: true },
+  });
+  if (queued) {
+    const merged = Array.from(new Set([...(queued.payload?.skus || []), ...changed]));
+    const { count } = await prisma.job.updateMany({
+      where: { id: queued.id, status: JOB_STATUS.QUEUED, updated_at: queued.updated_at },
+      data: { payload: { skus: merged } },
+    });
+    if (count) return prisma.job.findUnique({ where: { id: queued.id }, select: JOB_SUMMARY_SELECT });
+  }
+  return enqueueJob(shop, {
+    type,
+    title: `${title} (${changed.length} SKU${changed.length === 1 ? "" : "s"})`,
+    payload: { skus: changed },
+  });
+}
+
+async function withItemCounts(jobs) {
+  if (!jobs.length) return jobs;
+  const counts = await prisma.jobItem.groupBy({
+    by: ["job_id", "status"],
+    where: { job_id: { in: jobs.map((j) => j.id) } },
+    _count: { _all: true },
+  });
+  return jobs.map((job) => {
+    const itemCounts = {};
+    for (const c of counts) {
+      if (c.job_id === job.id) itemCounts[c.status] = c._count._all;
+    }
+    return { ...job, itemCounts };
+  });
+}
+
+export async function getJob(shop, id) {
+  const job = await prisma.job.findFirst({ where: { id: Number(id), shop }, select: JOB_SUMMARY_SELECT });
+  if (!job) return null;
+  const [withCounts] = await withItemCounts([job]);
+  return withCounts;
+}
+
+export async function listJobs(shop, { take = 50 } = {}) {
+  const jobs = await prisma.job.findMany({
+    where: { shop },
+    orderBy: { created_at: "desc" },
+    take,
+    select: JOB_SUMMARY_SELECT,
+  });
+  return withItemCounts(jobs);
+}
+
+export async function listJobItems(shop, id, { statuses, take } = {}) {
+  return prisma.jobItem.findMany({
+    where: { job_id: Number(id), job: { shop }, ...(statuses ? { status: { in: statuses } } : {}) },
+    orderBy: { id: "asc" },
+    ...(take ? { take } : {}),
+  });
+}
+
+// Queued jobs are canceled straight away; running jobs stop at the next
+// item their handler processes. Returns `{ ok, error }`.
+export async function cancelJob(shop, id) {
+  const job = await prisma.job.findFirst({ where: { id: Number(id), shop } });
+  if (!job) return { ok: false, error: "Job not found." };
+
+  if (job.status === JOB_STATUS.QUEUED) {
+    await prisma.job.updateMany({
+      where: { id: job.id, status: JOB_STATUS.QUEUED },
+      data: { status: JOB_STATUS.CANCELED, cancel_requested: true, finished_at: new Date() },
+    });
+    return { ok: true };
+  }
+  if (job.status === JOB_STATUS.RUNNING) {
+    await prisma.job.update({ where: { id: job.id }, data: { cancel_requested: true } });
+    return { ok: true };
+  }
+  return { ok: false, error: `A ${job.status} job cannot be canceled.` };
+}
+
+// Puts a failed or canceled job back in the queue. Previous item results
+// are cleared; the job runs again from the start.
+export async function retryJob(shop, id) {
+  const job = await prisma.job.findFirst({ where: { id: Number(id), shop } });
+  if (!job) return { ok: false, error: "Job not found." };
+  if (![JOB_STATUS.FAILED, JOB_STATUS.CANCELED].includes(job.status)) {
+    return { ok: false, error: `A ${job.status} job cannot be retried.` };
+  }
+
+  await prisma.$transaction([
+    prisma.jobItem.deleteMany({ where: { job_id: job.id } }),
+    prisma.job.update({
+      where: { id: job.id },
+      data: {
+        status: JOB_STATUS.QUEUED,
+        stage: null,
+        progress_done: 0,
+        progress_total: 0,
+        result: Prisma.DbNull,
+        error: null,
+        cancel_requested: false,
+        worker_id: null,
+        heartbeat_at: null,
+        started_at: null,
+        finished_at: null,
+      },
+    }),
+  ]);
+  return { ok: true };
+}
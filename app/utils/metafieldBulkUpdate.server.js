@@ -0,0 +1,68 @@
+// app/utils/metafieldBulkUpdate.server.js
+// Metafield Editor "Save All", run as a background job: sets one metafield
+// definition on many owners (products, variants, collections, ...), a chunk
+// of owners per call.
+
+import { ITEM_STATUS } from "./jobs.server";
+
+const METAFIELDS_SET_MUTATION = `
+  mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      metafields { key namespace value }
+      userErrors { field message }
+    }
+  }
+`;
+
+const BULK_UPDATE_CHUNK_SIZE = 20;
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Job handler. Payload: `{ definition: "namespace___key___type", updates: [{ ownerId, value }] }`.
+// Records one item per owner. Jobs queued before the editor handled other
+// owner types carry `productId` instead of `ownerId`.
+export async function runMetafieldBulkUpdateJob({ payload, admin, progress, addItems, isCanceled }) {
+  const { definition } = payload;
+  const updates = (payload.updates || []).map(({ ownerId, productId, value }) => ({ ownerId: ownerId || productId, value }));
+  const [namespace, key, originalType] = definition.split("___");
+
+  let done = 0;
+  let failed = 0;
+  await progress(0, updates.length, "Updating metafields");
+
+  for (let i = 0; i < updates.length; i += BULK_UPDATE_CHUNK_SIZE) {
+    if (await isCanceled()) break;
+    const chunk = updates.slice(i, i + BULK_UPDATE_CHUNK_SIZE);
+    const metafieldsInput = chunk.map(({ ownerId, value }) => ({
+      ownerId,
+      namespace,
+      key,
+      type: originalType,
+      value,
+    }));
+
+    let errorMessage = null;
+    try {
+      const response = await admin.graphql(METAFIELDS_SET_MUTATION, { variables: { metafields: metafieldsInput } });
+      const data = await response.json();
+      // Shopify rejects the whole call when any input is invalid, so the
+      // errors apply to every owner of the chunk
+      const userErrors = data?.data?.metafieldsSet?.userErrors || [];
+      if (userErrors.length > 0) errorMessage = userErrors.map((e) => e.message).join(", ");
+    } catch (err) {
+      console.error("Error during bulk metafield set:", err);
+      errorMessage = "Server error during bulk update.";
+    }
+
+    await addItems(chunk.map(({ ownerId }) => (errorMessage
+      ? { ref: ownerId, status: ITEM_STATUS.ERROR, message: errorMessage }
+      : { ref: ownerId, status: ITEM_STATUS.OK })));
+    if (errorMessage) failed += chunk.length;
+    done += chunk.length;
+    await progress(done, updates.length);
+
+    // Small pause between chunks to avoid rate limits
+    await delay(300);
+  }
+
+  return { definition, updated: done - failed, failed, total: updates.length };
+}
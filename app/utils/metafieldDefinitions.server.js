@@ -0,0 +1,150 @@
+// app/utils/metafieldDefinitions.server.js
+// Lifecycle of a metafield definition after it was created: name and
+// description, validations, pinning, storefront access, admin filtering and
+// deletion. Every change is previewed with the number of owners that hold a
+// value for the definition.
+
+import { DEFINITION_VALIDATIONS, STOREFRONT_ACCESS, baseType, validateDefinitionValidations } from "./metafieldValues";
+
+const DEFINITION_QUERY = `
+  query metafieldDefinitionDetails($id: ID!) {
+    metafieldDefinition(id: $id) {
+      id
+      name
+      namespace
+      key
+      description
+      ownerType
+      type { name }
+      validations { name value }
+      pinnedPosition
+      metafieldsCount
+      access { storefront }
+      capabilities { adminFilterable { eligible enabled } }
+    }
+  }
+`;
+
+const UPDATE_MUTATION = `
+  mutation metafieldDefinitionUpdate($definition: MetafieldDefinitionUpdateInput!) {
+    metafieldDefinitionUpdate(definition: $definition) {
+      updatedDefinition { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+const PIN_MUTATION = `
+  mutation metafieldDefinitionPin($definitionId: ID!) {
+    metafieldDefinitionPin(definitionId: $definitionId) {
+      pinnedDefinition { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+const UNPIN_MUTATION = `
+  mutation metafieldDefinitionUnpin($definitionId: ID!) {
+    metafieldDefinitionUnpin(definitionId: $definitionId) {
+      unpinnedDefinition { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+const DELETE_MUTATION = `
+  mutation metafieldDefinitionDelete($id: ID!, $deleteAllAssociatedMetafields: Boolean) {
+    metafieldDefinitionDelete(id: $id, deleteAllAssociatedMetafields: $deleteAllAssociatedMetafields) {
+      deletedDefinitionId
+      userErrors { field message }
+    }
+  }
+`;
+
+async function runMutation(admin, mutation, variables, field) {
+  const res = await admin.graphql(mutation, { variables });
+  const data = await res.json();
+  const result = data?.data?.[field];
+  if (!result) return data?.errors?.[0]?.message || "Shopify did not accept the change.";
+  return result.userErrors.length ? result.userErrors.map((e) => e.message).join(", ") : null;
+}
+
+// The definition as edited on the page, or null when it no longer exists
+export async function getMetafieldDefinition(admin, id) {
+  const res = await admin.graphql(DEFINITION_QUERY, { variables: { id } });
+  const data = await res.json();
+  const node = data?.data?.metafieldDefinition;
+  if (!node) return null;
+  return {
+    id: node.id,
+    name: node.name,
+    namespace: node.namespace,
+    key: node.key,
+    description: node.description || "",
+    ownerType: node.ownerType,
+    type: node.type.name,
+    validations: node.validations,
+    pinned: node.pinnedPosition !== null && node.pinnedPosition !== undefined,
+    storefrontAccess: node.access?.storefront || STOREFRONT_ACCESS.NONE,
+    filterable: node.capabilities?.adminFilterable || { eligible: false, enabled: false },
+    ownersAffected: node.metafieldsCount,
+  };
+}
+
+// Validations sent with an update. Shopify replaces the whole list, so the
+// ones this page does not edit (e.g. the metaobject definition of a
+// reference) are carried over; edited ones left empty are dropped.
+function mergeValidations(definition, edited) {
+  const managed = new Set((DEFINITION_VALIDATIONS[baseType(definition.type)] || []).map((v) => v.name));
+  const kept = definition.validations.filter((v) => !managed.has(v.name));
+  const changed = edited.filter((v) => managed.has(v.name) && v.value !== "" && v.value !== null && v.value !== undefined);
+  return [...kept, ...changed.map(({ name, value }) => ({ name, value: String(value) }))];
+}
+
+// Applies `changes` ({ name, description, validations, pinned, storefrontAccess,
+// filterable }); keys left out stay as they are. Returns `{ ok, status, error, definition }`.
+export async function updateMetafieldDefinition(admin, id, changes) {
+  const definition = await getMetafieldDefinition(admin, id);
+  if (!definition) return { ok: false, status: 404, error: "Metafield definition not found." };
+
+  if (changes.name !== undefined && !String(changes.name).trim()) {
+    return { ok: false, status: 400, error: "Name is required." };
+  }
+  const validations = changes.validations && mergeValidations(definition, changes.validations);
+  const validationError = validations && validateDefinitionValidations(definition.type, validations);
+  if (validationError) return { ok: false, status: 400, error: validationError };
+
+  const input = { namespace: definition.namespace, key: definition.key, ownerType: definition.ownerType };
+  if (changes.name !== undefined) input.name = String(changes.name).trim();
+  if (changes.description !== undefined) input.description = changes.description || null;
+  if (validations) input.validations = validations;
+  if (changes.storefrontAccess && changes.storefrontAccess !== definition.storefrontAccess) {
+    input.access = { storefront: changes.storefrontAccess };
+  }
+  if (changes.filterable !== undefined && changes.filterable !== definition.filterable.enabled) {
+    if (changes.filterable && !definition.filterable.eligible) {
+      return { ok: false, status: 400, error: "This definition's type cannot be used as an admin filter." };
+    }
+    input.capabilities = { adminFilterable: { enabled: changes.filterable } };
+  }
+
+  const updateError = await runMutation(admin, UPDATE_MUTATION, { definition: input }, "metafieldDefinitionUpdate");
+  if (updateError) return { ok: false, status: 400, error: updateError };
+
+  if (changes.pinned !== undefined && changes.pinned !== definition.pinned) {
+    const pinError = changes.pinned
+      ? await runMutation(admin, PIN_MUTATION, { definitionId: id }, "metafieldDefinitionPin")
+      : await runMutation(admin, UNPIN_MUTATION, { definitionId: id }, "metafieldDefinitionUnpin");
+    if (pinError) return { ok: false, status: 400, error: pinError };
+  }
+
+  return { ok: true, status: 200, definition: await getMetafieldDefinition(admin, id) };
+}
+
+// Deletes the definition. Without `deleteValues` the stored values stay on
+// their owners as metafields without a definition.
+export async function deleteMetafieldDefinition(admin, id, { deleteValues = false } = {}) {
+  const error = await runMutation(admin, DELETE_MUTATION, { id, deleteAllAssociatedMetafields: deleteValues }, "metafieldDefinitionDelete");
+  if (error) return { ok: false, status: 400, error };
+  return { ok: true, status: 200 };
+}
@@ -0,0 +1,290 @@
+// app/utils/metafieldValues.js
+// Shared by the Metafield Editor widgets and its action: the value format of
+// each Shopify metafield type, the validations a definition can carry and the
+// check run before `metafieldsSet`.
+
+// Units accepted in measurement values. Shopify writes the enum name
+// ("CENTIMETERS") when it returns a value and accepts either form.
+export const MEASUREMENT_UNITS = {
+  dimension: [
+    { code: "mm", name: "MILLIMETERS" },
+    { code: "cm", name: "CENTIMETERS" },
+    { code: "m", name: "METERS" },
+    { code: "in", name: "INCHES" },
+    { code: "ft", name: "FEET" },
+    { code: "yd", name: "YARDS" },
+  ],
+  weight: [
+    { code: "g", name: "GRAMS" },
+    { code: "kg", name: "KILOGRAMS" },
+    { code: "oz", name: "OUNCES" },
+    { code: "lb", name: "POUNDS" },
+  ],
+  volume: [
+    { code: "ml", name: "MILLILITERS" },
+    { code: "cl", name: "CENTILITERS" },
+    { code: "l", name: "LITERS" },
+    { code: "m3", name: "CUBIC_METERS" },
+    { code: "us_fl_oz", name: "FLUID_OUNCES" },
+    { code: "us_pt", name: "PINTS" },
+    { code: "us_qt", name: "QUARTS" },
+    { code: "us_gal", name: "GALLONS" },
+    { code: "imp_fl_oz", name: "IMPERIAL_FLUID_OUNCES" },
+    { code: "imp_pt", name: "IMPERIAL_PINTS" },
+    { code: "imp_qt", name: "IMPERIAL_QUARTS" },
+    { code: "imp_gal", name: "IMPERIAL_GALLONS" },
+  ],
+};
+
+// Offered in the money input besides the shop currency and the value's own
+export const COMMON_CURRENCIES = ["USD", "EUR", "GBP", "CAD", "AUD", "NZD", "CHF", "SEK", "NOK", "DKK", "PLN", "JPY", "CNY", "INR"];
+
+// Reference types and the GID resources they accept
+export const REFERENCE_TYPES = {
+  product_reference: { label: "product", resources: ["Product"] },
+  variant_reference: { label: "variant", resources: ["ProductVariant"] },
+  collection_reference: { label: "collection", resources: ["Collection"] },
+  page_reference: { label: "page", resources: ["Page"] },
+  customer_reference: { label: "customer", resources: ["Customer"] },
+  company_reference: { label: "company", resources: ["Company"] },
+  metaobject_reference: { label: "entry", resources: ["Metaobject"] },
+  mixed_reference: { label: "entry", resources: ["Metaobject"] },
+  file_reference: { label: "file", resources: ["MediaImage", "GenericFile", "Video", "ExternalVideo", "Model3d"] },
+};
+
+const DEFAULT_RATING_SCALE = { min: 1, max: 5 };
+
+// Storefront API access of a definition's values
+export const STOREFRONT_ACCESS = { PUBLIC_READ: "PUBLIC_READ", NONE: "NONE" };
+
+// File kinds a file reference definition can be limited to
+export const FILE_TYPE_OPTIONS = ["Image", "Video"];
+
+// Validations that can be set on a definition, by base type. `kind` picks the
+// input: "number", "date" and "text" take one value, "choices" and "fileTypes"
+// a JSON list.
+export const DEFINITION_VALIDATIONS = {
+  single_line_text_field: [
+    { name: "min", label: "Minimum length", kind: "number" },
+    { name: "max", label: "Maximum length", kind: "number" },
+    { name: "regex", label: "Regular expression", kind: "text" },
+    { name: "choices", label: "Allowed choices", kind: "choices" },
+  ],
+  multi_line_text_field: [
+    { name: "min", label: "Minimum length", kind: "number" },
+    { name: "max", label: "Maximum length", kind: "number" },
+    { name: "regex", label: "Regular expression", kind: "text" },
+  ],
+  number_integer: [
+    { name: "min", label: "Minimum value", kind: "number" },
+    { name: "max", label: "Maximum value", kind: "number" },
+  ],
+  number_decimal: [
+    { name: "min", label: "Minimum value", kind: "number" },
+    { name: "max", label: "Maximum value", kind: "number" },
+  ],
+  date: [
+    { name: "min", label: "Earliest date", kind: "date" },
+    { name: "max", label: "Latest date", kind: "date" },
+  ],
+  rating: [
+    { name: "scale_min", label: "Scale minimum", kind: "number" },
+    { name: "scale_max", label: "Scale maximum", kind: "number" },
+  ],
+  file_reference: [
+    { name: "file_type_options", label: "Allowed file types", kind: "fileTypes" },
+  ],
+};
+
+export const isListType = (type) => type.startsWith("list.");
+export const baseType = (type) => (isListType(type) ? type.slice(5) : type);
+export const isReferenceType = (type) => Boolean(REFERENCE_TYPES[baseType(type)]);
+export const isMeasurementType = (type) => Boolean(MEASUREMENT_UNITS[baseType(type)]);
+
+// Value of one definition validation (`[{ name, value }]`), or undefined
+export function validationValue(validations, name) {
+  return (validations || []).find((v) => v.name === name)?.value;
+}
+
+// Scale of a rating definition, from its `scale_min`/`scale_max`
+// validations or, when those are not at hand, from a rating value
+export function ratingScale(validations, rating) {
+  const min = Number(validationValue(validations, "scale_min") ?? rating?.scale_min);
+  const max = Number(validationValue(validations, "scale_max") ?? rating?.scale_max);
+  return Number.isFinite(min) && Number.isFinite(max) && max > min ? { min, max } : DEFAULT_RATING_SCALE;
+}
+
+// Metaobject definitions a metaobject or mixed reference may point to
+export function metaobjectDefinitionIds(validations) {
+  const single = validationValue(validations, "metaobject_definition_id");
+  if (single) return [single];
+  const list = parseJsonValue(validationValue(validations, "metaobject_definition_ids"));
+  return Array.isArray(list) ? list : [];
+}
+
+// Unit code of a measurement value, accepting the enum name too
+export function measurementUnitCode(type, unit) {
+  const units = MEASUREMENT_UNITS[baseType(type)] || [];
+  const wanted = String(unit || "").toLowerCase();
+  return units.find((u) => u.code === wanted || u.name.toLowerCase() === wanted)?.code || "";
+}
+
+export function parseJsonValue(value) {
+  if (value && typeof value === "object") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+// Date.parse rolls 2024-02-30 over into March, so the date must survive a round trip
+function isCalendarDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+const isNumeric = (value) => value !== "" && value !== null && value !== undefined && Number.isFinite(Number(value));
+
+// Error message for the validations about to be set on a definition of
+// `type`, or null. `validations` is `[{ name, value }]`.
+export function validateDefinitionValidations(type, validations) {
+  const value = (name) => validationValue(validations, name);
+  for (const { name, label, kind } of DEFINITION_VALIDATIONS[baseType(type)] || []) {
+    const v = value(name);
+    if (v === undefined || v === "") continue;
+    if (kind === "number" && !isNumeric(v)) return `${label} must be a number`;
+    if (kind === "date" && !isCalendarDate(v)) return `${label} must be a date as YYYY-MM-DD`;
+    if (kind === "text" && name === "regex") {
+      try {
+        new RegExp(v);
+      } catch {
+        return `${label} is not a valid pattern`;
+      }
+    }
+    if (kind === "choices" || kind === "fileTypes") {
+      const list = parseJsonValue(v);
+      if (!Array.isArray(list) || list.length === 0) return `${label} needs at least one entry`;
+      if (kind === "fileTypes" && list.some((t) => !FILE_TYPE_OPTIONS.includes(t))) return `${label} can only be ${FILE_TYPE_OPTIONS.join(" or ")}`;
+    }
+  }
+  for (const [lower, upper] of [["min", "max"], ["scale_min", "scale_max"]]) {
+    const a = value(lower);
+    const b = value(upper);
+    if (a && b && (isNumeric(a) && isNumeric(b) ? Number(a) > Number(b) : a > b)) return "The minimum is above the maximum";
+  }
+  return null;
+}
+
+function validateReference(type, value) {
+  const { label, resources } = REFERENCE_TYPES[type];
+  const match = /^gid:\/\/shopify\/([A-Za-z0-9]+)\/\d+$/.exec(String(value));
+  if (!match || !resources.includes(match[1])) return `Choose a ${label}`;
+  return null;
+}
+
+const TEXT_TYPES = ["single_line_text_field", "multi_line_text_field"];
+const NUMBER_TYPES = ["number_integer", "number_decimal"];
+
+// Shopify stores patterns for Ruby; one JavaScript cannot compile is left to the API
+function matchesPattern(pattern, value) {
+  try {
+    return new RegExp(pattern).test(value);
+  } catch {
+    return true;
+  }
+}
+
+// Checks a well-formed value against the definition's own validations
+function validateDefinitionRules(type, value, validations) {
+  const min = validationValue(validations, "min");
+  const max = validationValue(validations, "max");
+
+  if (TEXT_TYPES.includes(type)) {
+    const text = String(value);
+    const choices = parseJsonValue(validationValue(validations, "choices"));
+    if (Array.isArray(choices) && choices.length && !choices.includes(text)) return `Choose one of: ${choices.join(", ")}`;
+    const regex = validationValue(validations, "regex");
+    if (regex && !matchesPattern(regex, text)) return "Does not match the required format";
+    if (isNumeric(min) && text.length < Number(min)) return `Enter at least ${min} characters`;
+    if (isNumeric(max) && text.length > Number(max)) return `Enter at most ${max} characters`;
+  }
+  if (NUMBER_TYPES.includes(type)) {
+    if (isNumeric(min) && Number(value) < Number(min)) return `Must be at least ${min}`;
+    if (isNumeric(max) && Number(value) > Number(max)) return `Must be at most ${max}`;
+  }
+  if (type === "date") {
+    if (min && String(value) < min) return `Must be on or after ${min}`;
+    if (max && String(value) > max) return `Must be on or before ${max}`;
+  }
+  return null;
+}
+
+function validateSingle(type, value, validations) {
+  const error = validateFormat(type, value, validations);
+  return error || validateDefinitionRules(type, value, validations);
+}
+
+function validateFormat(type, value, validations) {
+  if (REFERENCE_TYPES[type]) return validateReference(type, value);
+
+  switch (type) {
+    case "number_integer":
+      return /^-?\d+$/.test(String(value)) ? null : "Enter a whole number";
+    case "number_decimal":
+      return isNumeric(value) ? null : "Enter a number";
+    case "boolean":
+      return value === "true" || value === "false" || value === true || value === false ? null : "Choose true or false";
+    case "color":
+      return /^#[0-9a-fA-F]{6}$/.test(String(value)) ? null : "Enter a colour as #RRGGBB";
+    case "date":
+      return isCalendarDate(String(value)) ? null : "Enter a date as YYYY-MM-DD";
+    case "date_time":
+      return /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?/.test(String(value)) && isCalendarDate(String(value).slice(0, 10))
+        ? null
+        : "Enter a date and time";
+    case "url":
+      return /^https?:\/\/\S+$/.test(String(value)) ? null : "URL must start with http:// or https://";
+    case "json":
+      return parseJsonValue(value) === null && String(value).trim() !== "null" ? "Invalid JSON" : null;
+    case "money": {
+      const money = parseJsonValue(value);
+      if (!money || !isNumeric(money.amount)) return "Enter an amount";
+      return /^[A-Z]{3}$/.test(money.currency_code || "") ? null : "Choose a currency";
+    }
+    case "rating": {
+      const rating = parseJsonValue(value);
+      if (!rating || !isNumeric(rating.value)) return "Enter a rating";
+      const { min, max } = ratingScale(validations, rating);
+      const n = Number(rating.value);
+      return n >= min && n <= max ? null : `Rating must be between ${min} and ${max}`;
+    }
+    case "dimension":
+    case "weight":
+    case "volume": {
+      const measurement = parseJsonValue(value);
+      if (!measurement || !isNumeric(measurement.value)) return "Enter a number";
+      return measurementUnitCode(type, measurement.unit) ? null : "Choose a unit";
+    }
+    default:
+      return null;
+  }
+}
+
+// Error message for a metafield value about to be written, or null when it
+// can be sent. `type` is the Shopify type name; empty values are left to the
+// caller (they clear the metafield).
+export function validateMetafieldValue(type, value, validations) {
+  if (value === "" || value === null || value === undefined) return null;
+  if (!isListType(type)) return validateSingle(type, value, validations);
+
+  const items = parseJsonValue(value);
+  if (!Array.isArray(items)) return "Expected a list";
+  for (const item of items) {
+    const itemValue = item && typeof item === "object" ? JSON.stringify(item) : item;
+    const error = validateSingle(baseType(type), itemValue, validations);
+    if (error) return error;
+  }
+  return null;
+}
@@ -0,0 +1,320 @@
+// app/utils/metaobjects.server.js
+// Metaobjects page: definitions, entries and the Excel round trip. Entry
+// fields are checked with the metafield value rules before they are written;
+// imports run as a background job that upserts entries by handle.
+
+import { readNumberedSheetRows, sheetCellForType } from "./excel.server";
+import { enqueueJob, JOB_TYPES, ITEM_STATUS } from "./jobs.server";
+import { validateMetafieldValue } from "./metafieldValues";
+
+const DEFINITION_FIELDS = `
+  id
+  name
+  type
+  description
+  displayNameKey
+  metaobjectsCount
+  fieldDefinitions {
+    key
+    name
+    required
+    type { name }
+    validations { name value }
+  }
+`;
+
+const DEFINITIONS_QUERY = `
+  query metaobjectDefinitions($after: String) {
+    metaobjectDefinitions(first: 100, after: $after) {
+      nodes { ${DEFINITION_FIELDS} }
+      pageInfo { hasNextPage endCursor }
+    }
+  }
+`;
+
+const DEFINITION_QUERY = `
+  query metaobjectDefinition($id: ID!) {
+    metaobjectDefinition(id: $id) { ${DEFINITION_FIELDS} }
+  }
+`;
+
+const ENTRIES_QUERY = `
+  query metaobjectEntries($type: String!, $first: Int!, $after: String, $query: String) {
+    metaobjects(type: $type, first: $first, after: $after, query: $query, sortKey: "display_name") {
+      nodes { id handle displayName updatedAt fields { key value } }
+      pageInfo { hasNextPage endCursor }
+    }
+  }
+`;
+
+const CREATE_MUTATION = `
+  mutation metaobjectCreate($metaobject: MetaobjectCreateInput!) {
+    metaobjectCreate(metaobject: $metaobject) {
+      metaobject { id handle displayName }
+      userErrors { field message }
+    }
+  }
+`;
+
+const UPDATE_MUTATION = `
+  mutation metaobjectUpdate($id: ID!, $metaobject: MetaobjectUpdateInput!) {
+    metaobjectUpdate(id: $id, metaobject: $metaobject) {
+      metaobject { id handle displayName }
+      userErrors { field message }
+    }
+  }
+`;
+
+const UPSERT_MUTATION = `
+  mutation metaobjectUpsert($handle: MetaobjectHandleInput!, $metaobject: MetaobjectUpsertInput!) {
+    metaobjectUpsert(handle: $handle, metaobject: $metaobject) {
+      metaobject { id handle }
+      userErrors { field message }
+    }
+  }
+`;
+
+const DELETE_MUTATION = `
+  mutation metaobjectDelete($id: ID!) {
+    metaobjectDelete(id: $id) {
+      deletedId
+      userErrors { field message }
+    }
+  }
+`;
+
+// Entries per page on the Metaobjects page
+export const ENTRIES_PAGE_SIZE = 50;
+
+// Column of the sheet holding the entry handle; the other columns are field keys
+export const HANDLE_COLUMN = "handle";
+
+const toDefinition = (node) => node && ({
+  ...node,
+  fieldDefinitions: node.fieldDefinitions.map((f) => ({ ...f, type: f.type.name })),
+});
+
+const userErrorMessage = (errors) => errors.map((e) => e.message).join(", ");
+
+// ------------------------------------
+// Reads
+// ------------------------------------
+
+export async function listMetaobjectDefinitions(admin) {
+  const definitions = [];
+  let cursor = null, hasMore = true;
+  while (hasMore) {
+    const res = await admin.graphql(DEFINITIONS_QUERY, { variables: { after: cursor } });
+    const data = await res.json();
+    const page = data?.data?.metaobjectDefinitions;
+    definitions.push(...(page?.nodes || []).map(toDefinition));
+    hasMore = page?.pageInfo?.hasNextPage;
+    cursor = page?.pageInfo?.endCursor;
+  }
+  return definitions.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export async function getMetaobjectDefinition(admin, id) {
+  const res = await admin.graphql(DEFINITION_QUERY, { variables: { id } });
+  const data = await res.json();
+  return toDefinition(data?.data?.metaobjectDefinition) || null;
+}
+
+// One page of entries: `{ entries: [{ id, handle, displayName, updatedAt, fields: { key: value } }], nextCursor }`
+export async function listMetaobjects(admin, type, { after = null, query = "", first = ENTRIES_PAGE_SIZE } = {}) {
+  const res = await admin.graphql(ENTRIES_QUERY, { variables: { type, first, after, query: query || null } });
+  const data = await res.json();
+  const page = data?.data?.metaobjects;
+  const entries = (page?.nodes || []).map((node) => ({
+    ...node,
+    fields: Object.fromEntries(node.fields.map((f) => [f.key, f.value ?? ""])),
+  }));
+  return { entries, nextCursor: page?.pageInfo?.hasNextPage ? page.pageInfo.endCursor : null };
+}
+
+async function listAllMetaobjects(admin, type) {
+  const entries = [];
+  let after = null;
+  do {
+    const page = await listMetaobjects(admin, type, { after, first: 250 });
+    entries.push(...page.entries);
+    after = page.nextCursor;
+  } while (after);
+  return entries;
+}
+
+// ------------------------------------
+// Writes
+// ------------------------------------
+
+// Field errors of an entry as `{ key: message }`. Empty values of required
+// fields are errors; other empty values clear the field.
+export function validateMetaobjectFields(definition, fields) {
+  const errors = {};
+  for (const field of definition.fieldDefinitions) {
+    const value = fields[field.key] ?? "";
+    if (value === "") {
+      if (field.required) errors[field.key] = "Required";
+      continue;
+    }
+    const error = validateMetafieldValue(field.type, value, field.validations);
+    if (error) errors[field.key] = error;
+  }
+  return errors;
+}
+
+// Only the definition's own fields are sent
+function fieldsInput(definition, fields) {
+  return definition.fieldDefinitions
+    .filter((f) => fields[f.key] !== undefined)
+    .map((f) => ({ key: f.key, value: String(fields[f.key]) }));
+}
+
+// Creates the entry, or updates it when `id` is given.
+// Returns `{ ok, status, error, fieldErrors, metaobject }`.
+export async function saveMetaobject(admin, definition, { id, handle, fields }) {
+  const fieldErrors = validateMetaobjectFields(definition, fields);
+  if (Object.keys(fieldErrors).length > 0) {
+    return { ok: false, status: 400, error: "Some fields are not valid.", fieldErrors };
+  }
+
+  // New entries leave empty fields unset instead of sending empty values
+  const input = fieldsInput(definition, fields);
+  const metaobject = { fields: id ? input : input.filter((f) => f.value !== "") };
+  if (handle) metaobject.handle = handle;
+
+  const res = id
+    ? await admin.graphql(UPDATE_MUTATION, { variables: { id, metaobject } })
+    : await admin.graphql(CREATE_MUTATION, { variables: { metaobject: { ...metaobject, type: definition.type } } });
+  const data = await res.json();
+  const result = id ? data?.data?.metaobjectUpdate : data?.data?.metaobjectCreate;
+  if (!result) return { ok: false, status: 500, error: data?.errors?.[0]?.message || "Failed to save the entry." };
+  if (result.userErrors.length > 0) return { ok: false, status: 400, error: userErrorMessage(result.userErrors) };
+  return { ok: true, status: 200, metaobject: result.metaobject };
+}
+
+export async function deleteMetaobject(admin, id) {
+  const res = await admin.graphql(DELETE_MUTATION, { variables: { id } });
+  const data = await res.json();
+  const result = data?.data?.metaobjectDelete;
+  if (!result) return { ok: false, status: 500, error: data?.errors?.[0]?.message || "Failed to delete the entry." };
+  if (result.userErrors.length > 0) return { ok: false, status: 400, error: userErrorMessage(result.userErrors) };
+  return { ok: true, status: 200 };
+}
+
+// ------------------------------------
+// Excel
+// ------------------------------------
+
+// Header and rows of the export: the handle, then one column per field key
+export async function buildMetaobjectSheet(admin, definition) {
+  const keys = definition.fieldDefinitions.map((f) => f.key);
+  const entries = await listAllMetaobjects(admin, definition.type);
+  return {
+    headers: [HANDLE_COLUMN, ...keys],
+    rows: entries.map((entry) => [entry.handle, ...keys.map((key) => entry.fields[key] ?? "")]),
+  };
+}
+
+// Entries of the `{ number, cells }` rows of an import sheet:
+// `{ entries: [{ row, handle, fields }], errors: [{ row, message }] }`.
+// Columns that are not field keys are ignored; empty cells leave the field as it is.
+export function parseMetaobjectRows(definition, rows) {
+  const [header = { number: 1, cells: [] }, ...body] = rows;
+  const columns = header.cells.map((h) => h.trim());
+  const handleIndex = columns.findIndex((c) => c.toLowerCase() === HANDLE_COLUMN);
+  if (handleIndex === -1) return { entries: [], errors: [{ row: header.number, message: `Missing the "${HANDLE_COLUMN}" column.` }] };
+
+  const fieldsByKey = new Map(definition.fieldDefinitions.map((f) => [f.key, f]));
+  const fieldColumns = columns
+    .map((key, index) => ({ key, index }))
+    .filter(({ key }) => fieldsByKey.has(key));
+  if (fieldColumns.length === 0) return { entries: [], errors: [{ row: header.number, message: "No column matches a field key of this definition." }] };
+
+  const entries = [];
+  const errors = [];
+  const seen = new Set();
+  body.forEach(({ number: row, cells }) => {
+    const handle = (cells[handleIndex] || "").trim();
+    if (!handle) {
+      if (cells.some(Boolean)) errors.push({ row, message: "Missing handle." });
+      return;
+    }
+    if (seen.has(handle)) {
+      errors.push({ row, message: `Handle "${handle}" appears more than once.` });
+      return;
+    }
+    seen.add(handle);
+
+    const fields = {};
+    const rowErrors = [];
+    for (const { key, index } of fieldColumns) {
+      const field = fieldsByKey.get(key);
+      const value = sheetCellForType(field.type, (cells[index] ?? "").trim());
+      if (value === "") continue;
+      const error = validateMetafieldValue(field.type, value, field.validations);
+      if (error) rowErrors.push(`${field.name}: ${error}`);
+      else fields[key] = value;
+    }
+    if (rowErrors.length > 0) errors.push({ row, message: rowErrors.join("; ") });
+    else entries.push({ row, handle, fields });
+  });
+  return { entries, errors };
+}
+
+// Preview of an import: which handles are new and which already exist
+export async function previewMetaobjectImport(admin, definition, rows) {
+  const { entries, errors } = parseMetaobjectRows(definition, rows);
+  const existing = new Set((await listAllMetaobjects(admin, definition.type)).map((e) => e.handle));
+  const creates = entries.filter((e) => !existing.has(e.handle)).length;
+  return { entries: entries.length, creates, updates: entries.length - creates, errors };
+}
+
+// Queues the import. Returns `{ ok, status, jobId }`.
+export async function startMetaobjectImport(shop, definition, { buffer, fileName }) {
+  const job = await enqueueJob(shop, {
+    type: JOB_TYPES.METAOBJECT_IMPORT,
+    title: `Metaobject import: ${definition.name} (${fileName})`,
+    payload: { definitionId: definition.id },
+    file: buffer,
+    fileName,
+  });
+  return { ok: true, status: 200, jobId: job.id };
+}
+
+// Job handler. Re-reads the uploaded sheet and upserts one entry per row;
+// rows with invalid values are reported and skipped.
+export async function runMetaobjectImportJob({ job, payload, admin, progress, addItems, isCanceled }) {
+  const definition = await getMetaobjectDefinition(admin, payload.definitionId);
+  if (!definition) throw new Error("The metaobject definition no longer exists.");
+
+  const rows = await readNumberedSheetRows(Buffer.from(job.file || []), job.file_name || "");
+  const { entries, errors } = parseMetaobjectRows(definition, rows);
+  await addItems(errors.map((e) => ({ ref: `Row ${e.row}`, status: ITEM_STATUS.ERROR, message: e.message })));
+
+  let saved = 0;
+  let failed = errors.length;
+  await progress(0, entries.length, "Importing entries");
+  for (const [i, entry] of entries.entries()) {
+    if (await isCanceled()) break;
+    const res = await admin.graphql(UPSERT_MUTATION, {
+      variables: {
+        handle: { type: definition.type, handle: entry.handle },
+        metaobject: { fields: fieldsInput(definition, entry.fields) },
+      },
+    });
+    const data = await res.json();
+    const result = data?.data?.metaobjectUpsert;
+    const error = !result ? (data?.errors?.[0]?.message || "Upsert failed") : userErrorMessage(result.userErrors);
+    if (error) {
+      failed++;
+      await addItems([{ ref: `Row ${entry.row}`, status: ITEM_STATUS.ERROR, message: `${entry.handle}: ${error}` }]);
+    } else {
+      saved++;
+      await addItems([{ ref: `Row ${entry.row}`, status: ITEM_STATUS.OK, message: entry.handle }]);
+    }
+    await progress(i + 1, entries.length);
+  }
+
+  return { definition: definition.type, saved, failed };
+}
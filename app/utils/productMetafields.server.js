@@ -0,0 +1,402 @@
+// app/utils/productMetafields.server.js
+// Product metafield Excel round trip: one row per product (ID, Handle, Title)
+// and one column per metafield definition, headed "namespace.key". References
+// are written as handles and resolved back to GIDs on import; other values go
+// through the collection import's type conversion. Imports run as a job.
+
+import { convertValueForShopifyType } from "./collectionImport.server";
+import { readNumberedSheetRows, sheetCellForType } from "./excel.server";
+import { enqueueJob, JOB_TYPES, ITEM_STATUS } from "./jobs.server";
+import {
+  baseType,
+  isListType,
+  isReferenceType,
+  metaobjectDefinitionIds,
+  parseJsonValue,
+  validateMetafieldValue,
+} from "./metafieldValues";
+
+export const PRODUCT_INFO_COLUMNS = ["ID", "Handle", "Title"];
+
+// Products per export page, at most; fewer when the columns make a page
+// cost more than Shopify allows for one query
+const EXPORT_PAGE_SIZE = 100;
+const MAX_QUERY_COST = 1000;
+
+// Referenced items read per list cell; longer lists are exported as GIDs
+const LIST_REFERENCE_LIMIT = 25;
+
+// Handles per lookup query
+const HANDLE_LOOKUP_BATCH = 50;
+
+// metafieldsSet takes at most 25 metafields per call
+const METAFIELDS_SET_LIMIT = 25;
+
+// Reference types written as handles (variants by SKU). Other references,
+// e.g. files, stay GIDs.
+const HANDLE_LOOKUPS = {
+  product_reference: { connection: "products", field: "handle", noun: "product" },
+  collection_reference: { connection: "collections", field: "handle", noun: "collection" },
+  page_reference: { connection: "pages", field: "handle", noun: "page" },
+  variant_reference: { connection: "productVariants", field: "sku", noun: "variant with SKU" },
+  metaobject_reference: { noun: "entry" },
+};
+
+const REFERENCE_HANDLE_FIELDS = `
+  ... on Node { id }
+  ... on Product { handle }
+  ... on Collection { handle }
+  ... on Page { handle }
+  ... on ProductVariant { sku }
+  ... on Metaobject { handle }
+`;
+
+const DEFINITIONS_QUERY = `
+  query productMetafieldDefinitions($after: String) {
+    metafieldDefinitions(first: 100, ownerType: PRODUCT, after: $after) {
+      nodes { id name namespace key type { name } validations { name value } }
+      pageInfo { hasNextPage endCursor }
+    }
+  }
+`;
+
+const METAFIELDS_SET_MUTATION = `
+  mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      metafields { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+const METAOBJECT_DEFINITION_TYPE_QUERY = `
+  query metaobjectDefinitionType($id: ID!) {
+    metaobjectDefinition(id: $id) { type }
+  }
+`;
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function chunk(array, size) {
+  const chunks = [];
+  for (let i = 0; i < array.length; i += size) chunks.push(array.slice(i, i + size));
+  return chunks;
+}
+
+const columnName = (definition) => `${definition.namespace}.${definition.key}`;
+const searchTerm = (value) => JSON.stringify(String(value));
+
+export async function listProductMetafieldDefinitions(admin) {
+  const definitions = [];
+  let cursor = null, hasMore = true;
+  while (hasMore) {
+    const res = await admin.graphql(DEFINITIONS_QUERY, { variables: { after: cursor } });
+    const data = await res.json();
+    const page = data?.data?.metafieldDefinitions;
+    definitions.push(...(page?.nodes || []).map((d) => ({ ...d, type: d.type.name })));
+    hasMore = page?.pageInfo?.hasNextPage;
+    cursor = page?.pageInfo?.endCursor;
+  }
+  return definitions.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Product search query for the export filters; empty filters are left out
+export function buildProductQuery({ collectionId, vendor, tag, query } = {}) {
+  const parts = [];
+  if (collectionId) parts.push(`collection_id:${collectionId.split("/").pop()}`);
+  if (vendor) parts.push(`vendor:${searchTerm(vendor)}`);
+  if (tag) parts.push(`tag:${searchTerm(tag)}`);
+  if (query) parts.push(`(${query})`);
+  return parts.join(" AND ");
+}
+
+// ------------------------------------
+// Export
+// ------------------------------------
+
+function exportValue(definition, metafield) {
+  if (!metafield) return "";
+  if (!HANDLE_LOOKUPS[baseType(definition.type)]) return metafield.value ?? "";
+  const handleOf = (node) => node?.handle || node?.sku || node?.id || "";
+  if (isListType(definition.type)) {
+    if (metafield.references?.pageInfo?.hasNextPage) return metafield.value ?? "";
+    return JSON.stringify((metafield.references?.nodes || []).map(handleOf));
+  }
+  return handleOf(metafield.reference) || metafield.value || "";
+}
+
+// Requested cost of one product in the export query: the product and each
+// metafield cost a point, a reference one more, and a reference list its
+// connection, pageInfo and one point per item
+function productCost(definitions) {
+  return definitions.reduce((cost, d) => {
+    if (!isReferenceType(d.type)) return cost + 1;
+    return cost + (isListType(d.type) ? 4 + LIST_REFERENCE_LIMIT : 2);
+  }, 1);
+}
+
+// Header and rows of the export for `definitions`, limited by `filters`
+export async function buildProductMetafieldSheet(admin, definitions, filters) {
+  // The products connection and its pageInfo cost 3 points of their own
+  const pageSize = Math.min(EXPORT_PAGE_SIZE, Math.floor((MAX_QUERY_COST - 3) / productCost(definitions)));
+  if (pageSize < 1) throw new Error("Too many reference list columns for one export. Choose fewer definitions.");
+
+  const metafieldFields = definitions.map((d, i) => `
+    m${i}: metafield(namespace: ${JSON.stringify(d.namespace)}, key: ${JSON.stringify(d.key)}) {
+      value
+      ${isReferenceType(d.type)
+        ? isListType(d.type)
+          ? `references(first: ${LIST_REFERENCE_LIMIT}) { nodes { ${REFERENCE_HANDLE_FIELDS} } pageInfo { hasNextPage } }`
+          : `reference { ${REFERENCE_HANDLE_FIELDS} }`
+        : ""}
+    }
+  `).join("");
+  const query = `
+    query productMetafieldExport($first: Int!, $after: String, $query: String) {
+      products(first: $first, after: $after, query: $query, sortKey: TITLE) {
+        nodes { id handle title ${metafieldFields} }
+        pageInfo { hasNextPage endCursor }
+      }
+    }
+  `;
+
+  const rows = [];
+  const productQuery = buildProductQuery(filters) || null;
+  let cursor = null, hasMore = true;
+  while (hasMore) {
+    const res = await admin.graphql(query, { variables: { first: pageSize, after: cursor, query: productQuery } });
+    const data = await res.json();
+    if (data?.errors?.length) throw new Error(data.errors[0].message);
+    const page = data?.data?.products;
+    for (const product of page?.nodes || []) {
+      rows.push([product.id, product.handle, product.title, ...definitions.map((d, i) => exportValue(d, product[`m${i}`]))]);
+    }
+    hasMore = page?.pageInfo?.hasNextPage;
+    cursor = page?.pageInfo?.endCursor;
+  }
+
+  return { headers: [...PRODUCT_INFO_COLUMNS, ...definitions.map(columnName)], rows };
+}
+
+// ------------------------------------
+// Import
+// ------------------------------------
+
+async function lookupByField(admin, { connection, field }, values) {
+  const found = new Map();
+  for (const batch of chunk(values, HANDLE_LOOKUP_BATCH)) {
+    const res = await admin.graphql(`
+      query handleLookup($query: String!) {
+        ${connection}(first: 250, query: $query) { nodes { id ${field} } }
+      }
+    `, { variables: { query: batch.map((v) => `${field}:${searchTerm(v)}`).join(" OR ") } });
+    const data = await res.json();
+    for (const node of data?.data?.[connection]?.nodes || []) found.set(node[field], node.id);
+  }
+  return found;
+}
+
+async function lookupMetaobjects(admin, definition, handles) {
+  const found = new Map();
+  const types = [];
+  for (const id of metaobjectDefinitionIds(definition.validations)) {
+    const res = await admin.graphql(METAOBJECT_DEFINITION_TYPE_QUERY, { variables: { id } });
+    const type = (await res.json())?.data?.metaobjectDefinition?.type;
+    if (type) types.push(type);
+  }
+  for (const type of types) {
+    for (const batch of chunk(handles, HANDLE_LOOKUP_BATCH)) {
+      const fields = batch.map((handle, i) => `h${i}: metaobjectByHandle(handle: { type: ${JSON.stringify(type)}, handle: ${JSON.stringify(handle)} }) { id }`);
+      const res = await admin.graphql(`query metaobjectHandles { ${fields.join("\n")} }`);
+      const data = await res.json();
+      batch.forEach((handle, i) => {
+        const id = data?.data?.[`h${i}`]?.id;
+        if (id && !found.has(handle)) found.set(handle, id);
+      });
+    }
+  }
+  return found;
+}
+
+// Items of a reference cell: a JSON list for list types, else the cell itself
+function referenceItems(type, cell) {
+  if (!isListType(type)) return [cell];
+  const list = parseJsonValue(cell);
+  return Array.isArray(list) ? list.map((v) => String(v).trim()).filter(Boolean) : null;
+}
+
+// GIDs for the handles used in reference columns, by column:
+// `Map(columnName => Map(handle => gid))`
+async function resolveReferenceHandles(admin, columns, body) {
+  const resolved = new Map();
+  for (const { definition, index } of columns) {
+    const lookup = HANDLE_LOOKUPS[baseType(definition.type)];
+    if (!lookup) continue;
+    const handles = new Set();
+    for (const cells of body) {
+      for (const item of referenceItems(definition.type, (cells[index] || "").trim()) || []) {
+        if (item && !item.startsWith("gid://")) handles.add(item);
+      }
+    }
+    if (!handles.size) continue;
+    resolved.set(columnName(definition), lookup.connection
+      ? await lookupByField(admin, lookup, [...handles])
+      : await lookupMetaobjects(admin, definition, [...handles]));
+  }
+  return resolved;
+}
+
+// Cells the shared converter would coerce ("Any" to true, "12abc" to 12)
+// must match these exactly instead
+const STRICT_CELL_PATTERNS = {
+  boolean: /^(true|false)$/i,
+  number_integer: /^-?\d+$/,
+  number_decimal: /^-?\d+(\.\d+)?$/,
+};
+
+// Value of one cell as sent to Shopify: `{ value }` or `{ error }`
+function cellValue(definition, cell, handles) {
+  const { type } = definition;
+  let value;
+  if (isReferenceType(type)) {
+    const items = referenceItems(type, cell);
+    if (!items) return { error: "Expected a JSON list of handles or IDs" };
+    const noun = HANDLE_LOOKUPS[baseType(type)]?.noun || "reference";
+    const ids = [];
+    for (const item of items) {
+      const id = item.startsWith("gid://") ? item : handles?.get(item);
+      if (!id) return { error: `No ${noun} "${item}"` };
+      ids.push(id);
+    }
+    value = isListType(type) ? JSON.stringify(Array.from(new Set(ids))) : ids[0];
+  } else {
+    if (STRICT_CELL_PATTERNS[type] && !STRICT_CELL_PATTERNS[type].test(cell)) {
+      return { error: `Not a valid ${type.replace(/_/g, " ")}` };
+    }
+    const converted = convertValueForShopifyType(sheetCellForType(type, cell), type);
+    if (converted === null || converted === "") return { error: `Not a valid ${type.replace(/_/g, " ")}` };
+    value = String(converted);
+  }
+  const error = validateMetafieldValue(type, value, definition.validations);
+  return error ? { error } : { value };
+}
+
+// Updates of the `{ number, cells }` rows of an import sheet:
+// `{ updates: [{ row, productId, metafields }], errors: [{ row, message }] }`.
+// Products are found by ID, or by handle when the ID cell is empty. Columns
+// that are not product metafield definitions are ignored; empty cells leave
+// the value as it is.
+export async function parseProductMetafieldRows(admin, definitions, rows) {
+  const [header = { number: 1, cells: [] }, ...numbered] = rows;
+  const body = numbered.map((r) => r.cells);
+  const columnsByName = new Map(header.cells.map((h, index) => [h.trim().toLowerCase(), index]));
+  const idIndex = columnsByName.get("id");
+  const handleIndex = columnsByName.get("handle");
+  if (idIndex === undefined && handleIndex === undefined) {
+    return { updates: [], errors: [{ row: header.number, message: "Missing the ID or Handle column." }] };
+  }
+
+  const columns = definitions
+    .map((definition) => ({ definition, index: columnsByName.get(columnName(definition).toLowerCase()) }))
+    .filter(({ index }) => index !== undefined);
+  if (!columns.length) {
+    return { updates: [], errors: [{ row: header.number, message: "No column matches a product metafield definition (namespace.key)." }] };
+  }
+
+  const productHandles = handleIndex === undefined ? [] : body
+    .filter((cells) => !(cells[idIndex] || "").trim() && (cells[handleIndex] || "").trim())
+    .map((cells) => cells[handleIndex].trim());
+  const productIds = productHandles.length
+    ? await lookupByField(admin, HANDLE_LOOKUPS.product_reference, Array.from(new Set(productHandles)))
+    : new Map();
+  const referenceHandles = await resolveReferenceHandles(admin, columns, body);
+
+  const updates = [];
+  const errors = [];
+  const seen = new Set();
+  numbered.forEach(({ number: row, cells }) => {
+    const rawId = (cells[idIndex] || "").trim();
+    const handle = (cells[handleIndex] || "").trim();
+    const productId = rawId
+      ? (rawId.startsWith("gid://") ? rawId : /^\d+$/.test(rawId) ? `gid://shopify/Product/${rawId}` : null)
+      : productIds.get(handle);
+    if (!rawId && !handle) {
+      if (cells.some(Boolean)) errors.push({ row, message: "Missing product ID or handle." });
+      return;
+    }
+    if (!productId) {
+      errors.push({ row, message: rawId ? `Invalid product ID "${rawId}".` : `No product with handle "${handle}".` });
+      return;
+    }
+    if (seen.has(productId)) {
+      errors.push({ row, message: "Product appears more than once." });
+      return;
+    }
+    seen.add(productId);
+
+    const metafields = [];
+    const rowErrors = [];
+    for (const { definition, index } of columns) {
+      const cell = (cells[index] || "").trim();
+      if (!cell) continue;
+      const { value, error } = cellValue(definition, cell, referenceHandles.get(columnName(definition)));
+      if (error) rowErrors.push(`${columnName(definition)}: ${error}`);
+      else metafields.push({ namespace: definition.namespace, key: definition.key, type: definition.type, value });
+    }
+    if (rowErrors.length) errors.push({ row, message: rowErrors.join("; ") });
+    else if (metafields.length) updates.push({ row, productId, label: handle || productId, metafields });
+  });
+  return { updates, errors };
+}
+
+// Queues the import. Returns `{ ok, status, jobId }`.
+export async function startProductMetafieldImport(shop, { buffer, fileName }) {
+  const job = await enqueueJob(shop, {
+    type: JOB_TYPES.PRODUCT_METAFIELD_IMPORT,
+    title: `Product metafield import (${fileName})`,
+    file: buffer,
+    fileName,
+  });
+  return { ok: true, status: 200, jobId: job.id };
+}
+
+// Job handler. Re-reads the uploaded sheet against the current definitions
+// and sets the metafields of one product per call, so Shopify errors are
+// reported on the row they belong to. Rows with invalid cells are skipped.
+export async function runProductMetafieldImportJob({ job, admin, progress, addItems, isCanceled }) {
+  await progress(0, undefined, "Reading the sheet");
+  const definitions = await listProductMetafieldDefinitions(admin);
+  const rows = await readNumberedSheetRows(Buffer.from(job.file || []), job.file_name || "");
+  const { updates, errors } = await parseProductMetafieldRows(admin, definitions, rows);
+  await addItems(errors.map((e) => ({ ref: `Row ${e.row}`, status: ITEM_STATUS.ERROR, message: e.message })));
+
+  let updated = 0;
+  let failed = errors.length;
+  await progress(0, updates.length, "Updating products");
+  for (const [i, update] of updates.entries()) {
+    if (await isCanceled()) break;
+    const messages = [];
+    for (const metafields of chunk(update.metafields, METAFIELDS_SET_LIMIT)) {
+      const res = await admin.graphql(METAFIELDS_SET_MUTATION, {
+        variables: { metafields: metafields.map((m) => ({ ...m, ownerId: update.productId })) },
+      });
+      const data = await res.json();
+      const result = data?.data?.metafieldsSet;
+      if (!result) messages.push(data?.errors?.[0]?.message || "Update failed");
+      else messages.push(...result.userErrors.map((e) => e.message));
+    }
+    if (messages.length) {
+      failed++;
+      await addItems([{ ref: `Row ${update.row}`, status: ITEM_STATUS.ERROR, message: `${update.label}: ${messages.join(", ")}` }]);
+    } else {
+      updated++;
+      await addItems([{ ref: `Row ${update.row}`, status: ITEM_STATUS.OK, message: update.label }]);
+    }
+    await progress(i + 1, updates.length);
+
+    // Small pause between products to avoid rate limits
+    await delay(100);
+  }
+
+  return { updated, failed, total: updates.length + errors.length };
+}
@@ -0,0 +1,95 @@
+// app/utils/productSpecs.server.js
+// Spec editor for a single product: every specifications row of the
+// product's variant SKUs, saved as a whole so keys can be added, removed and
+// renamed without going through a collection.
+
+import {
+  normalizeKey,
+  fetchProduct,
+  findSpecificationsBySkus,
+  buildSpecificationDiff,
+  applySpecificationDiff,
+  MAX_KEY_LENGTH,
+  MAX_VALUE_LENGTH,
+} from "./specifications.server";
+import { loadSpecKeyRegistry } from "./specKeys.server";
+import { applyVocabularyToEntries, loadValueSuggestions } from "./specVocabulary.server";
+import { buildDiffHistoryRows, HISTORY_SOURCES } from "./specHistory.server";
+import { syncProductFilters } from "./filterSave.server";
+import { onSpecificationsChanged } from "./specChanges.server";
+
+// The product, its rows as `[{ sku, key, value }]` sorted like the Filter
+// Manager, and the registry keys and value suggestions for the editor.
+// Returns null when the product does not exist.
+export async function loadProductSpecs(admin, shop, productId) {
+  const product = await fetchProduct(admin, productId);
+  if (!product) return null;
+
+  const registry = await loadSpecKeyRegistry(shop);
+  const skus = product.variants.map(v => v.sku).filter(Boolean);
+  // Rows stored under an alias show up under the canonical key; a row stored
+  // under the canonical spelling itself wins
+  const byId = new Map();
+  for (const r of await findSpecificationsBySkus(shop, skus)) {
+    const key = registry.resolve(r.spec_key).key;
+    const id = `${r.sku}::${normalizeKey(key)}`;
+    if (!byId.has(id) || r.spec_key.trim() === key) byId.set(id, { sku: r.sku, key, value: r.spec_value });
+  }
+  const rows = Array.from(byId.values())
+    .sort((a, b) => skus.indexOf(a.sku) - skus.indexOf(b.sku) || registry.compare(a.key, b.key));
+
+  const keys = Array.from(new Set([...registry.entries.map(e => e.key), ...rows.map(r => r.key)])).sort(registry.compare);
+
+  return { product, rows, keys, vocabularies: await loadValueSuggestions(shop, registry, keys) };
+}
+
+// Replaces the stored rows of the product's SKUs with `rows`. Stored keys
+// that are no longer listed are deleted, so renaming a key is a delete plus
+// a create in the history. With `syncFilters`, the filter metafields the
+// product already has are rewritten afterwards.
+// Returns `{ ok, error, errors, created, updated, deleted, filters }`.
+export async function saveProductSpecs(admin, shop, productId, { rows, syncFilters = false, user }) {
+  const product = await fetchProduct(admin, productId);
+  if (!product) return { ok: false, error: "Product not found." };
+  const skus = new Set(product.variants.map(v => v.sku).filter(Boolean));
+  const registry = await loadSpecKeyRegistry(shop);
+
+  const errors = [];
+  const entries = [];
+  const seen = new Set();
+  rows.forEach((r, i) => {
+    const row = i + 1;
+    const sku = String(r.sku || "").trim();
+    const key = String(r.key || "").trim();
+    const value = String(r.value ?? "").trim();
+    if (!sku && !key && !value) return;
+    if (!skus.has(sku)) return errors.push({ row, message: `"${sku}" is not a SKU of this product.` });
+    if (!key) return errors.push({ row, message: "Enter a spec key." });
+    if (key.length > MAX_KEY_LENGTH) return errors.push({ row, message: `Spec key "${key.slice(0, 40)}..." is longer than ${MAX_KEY_LENGTH} characters.` });
+    if (value.length > MAX_VALUE_LENGTH) return errors.push({ row, message: `Value for "${key}" is longer than ${MAX_VALUE_LENGTH} characters.` });
+    const id = `${sku}::${normalizeKey(registry.resolve(key).key)}`;
+    if (seen.has(id)) return errors.push({ row, message: `${sku} has "${registry.resolve(key).label}" more than once.` });
+    seen.add(id);
+    entries.push({ row, sku, key, value });
+  });
+
+  const checked = applyVocabularyToEntries(registry, entries);
+  errors.push(...checked.errors);
+  if (errors.length) return { ok: false, error: "Nothing was saved. Fix the rows below first.", errors };
+
+  // Stored keys missing from the editor are deleted
+  for (const stored of await findSpecificationsBySkus(shop, Array.from(skus))) {
+    const id = `${stored.sku}::${normalizeKey(registry.resolve(stored.spec_key).key)}`;
+    if (seen.has(id)) continue;
+    seen.add(id);
+    checked.entries.push({ sku: stored.sku, key: stored.spec_key, value: "" });
+  }
+
+  const diff = await buildSpecificationDiff(shop, checked.entries, { registry });
+  const history = buildDiffHistoryRows(shop, diff, { source: HISTORY_SOURCES.PRODUCT_EDITOR, user });
+  const result = await applySpecificationDiff(shop, diff, { history });
+  await onSpecificationsChanged(shop, history.map(h => h.sku));
+
+  const filters = syncFilters ? await syncProductFilters(admin, shop, product) : null;
+  return { ok: true, ...result, filters };
+}
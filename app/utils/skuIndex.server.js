@@ -0,0 +1,278 @@
+// app/utils/skuIndex.server.js
+// Local SKU index: every variant of the shop with its SKU and product, so
+// SKU-to-product lookups do not have to page through the Admin API. The
+// products/* webhooks keep it current; the sync job rebuilds it. Until the
+// first sync has finished, lookups fall back to the Admin API.
+
+import prisma from "../db.server";
+import { fetchCollectionProducts, fetchProduct } from "./specifications.server";
+import { enqueueJob, JOB_TYPES, JOB_STATUS, ACTIVE_STATUSES } from "./jobs.server";
+
+const ALL_VARIANTS_QUERY = `
+  query skuIndexVariants($first: Int!, $after: String) {
+    productVariants(first: $first, after: $after) {
+      nodes { id sku product { id title handle } }
+      pageInfo { hasNextPage endCursor }
+    }
+  }
+`;
+
+const VARIANTS_BY_SKU_QUERY = `
+  query skuIndexVariantsBySku($query: String!, $first: Int!) {
+    productVariants(first: $first, query: $query) {
+      nodes { sku product { id } }
+    }
+  }
+`;
+
+const COLLECTION_PRODUCT_IDS_QUERY = `
+  query skuIndexCollectionProducts($collectionId: ID!, $first: Int!, $after: String) {
+    node(id: $collectionId) {
+      ... on Collection {
+        products(first: $first, after: $after) {
+          nodes { id title handle }
+          pageInfo { hasNextPage endCursor }
+        }
+      }
+    }
+  }
+`;
+
+// Values per IN list
+const QUERY_CHUNK_SIZE = 1000;
+
+// SKUs per variant search; keeps the search query short
+const SKU_SEARCH_BATCH = 50;
+
+function chunk(array, size) {
+  const chunks = [];
+  for (let i = 0; i < array.length; i += size) chunks.push(array.slice(i, i + size));
+  return chunks;
+}
+
+function indexRow(shop, product, variant) {
+  return {
+    shop,
+    variant_id: variant.id,
+    sku: (variant.sku || "").trim().slice(0, 255),
+    product_id: product.id,
+    product_title: (product.title || "").slice(0, 255),
+    product_handle: (product.handle || "").slice(0, 255),
+  };
+}
+
+// ------------------------------------
+// Writes
+// ------------------------------------
+
+// Replaces the indexed variants of one product. `product` is
+// `{ id, title, handle, variants: [{ id, sku }] }`.
+export async function indexProduct(shop, product) {
+  await prisma.$transaction([
+    prisma.skuIndex.deleteMany({ where: { shop, product_id: product.id } }),
+    prisma.skuIndex.createMany({ data: product.variants.map(v => indexRow(shop, product, v)) }),
+  ]);
+}
+
+export async function removeProductFromIndex(shop, productId) {
+  await prisma.skuIndex.deleteMany({ where: { shop, product_id: productId } });
+}
+
+// The product of a products/create or products/update webhook payload
+export function productFromWebhook(payload) {
+  return {
+    id: payload.admin_graphql_api_id,
+    title: payload.title,
+    handle: payload.handle,
+    variants: (payload.variants || []).map(v => ({ id: v.admin_graphql_api_id, sku: v.sku })),
+  };
+}
+
+// ------------------------------------
+// Sync
+// ------------------------------------
+
+// Queues a full sync unless one is already queued or running.
+// Returns `{ ok, error, status, jobId }`.
+export async function startSkuIndexSync(shop) {
+  const running = await prisma.job.findFirst({
+    where: { shop, type: JOB_TYPES.SKU_INDEX_SYNC, status: { in: ACTIVE_STATUSES } },
+    select: { id: true },
+  });
+  if (running)
+    return { ok: false, status: 409, error: "A SKU index sync is already queued or running." };
+
+  const job = await enqueueJob(shop, { type: JOB_TYPES.SKU_INDEX_SYNC, title: "SKU index sync", payload: {} });
+  return { ok: true, status: 200, jobId: job.id };
+}
+
+// Job handler. Pages through every variant of the shop and rewrites the
+// index; variants that were not seen (deleted products) are removed at the
+// end. Rows written by webhooks while the job runs are newer than its start
+// and are kept.
+export async function runSkuIndexSyncJob({ job, admin, progress, isCanceled }) {
+  const startedAt = new Date();
+  let variants = 0;
+  let cursor = null, hasMore = true;
+  while (hasMore) {
+    if (await isCanceled()) return { variants, canceled: true };
+    const res = await admin.graphql(ALL_VARIANTS_QUERY, { variables: { first: 250, after: cursor } });
+    const data = await res.json();
+    const page = data?.data?.productVariants;
+    if (!page) throw new Error(data?.errors?.[0]?.message || "Failed to load variants");
+
+    const rows = page.nodes.map(v => ({ ...indexRow(job.shop, v.product, v), synced_at: new Date() }));
+    await prisma.$transaction([
+      prisma.skuIndex.deleteMany({ where: { shop: job.shop, variant_id: { in: rows.map(r => r.variant_id) } } }),
+      prisma.skuIndex.createMany({ data: rows }),
+    ]);
+    variants += rows.length;
+    await progress(variants, 0, `Indexed ${variants} variants`);
+
+    hasMore = page.pageInfo.hasNextPage;
+    cursor = page.pageInfo.endCursor;
+  }
+
+  const removed = await prisma.skuIndex.deleteMany({ where: { shop: job.shop, synced_at: { lt: startedAt } } });
+  return { variants, removed: removed.count };
+}
+
+// `{ ready, lastSyncedAt, variants, products, syncJobId }`. The index is
+// ready once a full sync has completed; `syncJobId` is the active sync, if any.
+export async function getSkuIndexStatus(shop) {
+  const [lastSync, activeSync, variants, products] = await Promise.all([
+    prisma.job.findFirst({
+      where: { shop, type: JOB_TYPES.SKU_INDEX_SYNC, status: JOB_STATUS.COMPLETED },
+      orderBy: { finished_at: "desc" },
+      select: { finished_at: true },
+    }),
+    prisma.job.findFirst({
+      where: { shop, type: JOB_TYPES.SKU_INDEX_SYNC, status: { in: ACTIVE_STATUSES } },
+      select: { id: true },
+    }),
+    prisma.skuIndex.count({ where: { shop } }),
+    prisma.skuIndex.groupBy({ by: ["product_id"], where: { shop } }).then(groups => groups.length),
+  ]);
+  return { ready: Boolean(lastSync), lastSyncedAt: lastSync?.finished_at || null, variants, products, syncJobId: activeSync?.id || null };
+}
+
+async function isSkuIndexReady(shop) {
+  const lastSync = await prisma.job.findFirst({
+    where: { shop, type: JOB_TYPES.SKU_INDEX_SYNC, status: JOB_STATUS.COMPLETED },
+    select: { id: true },
+  });
+  return Boolean(lastSync);
+}
+
+// ------------------------------------
+// Lookups
+// ------------------------------------
+
+// Map of SKU -> { productId, title, handle } for every indexed variant,
+// or null when the index is not ready
+export async function loadIndexedSkuProductMap(shop) {
+  if (!(await isSkuIndexReady(shop))) return null;
+  const map = new Map();
+  for (const row of await prisma.skuIndex.findMany({ where: { shop, sku: { not: "" } }, orderBy: { id: "asc" } })) {
+    if (!map.has(row.sku)) map.set(row.sku, { productId: row.product_id, title: row.product_title, handle: row.product_handle });
+  }
+  return map;
+}
+
+// Ids of the products the SKUs belong to: from the index when it is ready,
+// otherwise from a variant search
+export async function resolveProductIds(admin, shop, skus) {
+  const unique = Array.from(new Set(skus.filter(Boolean)));
+  const productIds = new Set();
+  if (await isSkuIndexReady(shop)) {
+    for (const skuChunk of chunk(unique, QUERY_CHUNK_SIZE)) {
+      const rows = await prisma.skuIndex.findMany({ where: { shop, sku: { in: skuChunk } }, select: { product_id: true } });
+      for (const row of rows) productIds.add(row.product_id);
+    }
+    return Array.from(productIds);
+  }
+
+  for (const batch of chunk(unique, SKU_SEARCH_BATCH)) {
+    const query = batch.map(sku => `sku:"${sku.replace(/["\\]/g, "\\$&")}"`).join(" OR ");
+    const res = await admin.graphql(VARIANTS_BY_SKU_QUERY, { variables: { query, first: 250 } });
+    const data = await res.json();
+    for (const node of data?.data?.productVariants?.nodes || []) {
+      if (batch.includes(node.sku)) productIds.add(node.product.id);
+    }
+  }
+  return Array.from(productIds);
+}
+
+// Same result as fetchCollectionProducts. With a ready index only the
+// collection's product ids come from the Admin API; variants come from the
+// index, and products missing from it are fetched and indexed.
+export async function loadCollectionProducts(admin, shop, collectionId) {
+  if (!(await isSkuIndexReady(shop))) return fetchCollectionProducts(admin, collectionId);
+
+  const collectionProducts = [];
+  let cursor = null, hasMore = true;
+  while (hasMore) {
+    const res = await admin.graphql(COLLECTION_PRODUCT_IDS_QUERY, { variables: { collectionId, first: 250, after: cursor } });
+    const data = await res.json();
+    const page = data?.data?.node?.products;
+    collectionProducts.push(...(page?.nodes || []));
+    hasMore = page?.pageInfo?.hasNextPage;
+    cursor = page?.pageInfo?.endCursor;
+  }
+
+  const variantsByProduct = new Map();
+  for (const idChunk of chunk(collectionProducts.map(p => p.id), QUERY_CHUNK_SIZE)) {
+    const rows = await prisma.skuIndex.findMany({ where: { shop, product_id: { in: idChunk } }, orderBy: { id: "asc" } });
+    for (const row of rows) {
+      if (!variantsByProduct.has(row.product_id)) variantsByProduct.set(row.product_id, []);
+      variantsByProduct.get(row.product_id).push({ id: row.variant_id, sku: row.sku });
+    }
+  }
+
+  const products = [];
+  for (const p of collectionProducts) {
+    if (variantsByProduct.has(p.id)) {
+      products.push({ id: p.id, handle: p.handle, title: p.title, variants: variantsByProduct.get(p.id) });
+      continue;
+    }
+    const product = await fetchProduct(admin, p.id);
+    if (!product) continue;
+    await indexProduct(shop, product);
+    products.push(product);
+  }
+  return products;
+}
+
+// ------------------------------------
+// Report
+// ------------------------------------
+
+// Spec rows whose SKU is not in the index (`orphaned`: `[{ sku, rows }]`) and
+// indexed products none of whose SKUs has spec rows (`withoutSpecs`:
+// `[{ productId, title, handle, skus }]`). Null when the index is not ready.
+export async function buildSkuIndexReport(shop) {
+  if (!(await isSkuIndexReady(shop))) return null;
+
+  const specCounts = await prisma.specifications.groupBy({ by: ["sku"], where: { shop }, _count: { _all: true } });
+  const specSkus = new Set(specCounts.map(c => c.sku));
+
+  const products = new Map();
+  const indexedSkus = new Set();
+  for (const row of await prisma.skuIndex.findMany({ where: { shop }, orderBy: { id: "asc" } })) {
+    if (row.sku) indexedSkus.add(row.sku);
+    if (!products.has(row.product_id)) {
+      products.set(row.product_id, { productId: row.product_id, title: row.product_title, handle: row.product_handle, skus: [] });
+    }
+    if (row.sku) products.get(row.product_id).skus.push(row.sku);
+  }
+
+  const orphaned = specCounts
+    .filter(c => !indexedSkus.has(c.sku))
+    .map(c => ({ sku: c.sku, rows: c._count._all }))
+    .sort((a, b) => a.sku.localeCompare(b.sku));
+  const withoutSpecs = Array.from(products.values())
+    .filter(p => !p.skus.some(sku => specSkus.has(sku)))
+    .sort((a, b) => a.title.localeCompare(b.title));
+
+  return { orphaned, withoutSpecs };
+}
@@ -0,0 +1,24 @@
+// app/utils/specChanges.server.js
+// Follow-up work after stored specifications change: feature tables and spec
+// collections generated from them are refreshed by background jobs.
+
+import { queueFeatureTableSync } from "./featureTable.server";
+import { queueSpecCollectionSync } from "./specCollections.server";
+
+const FOLLOW_UPS = [
+  ["feature table", queueFeatureTableSync],
+  ["spec collection", queueSpecCollectionSync],
+];
+
+// `skus` are the SKUs whose rows were created, changed or deleted. Called
+// once the change is committed, so a follow-up that cannot be queued is
+// logged rather than failing a save that already happened.
+export async function onSpecificationsChanged(shop, skus) {
+  for (const [name, queue] of FOLLOW_UPS) {
+    try {
+      await queue(shop, skus);
+    } catch (err) {
+      console.error(`[spec changes] Failed to queue the ${name} sync:`, err);
+    }
+  }
+}
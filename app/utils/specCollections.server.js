@@ -0,0 +1,376 @@
+// app/utils/specCollections.server.js
+// Smart collections built from a spec rule such as "Wattage ≥ 1000". Every
+// product with a SKU whose value matches gets a boolean product metafield
+// (spec_collections.<key> = true); the collection has a single rule on that
+// metafield's definition. The build job writes the metafields and creates
+// the collection; the sync job rechecks products whose specs changed.
+
+import prisma from "../db.server";
+import { normalizeKey, fetchProduct, findSpecificationsBySkus } from "./specifications.server";
+import { loadSpecKeyRegistry } from "./specKeys.server";
+import { resolveProductIds } from "./skuIndex.server";
+import { METAFIELDS_SET_BULK_MUTATION, METAFIELDS_DELETE_BULK_MUTATION } from "./bulkOperations.server";
+import { enqueueJob, enqueueSkuJob, JOB_TYPES, ACTIVE_STATUSES, ITEM_STATUS } from "./jobs.server";
+import { slugifyKey } from "./filterConfig";
+import { matchesSpecRule, validateSpecRule, describeSpecRule } from "./specRules";
+
+export const SPEC_COLLECTION_NAMESPACE = "spec_collections";
+
+// Shopify's limit on metafield key length
+const MAX_METAFIELD_KEY_LENGTH = 64;
+
+// metafieldsSet / metafieldsDelete inputs per call
+const METAFIELD_BATCH_SIZE = 25;
+
+// ------------------------------------
+// GraphQL
+// ------------------------------------
+const DEFINITION_QUERY = `
+  query specCollectionDefinition($namespace: String!, $key: String!) {
+    metafieldDefinitions(first: 1, ownerType: PRODUCT, namespace: $namespace, key: $key) {
+      nodes { id type { name } }
+    }
+  }
+`;
+
+const NAMESPACE_DEFINITION_KEYS_QUERY = `
+  query specCollectionDefinitionKeys($namespace: String!, $after: String) {
+    metafieldDefinitions(first: 250, after: $after, ownerType: PRODUCT, namespace: $namespace) {
+      nodes { key }
+      pageInfo { hasNextPage endCursor }
+    }
+  }
+`;
+
+const DEFINITION_CREATE_MUTATION = `
+  mutation specCollectionDefinitionCreate($definition: MetafieldDefinitionInput!) {
+    metafieldDefinitionCreate(definition: $definition) {
+      createdDefinition { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+const COLLECTION_CREATE_MUTATION = `
+  mutation specCollectionCreate($input: CollectionInput!) {
+    collectionCreate(input: $input) {
+      collection { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+const COLLECTION_PRODUCT_IDS_QUERY = `
+  query specCollectionProducts($collectionId: ID!, $first: Int!, $after: String) {
+    node(id: $collectionId) {
+      ... on Collection {
+        products(first: $first, after: $after) {
+          nodes { id }
+          pageInfo { hasNextPage endCursor }
+        }
+      }
+    }
+  }
+`;
+
+// ------------------------------------
+// Records
+// ------------------------------------
+
+export async function listSpecCollections(shop) {
+  return prisma.specCollection.findMany({ where: { shop }, orderBy: { created_at: "desc" } });
+}
+
+// Canonical keys that have stored values, with their display unit, as
+// `[{ key, label, displayUnit }]` in registry order
+export async function listSpecCollectionKeys(shop) {
+  const registry = await loadSpecKeyRegistry(shop);
+  const keys = new Map();
+  for (const { spec_key: raw } of await prisma.specifications.groupBy({ by: ["spec_key"], where: { shop } })) {
+    const resolved = registry.resolve(raw);
+    const norm = normalizeKey(resolved.key);
+    if (norm && !keys.has(norm)) keys.set(norm, { key: resolved.key, label: resolved.label, displayUnit: resolved.displayUnit });
+  }
+  return Array.from(keys.values()).sort((a, b) => registry.compare(a.key, b.key));
+}
+
+// The rule of a record, as used by specRules.js
+function ruleOf(record) {
+  return { key: record.spec_key, operator: record.operator, value: record.value, valueTo: record.value_to };
+}
+
+// A metafield key from the title that no spec collection and no existing
+// definition uses. Definitions of deleted spec collections stay in Shopify
+// with their flags set, so their keys are never reused.
+async function uniqueMetafieldKey(admin, shop, title) {
+  const base = (slugifyKey(title) || "collection").slice(0, MAX_METAFIELD_KEY_LENGTH - 4);
+  const taken = new Set((await prisma.specCollection.findMany({
+    where: { shop, metafield_key: { startsWith: base } },
+    select: { metafield_key: true },
+  })).map(r => r.metafield_key));
+  let after = null, hasMore = true;
+  while (hasMore) {
+    const res = await admin.graphql(NAMESPACE_DEFINITION_KEYS_QUERY, { variables: { namespace: SPEC_COLLECTION_NAMESPACE, after } });
+    const data = await res.json();
+    if (data?.errors?.length) throw new Error(`Failed to load metafield definitions: ${data.errors[0].message}`);
+    const connection = data?.data?.metafieldDefinitions;
+    for (const node of connection?.nodes || []) taken.add(node.key);
+    hasMore = connection?.pageInfo?.hasNextPage;
+    after = connection?.pageInfo?.endCursor;
+  }
+  let key = base;
+  for (let n = 2; taken.has(key); n++) key = `${base}_${n}`;
+  return key;
+}
+
+// SKUs with a value matching the rule. Values stored under an alias of the
+// rule's key count as well.
+export async function findMatchingSkus(shop, rule, registry) {
+  const target = normalizeKey(registry.resolve(rule.key).key);
+  const unit = registry.resolve(rule.key);
+  const storedKeys = await prisma.specifications.groupBy({ by: ["spec_key"], where: { shop } });
+  const keys = storedKeys.map(k => k.spec_key).filter(k => normalizeKey(registry.resolve(k).key) === target);
+  if (!keys.length) return [];
+
+  const rows = await prisma.specifications.findMany({
+    where: { shop, spec_key: { in: keys } },
+    select: { sku: true, spec_value: true },
+  });
+  return Array.from(new Set(rows.filter(r => matchesSpecRule(rule, r.spec_value, unit)).map(r => r.sku)));
+}
+
+// Checks the rule, stores the spec collection and queues its build job.
+// Returns `{ ok, error, status, jobId, matchingSkus }`; with `previewOnly`
+// nothing is stored and only the SKU count is returned.
+export async function createSpecCollection(admin, shop, { title, key, operator, value, valueTo }, { previewOnly = false } = {}) {
+  const registry = await loadSpecKeyRegistry(shop);
+  const resolved = registry.resolve(key);
+  const rule = { key: resolved.key, operator, value: String(value ?? "").trim(), valueTo: String(valueTo ?? "").trim() || null };
+  const error = validateSpecRule(rule, resolved);
+  if (error) return { ok: false, status: 400, error };
+
+  const matchingSkus = (await findMatchingSkus(shop, rule, registry)).length;
+  if (previewOnly) return { ok: true, status: 200, matchingSkus };
+
+  const name = String(title || "").trim() || describeSpecRule(rule);
+  const record = await prisma.specCollection.create({
+    data: {
+      shop,
+      title: name.slice(0, 255),
+      spec_key: rule.key,
+      operator: rule.operator,
+      value: rule.value,
+      value_to: rule.valueTo,
+      metafield_key: await uniqueMetafieldKey(admin, shop, name),
+    },
+  });
+  const job = await enqueueBuild(shop, record);
+  return { ok: true, status: 200, jobId: job.id, matchingSkus };
+}
+
+function enqueueBuild(shop, record) {
+  return enqueueJob(shop, {
+    type: JOB_TYPES.SPEC_COLLECTION_BUILD,
+    title: `Spec collection (${record.title})`,
+    payload: { specCollectionId: record.id },
+  });
+}
+
+// Queues a full rebuild of one spec collection. Returns `{ ok, error, status, jobId }`.
+export async function rebuildSpecCollection(shop, id) {
+  const record = await prisma.specCollection.findFirst({ where: { id: Number(id), shop } });
+  if (!record) return { ok: false, status: 404, error: "Spec collection not found." };
+
+  const active = await prisma.job.findMany({
+    where: { shop, type: JOB_TYPES.SPEC_COLLECTION_BUILD, status: { in: ACTIVE_STATUSES } },
+    select: { payload: true },
+  });
+  if (active.some(j => j.payload?.specCollectionId === record.id)) return { ok: false, status: 409, error: "This collection is already being built." };
+
+  const job = await enqueueBuild(shop, record);
+  return { ok: true, status: 200, jobId: job.id };
+}
+
+// Stops keeping the collection in sync. The collection, the definition and
+// the metafields already written stay in Shopify.
+export async function deleteSpecCollection(shop, id) {
+  await prisma.specCollection.deleteMany({ where: { id: Number(id), shop } });
+  return { ok: true };
+}
+
+// Called after specs of `skus` changed
+export async function queueSpecCollectionSync(shop, skus) {
+  if (!(await prisma.specCollection.count({ where: { shop, collection_id: { not: null } } }))) return;
+  await enqueueSkuJob(shop, { type: JOB_TYPES.SPEC_COLLECTION_SYNC, title: "Spec collection sync", skus });
+}
+
+// ------------------------------------
+// Shopify writes
+// ------------------------------------
+
+// Id of the boolean product definition the collection rule points at; it is
+// created with the smart collection condition capability when missing
+async function ensureDefinition(admin, record) {
+  const res = await admin.graphql(DEFINITION_QUERY, { variables: { namespace: SPEC_COLLECTION_NAMESPACE, key: record.metafield_key } });
+  const data = await res.json();
+  if (data?.errors?.length) throw new Error(`Failed to load the metafield definition: ${data.errors[0].message}`);
+  const current = data?.data?.metafieldDefinitions?.nodes?.[0];
+  if (current) {
+    if (current.type?.name !== "boolean")
+      throw new Error(`The product metafield definition ${SPEC_COLLECTION_NAMESPACE}.${record.metafield_key} is ${current.type?.name}, not boolean.`);
+    return current.id;
+  }
+
+  const createRes = await admin.graphql(DEFINITION_CREATE_MUTATION, {
+    variables: {
+      definition: {
+        namespace: SPEC_COLLECTION_NAMESPACE,
+        key: record.metafield_key,
+        ownerType: "PRODUCT",
+        type: "boolean",
+        name: `In ${record.title}`.slice(0, 255),
+        description: `Set by the app for products matching ${describeSpecRule(ruleOf(record))}`.slice(0, 255),
+        capabilities: { smartCollectionCondition: { enabled: true } },
+      },
+    },
+  });
+  const created = await createRes.json();
+  const errors = created?.data?.metafieldDefinitionCreate?.userErrors || [];
+  if (errors.length) throw new Error(`The metafield definition could not be created: ${errors[0].message}`);
+  return created.data.metafieldDefinitionCreate.createdDefinition.id;
+}
+
+async function createCollection(admin, record, definitionId) {
+  const res = await admin.graphql(COLLECTION_CREATE_MUTATION, {
+    variables: {
+      input: {
+        title: record.title,
+        ruleSet: {
+          appliedDisjunctively: false,
+          rules: [{ column: "PRODUCT_METAFIELD_DEFINITION", relation: "EQUALS", condition: "true", conditionObjectId: definitionId }],
+        },
+      },
+    },
+  });
+  const data = await res.json();
+  const errors = data?.data?.collectionCreate?.userErrors || [];
+  if (errors.length) throw new Error(`The collection could not be created: ${errors[0].message}`);
+  return data.data.collectionCreate.collection.id;
+}
+
+async function fetchCollectionProductIds(admin, collectionId) {
+  const ids = [];
+  let cursor = null, hasMore = true;
+  while (hasMore) {
+    const res = await admin.graphql(COLLECTION_PRODUCT_IDS_QUERY, { variables: { collectionId, first: 250, after: cursor } });
+    const data = await res.json();
+    const page = data?.data?.node?.products;
+    ids.push(...(page?.nodes || []).map(p => p.id));
+    hasMore = page?.pageInfo?.hasNextPage;
+    cursor = page?.pageInfo?.endCursor;
+  }
+  return ids;
+}
+
+// Sets (`flag` true) or deletes the metafields of `records` on the products.
+// Returns the failed batches as `[{ ids, message }]`.
+async function writeFlags(admin, records, productIds, flag) {
+  const inputs = records.flatMap(record => productIds.map(ownerId => ({ ownerId, namespace: SPEC_COLLECTION_NAMESPACE, key: record.metafield_key })));
+  const failed = [];
+  for (let i = 0; i < inputs.length; i += METAFIELD_BATCH_SIZE) {
+    const batch = inputs.slice(i, i + METAFIELD_BATCH_SIZE);
+    const res = flag
+      ? await admin.graphql(METAFIELDS_SET_BULK_MUTATION, { variables: { metafields: batch.map(m => ({ ...m, type: "boolean", value: "true" })) } })
+      : await admin.graphql(METAFIELDS_DELETE_BULK_MUTATION, { variables: { metafields: batch } });
+    const data = await res.json();
+    const errors = (flag ? data?.data?.metafieldsSet?.userErrors : data?.data?.metafieldsDelete?.userErrors) || data?.errors || [];
+    if (errors.length) failed.push({ ids: batch.map(m => m.ownerId), message: errors[0].message });
+  }
+  return failed;
+}
+
+// ------------------------------------
+// Jobs
+// ------------------------------------
+
+// Job handler. Payload: `{ specCollectionId }`. Flags the matching products,
+// unflags former members that no longer match and creates the collection
+// on the first build.
+export async function runSpecCollectionBuildJob({ job, payload, admin, progress, addItems, isCanceled }) {
+  const record = await prisma.specCollection.findFirst({ where: { id: payload.specCollectionId, shop: job.shop } });
+  if (!record) throw new Error("The spec collection was deleted.");
+
+  await progress(0, 0, "Finding matching products");
+  const registry = await loadSpecKeyRegistry(job.shop);
+  const skus = await findMatchingSkus(job.shop, ruleOf(record), registry);
+  const productIds = await resolveProductIds(admin, job.shop, skus);
+  const definitionId = await ensureDefinition(admin, record);
+
+  const matching = new Set(productIds);
+  const stale = record.collection_id
+    ? (await fetchCollectionProductIds(admin, record.collection_id)).filter(id => !matching.has(id))
+    : [];
+
+  await progress(0, productIds.length + stale.length, "Writing product metafields");
+  const failed = [];
+  for (let i = 0; i < productIds.length; i += METAFIELD_BATCH_SIZE) {
+    if (await isCanceled()) return { skus: skus.length, canceled: true };
+    failed.push(...await writeFlags(admin, [record], productIds.slice(i, i + METAFIELD_BATCH_SIZE), true));
+    await progress(Math.min(i + METAFIELD_BATCH_SIZE, productIds.length));
+  }
+  failed.push(...await writeFlags(admin, [record], stale, false));
+  await progress(productIds.length + stale.length);
+  if (failed.length) {
+    await addItems(failed.flatMap(f => f.ids.map(ref => ({ ref, status: ITEM_STATUS.ERROR, message: f.message }))));
+  }
+
+  const collectionId = record.collection_id || await createCollection(admin, record, definitionId);
+  await prisma.specCollection.update({
+    where: { id: record.id },
+    data: { definition_id: definitionId, collection_id: collectionId, built_at: new Date() },
+  });
+  return { skus: skus.length, products: productIds.length, removed: stale.length, collectionId };
+}
+
+// Job handler. Payload: `{ skus }`. Rechecks every built spec collection for
+// the products those SKUs belong to.
+export async function runSpecCollectionSyncJob({ job, payload, admin, progress, addItems, isCanceled }) {
+  const { skus = [] } = payload;
+  const records = await prisma.specCollection.findMany({ where: { shop: job.shop, collection_id: { not: null } } });
+  if (!records.length) return { skus: skus.length, products: 0 };
+
+  await progress(0, 0, "Finding the products of the changed SKUs");
+  const productIds = await resolveProductIds(admin, job.shop, skus);
+  const registry = await loadSpecKeyRegistry(job.shop);
+
+  let flagsSet = 0, flagsCleared = 0;
+  await progress(0, productIds.length, "Updating product metafields");
+  for (const [i, productId] of productIds.entries()) {
+    if (await isCanceled()) break;
+    try {
+      const product = await fetchProduct(admin, productId);
+      if (!product) continue;
+      const rows = await findSpecificationsBySkus(job.shop, product.variants.map(v => v.sku).filter(Boolean));
+      const matches = (record) => {
+        const target = normalizeKey(registry.resolve(record.spec_key).key);
+        const unit = registry.resolve(record.spec_key);
+        return rows.some(r => normalizeKey(registry.resolve(r.spec_key).key) === target && matchesSpecRule(ruleOf(record), r.spec_value, unit));
+      };
+      const inside = records.filter(matches);
+      const outside = records.filter(r => !inside.includes(r));
+      const failed = [
+        ...await writeFlags(admin, inside, [productId], true),
+        ...await writeFlags(admin, outside, [productId], false),
+      ];
+      if (failed.length) throw new Error(failed[0].message);
+      flagsSet += inside.length;
+      flagsCleared += outside.length;
+      await addItems([{ ref: product.title, status: ITEM_STATUS.OK, message: inside.length ? `In ${inside.map(r => r.title).join(", ")}` : "In no spec collection" }]);
+    } catch (err) {
+      await addItems([{ ref: productId, status: ITEM_STATUS.ERROR, message: err.message }]);
+    } finally {
+      await progress(i + 1);
+    }
+  }
+  return { skus: skus.length, products: productIds.length, flagsSet, flagsCleared };
+}
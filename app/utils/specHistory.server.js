@@ -0,0 +1,96 @@
+// app/utils/specHistory.server.js
+// Audit log of specification values: every write to the specifications
+// table also records the old and new value, who made the change and where.
+
+import prisma from "../db.server";
+import { normalizeKey } from "./specifications.server";
+import { loadSpecKeyRegistry } from "./specKeys.server";
+import { onSpecificationsChanged } from "./specChanges.server";
+
+export const HISTORY_SOURCES = {
+  FILTER_MANAGER: "filter_manager",
+  SPEC_IMPORT: "spec_import",
+  SPECIFICATIONS_PAGE: "specifications_page",
+  REVERT: "revert",
+  VALUE_MERGE: "value_merge",
+  PRODUCT_EDITOR: "product_editor",
+};
+
+// The staff member behind a request, from the online session that
+// `authenticate.admin` returns. Only offline sessions (jobs, webhooks) carry
+// no user, so both fields may be null there.
+export function sessionUser(session) {
+  const user = session?.onlineAccessInfo?.associated_user;
+  return {
+    userId: user?.id ? String(user.id) : null,
+    email: user?.email || null,
+  };
+}
+
+// `changes`: [{ sku, spec_key, old_value, new_value }]; a null old value is
+// a new key, a null new value a deleted one. Returns createMany input.
+export function buildHistoryRows(shop, changes, { source, user = {} }) {
+  return changes
+    .filter((c) => (c.old_value ?? null) !== (c.new_value ?? null))
+    .map((c) => ({
+      shop,
+      sku: c.sku,
+      spec_key: c.spec_key,
+      old_value: c.old_value ?? null,
+      new_value: c.new_value ?? null,
+      source,
+      user_id: user.userId || null,
+      user_email: user.email || null,
+    }));
+}
+
+// History rows for a diff from `buildSpecificationDiff`
+export function buildDiffHistoryRows(shop, { creates, updates, deletes }, options) {
+  return buildHistoryRows(shop, [
+    ...deletes.map((d) => ({ sku: d.sku, spec_key: d.spec_key, old_value: d.spec_value, new_value: null })),
+    ...updates.map((u) => ({ sku: u.sku, spec_key: u.spec_key, old_value: u.from, new_value: u.to })),
+    ...creates.map((c) => ({ sku: c.sku, spec_key: c.spec_key, old_value: null, new_value: c.spec_value })),
+  ], options);
+}
+
+export async function listSpecHistory(shop, { sku, take = 200 } = {}) {
+  return prisma.specificationHistory.findMany({
+    where: { shop, ...(sku ? { sku } : {}) },
+    orderBy: [{ created_at: "desc" }, { id: "desc" }],
+    take,
+  });
+}
+
+// Puts the value recorded as `old_value` of a history entry back. Every row
+// for that SKU and key is replaced, including rows stored under an alias or
+// an earlier spelling of the key, by one row under the canonical key; the
+// revert is recorded itself. Returns `{ ok, error }`.
+export async function revertSpecChange(shop, historyId, user) {
+  const entry = await prisma.specificationHistory.findFirst({ where: { id: Number(historyId), shop } });
+  if (!entry) return { ok: false, error: "History entry not found." };
+
+  const registry = await loadSpecKeyRegistry(shop);
+  const specKey = registry.resolve(entry.spec_key).key;
+  const rows = (await prisma.specifications.findMany({ where: { shop, sku: entry.sku } }))
+    .filter((r) => normalizeKey(registry.resolve(r.spec_key).key) === normalizeKey(specKey));
+  const current = rows.find((r) => r.spec_key === specKey) || rows[0];
+  const currentValue = current ? current.spec_value : null;
+  if (currentValue === entry.old_value && rows.length <= 1 && (!current || current.spec_key === specKey)) {
+    return { ok: false, error: `${entry.sku} / ${specKey} already has this value.` };
+  }
+
+  await prisma.$transaction([
+    prisma.specifications.deleteMany({ where: { shop, id: { in: rows.map((r) => r.id) } } }),
+    ...(entry.old_value !== null
+      ? [prisma.specifications.create({ data: { shop, sku: entry.sku, spec_key: specKey, spec_value: entry.old_value } })]
+      : []),
+    prisma.specificationHistory.createMany({
+      data: buildHistoryRows(shop, [{ sku: entry.sku, spec_key: specKey, old_value: currentValue, new_value: entry.old_value }], {
+        source: HISTORY_SOURCES.REVERT,
+        user,
+      }),
+    }),
+  ]);
+  await onSpecificationsChanged(shop, [entry.sku]);
+  return { ok: true };
+}
@@ -0,0 +1,155 @@
+// app/utils/specKeys.server.js
+
+import prisma from "../db.server";
+import { normalizeKey } from "./specifications.server";
+import { UNIT_TYPES, isUnitType, isDisplayUnit } from "./units";
+import { VOCABULARY_MODES, parseAllowedValues } from "./vocabulary";
+
+// Keys hidden from the Filter Manager unless they are registered
+// with "exclude from filters" turned off
+const DEFAULT_EXCLUDED_KEYS = new Set(["brand", "sku", "type"]);
+
+// Accepts an array or a comma/newline separated string of aliases
+export function parseAliases(aliases) {
+  const list = Array.isArray(aliases) ? aliases : String(aliases || "").split(/[,\n]/);
+  return Array.from(new Set(list.map((a) => String(a).trim()).filter(Boolean)));
+}
+
+export async function listSpecKeys(shop) {
+  return prisma.specKey.findMany({
+    where: { shop },
+    orderBy: [{ sort_order: "asc" }, { label: "asc" }],
+  });
+}
+
+// Builds a resolver over the shop's registry. `resolve(rawKey)` returns the
+// canonical key for a raw spec key, alias or label, together with its
+// display label, sort order, exclusion flag, unit settings and value
+// vocabulary. Unregistered
+// keys resolve to themselves.
+export function createSpecKeyRegistry(entries = []) {
+  const byName = new Map();
+  for (const entry of entries) {
+    for (const name of [entry.key, entry.label, ...parseAliases(entry.aliases)]) {
+      const norm = normalizeKey(name);
+      if (norm && !byName.has(norm)) byName.set(norm, entry);
+    }
+  }
+
+  const resolve = (rawKey) => {
+    const key = (rawKey || "").trim();
+    const norm = normalizeKey(key);
+    const entry = byName.get(norm);
+    if (entry) {
+      return {
+        key: entry.key,
+        label: entry.label || entry.key,
+        sortOrder: entry.sort_order,
+        excluded: entry.exclude_from_filters,
+        unitType: entry.unit_type || null,
+        displayUnit: entry.display_unit || null,
+        unitMetafield: entry.unit_metafield,
+        vocabularyMode: entry.vocabulary_mode || VOCABULARY_MODES.FREE,
+        allowedValues: parseAllowedValues(entry.allowed_values || []),
+        registered: true,
+      };
+    }
+    return {
+      key,
+      label: key,
+      sortOrder: Number.MAX_SAFE_INTEGER,
+      excluded: DEFAULT_EXCLUDED_KEYS.has(norm),
+      unitType: null,
+      displayUnit: null,
+      unitMetafield: false,
+      vocabularyMode: VOCABULARY_MODES.FREE,
+      allowedValues: [],
+      registered: false,
+    };
+  };
+
+  // Registry order first, then alphabetical
+  const compare = (a, b) => {
+    const ra = resolve(a);
+    const rb = resolve(b);
+    if (ra.sortOrder !== rb.sortOrder) return ra.sortOrder - rb.sortOrder;
+    return ra.label.toLowerCase().localeCompare(rb.label.toLowerCase(), "en", { sensitivity: "base" });
+  };
+
+  return { entries, resolve, compare };
+}
+
+export async function loadSpecKeyRegistry(shop) {
+  return createSpecKeyRegistry(await listSpecKeys(shop));
+}
+
+// Validates and saves one registry entry. Returns `{ ok, error }` so the
+// route can show the message next to the form.
+export async function saveSpecKey(shop, {
+  id, key, label, aliases, sortOrder, excludeFromFilters, unitType, displayUnit, unitMetafield, vocabularyMode, allowedValues,
+}) {
+  const canonical = (key || "").trim();
+  if (!canonical) return { ok: false, error: "Key is required." };
+  if (unitType && !isUnitType(unitType)) return { ok: false, error: `Unknown unit type "${unitType}".` };
+  if (unitType && displayUnit && !isDisplayUnit(unitType, displayUnit)) {
+    return { ok: false, error: `"${displayUnit}" is not a ${UNIT_TYPES[unitType].label.toLowerCase()} unit.` };
+  }
+  const mode = vocabularyMode || VOCABULARY_MODES.FREE;
+  if (!Object.values(VOCABULARY_MODES).includes(mode)) return { ok: false, error: `Unknown value mode "${mode}".` };
+  const allowed = parseAllowedValues(allowedValues);
+  if (mode === VOCABULARY_MODES.STRICT && !allowed.length) {
+    return { ok: false, error: "A strict value list needs at least one allowed value." };
+  }
+
+  const data = {
+    key: canonical,
+    label: (label || "").trim() || canonical,
+    aliases: parseAliases(aliases).filter((a) => normalizeKey(a) !== normalizeKey(canonical)),
+    sort_order: parseInt(sortOrder, 10) || 0,
+    exclude_from_filters: Boolean(excludeFromFilters),
+    unit_type: unitType || null,
+    display_unit: unitType ? displayUnit || UNIT_TYPES[unitType].defaultUnit : null,
+    unit_metafield: Boolean(unitType && unitMetafield && UNIT_TYPES[unitType].metafieldType),
+    vocabulary_mode: mode,
+    allowed_values: allowed,
+  };
+
+  // Every key, label and alias must point at exactly one entry
+  const others = (await listSpecKeys(shop)).filter((e) => e.id !== Number(id));
+  const taken = createSpecKeyRegistry(others);
+  for (const name of [data.key, data.label, ...data.aliases]) {
+    const match = taken.resolve(name);
+    if (match.registered) {
+      return { ok: false, error: `"${name}" is already used by the key "${match.key}".` };
+    }
+  }
+
+  if (id) {
+    await prisma.specKey.updateMany({ where: { id: Number(id), shop }, data });
+  } else {
+    await prisma.specKey.create({ data: { ...data, shop } });
+  }
+  return { ok: true };
+}
+
+export async function deleteSpecKey(shop, id) {
+  await prisma.specKey.deleteMany({ where: { id: Number(id), shop } });
+}
+
+// Raw spec keys stored for the shop that do not resolve to a registry entry
+export async function findUnregisteredKeys(shop, registry) {
+  const rows = await prisma.specifications.findMany({
+    where: { shop },
+    select: { spec_key: true },
+    distinct: ["spec_key"],
+  });
+  const seen = new Set();
+  const keys = [];
+  for (const { spec_key } of rows) {
+    const norm = normalizeKey(spec_key);
+    if (!norm || seen.has(norm) || registry.resolve(spec_key).registered) continue;
+    seen.add(norm);
+    keys.push(spec_key.trim());
+  }
+  return keys.sort((a, b) => a.localeCompare(b, "en", { sensitivity: "base" }));
+}
@@ -0,0 +1,107 @@
+// app/utils/specRules.js
+// Shared by the Spec Collections page and the spec collection jobs: a rule on
+// one spec key ("Wattage ≥ 1000", "Material = Oak") and how a stored value is
+// matched against it.
+
+import { normalizeUnitValue, parseNumber } from "./units";
+import { normalizeValue } from "./vocabulary";
+
+export const SPEC_RULE_OPERATORS = {
+  EQUALS: "equals",
+  CONTAINS: "contains",
+  GREATER_OR_EQUAL: "gte",
+  GREATER: "gt",
+  LESS_OR_EQUAL: "lte",
+  LESS: "lt",
+  BETWEEN: "between",
+};
+
+const OPERATOR_SYMBOLS = {
+  [SPEC_RULE_OPERATORS.EQUALS]: "=",
+  [SPEC_RULE_OPERATORS.CONTAINS]: "contains",
+  [SPEC_RULE_OPERATORS.GREATER_OR_EQUAL]: "≥",
+  [SPEC_RULE_OPERATORS.GREATER]: ">",
+  [SPEC_RULE_OPERATORS.LESS_OR_EQUAL]: "≤",
+  [SPEC_RULE_OPERATORS.LESS]: "<",
+  [SPEC_RULE_OPERATORS.BETWEEN]: "between",
+};
+
+export const SPEC_RULE_OPERATOR_OPTIONS = [
+  { label: "is", value: SPEC_RULE_OPERATORS.EQUALS },
+  { label: "contains", value: SPEC_RULE_OPERATORS.CONTAINS },
+  { label: "≥ (at least)", value: SPEC_RULE_OPERATORS.GREATER_OR_EQUAL },
+  { label: "> (more than)", value: SPEC_RULE_OPERATORS.GREATER },
+  { label: "≤ (at most)", value: SPEC_RULE_OPERATORS.LESS_OR_EQUAL },
+  { label: "< (less than)", value: SPEC_RULE_OPERATORS.LESS },
+  { label: "between (inclusive)", value: SPEC_RULE_OPERATORS.BETWEEN },
+];
+
+const NUMERIC_OPERATORS = new Set([
+  SPEC_RULE_OPERATORS.GREATER_OR_EQUAL,
+  SPEC_RULE_OPERATORS.GREATER,
+  SPEC_RULE_OPERATORS.LESS_OR_EQUAL,
+  SPEC_RULE_OPERATORS.LESS,
+  SPEC_RULE_OPERATORS.BETWEEN,
+]);
+
+export function isNumericOperator(operator) {
+  return NUMERIC_OPERATORS.has(operator);
+}
+
+// The number in a spec value ("1000", "1,5 kg", "1000W"). Values of unit keys
+// (`{ unitType, displayUnit }` from the Spec Keys registry) are converted to
+// the display unit first. NaN when the value does not start with a number.
+export function readSpecNumber(value, { unitType, displayUnit } = {}) {
+  if (unitType && displayUnit) {
+    const normalized = normalizeUnitValue(value, unitType, displayUnit);
+    if (normalized) return normalized.amount;
+  }
+  const match = String(value ?? "").trim().match(/^-?\d[\d,]*(?:\.\d+)?/);
+  return match ? parseNumber(match[0]) : NaN;
+}
+
+// Whether a stored value satisfies `{ operator, value, valueTo }`. Text
+// comparisons ignore case and punctuation; numeric ones read both sides with
+// readSpecNumber, so a rule on a unit key may use any unit of its type.
+export function matchesSpecRule(rule, value, unit = {}) {
+  if (!String(value ?? "").trim()) return false;
+  if (rule.operator === SPEC_RULE_OPERATORS.EQUALS) return normalizeValue(value) === normalizeValue(rule.value);
+  if (rule.operator === SPEC_RULE_OPERATORS.CONTAINS) return normalizeValue(value).includes(normalizeValue(rule.value));
+
+  const amount = readSpecNumber(value, unit);
+  const bound = readSpecNumber(rule.value, unit);
+  if (!Number.isFinite(amount) || !Number.isFinite(bound)) return false;
+  switch (rule.operator) {
+    case SPEC_RULE_OPERATORS.GREATER_OR_EQUAL: return amount >= bound;
+    case SPEC_RULE_OPERATORS.GREATER: return amount > bound;
+    case SPEC_RULE_OPERATORS.LESS_OR_EQUAL: return amount <= bound;
+    case SPEC_RULE_OPERATORS.LESS: return amount < bound;
+    case SPEC_RULE_OPERATORS.BETWEEN: {
+      const upper = readSpecNumber(rule.valueTo, unit);
+      return Number.isFinite(upper) && amount >= bound && amount <= upper;
+    }
+    default: return false;
+  }
+}
+
+// "Wattage ≥ 1000", "Width between 40 and 60"
+export function describeSpecRule({ key, operator, value, valueTo }) {
+  if (operator === SPEC_RULE_OPERATORS.BETWEEN) return `${key} between ${value} and ${valueTo}`;
+  return `${key} ${OPERATOR_SYMBOLS[operator] || operator} ${value}`;
+}
+
+// Returns an error message, or null when the rule can be saved
+export function validateSpecRule({ key, operator, value, valueTo }, unit = {}) {
+  if (!String(key || "").trim()) return "Choose a spec key.";
+  if (!Object.values(SPEC_RULE_OPERATORS).includes(operator)) return `Unknown operator "${operator}".`;
+  if (!String(value ?? "").trim()) return "Enter a value.";
+  if (!isNumericOperator(operator)) return null;
+
+  if (!Number.isFinite(readSpecNumber(value, unit))) return `"${value}" is not a number.`;
+  if (operator === SPEC_RULE_OPERATORS.BETWEEN) {
+    const upper = readSpecNumber(valueTo, unit);
+    if (!Number.isFinite(upper)) return `"${valueTo || ""}" is not a number.`;
+    if (upper < readSpecNumber(value, unit)) return "The upper bound is lower than the lower bound.";
+  }
+  return null;
+}
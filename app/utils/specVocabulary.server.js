@@ -0,0 +1,172 @@
+// app/utils/specVocabulary.server.js
+// Per-key value vocabularies: suggestions from the allowed list and the
+// values already stored, strict checks before a save, and merging one stored
+// value into another.
+
+import prisma from "../db.server";
+import { normalizeKey } from "./specifications.server";
+import { buildHistoryRows, HISTORY_SOURCES } from "./specHistory.server";
+import { onSpecificationsChanged } from "./specChanges.server";
+import { VOCABULARY_MODES, normalizeValue, matchVocabulary } from "./vocabulary";
+
+const VIOLATION_PREVIEW = 10;
+
+const vocabularyOf = (resolved) => ({ mode: resolved.vocabularyMode, allowedValues: resolved.allowedValues });
+
+// Checks `{ [sku]: { [key]: value } }` against the registry. Returns a copy
+// with near-matches spelled as their allowed value, and the values rejected
+// by strict keys as `[{ sku, key, value }]`.
+export function applyVocabulary(registry, valuesBySku) {
+  const values = {};
+  const violations = [];
+  for (const [sku, keyValues] of Object.entries(valuesBySku || {})) {
+    values[sku] = {};
+    for (const [key, value] of Object.entries(keyValues || {})) {
+      const result = matchVocabulary(vocabularyOf(registry.resolve(key)), value);
+      values[sku][key] = result.value;
+      if (!result.ok) violations.push({ sku, key, value: String(value).trim() });
+    }
+  }
+  return { valuesBySku: values, violations };
+}
+
+// Same check for import entries (`{ row, sku, key, value }`). Rejected
+// entries are left out and returned as `rejected` and as row errors.
+export function applyVocabularyToEntries(registry, entries) {
+  const accepted = [];
+  const rejected = [];
+  const errors = [];
+  for (const entry of entries) {
+    const resolved = registry.resolve(entry.key);
+    const result = matchVocabulary(vocabularyOf(resolved), entry.value);
+    if (result.ok) {
+      accepted.push({ ...entry, value: result.value });
+    } else {
+      rejected.push(entry);
+      errors.push({ row: entry.row, message: `"${entry.value}" is not an allowed value for "${resolved.label}".` });
+    }
+  }
+  return { entries: accepted, rejected, errors };
+}
+
+export function describeViolations(violations) {
+  const shown = violations.slice(0, VIOLATION_PREVIEW).map((v) => `${v.sku} / ${v.key}: "${v.value}"`);
+  const more = violations.length > VIOLATION_PREVIEW ? ` and ${violations.length - VIOLATION_PREVIEW} more` : "";
+  return `${violations.length} value${violations.length === 1 ? " is" : "s are"} not in the allowed list: ${shown.join(", ")}${more}.`;
+}
+
+// Stored values of one canonical key with the number of rows using each,
+// most used first. Spellings that only differ in case or punctuation are
+// listed separately so they can be merged.
+export async function listKeyValues(shop, registry, key) {
+  const resolved = registry.resolve(key);
+  const counts = (await countValuesByKey(shop, registry)).get(normalizeKey(resolved.key)) || new Map();
+  return sortedValueCounts(counts, resolved.allowedValues);
+}
+
+// Stored value counts of every key in one query, grouped under the canonical
+// key: `Map<canonicalKey, Map<value, count>>`
+async function countValuesByKey(shop, registry) {
+  const groups = await prisma.specifications.groupBy({
+    by: ["spec_key", "spec_value"],
+    where: { shop },
+    _count: { _all: true },
+  });
+
+  const countsByKey = new Map();
+  for (const group of groups) {
+    const canonical = normalizeKey(registry.resolve(group.spec_key).key);
+    if (!countsByKey.has(canonical)) countsByKey.set(canonical, new Map());
+    const counts = countsByKey.get(canonical);
+    counts.set(group.spec_value, (counts.get(group.spec_value) || 0) + group._count._all);
+  }
+  return countsByKey;
+}
+
+function sortedValueCounts(counts, allowedValues) {
+  return Array.from(counts, ([value, count]) => ({
+    value,
+    count,
+    allowed: allowedValues.includes(value),
+  })).sort((a, b) => b.count - a.count || a.value.localeCompare(b.value, "en", { sensitivity: "base" }));
+}
+
+// Autocomplete lists for the Filter Manager grid, for keys that are not in
+// free mode: `{ [key]: { mode, allowedValues, values } }`. Strict keys offer the allowed
+// values only; suggest mode adds the stored values after them.
+export async function loadValueSuggestions(shop, registry, keys) {
+  const suggestions = {};
+  let countsByKey = null;
+  for (const key of keys) {
+    const resolved = registry.resolve(key);
+    if (resolved.vocabularyMode === VOCABULARY_MODES.FREE) continue;
+
+    const values = [...resolved.allowedValues];
+    if (resolved.vocabularyMode === VOCABULARY_MODES.SUGGEST) {
+      countsByKey ??= await countValuesByKey(shop, registry);
+      const counts = countsByKey.get(normalizeKey(resolved.key)) || new Map();
+      const seen = new Set(values.map(normalizeValue));
+      for (const { value } of sortedValueCounts(counts, resolved.allowedValues)) {
+        const norm = normalizeValue(value);
+        if (!norm || seen.has(norm)) continue;
+        seen.add(norm);
+        values.push(value);
+      }
+    }
+    suggestions[key] = { mode: resolved.vocabularyMode, allowedValues: resolved.allowedValues, values };
+  }
+  return suggestions;
+}
+
+// Replaces the stored value `from` of a key with `to` on every SKU. A SKU
+// that already has `to` for the key just loses its `from` row. Returns
+// `{ ok, error, count }`.
+export async function mergeSpecValues(shop, registry, { key, from, to, user }) {
+  const resolved = registry.resolve(key);
+  const source = String(from ?? "");
+  const check = matchVocabulary(vocabularyOf(resolved), to);
+  const target = String(check.value ?? "").trim();
+  if (!resolved.key || !source) return { ok: false, error: "Choose a key and the value to merge." };
+  if (!target) return { ok: false, error: "Enter the value to merge into." };
+  if (!check.ok) return { ok: false, error: `"${target}" is not an allowed value for "${resolved.label}".` };
+  if (source === target) return { ok: false, error: "The two values are the same." };
+
+  const canonical = normalizeKey(resolved.key);
+  const inKey = (row) => normalizeKey(registry.resolve(row.spec_key).key) === canonical;
+
+  // MySQL compares case-insensitively, so both lookups are filtered again here
+  const rows = (await prisma.specifications.findMany({ where: { shop, spec_value: source } }))
+    .filter((r) => inKey(r) && r.spec_value === source);
+  if (!rows.length) return { ok: false, error: `No SKUs have "${source}" for "${resolved.label}".` };
+
+  const skus = Array.from(new Set(rows.map((r) => r.sku)));
+  const existing = (await prisma.specifications.findMany({ where: { shop, sku: { in: skus } } }))
+    .filter((r) => inKey(r) && r.spec_value.toLowerCase() === target.toLowerCase() && r.spec_value !== source);
+  // Both lists only hold rows of this canonical key, whatever alias they are
+  // stored under: a SKU that already has the target just loses its source
+  // rows, and any other SKU keeps one renamed row
+  const hasTarget = new Set(existing.map((r) => r.sku));
+  const renamed = [];
+  const duplicates = [];
+  for (const row of rows) {
+    if (hasTarget.has(row.sku)) {
+      duplicates.push(row);
+    } else {
+      renamed.push(row);
+      hasTarget.add(row.sku);
+    }
+  }
+
+  await prisma.$transaction([
+    prisma.specifications.deleteMany({ where: { shop, id: { in: duplicates.map((r) => r.id) } } }),
+    prisma.specifications.updateMany({ where: { shop, id: { in: renamed.map((r) => r.id) } }, data: { spec_value: target } }),
+    prisma.specificationHistory.createMany({
+      data: buildHistoryRows(shop, rows.map((r) => ({ sku: r.sku, spec_key: r.spec_key, old_value: source, new_value: target })), {
+        source: HISTORY_SOURCES.VALUE_MERGE,
+        user,
+      }),
+    }),
+  ]);
+  await onSpecificationsChanged(shop, skus);
+  return { ok: true, count: rows.length };
+}
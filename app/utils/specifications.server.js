@@ -0,0 +1,417 @@
+// app/utils/specifications.server.js
+
+import prisma from "../db.server";
+
+// Column limits from the `specifications` table
+const MAX_SKU_LENGTH = 100;
+export const MAX_KEY_LENGTH = 255;
+export const MAX_VALUE_LENGTH = 255;
+
+// Prisma/MySQL get slow with very large IN lists, so lookups and writes are chunked
+const QUERY_CHUNK_SIZE = 1000;
+
+const LONG_SHEET_COLUMNS = {
+  sku: ["sku"],
+  key: ["key", "spec_key", "spec key", "specification"],
+  value: ["value", "spec_value", "spec value"],
+};
+
+export const normalizeKey = (str) => (str || "").trim().toLowerCase().replace(/\s+/g, " ");
+
+function chunk(array, size) {
+  const chunks = [];
+  for (let i = 0; i < array.length; i += size) chunks.push(array.slice(i, i + size));
+  return chunks;
+}
+
+function findColumn(headers, names) {
+  return headers.findIndex((h) => names.includes(normalizeKey(h)));
+}
+
+// ------------------------------------
+// Sheet parsing
+// ------------------------------------
+
+// Turns spreadsheet rows (header first) into spec entries.
+// Two layouts are accepted:
+//   - long: one row per value with `sku`, `key` and `value` columns
+//   - wide: a `sku` column plus one column per spec key
+// Any other column in a wide sheet that is listed in `ignoredColumns`
+// (e.g. product title/handle from an export) is skipped.
+// Empty values are kept and mean "delete this key for this SKU".
+export function parseSpecificationRows(rows, { ignoredColumns = [] } = {}) {
+  const errors = [];
+  const entries = [];
+
+  if (!rows.length) {
+    return { format: null, entries, errors: [{ row: 1, message: "The sheet is empty." }] };
+  }
+
+  const headers = rows[0].map((h) => String(h || "").trim());
+  const skuCol = findColumn(headers, LONG_SHEET_COLUMNS.sku);
+  if (skuCol === -1) {
+    return { format: null, entries, errors: [{ row: 1, message: "No SKU column found in the header row." }] };
+  }
+
+  const keyCol = findColumn(headers, LONG_SHEET_COLUMNS.key);
+  const valueCol = findColumn(headers, LONG_SHEET_COLUMNS.value);
+  const format = keyCol !== -1 && valueCol !== -1 ? "long" : "wide";
+
+  const ignored = new Set(ignoredColumns.map(normalizeKey));
+  const keyColumns = format === "wide"
+    ? headers
+      .map((header, index) => ({ header, index }))
+      .filter(({ header, index }) => index !== skuCol && header && !ignored.has(normalizeKey(header)))
+    : [];
+
+  if (format === "wide") {
+    const seenHeaders = new Map();
+    for (const { header } of keyColumns) {
+      const norm = normalizeKey(header);
+      if (seenHeaders.has(norm)) {
+        errors.push({ row: 1, message: `Spec key column "${header}" appears more than once (also "${seenHeaders.get(norm)}").` });
+      } else {
+        seenHeaders.set(norm, header);
+      }
+      if (header.length > MAX_KEY_LENGTH) {
+        errors.push({ row: 1, message: `Spec key "${header.slice(0, 40)}..." is longer than ${MAX_KEY_LENGTH} characters.` });
+      }
+    }
+    if (!keyColumns.length) {
+      errors.push({ row: 1, message: "No spec key columns found next to the SKU column." });
+    }
+  }
+
+  const firstSeen = new Map(); // `${sku}::${normKey}` -> { row, value }
+
+  const addEntry = (rowNumber, sku, key, value) => {
+    if (key.length > MAX_KEY_LENGTH) {
+      errors.push({ row: rowNumber, message: `Spec key "${key.slice(0, 40)}..." is longer than ${MAX_KEY_LENGTH} characters.` });
+      return;
+    }
+    if (value.length > MAX_VALUE_LENGTH) {
+      errors.push({ row: rowNumber, message: `Value for "${key}" is longer than ${MAX_VALUE_LENGTH} characters.` });
+      return;
+    }
+    const id = `${sku}::${normalizeKey(key)}`;
+    const previous = firstSeen.get(id);
+    if (previous) {
+      if (previous.value !== value) {
+        errors.push({ row: rowNumber, message: `SKU "${sku}" has a second value for "${key}" (first seen on row ${previous.row}). The first value is used.` });
+      }
+      return;
+    }
+    firstSeen.set(id, { row: rowNumber, value });
+    entries.push({ row: rowNumber, sku, key, value });
+  };
+
+  for (let i = 1; i < rows.length; i++) {
+    const rowNumber = i + 1;
+    const row = rows[i];
+    if (!row.some((cell) => cell !== "")) continue;
+
+    const sku = String(row[skuCol] || "").trim();
+    if (!sku) {
+      errors.push({ row: rowNumber, message: "Missing SKU." });
+      continue;
+    }
+    if (sku.length > MAX_SKU_LENGTH) {
+      errors.push({ row: rowNumber, message: `SKU "${sku.slice(0, 40)}..." is longer than ${MAX_SKU_LENGTH} characters.` });
+      continue;
+    }
+
+    if (format === "long") {
+      const key = String(row[keyCol] || "").trim();
+      if (!key) {
+        errors.push({ row: rowNumber, message: `Missing spec key for SKU "${sku}".` });
+        continue;
+      }
+      addEntry(rowNumber, sku, key, String(row[valueCol] ?? "").trim());
+    } else {
+      for (const { header, index } of keyColumns) {
+        addEntry(rowNumber, sku, header, String(row[index] ?? "").trim());
+      }
+    }
+  }
+
+  return { format, entries, errors };
+}
+
+// ------------------------------------
+// GraphQL Queries
+// ------------------------------------
+const COLLECTION_PRODUCTS_QUERY = `
+  query collectionProductsForSpecs($collectionId: ID!, $first: Int!, $after: String) {
+    node(id: $collectionId) {
+      ... on Collection {
+        products(first: $first, after: $after) {
+          edges {
+            cursor
+            node {
+              id
+              handle
+              title
+              variants(first: 10) {
+                edges { node { id sku } }
+                pageInfo { hasNextPage endCursor }
+              }
+            }
+          }
+          pageInfo { hasNextPage }
+        }
+      }
+    }
+  }
+`;
+
+const PRODUCT_VARIANTS_QUERY = `
+  query productVariantsForSpecs($productId: ID!, $first: Int!, $after: String) {
+    node(id: $productId) {
+      ... on Product {
+        id
+        title
+        handle
+        variants(first: $first, after: $after) {
+          edges { node { id sku } }
+          pageInfo { hasNextPage endCursor }
+        }
+      }
+    }
+  }
+`;
+
+const VARIANT_SKUS_QUERY = `
+  query variantSkusForSpecs($first: Int!, $after: String) {
+    productVariants(first: $first, after: $after) {
+      edges {
+        cursor
+        node { id sku product { id title handle } }
+      }
+      pageInfo { hasNextPage }
+    }
+  }
+`;
+
+// ------------------------------------
+// Lookups
+// ------------------------------------
+
+// All products (with every variant SKU) of a collection. The first few
+// variants come with the product page to keep the query cost low; products
+// with more variants are paged separately.
+export async function fetchCollectionProducts(admin, collectionId) {
+  const products = [];
+  let cursor = null, hasMore = true;
+  while (hasMore) {
+    const res = await admin.graphql(COLLECTION_PRODUCTS_QUERY, { variables: { collectionId, first: 50, after: cursor } });
+    const data = await res.json();
+    const edges = data?.data?.node?.products?.edges || [];
+    for (const { node } of edges) {
+      const product = {
+        id: node.id,
+        handle: node.handle,
+        title: node.title,
+        variants: node.variants.edges.map(v => ({ id: v.node.id, sku: v.node.sku })),
+      };
+      let variantPage = node.variants.pageInfo;
+      while (variantPage?.hasNextPage) {
+        const vRes = await admin.graphql(PRODUCT_VARIANTS_QUERY, {
+          variables: { productId: node.id, first: 250, after: variantPage.endCursor },
+        });
+        const vData = await vRes.json();
+        const variants = vData?.data?.node?.variants;
+        product.variants.push(...(variants?.edges || []).map(v => ({ id: v.node.id, sku: v.node.sku })));
+        variantPage = variants?.pageInfo;
+      }
+      products.push(product);
+    }
+    hasMore = data?.data?.node?.products?.pageInfo?.hasNextPage;
+    cursor = edges.length ? edges[edges.length - 1].cursor : null;
+  }
+  return products;
+}
+
+// One product with every variant SKU, or null when it does not exist
+export async function fetchProduct(admin, productId) {
+  let product = null;
+  let after = null, hasMore = true;
+  while (hasMore) {
+    const res = await admin.graphql(PRODUCT_VARIANTS_QUERY, { variables: { productId, first: 250, after } });
+    const data = await res.json();
+    const node = data?.data?.node;
+    if (!node?.id) return product;
+    if (!product) product = { id: node.id, title: node.title, handle: node.handle, variants: [] };
+    product.variants.push(...(node.variants?.edges || []).map(v => ({ id: v.node.id, sku: v.node.sku })));
+    hasMore = node.variants?.pageInfo?.hasNextPage;
+    after = node.variants?.pageInfo?.endCursor;
+  }
+  return product;
+}
+
+// Map of SKU -> { productId, title, handle } for every variant in the shop
+export async function fetchSkuProductMap(admin) {
+  const map = new Map();
+  let cursor = null, hasMore = true;
+  while (hasMore) {
+    const res = await admin.graphql(VARIANT_SKUS_QUERY, { variables: { first: 250, after: cursor } });
+    const data = await res.json();
+    const edges = data?.data?.productVariants?.edges || [];
+    for (const { node } of edges) {
+      if (node.sku && !map.has(node.sku)) {
+        map.set(node.sku, { productId: node.product.id, title: node.product.title, handle: node.product.handle });
+      }
+    }
+    hasMore = data?.data?.productVariants?.pageInfo?.hasNextPage;
+    cursor = edges.length ? edges[edges.length - 1].cursor : null;
+  }
+  return map;
+}
+
+export async function findSpecificationsBySkus(shop, skus) {
+  const rows = [];
+  for (const skuChunk of chunk(Array.from(new Set(skus)), QUERY_CHUNK_SIZE)) {
+    rows.push(...await prisma.specifications.findMany({ where: { shop, sku: { in: skuChunk } } }));
+  }
+  return rows;
+}
+
+// ------------------------------------
+// Diff + apply
+// ------------------------------------
+
+// Canonical spelling of a key: the registry entry it resolves to, if any
+function canonicalKey(key, registry) {
+  return registry ? registry.resolve(key).key : (key || "").trim();
+}
+
+// Compares parsed entries against the stored rows for the same SKUs.
+// With `replaceMissing`, keys stored for an SKU in the sheet but absent
+// from the sheet are deleted as well. With a spec key `registry`, aliases
+// are matched to their canonical key and rows are written under it.
+// `keepEntries` are entries that were rejected: their stored rows are left
+// alone, even with `replaceMissing`.
+export async function buildSpecificationDiff(shop, entries, { replaceMissing = false, registry = null, keepEntries = [] } = {}) {
+  const existingRows = await findSpecificationsBySkus(shop, entries.map((e) => e.sku));
+
+  const existingByKey = new Map(); // `${sku}::${normKey}` -> rows[]
+  for (const row of existingRows) {
+    const id = `${row.sku}::${normalizeKey(canonicalKey(row.spec_key, registry))}`;
+    if (!existingByKey.has(id)) existingByKey.set(id, []);
+    existingByKey.get(id).push(row);
+  }
+
+  const creates = [];
+  const updates = [];
+  const deletes = [];
+  let unchanged = 0;
+  const touched = new Set(keepEntries.map((e) => `${e.sku}::${normalizeKey(canonicalKey(e.key, registry))}`));
+
+  for (const entry of entries) {
+    const key = canonicalKey(entry.key, registry);
+    const id = `${entry.sku}::${normalizeKey(key)}`;
+    // Two aliases of the same key in one sheet: the first one wins
+    if (touched.has(id)) continue;
+    touched.add(id);
+    const current = existingByKey.get(id) || [];
+
+    if (entry.value === "") {
+      deletes.push(...current.map(toDeleteOp));
+      continue;
+    }
+
+    if (!current.length) {
+      creates.push({ sku: entry.sku, spec_key: key, spec_value: entry.value });
+      continue;
+    }
+
+    // The grid only ever shows one value per key, so extra rows are dropped
+    const [keep, ...extra] = [
+      ...current.filter((r) => r.spec_value === entry.value),
+      ...current.filter((r) => r.spec_value !== entry.value),
+    ];
+    deletes.push(...extra.map(toDeleteOp));
+    // With a registry, rows stored under an alias are renamed to the canonical key
+    const targetKey = registry ? key : keep.spec_key;
+    if (keep.spec_value === entry.value && keep.spec_key === targetKey) {
+      unchanged++;
+    } else {
+      updates.push({ id: keep.id, sku: keep.sku, spec_key: targetKey, from: keep.spec_value, to: entry.value });
+    }
+  }
+
+  if (replaceMissing) {
+    for (const [id, rows] of existingByKey.entries()) {
+      if (!touched.has(id)) deletes.push(...rows.map(toDeleteOp));
+    }
+  }
+
+  return { creates, updates, deletes, unchanged };
+}
+
+function toDeleteOp(row) {
+  return { id: row.id, sku: row.sku, spec_key: row.spec_key, spec_value: row.spec_value };
+}
+
+// Writes a diff from `buildSpecificationDiff` in a single transaction.
+// Deletes run first so updates/creates never collide with the
+// (sku, spec_key, spec_value) unique index. `history` rows (see
+// specHistory.server.js) are written in the same transaction.
+export async function applySpecificationDiff(shop, { creates, updates, deletes }, { history = [] } = {}) {
+  await prisma.$transaction(async (tx) => {
+    for (const idChunk of chunk(deletes.map((d) => d.id), QUERY_CHUNK_SIZE)) {
+      await tx.specifications.deleteMany({ where: { shop, id: { in: idChunk } } });
+    }
+    for (const update of updates) {
+      await tx.specifications.update({ where: { id: update.id }, data: { spec_key: update.spec_key, spec_value: update.to } });
+    }
+    for (const createChunk of chunk(creates, QUERY_CHUNK_SIZE)) {
+      await tx.specifications.createMany({ data: createChunk.map((c) => ({ ...c, shop })), skipDuplicates: true });
+    }
+    for (const historyChunk of chunk(history, QUERY_CHUNK_SIZE)) {
+      await tx.specificationHistory.createMany({ data: historyChunk });
+    }
+  }, { maxWait: 10_000, timeout: 300_000 });
+
+  return { created: creates.length, updated: updates.length, deleted: deletes.length };
+}
+
+// ------------------------------------
+// Export
+// ------------------------------------
+
+export const EXPORT_INFO_HEADERS = ["SKU", "Product Title", "Handle"];
+
+// Builds a wide sheet (one row per SKU, one column per spec key) in the
+// layout `parseSpecificationRows` reads back. Keys that only differ in case
+// or spacing share a column; with a `registry`, aliases share their
+// canonical key's column and columns follow the registry order.
+export function buildSpecificationsSheet(specRows, skuInfo = new Map(), skuOrder = [], registry = null) {
+  const keyColumns = new Map(); // normKey -> header
+  const valuesBySku = new Map();
+
+  for (const row of specRows) {
+    const key = canonicalKey(row.spec_key, registry);
+    const norm = normalizeKey(key);
+    if (!key) continue;
+    if (!keyColumns.has(norm)) keyColumns.set(norm, key);
+    if (!valuesBySku.has(row.sku)) valuesBySku.set(row.sku, {});
+    const values = valuesBySku.get(row.sku);
+    if (values[norm] === undefined) values[norm] = row.spec_value;
+  }
+
+  const keys = Array.from(keyColumns.keys()).sort(registry
+    ? (a, b) => registry.compare(keyColumns.get(a), keyColumns.get(b))
+    : (a, b) => a.localeCompare(b, "en", { sensitivity: "base" }));
+  const skus = skuOrder.length
+    ? skuOrder
+    : Array.from(valuesBySku.keys()).sort((a, b) => a.localeCompare(b));
+
+  const headers = [...EXPORT_INFO_HEADERS, ...keys.map((k) => keyColumns.get(k))];
+  const rows = skus.map((sku) => {
+    const info = skuInfo.get(sku) || {};
+    const values = valuesBySku.get(sku) || {};
+    return [sku, info.title || "", info.handle || "", ...keys.map((k) => values[k] ?? "")];
+  });
+
+  return { headers, rows };
+}
@@ -0,0 +1,141 @@
+// app/utils/units.js
+// Shared by the server (filter metafields) and the Spec Keys page (unit pickers)
+
+// `factor` converts one unit into the base unit of its type. `shopify` is the
+// unit code used in the value of the matching Shopify measurement metafield.
+export const UNIT_TYPES = {
+  length: {
+    label: "Length",
+    metafieldType: "dimension",
+    defaultUnit: "mm",
+    units: {
+      mm: { factor: 0.001, shopify: "mm", aliases: ["millimeter", "millimeters", "millimetre", "millimetres"] },
+      cm: { factor: 0.01, shopify: "cm", aliases: ["centimeter", "centimeters", "centimetre", "centimetres"] },
+      m: { factor: 1, shopify: "m", aliases: ["meter", "meters", "metre", "metres"] },
+      in: { factor: 0.0254, shopify: "in", aliases: ["inch", "inches", "\"", "''"] },
+      ft: { factor: 0.3048, shopify: "ft", aliases: ["foot", "feet", "'"] },
+      yd: { factor: 0.9144, shopify: "yd", aliases: ["yard", "yards"] },
+    },
+  },
+  weight: {
+    label: "Weight",
+    metafieldType: "weight",
+    defaultUnit: "kg",
+    units: {
+      g: { factor: 0.001, shopify: "g", aliases: ["gr", "gram", "grams", "gramme", "grammes"] },
+      kg: { factor: 1, shopify: "kg", aliases: ["kgs", "kilo", "kilos", "kilogram", "kilograms"] },
+      oz: { factor: 0.028349523125, shopify: "oz", aliases: ["ounce", "ounces"] },
+      lb: { factor: 0.45359237, shopify: "lb", aliases: ["lbs", "pound", "pounds"] },
+    },
+  },
+  volume: {
+    label: "Volume",
+    metafieldType: "volume",
+    defaultUnit: "l",
+    units: {
+      ml: { factor: 0.001, shopify: "ml", aliases: ["milliliter", "milliliters", "millilitre", "millilitres"] },
+      cl: { factor: 0.01, shopify: "cl", aliases: ["centiliter", "centiliters", "centilitre", "centilitres"] },
+      l: { factor: 1, shopify: "l", aliases: ["ltr", "ltrs", "liter", "liters", "litre", "litres"] },
+      m3: { factor: 1000, shopify: "m3", aliases: ["m³", "cubic meter", "cubic meters", "cubic metre", "cubic metres"] },
+      "fl oz": { factor: 0.0295735295625, shopify: "us_fl_oz", aliases: ["floz", "fl. oz", "fluid ounce", "fluid ounces"] },
+      gal: { factor: 3.785411784, shopify: "us_gal", aliases: ["gallon", "gallons"] },
+    },
+  },
+  power: {
+    label: "Power",
+    metafieldType: null,
+    defaultUnit: "W",
+    units: {
+      W: { factor: 1, aliases: ["watt", "watts"] },
+      kW: { factor: 1000, aliases: ["kilowatt", "kilowatts"] },
+      hp: { factor: 745.69987158227, aliases: ["horsepower"] },
+    },
+  },
+  voltage: {
+    label: "Voltage",
+    metafieldType: null,
+    defaultUnit: "V",
+    units: {
+      mV: { factor: 0.001, aliases: ["millivolt", "millivolts"] },
+      V: { factor: 1, aliases: ["volt", "volts", "vac", "vdc"] },
+      kV: { factor: 1000, aliases: ["kilovolt", "kilovolts"] },
+    },
+  },
+  current: {
+    label: "Current",
+    metafieldType: null,
+    defaultUnit: "A",
+    units: {
+      mA: { factor: 0.001, aliases: ["milliamp", "milliamps", "milliampere", "milliamperes"] },
+      A: { factor: 1, aliases: ["amp", "amps", "ampere", "amperes"] },
+    },
+  },
+};
+
+// Decimal places kept after converting to the display unit
+const DISPLAY_PRECISION = 3;
+
+const unitLookup = new Map(); // unitType -> Map(lowercase name -> unit symbol)
+for (const [type, { units }] of Object.entries(UNIT_TYPES)) {
+  const names = new Map();
+  for (const [symbol, { aliases }] of Object.entries(units)) {
+    for (const name of [symbol, ...aliases]) names.set(name.toLowerCase(), symbol);
+  }
+  unitLookup.set(type, names);
+}
+
+export function isUnitType(type) {
+  return Object.prototype.hasOwnProperty.call(UNIT_TYPES, type || "");
+}
+
+export function isDisplayUnit(type, unit) {
+  return isUnitType(type) && Object.prototype.hasOwnProperty.call(UNIT_TYPES[type].units, unit || "");
+}
+
+// "1,250.5" and "1.5" use a dot for decimals, "1,5" a comma
+export function parseNumber(text) {
+  if (/^-?\d{1,3}(,\d{3})+(\.\d+)?$/.test(text)) return Number(text.replace(/,/g, ""));
+  return Number(text.replace(",", "."));
+}
+
+// Splits "10mm", "1.5 kg" or "0,39 in" into `{ amount, unit }` for the given
+// unit type. A bare number is read in `defaultUnit`. Returns null when the
+// value is not a single number with a known unit of that type.
+export function parseUnitValue(value, unitType, defaultUnit) {
+  if (!isUnitType(unitType)) return null;
+  const match = String(value ?? "").trim().match(/^(-?\d[\d,]*(?:\.\d+)?)\s*(.*)$/);
+  if (!match) return null;
+
+  const amount = parseNumber(match[1]);
+  if (!Number.isFinite(amount)) return null;
+
+  const unitText = match[2].trim().replace(/\.$/, "").toLowerCase();
+  const unit = unitText ? unitLookup.get(unitType).get(unitText) : defaultUnit;
+  if (!isDisplayUnit(unitType, unit)) return null;
+  return { amount, unit };
+}
+
+export function convertUnit(amount, unitType, fromUnit, toUnit) {
+  const { units } = UNIT_TYPES[unitType];
+  return (amount * units[fromUnit].factor) / units[toUnit].factor;
+}
+
+// Parses a free text value and converts it to `displayUnit`.
+// Returns `{ amount, unit, text }` (e.g. `{ amount: 10, unit: "mm", text: "10 mm" }`)
+// or null when the value cannot be read.
+export function normalizeUnitValue(value, unitType, displayUnit) {
+  if (!isDisplayUnit(unitType, displayUnit)) return null;
+  const parsed = parseUnitValue(value, unitType, displayUnit);
+  if (!parsed) return null;
+  const amount = Number(convertUnit(parsed.amount, unitType, parsed.unit, displayUnit).toFixed(DISPLAY_PRECISION));
+  return { amount, unit: displayUnit, text: `${amount} ${displayUnit}` };
+}
+
+// Metafield type and value for a normalised amount, or null when the unit
+// type has no Shopify measurement metafield (power, voltage, ...)
+export function toMeasurementMetafield(amount, unitType, displayUnit) {
+  const type = UNIT_TYPES[unitType]?.metafieldType;
+  const unit = UNIT_TYPES[unitType]?.units[displayUnit]?.shopify;
+  if (!type || !unit) return null;
+  return { type, value: JSON.stringify({ value: amount, unit }) };
+}
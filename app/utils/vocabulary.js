@@ -0,0 +1,43 @@
+// app/utils/vocabulary.js
+// Shared by the server (save checks) and the Filter Manager grid (suggestions
+// and highlighting of values outside a strict vocabulary)
+
+// free: any value; suggest: allowed and stored values are offered while
+// typing; strict: only the allowed values can be saved
+export const VOCABULARY_MODES = {
+  FREE: "free",
+  SUGGEST: "suggest",
+  STRICT: "strict",
+};
+
+// "Stainless steel", "stainless-steel" and "Stainless  Steel" compare equal
+export function normalizeValue(value) {
+  return String(value ?? "").toLowerCase().replace(/[^\p{L}\p{N}]+/gu, " ").trim();
+}
+
+// Accepts an array or a newline separated string; values may contain commas
+export function parseAllowedValues(values) {
+  const list = Array.isArray(values) ? values : String(values || "").split("\n");
+  const seen = new Set();
+  const result = [];
+  for (const value of list.map((v) => String(v).trim()).filter(Boolean)) {
+    const norm = normalizeValue(value);
+    if (seen.has(norm)) continue;
+    seen.add(norm);
+    result.push(value);
+  }
+  return result;
+}
+
+// Checks one value against a key's vocabulary (`{ mode, allowedValues }`).
+// Outside free mode, a value that matches an allowed value up to case and
+// punctuation takes the allowed spelling; in strict mode any other non-empty
+// value is rejected.
+export function matchVocabulary({ mode, allowedValues = [] } = {}, value) {
+  const trimmed = String(value ?? "").trim();
+  if (!trimmed || !mode || mode === VOCABULARY_MODES.FREE || !allowedValues.length) return { ok: true, value };
+  const norm = normalizeValue(trimmed);
+  const match = allowedValues.find((v) => normalizeValue(v) === norm);
+  if (match) return { ok: true, value: match };
+  return { ok: mode !== VOCABULARY_MODES.STRICT, value };
+}
@@ -0,0 +1,40 @@
+/*
+  Scopes `specifications` and `faq` rows to the shop that owns them.
+
+  Existing rows were written before the app stored a shop, so they are
+  backfilled with the shop of the first offline session. If more than one
+  store has the app installed, check the backfilled rows and move them to
+  the right shop with an UPDATE before relying on the data.
+*/
+-- AlterTable
+ALTER TABLE `specifications` ADD COLUMN `shop` VARCHAR(100) NOT NULL DEFAULT '';
+
+-- AlterTable
+ALTER TABLE `faq` ADD COLUMN `shop` VARCHAR(191) NOT NULL DEFAULT '';
+
+-- Backfill
+UPDATE `specifications`
+SET `shop` = COALESCE((SELECT `shop` FROM `session` WHERE `isOnline` = false ORDER BY `id` LIMIT 1), '')
+WHERE `shop` = '';
+
+UPDATE `faq`
+SET `shop` = COALESCE((SELECT `shop` FROM `session` WHERE `isOnline` = false ORDER BY `id` LIMIT 1), '')
+WHERE `shop` = '';
+
+-- AlterTable
+ALTER TABLE `specifications` ALTER COLUMN `shop` DROP DEFAULT;
+
+-- AlterTable
+ALTER TABLE `faq` ALTER COLUMN `shop` DROP DEFAULT;
+
+-- DropIndex
+DROP INDEX `specifications_sku_spec_key_spec_value_key` ON `specifications`;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `specifications_shop_sku_spec_key_spec_value_key` ON `specifications`(`shop`, `sku`, `spec_key`, `spec_value`);
+
+-- CreateIndex
+CREATE INDEX `specifications_shop_spec_key_idx` ON `specifications`(`shop`, `spec_key`);
+
+-- CreateIndex
+CREATE INDEX `faq_shop_resourceId_idx` ON `faq`(`shop`, `resourceId`);
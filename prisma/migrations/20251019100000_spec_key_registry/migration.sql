@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE `spec_keys` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `shop` VARCHAR(100) NOT NULL,
+    `key` VARCHAR(255) NOT NULL,
+    `label` VARCHAR(255) NOT NULL,
+    `aliases` JSON NOT NULL,
+    `sort_order` INTEGER NOT NULL DEFAULT 0,
+    `exclude_from_filters` BOOLEAN NOT NULL DEFAULT false,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `spec_keys_shop_key_key`(`shop`, `key`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE `spec_keys` ADD COLUMN `unit_type` VARCHAR(20) NULL,
+    ADD COLUMN `display_unit` VARCHAR(20) NULL,
+    ADD COLUMN `unit_metafield` BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,42 @@
+-- CreateTable
+CREATE TABLE `jobs` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `shop` VARCHAR(100) NOT NULL,
+    `type` VARCHAR(50) NOT NULL,
+    `title` VARCHAR(255) NOT NULL,
+    `status` VARCHAR(20) NOT NULL DEFAULT 'queued',
+    `payload` JSON NOT NULL,
+    `file` LONGBLOB NULL,
+    `file_name` VARCHAR(255) NULL,
+    `stage` VARCHAR(255) NULL,
+    `progress_done` INTEGER NOT NULL DEFAULT 0,
+    `progress_total` INTEGER NOT NULL DEFAULT 0,
+    `result` JSON NULL,
+    `error` TEXT NULL,
+    `attempts` INTEGER NOT NULL DEFAULT 0,
+    `cancel_requested` BOOLEAN NOT NULL DEFAULT false,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `started_at` DATETIME(3) NULL,
+    `finished_at` DATETIME(3) NULL,
+    `updated_at` DATETIME(3) NOT NULL,
+
+    INDEX `jobs_shop_created_at_idx`(`shop`, `created_at`),
+    INDEX `jobs_status_created_at_idx`(`status`, `created_at`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `job_items` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `job_id` INTEGER NOT NULL,
+    `ref` VARCHAR(255) NOT NULL,
+    `status` VARCHAR(20) NOT NULL,
+    `message` TEXT NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `job_items_job_id_status_idx`(`job_id`, `status`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `job_items` ADD CONSTRAINT `job_items_job_id_fkey` FOREIGN KEY (`job_id`) REFERENCES `jobs`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
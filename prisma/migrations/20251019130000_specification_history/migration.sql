@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE `specification_history` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `shop` VARCHAR(100) NOT NULL,
+    `sku` VARCHAR(100) NOT NULL,
+    `spec_key` VARCHAR(255) NOT NULL,
+    `old_value` VARCHAR(255) NULL,
+    `new_value` VARCHAR(255) NULL,
+    `source` VARCHAR(50) NOT NULL,
+    `user_id` VARCHAR(50) NULL,
+    `user_email` VARCHAR(255) NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `specification_history_shop_sku_created_at_idx`(`shop`, `sku`, `created_at`),
+    INDEX `specification_history_shop_created_at_idx`(`shop`, `created_at`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE `spec_keys` ADD COLUMN `vocabulary_mode` VARCHAR(20) NOT NULL DEFAULT 'free',
+    ADD COLUMN `allowed_values` JSON NULL;
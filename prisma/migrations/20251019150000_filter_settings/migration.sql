@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE `filter_settings` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `shop` VARCHAR(100) NOT NULL,
+    `namespace` VARCHAR(255) NOT NULL DEFAULT 'custom',
+    `key_scheme` VARCHAR(20) NOT NULL DEFAULT 'positional',
+    `key_prefix` VARCHAR(30) NOT NULL DEFAULT 'filter_',
+    `value_type` VARCHAR(50) NOT NULL DEFAULT 'single_line_text_field',
+    `create_definitions` BOOLEAN NOT NULL DEFAULT true,
+    `managed_keys` JSON NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `filter_settings_shop_key`(`shop`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
@@ -0,0 +1,12 @@
+-- CreateTable
+CREATE TABLE `feature_table_sync` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `shop` VARCHAR(100) NOT NULL,
+    `product_id` VARCHAR(100) NOT NULL,
+    `spec_keys` JSON NOT NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `feature_table_sync_shop_product_id_key`(`shop`, `product_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE `sku_index` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `shop` VARCHAR(100) NOT NULL,
+    `variant_id` VARCHAR(100) NOT NULL,
+    `sku` VARCHAR(255) NOT NULL DEFAULT '',
+    `product_id` VARCHAR(100) NOT NULL,
+    `product_title` VARCHAR(255) NOT NULL,
+    `product_handle` VARCHAR(255) NOT NULL,
+    `synced_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `sku_index_shop_sku_idx`(`shop`, `sku`),
+    INDEX `sku_index_shop_product_id_idx`(`shop`, `product_id`),
+    UNIQUE INDEX `sku_index_shop_variant_id_key`(`shop`, `variant_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
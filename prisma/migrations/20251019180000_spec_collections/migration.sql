@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE `spec_collections` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `shop` VARCHAR(100) NOT NULL,
+    `title` VARCHAR(255) NOT NULL,
+    `spec_key` VARCHAR(255) NOT NULL,
+    `operator` VARCHAR(20) NOT NULL,
+    `value` VARCHAR(255) NOT NULL,
+    `value_to` VARCHAR(255) NULL,
+    `metafield_key` VARCHAR(64) NOT NULL,
+    `definition_id` VARCHAR(100) NULL,
+    `collection_id` VARCHAR(100) NULL,
+    `built_at` DATETIME(3) NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `spec_collections_shop_metafield_key_key`(`shop`, `metafield_key`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
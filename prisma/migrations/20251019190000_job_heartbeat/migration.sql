@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE `jobs` ADD COLUMN `worker_id` VARCHAR(100) NULL,
+    ADD COLUMN `heartbeat_at` DATETIME(3) NULL;
+
+-- CreateIndex
+CREATE INDEX `jobs_status_heartbeat_at_idx` ON `jobs`(`status`, `heartbeat_at`);